@@ -15,10 +15,156 @@ import type { SetAccessParam } from '@refinio/one.core/lib/access.js';
 import type { Topic } from '@refinio/one.models/lib/recipes/ChatRecipes.js';
 import type { ChannelInfo } from '@refinio/one.models/lib/recipes/ChannelRecipes.js';
 import { SET_ACCESS_MODE } from '@refinio/one.core/lib/storage-base-common.js';
-import { getObjectByIdHash } from '@refinio/one.core/lib/storage-versioned-objects.js';
+import { getObjectByIdHash, storeVersionedObject } from '@refinio/one.core/lib/storage-versioned-objects.js';
 import { getObject } from '@refinio/one.core/lib/storage-unversioned-objects.js';
+import { calculateHashOfObj } from '@refinio/one.core/lib/util/object.js';
 import { GroupPlan as GroupPlanImpl, GroupPlanStorageDeps } from './GroupPlan.js';
 import { createP2PTopic } from '../services/P2PTopicService.js';
+import {
+  postToTopicChannel,
+  postChatMessage,
+  ChatMessageAttachment,
+  getTopicObjects,
+  getTopicObjectsSince,
+  findLatestTopicObject,
+  readTopicPage,
+  iterateTopicObjects,
+  getEntryPosition,
+  comparePositions,
+  encodeCursor,
+  decodeCursor,
+  EntryPosition
+} from '../services/TopicChannelService.js';
+import { createReaction, aggregateReactions, MessageReactionSummary } from '../services/ReactionService.js';
+import {
+  normalizePollSpec,
+  createPoll,
+  createPollVote,
+  createPollClose,
+  aggregatePolls,
+  PollSpec,
+  PollSummary
+} from '../services/PollService.js';
+import {
+  loadMessageAttachments,
+  buildReplyIndex,
+  collectThread,
+  createQuoteSnippet,
+  MessageAttachments
+} from '../services/ReplyService.js';
+import {
+  getMessageVerification,
+  buildSignedTranscript,
+  TranscriptMessage,
+  TranscriptSigner
+} from '../services/MessageVerificationService.js';
+import {
+  createMessageEdit,
+  createMessageDeletion,
+  getMessageChanges,
+  findMessageChanges,
+  resolveMessageState,
+  MessageChanges,
+  MessageEditState
+} from '../services/MessageEditService.js';
+import { clearTopic, getClearedAt, isCleared, canClearForEveryone } from '../services/ClearMarkerService.js';
+import { createSystemEvent, getSystemEventsBetween, describeSystemEvent } from '../services/SystemEventService.js';
+import {
+  createConversationMetadata,
+  getConversationMetadata,
+  getConversationMetadataHistory,
+  getLatestMetadataEntry,
+  ConversationMetadataVersion
+} from '../services/ConversationMetadataService.js';
+import {
+  getConversationRoles,
+  postConversationRoles,
+  initializeConversationRoles,
+  createGroupTopicId,
+  getRoleTimeline,
+  isEntryAllowed,
+  getRole,
+  hasPermission,
+  assertPermission,
+  canChangeRole,
+  ConversationRole,
+  ConversationPermission,
+  RoleState
+} from '../services/ConversationRolesService.js';
+import {
+  InviteRegistry,
+  InviteInfo,
+  JoinRequestInfo,
+  PairingInvitation,
+  decodeInviteToken,
+  importInviteToken,
+  verifyInvite,
+  createJoinRequest
+} from '../services/InviteService.js';
+import type { ChatSystemEvent, ChatSystemEventType, ChatMessageEdit, ChatMessageDeletion } from '../types/OneObjectInterfaces.js';
+import { markRead, getReadReceipts } from '../services/ReadPositionService.js';
+import { ConversationIndex, ConversationSummaryData, getTopicActivity } from '../services/ConversationIndex.js';
+import { getPersonDirectory, PersonDirectory } from '../services/PersonDirectory.js';
+import { MessageSearchIndex } from '../services/MessageSearchIndex.js';
+import { PlanEventEmitter, Unsubscribe } from '../services/PlanEventEmitter.js';
+import { dispatchArrivedMessages } from '../services/LiveMessageDispatch.js';
+import { getPresenceService } from '../services/PresenceService.js';
+import { MessageOutbox, OutboxEntry, OutboxProgress } from '../services/MessageOutbox.js';
+import {
+  AttachmentService,
+  AttachmentLimits,
+  AttachmentInput,
+  PreparedAttachment
+} from '../services/AttachmentService.js';
+import type { ThumbnailRenderer } from '../services/ImageThumbnail.js';
+import {
+  createAIRouting,
+  getAIAddressing,
+  getLatestAIRoutingEntry,
+  selectResponders,
+  AIAddressingMode,
+  AIParticipant
+} from '../services/AIRoutingService.js';
+import {
+  createAISettings,
+  getConversationAISettings,
+  getLatestAISettingsEntry,
+  mergeAISettings,
+  resolveGenerationOptions,
+  AISettingsFields,
+  AISettingsPatch,
+  ConversationAISettingsVersion,
+  GenerationOptions
+} from '../services/ConversationAISettingsService.js';
+import { ChunkedUploads, BeginUploadOptions, UploadState, readBlobRange } from '../services/ChunkedUploadService.js';
+import {
+  TranscriptionService,
+  SpeechToTextEngine,
+  TranscriptSummary,
+  AudioAttachment,
+  aggregateTranscripts,
+  isAudioMimeType
+} from '../services/TranscriptionService.js';
+import { TranscriptionQueue, TranscriptionJob } from '../services/TranscriptionQueue.js';
+import {
+  SpeechSynthesisService,
+  SpeechSynthesisEngine,
+  MessageSpeech,
+  AutoSpeakSettings
+} from '../services/SpeechSynthesisService.js';
+import {
+  getReceivedUpTo,
+  getDeliveryPositions,
+  recordDeliveryPosition,
+  getRecipientDelivery,
+  summarizeDelivery,
+  MessageDelivery
+} from '../services/DeliveryStatusService.js';
+
+// Coalesce channel updates that need a scan of all topics
+const LIVE_SCAN_DELAY_MS = 500;
+// Read reactions, edits etc. of a message page from this long before its oldest message (clock skew)
+const FORMAT_CONTEXT_MARGIN_MS = 24 * 60 * 60 * 1000;
 
 // StoryFactory interface for optional Story/Assembly tracking
 export interface StoryFactory {
@@ -31,6 +177,7 @@ export interface GroupPlan {
   getTopic(request: any): Promise<any>;
   getTopicParticipants(request: any): Promise<any>;
   addParticipants(request: any): Promise<any>;
+  removeParticipants?(request: any): Promise<any>;
 }
 
 // Request/Response types
@@ -57,25 +204,101 @@ export interface SendMessageRequest {
   content: string;  // Changed from 'text' to match response format
   attachments?: any[];
   senderId?: any;  // Optional: Person ID of the sender (defaults to nodeOneCore.ownerId)
+  replyTo?: string;  // Optional: message id or ChatMessage hash this message replies to
 }
 
 export interface SendMessageResponse {
   success: boolean;
-  data?: any;
+  data?: any;  // Includes clientId, status and - once stored - the real id and hash
+  error?: string;
+}
+
+export interface RetryMessageRequest {
+  clientId: string;  // Client ID returned by sendMessage
+}
+
+export interface GetOutboxStatusRequest {
+  conversationId?: string;  // Only messages of this conversation
+  clientId?: string;        // Only this message
+}
+
+export interface GetDeliveryStatusRequest {
+  conversationId: string;
+  messageId: string;  // Message id, ChatMessage hash or outbox clientId
+}
+
+export interface GetDeliveryStatusResponse {
+  success: boolean;
+  data?: {
+    messageId: string;
+    status: MessageDelivery['status'] | 'queued' | 'failed';  // queued/failed: still in the outbox
+    recipients: any[];  // { id, name, status, upTo? }
+  };
+  error?: string;
+}
+
+export interface GetOutboxStatusResponse {
+  success: boolean;
+  entries?: OutboxEntry[];  // Oldest first
   error?: string;
 }
 
 export interface GetMessagesRequest {
   conversationId: string;
   limit?: number;
-  offset?: number;
+  offset?: number;  // Legacy: shifts while new messages arrive - prefer before/after
+  before?: string | number;  // Cursor, message id/hash or timestamp: page of messages older than it
+  after?: string | number;   // Cursor, message id/hash or timestamp: page of messages newer than it
+  includeVerification?: boolean;  // Add AffirmationCertificate state per message (costs lookups per message)
 }
 
 export interface GetMessagesResponse {
   success: boolean;
   messages?: any[];
-  total?: number;
-  hasMore?: boolean;
+  total?: number;  // Only known when the whole conversation fits into the page window
+  hasMore?: boolean;  // More older messages exist
+  hasNewer?: boolean;  // More newer messages exist (after/before pages)
+  olderCursor?: string;  // Pass as `before` to load the previous page
+  newerCursor?: string;  // Pass as `after` to load the next page
+  error?: string;
+}
+
+export interface GetThreadRequest {
+  conversationId: string;
+  rootMessageId: string;  // Message id or ChatMessage hash of the thread root
+}
+
+export interface GetThreadResponse {
+  success: boolean;
+  messages?: any[];  // Root first, then replies (oldest first)
+  error?: string;
+}
+
+export interface SearchMessagesRequest {
+  query: string;
+  conversationIds?: string[];  // Default: all conversations
+  senderId?: string;
+  from?: number;               // Timestamp (ms)
+  to?: number;                 // Timestamp (ms)
+  hasAttachment?: boolean;
+  includeThinking?: boolean;   // Also search AI thinking traces
+  limit?: number;              // Default: 50
+}
+
+export interface SearchMessagesResponse {
+  success: boolean;
+  hits?: Array<{
+    conversationId: string;
+    messageId: string;
+    hash: string;
+    senderId: string;
+    senderName: string;
+    timestamp: number;
+    snippet: string;
+    highlights: Array<{ start: number; end: number }>;  // Ranges in snippet (end exclusive)
+    matchedIn: 'text' | 'thinking';
+    score: number;
+  }>;
   error?: string;
 }
 
@@ -124,6 +347,174 @@ export interface GetConversationResponse {
   error?: string;
 }
 
+export interface UpdateConversationRequest {
+  conversationId: string;
+  name?: string;
+  description?: string;     // Empty string removes the description
+  avatarBlobHash?: string;  // BLOB hash of the picture, empty string removes it
+}
+
+export interface UpdateConversationResponse {
+  success: boolean;
+  data?: any;  // Conversation in getConversation format
+  error?: string;
+}
+
+export interface SetAIAddressingRequest {
+  conversationId: string;
+  mode: AIAddressingMode;  // mention | round-robin | all
+}
+
+export interface SetAIAddressingResponse {
+  success: boolean;
+  data?: any;  // Conversation in getConversation format
+  error?: string;
+}
+
+export interface UpdateAISettingsRequest {
+  conversationId: string;
+  settings: AISettingsPatch;  // Omitted fields are kept, null resets a field
+}
+
+export interface UpdateAISettingsResponse {
+  success: boolean;
+  data?: any;  // Conversation in getConversation format
+  error?: string;
+}
+
+/**
+ * Request to one AI participant to answer a message (see setAIResponder)
+ */
+export interface AIResponseRequest {
+  conversationId: string;
+  aiPersonId: string;
+  modelId?: string;
+  messageHash: string;
+  messageId?: string;
+  settings: AISettingsFields;  // System prompt, sampling and context policy of the conversation
+  options: GenerationOptions;  // Settings resolved over the defaults of the answering model
+}
+
+export type AIResponder = (request: AIResponseRequest) => Promise<void>;
+
+/**
+ * Direct generation API of the AI assistant: one answer as one AI participant,
+ * independent of the topics registered to the assistant
+ */
+export interface AssistantReplyGenerator {
+  generateReply(request: {
+    topicId: string;
+    aiPersonId: string;
+    text: string;      // Message to answer
+    senderId: string;
+    options: GenerationOptions;
+  }): Promise<void>;
+}
+
+export interface GetConversationHistoryRequest {
+  conversationId: string;
+}
+
+export interface GetConversationHistoryResponse {
+  success: boolean;
+  history?: ConversationMetadataVersion[];  // Metadata edits, oldest first
+  error?: string;
+}
+
+export interface GetConversationRolesRequest {
+  conversationId: string;
+}
+
+export interface GetConversationRolesResponse {
+  success: boolean;
+  data?: {
+    managed: boolean;  // false: no roles, every participant may do everything
+    announcementOnly: boolean;
+    myRole: ConversationRole;
+    canPost: boolean;
+    participants: Array<{ id: string; name: string; role: ConversationRole }>;
+  };
+  error?: string;
+}
+
+export interface SetParticipantRoleRequest {
+  conversationId: string;
+  personId: string;
+  role: ConversationRole;  // 'owner' transfers ownership (previous owner becomes admin)
+}
+
+export interface SetAnnouncementModeRequest {
+  conversationId: string;
+  enabled: boolean;
+}
+
+export interface UpdateRolesResponse {
+  success: boolean;
+  error?: string;
+}
+
+export interface CreateInviteRequest {
+  conversationId: string;
+  expiresAt?: number;          // Invite is invalid after this time (ms)
+  maxUses?: number;            // Number of persons that can join with it
+  requiresApproval?: boolean;  // Queue join requests for an admin instead of adding right away
+}
+
+export interface CreateInviteResponse {
+  success: boolean;
+  data?: InviteInfo;  // data.token is what the invitee needs
+  error?: string;
+}
+
+export interface RevokeInviteRequest {
+  inviteId: string;
+}
+
+export interface GetInvitesRequest {
+  conversationId: string;
+}
+
+export interface GetInvitesResponse {
+  success: boolean;
+  data?: InviteInfo[];
+  error?: string;
+}
+
+export interface JoinWithInviteRequest {
+  token: string;
+}
+
+export interface JoinWithInviteResponse {
+  success: boolean;
+  data?: {
+    conversationId: string;
+    name?: string;
+    status: 'requested' | 'joined';  // joined: already a participant
+    verified: boolean;  // Invite signature checked with the inviter's keys (false: keys not synced yet)
+  };
+  error?: string;
+}
+
+export interface GetJoinRequestsRequest {
+  conversationId?: string;  // Omit for all conversations
+}
+
+export interface GetJoinRequestsResponse {
+  success: boolean;
+  data?: Array<JoinRequestInfo & { requesterName: string }>;
+  error?: string;
+}
+
+export interface DecideJoinRequestRequest {
+  requestId: string;
+}
+
+export interface DecideJoinRequestResponse {
+  success: boolean;
+  data?: JoinRequestInfo;
+  error?: string;
+}
+
 export interface GetCurrentUserRequest {
   // No parameters
 }
@@ -152,12 +543,53 @@ export interface AddParticipantsResponse {
   error?: string;
 }
 
+export interface RemoveParticipantsRequest {
+  conversationId: string;
+  participantIds: string[];
+}
+
+export interface RemoveParticipantsResponse {
+  success: boolean;
+  data?: {
+    conversationId: string;
+    removedParticipants: string[];
+  };
+  error?: string;
+}
+
+export interface LeaveConversationRequest {
+  conversationId: string;
+}
+
+export interface LeaveConversationResponse {
+  success: boolean;
+  error?: string;
+}
+
 export interface ClearConversationRequest {
   conversationId: string;
+  forEveryone?: boolean;  // Also ask all other participants to clear
 }
 
 export interface ClearConversationResponse {
   success: boolean;
+  clearedAt?: number;
+  error?: string;
+}
+
+export interface MarkAsReadRequest {
+  conversationId: string;
+  upToMessageId?: string;  // Message id or ChatMessage hash (defaults to the newest message)
+  shareReceipt?: boolean;  // Post a read receipt visible to other participants
+}
+
+export interface MarkAsReadResponse {
+  success: boolean;
+  data?: {
+    conversationId: string;
+    readUpTo: number;
+    unreadCount: number;
+  };
   error?: string;
 }
 
@@ -187,6 +619,7 @@ export interface DeleteMessageResponse {
 
 export interface GetMessageHistoryRequest {
   messageId: string;
+  conversationId?: string;  // Required for chat.core edit history (legacy version manager otherwise)
 }
 
 export interface GetMessageHistoryResponse {
@@ -205,6 +638,32 @@ export interface ExportMessageCredentialResponse {
   error?: string;
 }
 
+export interface ExportSignedTranscriptRequest {
+  conversationId: string;
+}
+
+/**
+ * Self-contained conversation export: every message with its certificates,
+ * signatures and the signers' public keys. Hashing an object's microdata with
+ * SHA-256 gives its hash, so a third party can check the whole chain offline.
+ */
+export interface SignedTranscript {
+  format: 'chat.core/signed-transcript';
+  version: 1;
+  conversationId: string;
+  exportedBy: string;
+  exportedAt: number;
+  messages: TranscriptMessage[];  // Oldest first
+  signers: TranscriptSigner[];
+  deletedMessages: string[];      // Hashes of deleted messages (content left out)
+}
+
+export interface ExportSignedTranscriptResponse {
+  success: boolean;
+  data?: SignedTranscript;
+  error?: string;
+}
+
 export interface VerifyMessageAssertionRequest {
   certificateHash: string;
   messageHash: string;
@@ -216,439 +675,3507 @@ export interface VerifyMessageAssertionResponse {
   error?: string;
 }
 
-/**
- * ChatPlan - Pure business logic for chat operations
- *
- * SELF-SUFFICIENT: Automatically creates GroupPlan using nodeOneCore.topicModel.
- * For group conversations with proper Group/HashGroup structure, use createGroupConversation().
- *
- * Dependencies injected via constructor:
- * - nodeOneCore: The ONE.core instance with topicModel, leuteModel, storage functions
- * - stateManager: State management service (optional)
- * - messageVersionManager: Message versioning manager (optional)
- * - messageAssertionManager: Message assertion/certificate manager (optional)
- * - groupPlan: Advanced override for custom GroupPlan (optional - for power users)
- * - storyFactory: Story/Assembly automation (optional - for compatibility)
- *
- * Platform code can now simply:
- * ```typescript
- * const chatPlan = new ChatPlan(nodeOneCore);
- * ```
- */
-export class ChatPlan {
-  static get planId(): string { return 'chat'; }
-  static get planName(): string { return 'Chat'; }
-  static get description(): string { return 'Manages chat conversations, messages, and participants'; }
-  static get version(): string { return '1.0.0'; }
+export interface AddReactionRequest {
+  conversationId: string;
+  messageId: string;  // Message id or ChatMessage hash (as returned by getMessages)
+  emoji: string;
+}
 
-  private nodeOneCore: any;
-  private stateManager: any;
-  private messageVersionManager: any;
-  private messageAssertionManager: any;
-  private groupPlan?: GroupPlan;
-  private storyFactory?: StoryFactory;
+export interface AddReactionResponse {
+  success: boolean;
+  data?: {
+    messageId: string;
+    reactions: any[];
+  };
+  error?: string;
+}
 
-  constructor(
-    nodeOneCore: any,
-    stateManager?: any,
-    messageVersionManager?: any,
-    messageAssertionManager?: any,
-    groupPlan?: GroupPlan,
-    storyFactory?: StoryFactory
-  ) {
-    this.nodeOneCore = nodeOneCore;
-    this.stateManager = stateManager;
-    this.messageVersionManager = messageVersionManager;
-    this.messageAssertionManager = messageAssertionManager;
-    this.storyFactory = storyFactory;
+export interface RemoveReactionRequest {
+  conversationId: string;
+  messageId: string;
+  emoji: string;
+}
 
-    // Create GroupPlan if not provided (using topicModel from nodeOneCore)
-    if (groupPlan) {
-      // Use provided GroupPlan (backward compatibility or power user override)
-      this.groupPlan = groupPlan;
-    } else if (nodeOneCore.topicModel && nodeOneCore.ownerId) {
-      // Auto-create GroupPlan with TopicModel
-      const storageDeps: GroupPlanStorageDeps = {
-        getObjectByIdHash: nodeOneCore.getObjectByIdHash || (async (idHash: any) => {
-          const { getObjectByIdHash } = await import('@refinio/one.core/lib/storage-versioned-objects.js');
-          return getObjectByIdHash(idHash);
-        }),
-        getObject: nodeOneCore.getObject || (async (hash: any) => {
-          const { getObject } = await import('@refinio/one.core/lib/storage-unversioned-objects.js');
-          return getObject(hash);
-        }),
-        calculateIdHashOfObj: nodeOneCore.calculateIdHashOfObj || (async (obj: any) => {
-          const { calculateIdHashOfObj } = await import('@refinio/one.core/lib/util/object.js');
-          return calculateIdHashOfObj(obj);
-        }),
-        storeUnversionedObject: nodeOneCore.storeUnversionedObject || (async (obj: any) => {
-          const { storeUnversionedObject } = await import('@refinio/one.core/lib/storage-unversioned-objects.js');
-          return storeUnversionedObject(obj);
-        }),
-        storeVersionedObject: nodeOneCore.storeVersionedObject || (async (obj: any) => {
-          const { storeVersionedObject } = await import('@refinio/one.core/lib/storage-versioned-objects.js');
-          return storeVersionedObject(obj);
-        })
-      };
-      this.groupPlan = new GroupPlanImpl(nodeOneCore.topicModel, storageDeps, nodeOneCore.ownerId);
-      console.log('[ChatPlan] Auto-created GroupPlan with TopicModel');
-    }
-  }
+export interface RemoveReactionResponse {
+  success: boolean;
+  data?: {
+    messageId: string;
+    reactions: any[];
+  };
+  error?: string;
+}
+
+export type PrepareAttachmentRequest = AttachmentInput;
+
+export interface PrepareAttachmentResponse {
+  success: boolean;
+  data?: PreparedAttachment;  // Pass as is in SendMessageRequest.attachments
+  error?: string;
+}
+
+export type BeginUploadRequest = BeginUploadOptions;
+
+export interface AppendChunkRequest {
+  uploadId: string;
+  index: number;               // Chunk index (offset = index * chunkSize)
+  data: Uint8Array | ArrayBuffer;
+  sha256?: string;             // Hex SHA-256 of the chunk (verified)
+}
+
+export interface UploadRequest {
+  uploadId: string;
+}
+
+export interface UploadStateResponse {
+  success: boolean;
+  data?: UploadState;
+  error?: string;
+}
+
+export interface FinishUploadResponse {
+  success: boolean;
+  data?: PreparedAttachment;  // Pass as is in SendMessageRequest.attachments
+  error?: string;
+}
+
+export interface ReadAttachmentRequest {
+  hash: string;     // BLOB hash
+  offset?: number;  // Default 0
+  length: number;
+}
+
+export interface ReadAttachmentResponse {
+  success: boolean;
+  data?: {
+    offset: number;
+    bytes: Uint8Array;  // Shorter than length at the end of the file
+  };
+  error?: string;
+}
+
+export interface CreatePollRequest {
+  conversationId: string;
+  question: string;
+  options: string[];
+  multipleChoice?: boolean;  // Default: single choice
+  anonymous?: boolean;       // Hide who voted for what
+  closesAt?: number;         // Voting ends at this time (ms)
+}
+
+export interface VotePollRequest {
+  conversationId: string;
+  messageId: string;  // Poll message id or ChatMessage hash
+  choices: number[];  // Option indexes (empty withdraws the vote)
+}
+
+export interface ClosePollRequest {
+  conversationId: string;
+  messageId: string;
+}
+
+export interface PollResponse {
+  success: boolean;
+  data?: {
+    messageId: string;
+    poll: any;  // Poll in getMessages format
+  };
+  error?: string;
+}
+
+export interface SynthesizeMessageRequest {
+  conversationId: string;
+  messageId: string;
+  voice?: string;  // Preset name or BLOB hash of reference audio (voice cloning)
+}
+
+export interface SynthesizeMessageResponse {
+  success: boolean;
+  data?: MessageSpeech & {
+    messageId: string;
+  };
+  error?: string;
+}
+
+export interface SetAutoSpeakRequest {
+  conversationId: string;
+  enabled: boolean;
+  voice?: string;
+}
+
+export interface AutoSpeakResponse {
+  success: boolean;
+  data?: AutoSpeakSettings & {
+    conversationId: string;
+  };
+  error?: string;
+}
+
+/**
+ * New message (message in getMessages format)
+ */
+export interface ChatMessageEvent {
+  conversationId: string;
+  message: any;  // Own messages sent through the outbox carry their clientId
+}
+
+/**
+ * Edited message (same data as the editMessage response)
+ */
+export interface ChatMessageEditedEvent {
+  conversationId: string;
+  messageId: string;
+  newVersion?: string;  // Legacy version manager only
+  editedAt: number;
+  content?: string;     // Current text ('' for deleted messages)
+  editCount?: number;
+  isDeleted?: boolean;
+}
+
+/**
+ * Participants of a conversation changed (participants in getConversations format)
+ */
+export interface ParticipantsChangedEvent {
+  conversationId: string;
+  participants: any[];
+  added: string[];
+  removed: string[];
+}
+
+/**
+ * Transcript of a voice message attachment is available
+ */
+export interface TranscriptEvent {
+  conversationId: string;
+  messageHash: string;
+  attachmentHash: string;
+  transcript: TranscriptSummary;
+}
+
+/**
+ * AI reply was read aloud (auto-speak)
+ */
+export interface SpeechEvent {
+  conversationId: string;
+  messageId: string;
+  speech: MessageSpeech;
+}
+
+/**
+ * Typing state of another participant changed
+ */
+export interface TypingChangedEvent {
+  conversationId: string;
+  personId: string;
+  name: string;
+  isTyping: boolean;
+}
+
+export interface SetTypingResponse {
+  success: boolean;
+  error?: string;
+}
+
+interface ChatPlanEvents {
+  message: ChatMessageEvent;
+  messageEdited: ChatMessageEditedEvent;
+  conversationUpdated: any;  // Conversation in getConversations format
+  participantsChanged: ParticipantsChangedEvent;
+  outboxStatus: OutboxEntry;
+  joinRequest: JoinRequestInfo;
+  uploadProgress: UploadState;
+  transcript: TranscriptEvent;
+  speech: SpeechEvent;
+}
+
+/**
+ * Per-request data shared while formatting messages of one topic
+ */
+interface MessageFormatContext {
+  reactionsByMessage: Map<string, MessageReactionSummary[]>;  // Message channel entry id -> reactions
+  pollsByMessage: Map<string, PollSummary>;  // Question ChatMessage hash -> poll with tallies
+  changesByMessage: Map<string, MessageChanges>;  // Change index (findMessageChanges)
+  transcriptsByMessage: Map<string, Map<string, TranscriptSummary>>;  // ChatMessage hash -> attachment hash -> transcript
+  replyIndex: Map<string, string>;   // ChatMessage hash -> quoted parent ChatMessage hash
+  attachmentsByMessage: Map<string, MessageAttachments>;  // ChatMessage hash -> loaded ChatAttachments
+  messagesByHash: Map<string, any>;  // ChatMessage hash -> ObjectData of the formatted messages (for quotes)
+  readReceipts: Map<string, number>; // Person ID -> shared read position (for "seen by")
+  deliveryReceipts: Map<string, number>; // Person ID -> acknowledged delivery position (for delivery state)
+  recipients: Array<{ id: string; isAI: boolean }>; // Participants other than the owner
+  showThinking: boolean;  // AI settings of the conversation
+}
+
+/**
+ * ChatPlan - Pure business logic for chat operations
+ *
+ * SELF-SUFFICIENT: Automatically creates GroupPlan using nodeOneCore.topicModel.
+ * For group conversations with proper Group/HashGroup structure, use createGroupConversation().
+ *
+ * Dependencies injected via constructor:
+ * - nodeOneCore: The ONE.core instance with topicModel, leuteModel, storage functions
+ * - stateManager: State management service (optional)
+ * - messageVersionManager: Legacy message history (optional - edits and deletions are chat.core objects)
+ * - messageAssertionManager: Message assertion/certificate manager (optional)
+ * - groupPlan: Advanced override for custom GroupPlan (optional - for power users)
+ * - storyFactory: Story/Assembly automation (optional - for compatibility)
+ *
+ * Platform code can now simply:
+ * ```typescript
+ * const chatPlan = new ChatPlan(nodeOneCore);
+ * ```
+ */
+export class ChatPlan {
+  static get planId(): string { return 'chat'; }
+  static get planName(): string { return 'Chat'; }
+  static get description(): string { return 'Manages chat conversations, messages, and participants'; }
+  static get version(): string { return '1.0.0'; }
+
+  private nodeOneCore: any;
+  private stateManager: any;
+  private messageVersionManager: any;
+  private messageAssertionManager: any;
+  private groupPlan?: GroupPlan;
+  private storyFactory?: StoryFactory;
+  private conversationIndex?: ConversationIndex;
+  private searchIndex?: MessageSearchIndex;
+  private outbox?: MessageOutbox;
+  private inviteRegistry?: InviteRegistry;
+  private invitePairings: Map<string, PairingInvitation>;  // inviteId -> pairing invitation of this session
+  private stopInvitePairings?: () => void;
+  private attachmentService?: AttachmentService;
+  private uploads?: ChunkedUploads;
+  private transcription?: TranscriptionService;
+  private transcriptionQueue?: TranscriptionQueue;
+  private speech?: SpeechSynthesisService;
+  private aiResponder?: AIResponder;
+  private joinRequestQueue: Promise<void>;  // Join requests are processed one at a time
+  private aiRouting: Map<string, Promise<void>>;  // topicId -> routing of its previous message
+  private deliveryAcks: Map<string, Map<string, number>>;  // topicId -> personId -> receivedUpTo acknowledged to the person
+  private events: PlanEventEmitter<ChatPlanEvents>;
+  private liveUpdates?: {
+    baseline: boolean;                       // First scan: existing entries are history, not live events
+    watermarks: Map<string, EntryPosition>;  // `${type}|${topicId}` -> newest channel entry read for live events
+    channelToTopic: Map<string, string>;     // ChannelInfo id hash -> topicId
+    metadataVersions: Map<string, string>;   // topicId -> newest ConversationMetadata, ConversationAIRouting and ConversationAISettings hashes
+    topicScan?: ReturnType<typeof setTimeout>;
+    disconnect: Array<() => void>;           // Remove the channel update and delivery listeners
+  };
+
+  constructor(
+    nodeOneCore: any,
+    stateManager?: any,
+    messageVersionManager?: any,
+    messageAssertionManager?: any,
+    groupPlan?: GroupPlan,
+    storyFactory?: StoryFactory
+  ) {
+    this.nodeOneCore = nodeOneCore;
+    this.stateManager = stateManager;
+    this.messageVersionManager = messageVersionManager;
+    this.messageAssertionManager = messageAssertionManager;
+    this.storyFactory = storyFactory;
+    this.events = new PlanEventEmitter<ChatPlanEvents>('ChatPlan');
+    this.deliveryAcks = new Map();
+    this.joinRequestQueue = Promise.resolve();
+    this.invitePairings = new Map();
+    this.aiRouting = new Map();
+
+    // Create GroupPlan if not provided (using topicModel from nodeOneCore)
+    if (groupPlan) {
+      // Use provided GroupPlan (backward compatibility or power user override)
+      this.groupPlan = groupPlan;
+    } else if (nodeOneCore.topicModel && nodeOneCore.ownerId) {
+      // Auto-create GroupPlan with TopicModel
+      const storageDeps: GroupPlanStorageDeps = {
+        getObjectByIdHash: nodeOneCore.getObjectByIdHash || (async (idHash: any) => {
+          const { getObjectByIdHash } = await import('@refinio/one.core/lib/storage-versioned-objects.js');
+          return getObjectByIdHash(idHash);
+        }),
+        getObject: nodeOneCore.getObject || (async (hash: any) => {
+          const { getObject } = await import('@refinio/one.core/lib/storage-unversioned-objects.js');
+          return getObject(hash);
+        }),
+        calculateIdHashOfObj: nodeOneCore.calculateIdHashOfObj || (async (obj: any) => {
+          const { calculateIdHashOfObj } = await import('@refinio/one.core/lib/util/object.js');
+          return calculateIdHashOfObj(obj);
+        }),
+        storeUnversionedObject: nodeOneCore.storeUnversionedObject || (async (obj: any) => {
+          const { storeUnversionedObject } = await import('@refinio/one.core/lib/storage-unversioned-objects.js');
+          return storeUnversionedObject(obj);
+        }),
+        storeVersionedObject: nodeOneCore.storeVersionedObject || (async (obj: any) => {
+          const { storeVersionedObject } = await import('@refinio/one.core/lib/storage-versioned-objects.js');
+          return storeVersionedObject(obj);
+        })
+      };
+      this.groupPlan = new GroupPlanImpl(nodeOneCore.topicModel, storageDeps, nodeOneCore.ownerId, nodeOneCore.channelManager);
+      console.log('[ChatPlan] Auto-created GroupPlan with TopicModel');
+    }
+  }
+
+  /**
+   * Set message managers after initialization
+   */
+  setMessageManagers(versionManager: any, assertionManager: any): void {
+    this.messageVersionManager = versionManager;
+    this.messageAssertionManager = assertionManager;
+  }
+
+  /**
+   * Set GroupPlan after initialization (for gradual adoption)
+   */
+  setGroupPlan(plan: GroupPlan): void {
+    this.groupPlan = plan;
+  }
+
+  /**
+   * Set StoryFactory after initialization (for gradual adoption)
+   */
+  setStoryFactory(factory: StoryFactory): void {
+    this.storyFactory = factory;
+  }
+
+  /**
+   * Configure the attachment pipeline (limits and an optional platform thumbnail renderer)
+   */
+  setAttachmentOptions(limits: Partial<AttachmentLimits>, renderThumbnail?: ThumbnailRenderer): void {
+    if (renderThumbnail || !this.attachmentService) {
+      this.attachmentService = new AttachmentService({ ...this.attachmentService?.getLimits(), ...limits }, renderThumbnail);
+    } else {
+      this.attachmentService.setLimits(limits);
+    }
+  }
+
+  /**
+   * Enable background transcription of voice messages
+   *
+   * @param engine - Speech recognition backend
+   * @param modelNames - Installed STT models (STT.name) in order of preference;
+   *   the first one with status 'ready' is used
+   */
+  setSpeechToText(engine: SpeechToTextEngine, modelNames: string[]): void {
+    this.transcription = new TranscriptionService(engine, modelNames);
+    // Resume transcriptions that were pending when the app stopped
+    if (this.nodeOneCore.ownerId) {
+      this.getTranscriptionQueue().load().catch((error: Error) => {
+        console.warn('[ChatPlan] Failed to load transcription queue:', error);
+      });
+    }
+  }
+
+  /**
+   * Enable reading messages aloud
+   *
+   * @param engine - Speech synthesis backend
+   * @param modelNames - Installed TTS models (TTS.name) in order of preference;
+   *   the first one with status 'ready' is used
+   */
+  setTextToSpeech(engine: SpeechSynthesisEngine, modelNames: string[]): void {
+    this.speech = new SpeechSynthesisService(engine, modelNames);
+  }
+
+  /**
+   * Route messages in conversations with several AI participants
+   *
+   * The responder is called once per selected AI (addressing mode of the
+   * conversation), one after another. Without a responder the AI assistant
+   * answers as the selected AIs of this instance, through its generateReply
+   * (AssistantReplyGenerator) - routing reports an error if it has none.
+   * Conversations with a single AI and default AI settings keep the default
+   * answer path of the assistant.
+   */
+  setAIResponder(responder: AIResponder): void {
+    this.aiResponder = responder;
+  }
+
+  /**
+   * Get the attachment service (created with default limits on first use)
+   */
+  private getAttachmentService(): AttachmentService {
+    if (!this.attachmentService) {
+      this.attachmentService = new AttachmentService();
+    }
+    return this.attachmentService;
+  }
+
+  /**
+   * Get the transcription queue of the owner (created on first use)
+   */
+  private getTranscriptionQueue(): TranscriptionQueue {
+    if (!this.transcriptionQueue) {
+      this.transcriptionQueue = new TranscriptionQueue(
+        this.nodeOneCore.ownerId,
+        (job, done) => this.transcribeMessage(job, done)
+      );
+    }
+    return this.transcriptionQueue;
+  }
+
+  /**
+   * Get the chunked uploads of the owner (created on first use)
+   */
+  private getUploads(): ChunkedUploads {
+    if (!this.uploads) {
+      this.uploads = new ChunkedUploads(
+        this.nodeOneCore.ownerId,
+        () => this.getAttachmentService(),
+        (state: UploadState) => this.events.emit('uploadProgress', state)
+      );
+    }
+    return this.uploads;
+  }
+
+  /**
+   * Get the conversation index (created on first use)
+   */
+  private getConversationIndex(): ConversationIndex {
+    if (!this.conversationIndex) {
+      this.conversationIndex = new ConversationIndex(
+        this.nodeOneCore,
+        (topic: any) => this.buildConversation(topic),
+        (data, previous) => this.handleConversationChange(data, previous)
+      );
+
+      // Participant and P2P names come from the person directory
+      this.getDirectory()?.onChanged((personIds: string[]) => {
+        this.conversationIndex?.invalidatePersons(personIds).catch((error: Error) => {
+          console.warn('[ChatPlan] Failed to invalidate conversations:', error);
+        });
+      });
+    }
+    return this.conversationIndex;
+  }
+
+  /**
+   * Get the message search index (created on first use)
+   */
+  private getSearchIndex(): MessageSearchIndex {
+    if (!this.searchIndex) {
+      this.searchIndex = new MessageSearchIndex(
+        this.nodeOneCore.channelManager,
+        async () => await this.nodeOneCore.topicModel.topics.all()
+      );
+    }
+    return this.searchIndex;
+  }
+
+  /**
+   * Get the message outbox of the owner (created on first use)
+   */
+  private getOutbox(): MessageOutbox {
+    if (!this.outbox) {
+      this.outbox = new MessageOutbox(
+        this.nodeOneCore.ownerId,
+        (entry: OutboxEntry, progress: (update: OutboxProgress) => Promise<void>) => this.deliverMessage(entry, progress),
+        (entry: OutboxEntry) => this.events.emit('outboxStatus', entry)
+      );
+    }
+    return this.outbox;
+  }
+
+  /**
+   * Get the invite registry of the owner (created on first use)
+   */
+  private getInviteRegistry(): InviteRegistry {
+    if (!this.inviteRegistry) {
+      this.inviteRegistry = new InviteRegistry(this.nodeOneCore.ownerId, inviteId => this.getInvitePairing(inviteId));
+    }
+    return this.inviteRegistry;
+  }
+
+  /**
+   * Get the pairing invitation that goes into the token of an invite
+   *
+   * Pairing invitations live in the ConnectionsModel of this session and are
+   * used up by a pairing, so a new one is created per invite after a restart
+   * or a pairing - tokens from getInvites reach the inviter, older ones only
+   * work for persons already connected to them.
+   *
+   * @returns undefined if the instance has no pairing support
+   */
+  private async getInvitePairing(inviteId: string): Promise<PairingInvitation | undefined> {
+    const pairing = this.nodeOneCore.connectionsModel?.pairing;
+    if (!pairing?.createInvitation || !pairing.onPairingSuccess?.listen) {
+      return undefined;
+    }
+
+    let invitation = this.invitePairings.get(inviteId);
+    if (!invitation) {
+      invitation = await pairing.createInvitation() as PairingInvitation;
+      this.invitePairings.set(inviteId, invitation);
+    }
+    if (!this.stopInvitePairings) {
+      // Callback signature: (initiatedLocally, localPersonId, localInstanceId, remotePersonId, remoteInstanceId, token)
+      this.stopInvitePairings = pairing.onPairingSuccess.listen((
+        initiatedLocally: boolean,
+        localPersonId: any,
+        _localInstanceId: any,
+        remotePersonId: any,
+        _remoteInstanceId: any,
+        token: string
+      ) => {
+        if (!initiatedLocally) {
+          this.handleInvitePairing(String(localPersonId), String(remotePersonId), token).catch((error: Error) => {
+            console.warn('[ChatPlan] Could not set up conversation with invitee:', error);
+          });
+        }
+      });
+    }
+    return invitation;
+  }
+
+  /**
+   * An invitee paired with the pairing invitation of an invite - open the P2P
+   * conversation their join request will arrive in
+   */
+  private async handleInvitePairing(localPersonId: string, remotePersonId: string, token: string): Promise<void> {
+    const inviteId = Array.from(this.invitePairings.entries())
+      .find(([, invitation]) => invitation.token === token)?.[0];
+    if (!inviteId) {
+      return;
+    }
+
+    this.invitePairings.delete(inviteId);
+    const p2p = await this.createP2PConversation({ localPersonId, remotePersonId });
+    if (!p2p.success) {
+      throw new Error(p2p.error);
+    }
+    this.startLiveUpdates();
+    console.log(`[ChatPlan] ${remotePersonId.substring(0, 8)} paired with invite ${inviteId.substring(0, 8)}`);
+  }
+
+  /**
+   * Get current instance version hash for Story/Assembly tracking
+   */
+  private getCurrentInstanceVersion(): string {
+    // Try to get from nodeOneCore, fallback to timestamp if not available
+    return this.nodeOneCore.instanceVersion || `instance-${Date.now()}`;
+  }
+
+  /**
+   * Get the shared person directory (undefined until LeuteModel is available)
+   */
+  private getDirectory(): PersonDirectory | undefined {
+    if (!this.nodeOneCore.leuteModel) {
+      return undefined;
+    }
+    return getPersonDirectory(this.nodeOneCore.leuteModel, {
+      aiAssistantModel: this.nodeOneCore.aiAssistantModel,
+      llmObjectManager: this.nodeOneCore.llmObjectManager
+    });
+  }
+
+  /**
+   * Resolve display name of a person (works for ALL participants)
+   */
+  private async resolvePersonName(personId: any): Promise<string> {
+    try {
+      const directory = this.getDirectory();
+      if (directory) {
+        return await directory.getDisplayName(String(personId));
+      }
+    } catch (error) {
+      console.error('[ChatPlan] Failed to get sender name:', error);
+    }
+    return 'Unknown';
+  }
+
+  /**
+   * Map a participant to UI format (id, name, AI flag, color) from the person directory
+   */
+  private async formatParticipant(participantId: any): Promise<any> {
+    const id = String(participantId);
+    try {
+      const directory = this.getDirectory();
+      if (directory) {
+        const entry = await directory.get(id);
+        return { id, name: entry.displayName, isAI: entry.isAI, color: entry.color, modelId: entry.modelId };
+      }
+    } catch (error) {
+      console.warn(`[ChatPlan] Could not get name for participant ${id}:`, error);
+    }
+    return { id, name: 'Unknown', isAI: false };
+  }
+
+  /**
+   * Register new AI participants of a topic with the AI assistant
+   *
+   * @returns True if the assistant answers the topic as one of these participants
+   */
+  private async registerAIParticipants(topicId: string, participantIds: string[]): Promise<boolean> {
+    const assistantAI = await this.syncAIRegistration(topicId);
+    return assistantAI !== undefined && participantIds.map(String).includes(assistantAI);
+  }
+
+  /**
+   * Check if the AI answers of a topic go through routeToAIs
+   * (several AIs, or settings the assistant's own answers would ignore)
+   */
+  private isRoutedAITopic(aiCount: number, settings: ConversationAISettingsVersion): boolean {
+    return aiCount > 1 || (aiCount === 1 && settings.hash !== undefined);
+  }
+
+  /**
+   * Align the AI assistant's topic registration with the AI participants
+   *
+   * The assistant answers every message of a registered topic as its one AI,
+   * with the model defaults. A topic with a single local AI and default AI
+   * settings is registered to it; other AI topics are not registered at all -
+   * routeToAIs answers them with the conversation's settings.
+   *
+   * @returns The AI the assistant answers the topic as (undefined if none)
+   */
+  private async syncAIRegistration(topicId: string): Promise<string | undefined> {
+    const ai = this.nodeOneCore.aiAssistantModel;
+    if (!ai) {
+      return undefined;
+    }
+
+    const aiIds = (await this.getRecipients(topicId))
+      .filter(r => r.isAI || ai.isAIPerson(r.id))
+      .map(r => r.id);
+    const registered = ai.topicManager?.getAIPersonForTopic?.(topicId);
+    const settings = await getConversationAISettings(this.nodeOneCore.channelManager, topicId);
+    if (!this.isRoutedAITopic(aiIds.length, settings) && ai.isAIPerson(aiIds[0]) && ai.getModelIdForPersonId(aiIds[0])) {
+      if (String(registered ?? '') !== aiIds[0]) {
+        ai.registerAITopic(topicId, aiIds[0] as any);
+        console.log(`[ChatPlan] Registered AI participant ${aiIds[0].substring(0, 8)} in ${topicId}`);
+      }
+      return aiIds[0];
+    }
+
+    if (registered) {
+      if (ai.unregisterAITopic) {
+        ai.unregisterAITopic(topicId);
+        console.log(`[ChatPlan] Unregistered AI topic (${aiIds.length} AI participants, routed by ChatPlan):`, topicId);
+      } else {
+        console.warn('[ChatPlan] AI assistant cannot unregister topics - topic stays registered:', topicId);
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Get participant IDs of a topic (Topic → ChannelInfo → HashGroup)
+   *
+   * @returns Person IDs, empty if the ChannelInfo could not be loaded
+   */
+  private async getTopicParticipantIds(topic: any): Promise<string[]> {
+    try {
+      // Load ChannelInfo from topic.channel
+      const channelResult = await getObjectByIdHash<ChannelInfo>(topic.channel);
+      const channelInfo = channelResult.obj;
+
+      if (channelInfo.participants) {
+        // Load HashGroup to get actual participant IDs
+        const hashGroup = await getObject(channelInfo.participants) as HashGroup<Person>;
+        if (hashGroup.person) {
+          const unauthorized = await this.getUnauthorizedAdditions(topic.id);
+          const participantIds = Array.from(hashGroup.person)
+            .map((id: any) => String(id))
+            .filter(id => !unauthorized.has(id));
+          console.log(`[ChatPlan] Topic ${topic.id} (${topic.name}) - ${participantIds.length} participants from ChannelInfo`);
+          return participantIds;
+        }
+      }
+    } catch (e) {
+      console.warn(`[ChatPlan] Topic ${topic.id} (${topic.name}) - failed to get participants from ChannelInfo:`, e);
+    }
+    return [];
+  }
+
+  /**
+   * Persons added to a group with roles only by participants without the
+   * manageParticipants permission - they are not treated as participants
+   */
+  private async getUnauthorizedAdditions(topicId: string): Promise<Set<string>> {
+    const unauthorized = new Set<string>();
+    if (topicId.includes('<->')) {
+      return unauthorized;
+    }
+
+    const roles = await getRoleTimeline(this.nodeOneCore.channelManager, topicId);
+    const current = roles.changes[roles.changes.length - 1].state;
+    if (!current.managed) {
+      return unauthorized;
+    }
+
+    const authorized = new Set<string>([String(current.owner)]);
+    const events = await getSystemEventsBetween(this.nodeOneCore.channelManager, topicId, 0);
+    for (const entry of events) {
+      const event = entry.data as ChatSystemEvent;
+      if (event.event !== 'participants-added') {
+        continue;
+      }
+      const target = isEntryAllowed(roles, entry, 'manageParticipants') ? authorized : unauthorized;
+      for (const subject of event.subjects || []) {
+        target.add(String(subject));
+      }
+    }
+
+    for (const personId of authorized) {
+      unauthorized.delete(personId);
+    }
+    if (unauthorized.size > 0) {
+      console.warn(`[ChatPlan] Ignoring ${unauthorized.size} participants added without permission to ${topicId}`);
+    }
+    return unauthorized;
+  }
+
+  /**
+   * Get clear marker time of the current user for a topic (0 if never cleared)
+   */
+  private async getClearedAtForOwner(topicId: string): Promise<number> {
+    if (!this.nodeOneCore.ownerId) {
+      return 0;
+    }
+    return await getClearedAt(this.nodeOneCore.channelManager, topicId, this.nodeOneCore.ownerId);
+  }
+
+  /**
+   * Find a message in a topic room by message id or ChatMessage hash
+   *
+   * Searches newest-first - the messages users act on are usually recent.
+   */
+  private async findMessage(topicRoom: any, messageId: string): Promise<any | undefined> {
+    const topicId = topicRoom.topic?.id;
+    if (!topicId || !this.nodeOneCore.channelManager) {
+      const allMessages = await topicRoom.retrieveAllMessages();
+      return allMessages.find((msg: any) =>
+        msg.id === messageId || String(msg.dataHash) === messageId
+      );
+    }
+
+    return await findLatestTopicObject(
+      this.nodeOneCore.channelManager,
+      topicId,
+      'ChatMessage',
+      (msg: any) => msg.id === messageId || String(msg.dataHash) === messageId,
+      Number.POSITIVE_INFINITY
+    );
+  }
+
+  /**
+   * Resolve a pagination anchor (cursor, message id/hash or timestamp) to a channel position
+   */
+  private async resolvePagePosition(conversationId: string, anchor: string | number): Promise<EntryPosition> {
+    if (typeof anchor === 'number') {
+      return { time: anchor };
+    }
+
+    const cursor = decodeCursor(anchor);
+    if (cursor) {
+      return cursor;
+    }
+
+    const message = await findLatestTopicObject(
+      this.nodeOneCore.channelManager,
+      conversationId,
+      'ChatMessage',
+      (msg: any) => msg.id === anchor || String(msg.dataHash) === anchor,
+      Number.POSITIVE_INFINITY
+    );
+    if (!message) {
+      throw new Error(`Invalid pagination cursor: ${anchor}`);
+    }
+    return getEntryPosition(message);
+  }
+
+  /**
+   * Load per-topic data needed to format messages (reactions, reply links)
+   *
+   * @param messages - The messages that will be formatted (e.g. one page)
+   */
+  private async buildMessageFormatContext(conversationId: string, messages: any[]): Promise<MessageFormatContext> {
+    // Reactions, replies etc. are separate objects in the same channel, posted after their
+    // message - read them once per request, back to the oldest message of the page only
+    const since = messages.length > 0
+      ? Math.min(...messages.map(msg => getEntryPosition(msg).time)) - FORMAT_CONTEXT_MARGIN_MS
+      : Date.now();
+    const pageHashes = new Set(messages.filter(msg => msg.dataHash).map(msg => String(msg.dataHash)));
+    const onPage = async (type: string): Promise<any[]> =>
+      (await getTopicObjectsSince(this.nodeOneCore.channelManager, conversationId, type, since))
+        .filter(entry => pageHashes.has(String(entry.data?.message)));
+
+    const [
+      reactionEntries,
+      transcriptEntries,
+      readReceipts,
+      recipients,
+      pollsByMessage,
+      changesByMessage,
+      aiSettings
+    ] = await Promise.all([
+      onPage('ChatReaction'),
+      onPage('ChatTranscript'),
+      getReadReceipts(this.nodeOneCore.channelManager, conversationId),
+      this.getRecipients(conversationId),
+      this.loadPolls(conversationId, since),
+      getMessageChanges(this.nodeOneCore.channelManager, conversationId, since),
+      getConversationAISettings(this.nodeOneCore.channelManager, conversationId)
+    ]);
+
+    const messagesByHash = new Map<string, any>();
+    const attachmentsByMessage = new Map<string, MessageAttachments>();
+    for (const msg of messages) {
+      if (msg.dataHash) {
+        messagesByHash.set(String(msg.dataHash), msg);
+      }
+      if (msg.dataHash && msg.data?.attachments?.length) {
+        attachmentsByMessage.set(String(msg.dataHash), await loadMessageAttachments(msg));
+      }
+    }
+
+    return {
+      reactionsByMessage: aggregateReactions(reactionEntries, this.nodeOneCore.ownerId),
+      pollsByMessage,
+      changesByMessage,
+      transcriptsByMessage: aggregateTranscripts(transcriptEntries, messageHash => {
+        const message = messagesByHash.get(messageHash);
+        return message ? String(message.author || message.data?.sender) : undefined;
+      }),
+      replyIndex: buildReplyIndex(messages),
+      attachmentsByMessage,
+      messagesByHash,
+      readReceipts,
+      deliveryReceipts: await this.loadDeliveryPositions(conversationId, recipients),
+      recipients,
+      showThinking: aiSettings.showThinking
+    };
+  }
+
+  /**
+   * Map ObjectData<ChatMessage> to UI format - extract the actual message data and look up sender names
+   */
+  private async formatMessage(msg: any, context: MessageFormatContext): Promise<any> {
+    // Get sender from either author or data.sender
+    const sender = msg.author || msg.data?.sender;
+
+    // Sender name and AI flag from the person directory (same name on every screen)
+    let senderName = 'Unknown';
+    let isAI = false;
+    const directory = this.getDirectory();
+    if (sender && directory) {
+      try {
+        const entry = await directory.get(String(sender));
+        senderName = entry.displayName;
+        isAI = entry.isAI;
+      } catch (e) {
+        console.error('[ChatPlan] Failed to get sender name:', e);
+      }
+    }
+
+    // Latest text of edited messages; deleted messages become tombstones
+    const state = resolveMessageState(msg, findMessageChanges(context.changesByMessage, msg));
+
+    // Thinking traces can be hidden per conversation (AI settings)
+    const thinking = state.deleted || !context.showThinking ? undefined : msg.data?.thinking || msg.thinking;
+    if (thinking) {
+      console.log(`[ChatPlan] 🧠 Message ${msg.id?.substring(0, 8)} has thinking (${thinking.length} chars)`);
+    }
+
+    // Attachments are stored as references to ChatAttachment objects which contain metadata
+    // (loaded with the context)
+    const loaded = state.deleted
+      ? { files: [] }
+      : context.attachmentsByMessage.get(String(msg.dataHash)) || { files: [] };
+    const attachments = loaded.files.map(({ ref, attachment: chatAttachment }) => {
+      if (!chatAttachment) {
+        // Fallback: return just the hash if fetch fails
+        return { hash: ref };
+      }
+      return {
+        hash: chatAttachment.hash as string,  // The actual BLOB/object hash
+        type: chatAttachment.type,
+        name: chatAttachment.metadata?.name,
+        size: chatAttachment.metadata?.size,
+        mimeType: chatAttachment.metadata?.mimeType,
+        width: chatAttachment.metadata?.width,
+        height: chatAttachment.metadata?.height,
+        preview: chatAttachment.metadata?.preview,
+        thumbnailHash: chatAttachment.metadata?.thumbnailHash,
+        thumbnailMimeType: chatAttachment.metadata?.thumbnailMimeType,
+        // Voice messages: text, language and timed segments (if the model provides them)
+        transcript: context.transcriptsByMessage.get(String(msg.dataHash))?.get(String(chatAttachment.hash))
+      };
+    });
+
+    return {
+      id: msg.id,
+      hash: msg.dataHash ? String(msg.dataHash) : undefined,  // ChatMessage hash (target for reactions and replies)
+      content: state.text,  // Latest edit, else data.text or text (matches Electron)
+      sender,
+      senderName,
+      timestamp: msg.creationTime ? new Date(msg.creationTime).getTime() : Date.now(),
+      attachments,
+      creationTime: msg.creationTime,
+      thinking,  // Include thinking/reasoning trace (for DeepSeek R1, etc.)
+      isAI,  // Flag to identify AI messages
+      isOwn: sender?.toString() === this.nodeOneCore.ownerId?.toString(),  // Ownership flag for UI alignment
+      reactions: await this.formatReactions(msg.id ? context.reactionsByMessage.get(String(msg.id)) : undefined),
+      poll: state.deleted ? undefined : await this.formatPoll(context.pollsByMessage.get(String(msg.dataHash))),
+      editedAt: state.editedAt,
+      editCount: state.editCount,
+      isDeleted: state.deleted,
+      deletedAt: state.deletedAt,
+      replyTo: await this.formatQuote(context.replyIndex.get(String(msg.dataHash)), context),
+      seenBy: await this.formatSeenBy(msg, sender, context),
+      delivery: sender?.toString() === this.nodeOneCore.ownerId?.toString()
+        ? this.getMessageDelivery(msg, context)
+        : undefined
+    };
+  }
+
+  /**
+   * Participants of a topic other than the owner (delivery recipients)
+   */
+  private async getRecipients(conversationId: string): Promise<Array<{ id: string; isAI: boolean }>> {
+    const topic = await this.nodeOneCore.topicModel?.topics.queryById(conversationId);
+    if (!topic) {
+      return [];
+    }
+
+    const directory = this.getDirectory();
+    const recipients: Array<{ id: string; isAI: boolean }> = [];
+    for (const participantId of await this.getTopicParticipantIds(topic)) {
+      if (participantId === String(this.nodeOneCore.ownerId)) {
+        continue;
+      }
+      const isAI = directory ? (await directory.get(participantId)).isAI : false;
+      recipients.push({ id: participantId, isAI });
+    }
+    return recipients;
+  }
+
+  /**
+   * Per-recipient delivery state of an own message
+   */
+  private getMessageDelivery(
+    msg: any,
+    context: Pick<MessageFormatContext, 'readReceipts' | 'deliveryReceipts' | 'recipients'>
+  ): MessageDelivery {
+    const time = getEntryPosition(msg).time;
+    return summarizeDelivery(context.recipients.map(recipient => getRecipientDelivery(
+      recipient.id,
+      time,
+      // AI participants run on this instance - the message is there once it is stored
+      recipient.isAI ? new Map([[recipient.id, time]]) : context.deliveryReceipts,
+      context.readReceipts
+    )));
+  }
+
+  /**
+   * Acknowledged delivery positions of the human recipients of a topic
+   */
+  private async loadDeliveryPositions(
+    topicId: string,
+    recipients: Array<{ id: string; isAI: boolean }>
+  ): Promise<Map<string, number>> {
+    return await getDeliveryPositions(topicId, recipients.filter(recipient => !recipient.isAI).map(recipient => recipient.id));
+  }
+
+  /**
+   * Acknowledge to every other participant the CHUM sync of its messages in a
+   * topic (ephemeral 'delivered' signal)
+   */
+  private async acknowledgeDelivery(topicId: string): Promise<void> {
+    if (!this.nodeOneCore.ownerId || !this.nodeOneCore.channelManager) {
+      return;
+    }
+    try {
+      // AI participants run on this instance - only humans are told
+      const humans = (await this.getRecipients(topicId)).filter(recipient => !recipient.isAI).map(recipient => recipient.id);
+      const received = await getReceivedUpTo(this.nodeOneCore.channelManager, topicId, humans);
+      let acks = this.deliveryAcks.get(topicId);
+      if (!acks) {
+        acks = new Map();
+        this.deliveryAcks.set(topicId, acks);
+      }
+
+      const presence = getPresenceService(this.nodeOneCore);
+      for (const [personId, receivedUpTo] of received) {
+        if ((acks.get(personId) || 0) >= receivedUpTo) {
+          continue;
+        }
+        await presence.sendDelivered(topicId, [personId], receivedUpTo);
+        acks.set(personId, receivedUpTo);
+      }
+    } catch (error) {
+      console.warn('[ChatPlan] Failed to acknowledge delivery:', error);
+    }
+  }
+
+  /**
+   * Send the own acknowledgements again to a participant that came online
+   * (signals are not stored - they were lost while it was offline)
+   */
+  private async resendDeliveryAcks(personId: string): Promise<void> {
+    const presence = getPresenceService(this.nodeOneCore);
+    for (const [topicId, acks] of this.deliveryAcks) {
+      const receivedUpTo = acks.get(personId);
+      if (receivedUpTo !== undefined) {
+        await presence.sendDelivered(topicId, [personId], receivedUpTo);
+      }
+    }
+  }
+
+  /**
+   * Store the sync acknowledgement of a participant (the sender of the signal)
+   */
+  private async recordDelivery(topicId: string, personId: string, receivedUpTo: number): Promise<void> {
+    // Acknowledgements name any conversation - only its participants count
+    if (!(await this.getRecipients(topicId)).some(recipient => recipient.id === personId)) {
+      return;
+    }
+    // Nothing newer than now can have arrived
+    await recordDeliveryPosition(topicId, personId, Math.min(receivedUpTo, Date.now()));
+  }
+
+  /**
+   * Format a ChatSystemEvent entry as a system line of the message list
+   */
+  private async formatSystemEvent(entry: any): Promise<any> {
+    const event = entry.data;
+    const names = new Map<string, string>();
+    for (const personId of [event.actor, ...(event.subjects || [])]) {
+      names.set(String(personId), await this.resolvePersonName(String(personId)));
+    }
+
+    return {
+      id: entry.id,
+      hash: entry.dataHash ? String(entry.dataHash) : undefined,
+      content: describeSystemEvent(event, names),
+      sender: event.actor,
+      senderName: names.get(String(event.actor)),
+      timestamp: entry.creationTime ? new Date(entry.creationTime).getTime() : event.timestamp,
+      creationTime: entry.creationTime,
+      attachments: [],
+      isSystem: true,
+      systemEvent: {
+        type: event.event,
+        actor: String(event.actor),
+        subjects: (event.subjects || []).map((id: any) => String(id))
+      },
+      isAI: false,
+      isOwn: String(event.actor) === String(this.nodeOneCore.ownerId),
+      reactions: [],
+      seenBy: []
+    };
+  }
+
+  /**
+   * Participants (other than the sender) whose shared read receipt covers the message
+   */
+  private async formatSeenBy(msg: any, sender: any, context: MessageFormatContext): Promise<any[]> {
+    if (!msg.creationTime || context.readReceipts.size === 0) {
+      return [];
+    }
+
+    const time = new Date(msg.creationTime).getTime();
+    const readers = Array.from(context.readReceipts.entries())
+      .filter(([reader, readUpTo]) => readUpTo >= time && reader !== String(sender));
+
+    return await Promise.all(readers.map(async ([reader, readUpTo]) => ({
+      id: reader,
+      name: await this.resolvePersonName(reader),
+      readUpTo
+    })));
+  }
+
+  /**
+   * Build the quoted parent of a reply (undefined if the message is not a reply)
+   */
+  private async formatQuote(parentHash: string | undefined, context: MessageFormatContext): Promise<any> {
+    if (!parentHash) {
+      return undefined;
+    }
+
+    // Parent is usually outside the current page - load the ChatMessage object itself
+    let parent = context.messagesByHash.get(parentHash);
+    if (!parent) {
+      try {
+        parent = { data: await getObject(parentHash as SHA256Hash<any>) };
+      } catch (e) {
+        // Parent is not available (deleted or not synced)
+        return { hash: parentHash, deleted: true };
+      }
+    }
+
+    const senderId = parent.author || parent.data?.sender;
+    const senderName = senderId ? await this.resolvePersonName(senderId) : 'Unknown';
+    const state = resolveMessageState(parent, findMessageChanges(context.changesByMessage, { id: parent.id, dataHash: parentHash }));
+
+    return {
+      messageId: parent.id,
+      hash: parentHash,
+      snippet: createQuoteSnippet(state.text),
+      senderId,
+      senderName,
+      deleted: state.deleted
+    };
+  }
+
+  /**
+   * Convert aggregated reactions to UI format (reactor IDs enriched with names)
+   */
+  private async formatReactions(summaries: MessageReactionSummary[] | undefined): Promise<any[]> {
+    if (!summaries || summaries.length === 0) {
+      return [];
+    }
+    return await Promise.all(summaries.map(async summary => ({
+      emoji: summary.emoji,
+      count: summary.count,
+      reactedByMe: summary.reactedByMe,
+      reactors: await Promise.all(summary.reactors.map(async (personId: string) => ({
+        id: personId,
+        name: await this.resolvePersonName(personId)
+      })))
+    })));
+  }
+
+  /**
+   * Initialize default chats
+   */
+  async initializeDefaultChats(_request: InitializeDefaultChatsRequest): Promise<InitializeDefaultChatsResponse> {
+    try {
+      if (!this.nodeOneCore.initialized || !this.nodeOneCore.topicModel) {
+        return { success: false, error: 'Node not ready' };
+      }
+
+      // Don't create any chats here - they should only be created when we have an AI model
+      return { success: true };
+    } catch (error) {
+      console.error('[ChatPlan] Error initializing default chats:', error);
+      return { success: false, error: (error as Error).message };
+    }
+  }
+
+  /**
+   * UI ready signal
+   */
+  async uiReady(_request: UIReadyRequest): Promise<UIReadyResponse> {
+    try {
+      // Notify the PeerMessageListener that UI is ready (platform-specific)
+      if (this.nodeOneCore.peerMessageListener) {
+        // This will be handled by the platform-specific adapter
+      }
+
+      // Delivery receipts are sent as messages of others arrive
+      this.startLiveUpdates();
+
+      // Resume delivery of messages queued before the last shutdown
+      if (this.nodeOneCore.ownerId) {
+        this.getOutbox().load().catch((error: Error) => {
+          console.error('[ChatPlan] Failed to load message outbox:', error);
+        });
+      }
+      return { success: true };
+    } catch (error) {
+      console.error('[ChatPlan] Error in uiReady:', error);
+      return { success: false, error: (error as Error).message };
+    }
+  }
+
+  /**
+   * Send a message to a conversation
+   *
+   * The message is queued in the outbox and delivered right away. If delivery
+   * fails it is retried in the background; the response then carries the
+   * local clientId with status 'queued', and the outboxStatus event reports
+   * the real message hash once it is stored (or 'failed' after the last retry).
+   */
+  async sendMessage(request: SendMessageRequest): Promise<SendMessageResponse> {
+    // Disabled: Pollutes JSON-RPC stdout in MCP server
+    // console.error('[ChatPlan] Send message:', { conversationId: request.conversationId, content: request.content, senderId: request.senderId });
+
+    // Use provided senderId or default to owner
+    const userId = request.senderId || this.nodeOneCore.ownerId || this.stateManager?.getState('user.id');
+
+    // StoryFactory disabled - Story requires product (Assembly) reference which isn't implemented yet
+    // TODO: Re-enable when Assembly/Story integration is complete
+    return await this.sendMessageInternal(request, userId);
+  }
+
+  /**
+   * Internal implementation of sendMessage (wrapped by Story recording)
+   */
+  private async sendMessageInternal(
+    request: SendMessageRequest,
+    userId: string | null,
+    poll?: PollSpec
+  ): Promise<SendMessageResponse> {
+    try {
+      if (!this.nodeOneCore.initialized || !this.nodeOneCore.topicModel) {
+        throw new Error('TopicModel not initialized');
+      }
+
+      if (!userId) {
+        throw new Error('User not authenticated');
+      }
+
+      // Validate conversationId
+      if (!request.conversationId || typeof request.conversationId !== 'string') {
+        throw new Error(`Invalid conversationId: ${request.conversationId}`);
+      }
+
+      // Allow empty content if attachments are present
+      const hasContent = request.content && request.content.trim().length > 0;
+      const hasAttachments = request.attachments && request.attachments.length > 0;
+
+      if (!hasContent && !hasAttachments) {
+        throw new Error('Message content cannot be empty');
+      }
+
+      console.log('[ChatPlan.sendMessage] 📤 Sending to:', request.conversationId?.substring(0, 20) + '...');
+
+      // Resolve reply target before queueing - replying to an unknown message is an error.
+      // The topic itself is not needed yet: delivery retries until it exists.
+      let replyToHash: string | undefined;
+      if (request.replyTo) {
+        const replyToMessage = await findLatestTopicObject(
+          this.nodeOneCore.channelManager,
+          request.conversationId,
+          'ChatMessage',
+          (msg: any) => msg.id === request.replyTo || String(msg.dataHash) === request.replyTo,
+          Number.POSITIVE_INFINITY
+        ).catch(() => undefined);
+        if (!replyToMessage?.dataHash) {
+          throw new Error(`Reply target not found: ${request.replyTo}`);
+        }
+        replyToHash = String(replyToMessage.dataHash);
+      }
+
+      // Read-only participants and members in announcement mode cannot post
+      await this.assertAllowed(request.conversationId, 'post', String(userId));
+
+      // Client descriptors only name the files - type, size and previews are checked here
+      const attachments = await this.resolveAttachments(request.attachments || []);
+
+      // Sending ends typing
+      if (getPresenceService(this.nodeOneCore).isOwnTyping(request.conversationId)) {
+        this.setTyping(request.conversationId, false).catch(() => undefined);
+      }
+
+      // Queue first, then wait for the first delivery attempt
+      const outbox = this.getOutbox();
+      const queued = await outbox.enqueue({
+        conversationId: request.conversationId,
+        content: request.content || '',
+        attachments,
+        senderId: String(userId),
+        replyTo: replyToHash,
+        poll
+      });
+      await outbox.flush();
+      const entry = (await outbox.get(queued.clientId)) || queued;
+
+      // AI response is handled by AIMessageListener (not here)
+      // AIMessageListener detects the channel update and triggers processMessage
+
+      return {
+        success: true,
+        data: {
+          id: entry.messageId || entry.messageHash || entry.clientId,
+          clientId: entry.clientId,
+          hash: entry.messageHash,
+          status: entry.status,
+          conversationId: request.conversationId,
+          content: request.content,
+          sender: this.nodeOneCore.ownerId,
+          senderName: 'You',
+          timestamp: entry.createdAt,
+          attachments,
+          replyTo: request.replyTo
+        }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the attachment descriptors of a send request by checked ones
+   *
+   * @throws If an attachment is not stored or breaks the attachment limits
+   */
+  private async resolveAttachments(attachments: any[]): Promise<PreparedAttachment[]> {
+    const service = this.getAttachmentService();
+    const resolved: PreparedAttachment[] = [];
+    for (const att of attachments) {
+      // Legacy: a string is a BLOB hash
+      const hash = typeof att === 'string' ? att : att?.hash || att?.id;
+      if (!hash) {
+        throw new Error('Attachment without hash');
+      }
+      // Finished uploads are described by their upload record - too large to read again
+      resolved.push(typeof att === 'object' && typeof att.uploadId === 'string'
+        ? await this.getUploads().getAttachment(att.uploadId, String(hash))
+        : await service.resolve(String(hash), typeof att === 'object' ? att.name ?? att.metadata?.name : undefined));
+    }
+    return resolved;
+  }
+
+  /**
+   * Store a queued message in its topic channel (delivery function of the outbox)
+   *
+   * @returns Hash and channel entry id of the stored ChatMessage
+   */
+  private async deliverMessage(
+    entry: OutboxEntry,
+    progress: (update: OutboxProgress) => Promise<void>
+  ): Promise<{ hash: string; id?: string }> {
+    if (!this.nodeOneCore.initialized || !this.nodeOneCore.topicModel) {
+      throw new Error('TopicModel not initialized');
+    }
+
+    // A missing topic (not created or not synced yet) fails this attempt - the outbox retries
+    let topicRoom: any;
+    try {
+      topicRoom = await this.nodeOneCore.topicModel.enterTopicRoom(entry.conversationId);
+    } catch (error) {
+      throw new Error(`Topic ${entry.conversationId} not found: ${(error as Error).message}`);
+    }
+
+    // Debug: log topic and channel info
+    const topicChannel = topicRoom.topic?.channel;
+    console.log('[ChatPlan.sendMessage] 📋 Topic found:', {
+      id: topicRoom.topic?.id?.substring(0, 20),
+      channel: topicChannel?.substring(0, 16)
+    });
+
+    // A retry after a partial delivery continues with the linked objects
+    let sentMessage: any;
+    if (entry.messageHash) {
+      sentMessage = { dataHash: entry.messageHash, id: entry.messageId, data: { text: entry.content } };
+    } else {
+      const attachments: ChatMessageAttachment[] = entry.attachments.map(att => {
+        // Checked by resolveAttachments before queueing
+        if (typeof att === 'object' && att.hash && att.type) {
+          const metadata = att.metadata || (att.mimeType || att.name || att.size ? {
+            name: att.name,
+            mimeType: att.mimeType,
+            size: att.size
+          } : undefined);
+          return {
+            hash: String(att.hash),
+            type: att.type,
+            // Thumbnail, preview and dimensions of the attachment service
+            ...(metadata && { metadata: JSON.parse(JSON.stringify(metadata)) })
+          };
+        }
+        // Legacy: If it's a string, assume it's a BLOB hash
+        if (typeof att === 'string') {
+          return { hash: att, type: 'BLOB' };
+        }
+        // Fallback: Extract hash and assume BLOB
+        return { hash: att.hash || att.id, type: 'BLOB' };
+      }).filter(att => att.hash); // Filter out any attachments without hashes
+
+      // The parent of a reply is part of the message - stored and synced with it
+      const stored = await postChatMessage(this.nodeOneCore.channelManager, entry.conversationId, {
+        text: entry.content,
+        sender: entry.senderId,
+        attachments,
+        ...(entry.replyTo && { replyTo: entry.replyTo })
+      });
+      // The message is stored now - failures below must not trigger a second send
+      await progress({ messageHash: stored.hash, ...(stored.id && { messageId: stored.id }) });
+      sentMessage = { dataHash: stored.hash, id: stored.id, data: { text: entry.content } };
+    }
+
+    // Turn the question into a poll (ChatPoll in the same channel) - a failure fails
+    // this attempt, the retry posts only the poll
+    if (entry.poll && !entry.pollHash) {
+      const poll = createPoll(sentMessage.dataHash, entry.poll, entry.senderId as any);
+      await postToTopicChannel(this.nodeOneCore.channelManager, entry.conversationId, poll);
+      await progress({ pollHash: String(await calculateHashOfObj(poll)) });
+    }
+
+    // Voice messages are transcribed in the background (persistent queue) - sending does not wait
+    if (this.transcription) {
+      const audio: AudioAttachment[] = entry.attachments
+        .filter(att => typeof att === 'object' && att.hash && isAudioMimeType(att.metadata?.mimeType || att.mimeType))
+        .map(att => ({ hash: String(att.hash), mimeType: att.metadata?.mimeType || att.mimeType }));
+      if (audio.length > 0) {
+        this.getTranscriptionQueue().add(entry.conversationId, String(sentMessage.dataHash), entry.senderId, audio).catch((error: Error) => {
+          console.warn('[ChatPlan] Failed to queue transcription:', error);
+        });
+      }
+    }
+
+    // AIs answer by addressing mode and conversation settings - sending does not wait
+    void this.routeToAIs(entry.conversationId, sentMessage.dataHash, sentMessage.id, entry.content, entry.senderId);
+
+    return { hash: String(sentMessage.dataHash), id: sentMessage.id };
+  }
+
+  /**
+   * Ask the AI participants selected by the addressing mode to answer a message
+   *
+   * Only conversations with several AIs or own AI settings are routed here
+   * (see syncAIRegistration). Messages of a conversation are routed one after
+   * another, so round-robin sees the previous answer.
+   */
+  private routeToAIs(
+    conversationId: string,
+    messageHash: string,
+    messageId: string | undefined,
+    text: string,
+    senderId: string
+  ): Promise<void> {
+    const run = (this.aiRouting.get(conversationId) || Promise.resolve())
+      .then(() => this.routeMessageToAIs(conversationId, messageHash, messageId, text, senderId));
+    const queued = run.catch(() => undefined);
+    this.aiRouting.set(conversationId, queued);
+    queued.then(() => {
+      if (this.aiRouting.get(conversationId) === queued) {
+        this.aiRouting.delete(conversationId);
+      }
+    });
+    return queued;
+  }
+
+  private async routeMessageToAIs(
+    conversationId: string,
+    messageHash: string,
+    messageId: string | undefined,
+    text: string,
+    senderId: string
+  ): Promise<void> {
+    try {
+      const aiIds = (await this.getRecipients(conversationId)).filter(r => r.isAI).map(r => r.id);
+      if (aiIds.length === 0 || aiIds.includes(String(senderId))) {
+        return;
+      }
+      const settings = await getConversationAISettings(this.nodeOneCore.channelManager, conversationId);
+      if (!this.isRoutedAITopic(aiIds.length, settings)) {
+        return;  // Answered by the AI assistant on its own
+      }
+      // Without a platform responder the assistant answers - as the AIs of this instance
+      const ai = this.nodeOneCore.aiAssistantModel;
+      if (!ai && !this.aiResponder) {
+        return;  // AIs of other instances answer there
+      }
+      if (!this.aiResponder && typeof ai.generateReply !== 'function') {
+        // processMessage takes no generation options - answering through it would ignore the conversation's settings
+        console.error(`[ChatPlan] Cannot answer in ${conversationId}: the AI assistant has no generateReply - set an AI responder`);
+        return;
+      }
+      const respond: AIResponder = this.aiResponder ?? (request => this.answerWithAssistant(request, text, senderId));
+
+      const roster: AIParticipant[] = (await Promise.all(aiIds.map(id => this.formatParticipant(id))))
+        .map(p => ({ id: p.id, name: p.name, ...(p.modelId && { modelId: p.modelId }) }));
+
+      const mode = await getAIAddressing(this.nodeOneCore.channelManager, conversationId);
+      const lastResponse = mode === 'round-robin'
+        ? await findLatestTopicObject(
+          this.nodeOneCore.channelManager,
+          conversationId,
+          'ChatMessage',
+          (msg: any) => aiIds.includes(String(msg.author || msg.data?.sender))
+        )
+        : undefined;
+      const lastResponderId = lastResponse ? String(lastResponse.author || lastResponse.data?.sender) : undefined;
+
+      // The only AI answers every message; the model override applies to one-AI conversations only
+      const responders = (roster.length === 1 ? roster : selectResponders(mode, roster, text, lastResponderId))
+        .filter(responder => this.aiResponder || (ai.isAIPerson(responder.id) && ai.getModelIdForPersonId(responder.id)));
+      console.log(`[ChatPlan] Routing message to ${responders.length}/${roster.length} AIs (${mode})`);
+      const answerSettings: AISettingsFields = roster.length === 1 ? settings : { ...settings, modelId: undefined };
+      for (const responder of responders) {
+        try {
+          const llm = responder.modelId
+            ? await this.nodeOneCore.llmManager?.getModel(responder.modelId).catch(() => undefined)
+            : undefined;
+          await respond({
+            conversationId,
+            aiPersonId: responder.id,
+            ...(responder.modelId && { modelId: responder.modelId }),
+            messageHash: String(messageHash),
+            ...(messageId && { messageId }),
+            settings: answerSettings,
+            options: resolveGenerationOptions(answerSettings, llm ?? { modelId: responder.modelId })
+          });
+        } catch (error) {
+          console.warn(`[ChatPlan] AI ${responder.id.substring(0, 8)} failed to answer:`, error);
+        }
+      }
+    } catch (error) {
+      console.warn('[ChatPlan] Failed to route message to AI participants:', error);
+    }
+  }
+
+  /**
+   * Let the AI assistant answer a message as one AI participant
+   *
+   * Routed topics stay unregistered at the assistant (see syncAIRegistration),
+   * so nothing but this call answers the message.
+   */
+  private async answerWithAssistant(request: AIResponseRequest, text: string, senderId: string): Promise<void> {
+    const ai: AssistantReplyGenerator = this.nodeOneCore.aiAssistantModel;
+    // Model, system prompt, sampling and context window of the conversation
+    await ai.generateReply({
+      topicId: request.conversationId,
+      aiPersonId: request.aiPersonId,
+      text,
+      senderId,
+      options: request.options
+    });
+  }
+
+  /**
+   * Transcribe the audio attachments of a sent message and post the transcripts
+   * (job of the transcription queue)
+   *
+   * @throws If transcribing or posting fails - the queue retries the remaining attachments
+   */
+  private async transcribeMessage(job: TranscriptionJob, done: (attachmentHash: string) => Promise<void>): Promise<void> {
+    if (!this.transcription) {
+      throw new Error('Speech-to-text is not enabled');
+    }
+
+    // Transcripts are created as the message's sender - they only count from the sender
+    for (const attachment of job.audio) {
+      const [transcript] = await this.transcription.transcribe(job.messageHash as any, [attachment], job.sender as any);
+      if (transcript) {
+        await postToTopicChannel(this.nodeOneCore.channelManager, job.conversationId, transcript);
+        const summary = aggregateTranscripts([{ data: transcript }], () => job.sender)
+          .get(job.messageHash)?.get(transcript.attachment);
+        if (summary) {
+          this.events.emit('transcript', {
+            conversationId: job.conversationId,
+            messageHash: job.messageHash,
+            attachmentHash: transcript.attachment,
+            transcript: summary
+          });
+        }
+      }
+      await done(attachment.hash);
+    }
+  }
+
+  /**
+   * Queue a failed message again
+   */
+  async retryMessage(request: RetryMessageRequest): Promise<SendMessageResponse> {
+    try {
+      if (!request.clientId) {
+        throw new Error('clientId is required');
+      }
+
+      const entry = await this.getOutbox().retry(request.clientId);
+      return {
+        success: true,
+        data: {
+          id: entry.messageId || entry.messageHash || entry.clientId,
+          clientId: entry.clientId,
+          hash: entry.messageHash,
+          status: entry.status,
+          conversationId: entry.conversationId,
+          content: entry.content,
+          sender: this.nodeOneCore.ownerId,
+          senderName: 'You',
+          timestamp: entry.createdAt,
+          attachments: entry.attachments
+        }
+      };
+    } catch (error) {
+      console.error('[ChatPlan] Error retrying message:', error);
+      return {
+        success: false,
+        error: (error as Error).message
+      };
+    }
+  }
+
+  /**
+   * Get delivery state of messages in the outbox (queued, stored, failed)
+   *
+   * Stored messages stay in the outbox for an hour after delivery.
+   */
+  async getOutboxStatus(request: GetOutboxStatusRequest = {}): Promise<GetOutboxStatusResponse> {
+    try {
+      if (!this.nodeOneCore.ownerId) {
+        throw new Error('User not authenticated');
+      }
+
+      const outbox = this.getOutbox();
+      if (request.clientId) {
+        const entry = await outbox.get(request.clientId);
+        return { success: true, entries: entry ? [entry] : [] };
+      }
+      return { success: true, entries: await outbox.getAll(request.conversationId) };
+    } catch (error) {
+      console.error('[ChatPlan] Error getting outbox status:', error);
+      return {
+        success: false,
+        error: (error as Error).message
+      };
+    }
+  }
+
+  /**
+   * Get per-recipient delivery state of an own message (stored, synced, seen)
+   *
+   * Recipients are the participants of the topic's ChannelInfo HashGroup.
+   * Messages not stored yet report their outbox state (queued, failed).
+   */
+  async getDeliveryStatus(request: GetDeliveryStatusRequest): Promise<GetDeliveryStatusResponse> {
+    try {
+      if (!this.nodeOneCore.initialized || !this.nodeOneCore.topicModel) {
+        throw new Error('TopicModel not initialized');
+      }
+      if (!request.conversationId || !request.messageId) {
+        throw new Error('conversationId and messageId are required');
+      }
+
+      const outboxEntry = await this.getOutbox().get(request.messageId);
+      if (outboxEntry && outboxEntry.status !== 'stored') {
+        return {
+          success: true,
+          data: { messageId: request.messageId, status: outboxEntry.status, recipients: [] }
+        };
+      }
+
+      const messageId = outboxEntry?.messageHash || request.messageId;
+      const message = await findLatestTopicObject(
+        this.nodeOneCore.channelManager,
+        request.conversationId,
+        'ChatMessage',
+        (msg: any) => msg.id === messageId || String(msg.dataHash) === messageId,
+        Number.POSITIVE_INFINITY
+      );
+      if (!message) {
+        throw new Error(`Message not found: ${request.messageId}`);
+      }
+      if (String(message.author || message.data?.sender) !== String(this.nodeOneCore.ownerId)) {
+        throw new Error('Delivery status is only tracked for own messages');
+      }
+
+      const [readReceipts, recipients] = await Promise.all([
+        getReadReceipts(this.nodeOneCore.channelManager, request.conversationId),
+        this.getRecipients(request.conversationId)
+      ]);
+      const deliveryReceipts = await this.loadDeliveryPositions(request.conversationId, recipients);
+      const delivery = this.getMessageDelivery(message, { readReceipts, deliveryReceipts, recipients });
+
+      return {
+        success: true,
+        data: {
+          messageId: request.messageId,
+          status: delivery.status,
+          recipients: await Promise.all(delivery.recipients.map(async recipient => ({
+            id: recipient.personId,
+            name: await this.resolvePersonName(recipient.personId),
+            status: recipient.status,
+            upTo: recipient.upTo
+          })))
+        }
+      };
+    } catch (error) {
+      console.error('[ChatPlan] Error getting delivery status:', error);
+      return {
+        success: false,
+        error: (error as Error).message
+      };
+    }
+  }
+
+  /**
+   * Get messages for a conversation
+   */
+  async getMessages(request: GetMessagesRequest): Promise<GetMessagesResponse> {
+    try{
+      if (!this.nodeOneCore.initialized || !this.nodeOneCore.topicModel) {
+        throw new Error('TopicModel not initialized');
+      }
+
+      const limit = request.limit || 50;
+      const offset = request.offset || 0;
+
+      console.log('[ChatPlan.getMessages] 📥 Request:', request.conversationId?.substring(0, 20) + '...');
+
+      // Get topic room - may not exist yet if topic is being created
+      let topicRoom;
+      try {
+        topicRoom = await this.nodeOneCore.topicModel.enterTopicRoom(request.conversationId);
+      } catch (error: any) {
+        // Topic doesn't exist yet - return empty messages (valid during topic creation)
+        if (error.message?.includes('does not exist')) {
+          console.log('[ChatPlan.getMessages] ⚠️ Topic does not exist:', request.conversationId?.substring(0, 20));
+          return {
+            success: true,
+            messages: [],
+            hasMore: false,
+            total: 0
+          };
+        }
+        throw error; // Re-throw other errors
+      }
+
+      if (!topicRoom) {
+        throw new Error(`Topic not found: ${request.conversationId}`);
+      }
+
+      // Debug: log topic and channel info
+      const topicChannel = topicRoom.topic?.channel;
+      console.log('[ChatPlan.getMessages] 📋 Topic found:', {
+        id: topicRoom.topic?.id?.substring(0, 20),
+        name: topicRoom.topic?.name?.substring(0, 20),
+        channel: topicChannel?.substring(0, 16)
+      });
+
+      // Resolve page window - cursors, message ids and timestamps are all accepted
+      const before = request.before !== undefined
+        ? await this.resolvePagePosition(request.conversationId, request.before)
+        : undefined;
+      const after = request.after !== undefined
+        ? await this.resolvePagePosition(request.conversationId, request.after)
+        : undefined;
+
+      // Read only the requested page (newest-first channel iteration).
+      // Everything before the clear marker (own marker or clear request from a participant) is hidden.
+      const clearedAt = await this.getClearedAtForOwner(request.conversationId);
+      const accept = await this.getPostFilter(request.conversationId);
+      const page = await readTopicPage(this.nodeOneCore.channelManager, request.conversationId, 'ChatMessage', {
+        limit,
+        before,
+        after,
+        skip: before || after ? 0 : offset,
+        notBefore: clearedAt,
+        accept
+      });
+      console.log('[ChatPlan.getMessages] 📨 Retrieved page:', page.entries.length);
+
+      // Only the page is enriched (sender names, attachments, reactions, ...)
+      const context = await this.buildMessageFormatContext(request.conversationId, page.entries);
+      const formattedMessages = await Promise.all(page.entries.map((msg: any) => this.formatMessage(msg, context)));
+      if (request.includeVerification) {
+        await Promise.all(formattedMessages.map(async (message: any, index: number) => {
+          const entry = page.entries[index];
+          message.verification = entry.dataHash
+            ? await getMessageVerification(entry.dataHash, message.sender ? String(message.sender) : undefined)
+            : undefined;
+        }));
+      }
+
+      const oldest = page.entries[0];
+      const newest = page.entries[page.entries.length - 1];
+
+      // System lines ("Alice left") between the page boundaries
+      const systemEvents = await getSystemEventsBetween(
+        this.nodeOneCore.channelManager,
+        request.conversationId,
+        oldest && page.hasOlder ? getEntryPosition(oldest).time : (after?.time ?? clearedAt),
+        newest && page.hasNewer ? getEntryPosition(newest).time : (before?.time ?? Number.POSITIVE_INFINITY)
+      );
+      if (systemEvents.length > 0) {
+        formattedMessages.push(...await Promise.all(systemEvents.map(entry => this.formatSystemEvent(entry))));
+        formattedMessages.sort((a, b) => a.timestamp - b.timestamp);
+      }
+
+      return {
+        success: true,
+        messages: formattedMessages,  // Oldest first
+        total: page.exhausted && !before && !after ? offset + formattedMessages.length : undefined,
+        hasMore: page.hasOlder,
+        hasNewer: page.hasNewer,
+        olderCursor: oldest ? encodeCursor(getEntryPosition(oldest)) : undefined,
+        newerCursor: newest ? encodeCursor(getEntryPosition(newest)) : undefined
+      };
+    } catch (error) {
+      console.error('[ChatPlan] Error getting messages:', error);
+      return {
+        success: false,
+        error: (error as Error).message
+      };
+    }
+  }
+
+  /**
+   * Get a reply chain: the root message and all replies below it
+   */
+  async getThread(request: GetThreadRequest): Promise<GetThreadResponse> {
+    try {
+      if (!this.nodeOneCore.initialized || !this.nodeOneCore.topicModel) {
+        throw new Error('TopicModel not initialized');
+      }
+
+      const topicRoom = await this.nodeOneCore.topicModel.enterTopicRoom(request.conversationId);
+      if (!topicRoom) {
+        throw new Error(`Topic not found: ${request.conversationId}`);
+      }
+
+      const clearedAt = await this.getClearedAtForOwner(request.conversationId);
+      const accept = await this.getPostFilter(request.conversationId);
+      // Includes the channels the topic used before participants were removed
+      const allMessages = (await getTopicObjects(this.nodeOneCore.channelManager, request.conversationId, 'ChatMessage'))
+        .filter((msg: any) => !isCleared(msg, clearedAt) && accept(msg));
+      const root = allMessages.find((msg: any) =>
+        msg.id === request.rootMessageId || String(msg.dataHash) === request.rootMessageId
+      );
+      if (!root?.dataHash) {
+        throw new Error(`Message not found: ${request.rootMessageId}`);
+      }
+
+      const context = await this.buildMessageFormatContext(request.conversationId, allMessages);
+      const threadHashes = collectThread(String(root.dataHash), context.replyIndex);
+      const threadMessages = allMessages.filter((msg: any) => threadHashes.has(String(msg.dataHash)));
+
+      const formattedMessages = await Promise.all(threadMessages.map((msg: any) => this.formatMessage(msg, context)));
+
+      return {
+        success: true,
+        messages: formattedMessages.sort((a: any, b: any) => a.timestamp - b.timestamp)
+      };
+    } catch (error) {
+      console.error('[ChatPlan] Error getting thread:', error);
+      return {
+        success: false,
+        error: (error as Error).message
+      };
+    }
+  }
+
+  /**
+   * Search messages across conversations
+   *
+   * Uses the local search index (kept current as messages arrive). Messages
+   * hidden by the user's clear marker are not returned.
+   */
+  async searchMessages(request: SearchMessagesRequest): Promise<SearchMessagesResponse> {
+    try {
+      if (!this.nodeOneCore.initialized || !this.nodeOneCore.topicModel) {
+        throw new Error('TopicModel not initialized');
+      }
+
+      if (!request.query || !request.query.trim()) {
+        return { success: true, hits: [] };
+      }
+
+      const limit = request.limit || 50;
+      const results = await this.getSearchIndex().search({
+        query: request.query,
+        conversationIds: request.conversationIds,
+        senderId: request.senderId,
+        from: request.from,
+        to: request.to,
+        hasAttachment: request.hasAttachment,
+        includeThinking: request.includeThinking
+      });
+
+      // Drop cleared messages (clear marker per conversation), deleted messages
+      // and thinking matches of conversations that hide thinking
+      const clearedAtByTopic = new Map<string, number>();
+      const changesByTopic = new Map<string, Map<string, MessageChanges>>();
+      const showThinkingByTopic = new Map<string, boolean>();
+      const hits = [];
+      for (const result of results) {
+        if (!clearedAtByTopic.has(result.conversationId)) {
+          clearedAtByTopic.set(result.conversationId, await this.getClearedAtForOwner(result.conversationId));
+          changesByTopic.set(
+            result.conversationId,
+            await getMessageChanges(this.nodeOneCore.channelManager, result.conversationId)
+          );
+        }
+        const clearedAt = clearedAtByTopic.get(result.conversationId)!;
+        if (clearedAt && result.timestamp <= clearedAt) {
+          continue;
+        }
+        if (result.matchedIn === 'thinking') {
+          if (!showThinkingByTopic.has(result.conversationId)) {
+            const settings = await getConversationAISettings(this.nodeOneCore.channelManager, result.conversationId);
+            showThinkingByTopic.set(result.conversationId, settings.showThinking);
+          }
+          if (!showThinkingByTopic.get(result.conversationId)) {
+            continue;
+          }
+        }
+        const changes = findMessageChanges(
+          changesByTopic.get(result.conversationId)!,
+          { id: result.messageId, dataHash: result.hash }
+        );
+        if (changes && resolveMessageState({ author: result.senderId }, changes).deleted) {
+          continue;
+        }
+
+        hits.push({
+          ...result,
+          senderName: result.senderId ? await this.resolvePersonName(result.senderId) : 'Unknown'
+        });
+        if (hits.length >= limit) {
+          break;
+        }
+      }
+
+      return { success: true, hits };
+    } catch (error) {
+      console.error('[ChatPlan] Error searching messages:', error);
+      return {
+        success: false,
+        error: (error as Error).message
+      };
+    }
+  }
+
+  /**
+   * Create a new conversation
+   */
+  async createConversation(request: CreateConversationRequest): Promise<CreateConversationResponse> {
+    const userId = this.nodeOneCore.ownerId || this.stateManager?.getState('user.id');
+
+    // StoryFactory disabled - Story requires product (Assembly) reference which isn't implemented yet
+    // TODO: Re-enable when Assembly/Story integration is complete
+    return await this.createConversationInternal(request, userId);
+  }
+
+  /**
+   * Internal implementation of createConversation (wrapped by Story+Assembly recording)
+   */
+  private async createConversationInternal(request: CreateConversationRequest, userId: string | null): Promise<CreateConversationResponse> {
+    try {
+      if (!this.nodeOneCore.initialized || !this.nodeOneCore.topicModel) {
+        throw new Error('Models not initialized');
+      }
+
+      if (!this.groupPlan) {
+        throw new Error('GroupPlan not initialized');
+      }
+
+      if (!userId) {
+        throw new Error('User not authenticated');
+      }
+
+      const type = request.type || 'direct';
+      const participants = request.participants || [];
+      const name = request.name || `Conversation ${Date.now()}`;
+
+      console.error(`[ChatPlan] 🔍 BEFORE createGroup - participants.length: ${participants.length}`);
+      console.error(`[ChatPlan] 🔍 BEFORE createGroup - participants:`, participants);
+
+      // Topic ID: Unique based on owner + name + timestamp
+      // Each conversation gets a unique ID even with the same name
+      const timestamp = Date.now();
+      const creatorSeed = `${name}:${timestamp}`;
+      const topicId = await createGroupTopicId(userId, creatorSeed);
+      console.log(`[ChatPlan] Unique topic ID: ${topicId} (from: ${userId.substring(0, 8)}:${name}:${timestamp})`);
+
+      // Create topic using GroupPlan (uses TopicModel internally)
+      const result = await this.groupPlan.createTopic({
+        topicId,
+        topicName: name,
+        participants,
+        creatorSeed
+      });
+
+      if (!result.success) {
+        throw new Error(result.error || 'Topic creation failed');
+      }
+
+      console.log(`[ChatPlan] Created topic via GroupPlan - topicIdHash: ${result.topicIdHash?.substring(0, 8)}`)
+
+      console.log(`[ChatPlan] Topic created with ${participants.length} participants`);
+
+      // Configure channel for group conversations (one.leute pattern)
+      // This ensures Person/Profile objects arriving via CHUM are automatically registered
+      if (this.nodeOneCore.channelManager) {
+        this.nodeOneCore.channelManager.setChannelSettingsAppendSenderProfile(topicId, true);
+        this.nodeOneCore.channelManager.setChannelSettingsRegisterSenderProfileAtLeute(topicId, true);
+      }
+
+      // Enrich participants with names (same format as getConversations)
+      const enrichedParticipants = await Promise.all(participants.map(participantId => this.formatParticipant(participantId)));
+
+      // Detect AI participants and register topic automatically
+      console.error(`[ChatPlan] createConversation checking ${participants.length} participants for AI:`, participants);
+      if (this.nodeOneCore.aiAssistantModel) {
+        try {
+          // Several models can share a conversation - see syncAIRegistration
+          const answeredByAssistant = await this.registerAIParticipants(topicId, participants);
+
+          // Default chats (hi/lama) are handled by AITopicManager callback
+          // User-created chats need welcome message triggered here
+          const isDefaultChat = topicId === 'hi' || topicId === 'lama';
+          if (answeredByAssistant && !isDefaultChat) {
+            this.nodeOneCore.aiAssistantModel.handleNewTopic(topicId).catch((error: Error) => {
+              console.error('[ChatPlan] Failed to generate welcome message:', error);
+            });
+          }
+        } catch (error) {
+          console.error('[ChatPlan] Failed to detect/register AI participants:', error);
+          // Non-fatal - conversation creation succeeded
+        }
+      }
+
+      return {
+        success: true,
+        data: {
+          id: topicId,
+          name,
+          type,
+          participants: enrichedParticipants,  // Enriched with names to match getConversations format
+          created: Date.now()
+        }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get all conversations
+   */
+  async getConversations(request: GetConversationsRequest): Promise<GetConversationsResponse> {
+    try {
+      if (!this.nodeOneCore.initialized || !this.nodeOneCore.topicModel) {
+        throw new Error('TopicModel not initialized');
+      }
+
+      const limit = request.limit || 20;
+      const offset = request.offset || 0;
+
+      const conversations = await this.getConversationIndex().getConversations();
+
+      // Sort by last activity
+      const sortedConversations = conversations.sort((a, b) => b.lastActivity - a.lastActivity);
+      console.log(`[ChatPlan] After conversion: ${conversations.length} conversations:`,
+        conversations.map(c => ({ id: c.id, name: c.name, participants: c.participants.length, isAITopic: c.isAITopic })));
+
+      // Apply pagination
+      const paginatedConversations = sortedConversations.slice(offset, offset + limit);
+      console.log(`[ChatPlan] Returning ${paginatedConversations.length} conversations (offset: ${offset}, limit: ${limit})`);
+
+      return {
+        success: true,
+        data: paginatedConversations
+      };
+    } catch (error) {
+      console.error('[ChatPlan] Error getting conversations:', error);
+      return {
+        success: false,
+        error: (error as Error).message
+      };
+    }
+  }
+
+  /**
+   * Build the conversation list entry of a topic
+   * (participants, display name, AI info, last message, unread state)
+   */
+  private async buildConversation(topic: any): Promise<ConversationSummaryData> {
+    const topicId = topic.id;
+    // Edited name, description and avatar come from the channel
+    const metadata = await getConversationMetadata(this.nodeOneCore.channelManager, topic);
+    const name = metadata.name;
+    console.log(`[ChatPlan] Processing topic: ${topicId} (${name})`);
+
+    // Get topic idHash for version history lookup
+    let topicIdHash: string | undefined;
+    try {
+      const idHash = await this.nodeOneCore.topicModel.topics.queryIdHashById(topicId);
+      topicIdHash = idHash ? String(idHash) : undefined;
+      console.log(`[ChatPlan] Topic ${topicId} idHash: ${topicIdHash?.substring(0, 16) || 'undefined'}`);
+    } catch (e) {
+      console.warn(`[ChatPlan] Failed to get idHash for ${topicId}:`, e);
+    }
+
+    // Get participants from topic's ChannelInfo with enriched data (names)
+    // ALSO extract AI model info from participants (if any AI contact is found)
+    let participants: any[] = [];
+    let aiModelId: string | undefined;
+    try {
+      // Get participants directly from Topic → ChannelInfo → HashGroup
+      let participantIds = await this.getTopicParticipantIds(topic);
+
+      if (participantIds.length === 0) {
+        // Last resort fallback - shouldn't happen if ChannelInfo exists
+        console.warn(`[ChatPlan] Topic ${topicId} (${name}) - no participants in ChannelInfo, using owner only`);
+        const currentUserId = this.nodeOneCore.ownerId;
+        if (currentUserId) {
+          participantIds = [String(currentUserId)];
+        }
+      }
+
+      console.log(`[ChatPlan] Topic ${topicId} (${name}) - enriching ${participantIds.length} participants...`);
+
+      // Enrich each participant with name and avatar color
+      participants = await Promise.all(participantIds.map(participantId => this.formatParticipant(participantId)));
+
+      // CAPTURE the AI model ID for this conversation (first AI participant)
+      aiModelId = participants.find((p: any) => p.isAI && p.modelId)?.modelId;
+    } catch (error) {
+      console.error(`[ChatPlan] Error fetching participants for topic ${topicId}:`, error);
+
+      // Fallback on error: Add current user as participant
+      if (participants.length === 0) {
+        const currentUserId = this.nodeOneCore.ownerId;
+        if (currentUserId) {
+          participants = [{
+            id: String(currentUserId),
+            name: 'You',
+            isAI: false
+          }];
+        }
+      }
+    }
+
+    // Last message preview and unread state (newest-first, stops at read position)
+    let lastMessage = '';
+    let lastMessageTime = Date.now();
+    let unreadCount = 0;
+    let firstUnreadMessageId: string | undefined;
+    try {
+      const activity = await getTopicActivity(this.nodeOneCore.channelManager, topicId, this.nodeOneCore.ownerId);
+      lastMessage = activity.lastMessage;
+      lastMessageTime = activity.lastActivity ?? lastMessageTime;
+      unreadCount = activity.unreadCount;
+      firstUnreadMessageId = activity.firstUnreadMessageId;
+    } catch (error) {
+      // If we can't fetch messages, just continue without preview
+      console.warn(`[ChatPlan] Could not fetch last message for topic ${topicId}:`, error);
+    }
+
+    // Check if this is an AI topic using AITopicManager (authoritative source)
+    let modelName: string | undefined;
+    let isAITopic = false;
+
+    // AUTHORITATIVE CHECK: Use topicManager to determine if this is an AI topic
+    if (this.nodeOneCore.aiAssistantModel?.topicManager?.isAITopic) {
+      isAITopic = this.nodeOneCore.aiAssistantModel.topicManager.isAITopic(topicId);
+    }
+
+    // Get AI model ID if it's an AI topic
+    if (isAITopic) {
+      // Use aiModelId from participants if found, otherwise get from topicManager
+      if (!aiModelId && this.nodeOneCore.aiAssistantModel?.topicManager?.getAIPersonForTopic) {
+        const aiPersonId = this.nodeOneCore.aiAssistantModel.topicManager.getAIPersonForTopic(topicId);
+        if (aiPersonId && this.nodeOneCore.aiAssistantModel?.aiManager?.getLLMId) {
+          aiModelId = await this.nodeOneCore.aiAssistantModel.aiManager.getLLMId(aiPersonId);
+        }
+      }
+
+      // Get model name from LLM manager
+      if (aiModelId && this.nodeOneCore.llmManager) {
+        const modelInfo = await this.nodeOneCore.llmManager.getModel(aiModelId);
+        modelName = modelInfo?.name || aiModelId;
+      }
+    }
+
+    // AI roster - a conversation can have several AI participants
+    const aiParticipants: AIParticipant[] = [];
+    for (const participant of participants.filter((p: any) => p.isAI)) {
+      let participantModelName: string | undefined;
+      if (participant.modelId && this.nodeOneCore.llmManager) {
+        try {
+          participantModelName = (await this.nodeOneCore.llmManager.getModel(participant.modelId))?.name;
+        } catch (e) {
+          // Model no longer installed - keep the person name
+        }
+      }
+      aiParticipants.push({
+        id: participant.id,
+        name: participant.name,
+        ...(participant.modelId && { modelId: participant.modelId }),
+        ...(participantModelName && { modelName: participantModelName })
+      });
+    }
+    const aiAddressing = aiParticipants.length > 0
+      ? await getAIAddressing(this.nodeOneCore.channelManager, topicId)
+      : undefined;
+    // Topics routed by ChatPlan are not registered with the assistant (see syncAIRegistration)
+    if (aiParticipants.length > 0) {
+      isAITopic = true;
+      if (!modelName && aiParticipants.length === 1) {
+        modelName = aiParticipants[0].modelName || aiParticipants[0].modelId;
+      }
+    }
+
+    // Resolve display name for P2P topics (format: hash1<->hash2)
+    // P2P topics should show the OTHER participant's name, not the raw hash format
+    let displayName = name || topicId;
+    const p2pRegex = /^([0-9a-f]{64})<->([0-9a-f]{64})$/;
+    const p2pMatch = topicId.match(p2pRegex);
+    if (p2pMatch && !metadata.hash && this.nodeOneCore.leuteModel) {
+      // Extract both participant IDs and find the OTHER one
+      const [, personA, personB] = p2pMatch;
+      const myId = String(this.nodeOneCore.ownerId);
+      const otherId = (personA === myId) ? personB : personA;
+
+      // Same name the contact list shows for the other participant
+      displayName = await this.resolvePersonName(otherId);
+    }
+
+    return {
+      id: topicId,
+      topicIdHash,  // For version history lookup
+      name: displayName,
+      type: 'chat',
+      participants,
+      lastActivity: lastMessageTime,
+      lastMessage,
+      unreadCount,
+      firstUnreadMessageId,
+      isAITopic,
+      aiModelId,
+      modelName,
+      aiParticipants,
+      aiAddressing,
+      metadataVersion: (await this.getMetadataVersion(topicId)).version,
+      description: metadata.description,
+      avatarBlobHash: metadata.avatarBlobHash
+    };
+  }
+
+  /**
+   * Get a single conversation
+   */
+  async getConversation(request: GetConversationRequest): Promise<GetConversationResponse> {
+    try {
+      if (!this.nodeOneCore.initialized || !this.nodeOneCore.topicModel) {
+        throw new Error('Node not initialized');
+      }
+
+      // Try to get the topic
+      const topic: any = await this.nodeOneCore.topicModel.topics.queryById(request.conversationId);
+
+      if (!topic) {
+        throw new Error(`Conversation not found: ${request.conversationId}`);
+      }
+
+      // Convert to conversation format
+      const metadata = await getConversationMetadata(this.nodeOneCore.channelManager, topic);
+      const aiSettings = await getConversationAISettings(this.nodeOneCore.channelManager, topic.id);
+      const conversation: any = {
+        id: topic.id,
+        name: metadata.name,
+        description: metadata.description,
+        avatarBlobHash: metadata.avatarBlobHash,
+        createdAt: topic.creationTime ? new Date(topic.creationTime).toISOString() : new Date().toISOString(),
+        updatedAt: metadata.updatedAt,
+        updatedBy: metadata.updatedBy,
+        participants: topic.members || [],
+        aiSettings
+      };
+
+      return {
+        success: true,
+        data: conversation
+      };
+    } catch (error) {
+      console.error('[ChatPlan] Error getting conversation:', error);
+      return {
+        success: false,
+        error: (error as Error).message
+      };
+    }
+  }
+
+  /**
+   * Edit name, description and avatar of a conversation
+   *
+   * A rename stores a new Topic version. All fields are posted to the topic
+   * channel as a ConversationMetadata snapshot (synced to every participant)
+   * together with a system message.
+   */
+  async updateConversation(request: UpdateConversationRequest): Promise<UpdateConversationResponse> {
+    try {
+      if (!this.nodeOneCore.initialized || !this.nodeOneCore.topicModel) {
+        throw new Error('Node not initialized');
+      }
+
+      const topic: any = await this.nodeOneCore.topicModel.topics.queryById(request.conversationId);
+      if (!topic) {
+        throw new Error(`Conversation not found: ${request.conversationId}`);
+      }
+
+      await this.assertAllowed(request.conversationId, 'editConversation');
+
+      if (request.name !== undefined && request.name.trim().length === 0) {
+        throw new Error('Conversation name cannot be empty');
+      }
+      if (request.avatarBlobHash && !/^[0-9a-f]{64}$/.test(request.avatarBlobHash)) {
+        throw new Error(`Invalid avatar BLOB hash: ${request.avatarBlobHash}`);
+      }
+
+      const current = await getConversationMetadata(this.nodeOneCore.channelManager, topic);
+      const next = {
+        name: request.name !== undefined ? request.name.trim() : current.name,
+        description: request.description !== undefined ? request.description.trim() || undefined : current.description,
+        avatarBlobHash: request.avatarBlobHash !== undefined ? request.avatarBlobHash || undefined : current.avatarBlobHash
+      };
+
+      const changes: Array<'name' | 'description' | 'avatar'> = [];
+      if (next.name !== current.name) {
+        changes.push('name');
+      }
+      if (next.description !== current.description) {
+        changes.push('description');
+      }
+      if (next.avatarBlobHash !== current.avatarBlobHash) {
+        changes.push('avatar');
+      }
+
+      if (changes.length > 0) {
+        await postToTopicChannel(
+          this.nodeOneCore.channelManager,
+          request.conversationId,
+          createConversationMetadata(request.conversationId, next, this.nodeOneCore.ownerId)
+        );
+        // Topic object carries the name for clients that do not read metadata snapshots
+        if (changes.includes('name')) {
+          await this.syncTopicName(request.conversationId);
+        }
+        await this.postSystemEvent(request.conversationId, 'conversation-updated', [], {
+          changes,
+          ...(changes.includes('name') && { name: next.name })
+        });
+
+        await this.rebuildConversation(request.conversationId);
+      }
+
+      return await this.getConversation({ conversationId: request.conversationId });
+    } catch (error) {
+      console.error('[ChatPlan] Error updating conversation:', error);
+      return {
+        success: false,
+        error: (error as Error).message
+      };
+    }
+  }
+
+  /**
+   * Set which AI participants answer messages (conversations with several AIs)
+   *
+   * - mention: only AIs addressed with @name
+   * - round-robin: the AIs take turns (a mention still picks the AI)
+   * - all: every AI answers, in roster order
+   *
+   * Stored as a ConversationAIRouting object in the topic channel.
+   */
+  async setAIAddressing(request: SetAIAddressingRequest): Promise<SetAIAddressingResponse> {
+    try {
+      if (!this.nodeOneCore.initialized || !this.nodeOneCore.topicModel) {
+        throw new Error('Node not initialized');
+      }
+
+      await this.assertAllowed(request.conversationId, 'editConversation');
+
+      const recipients = await this.getRecipients(request.conversationId);
+      if (!recipients.some(r => r.isAI)) {
+        throw new Error('Conversation has no AI participants');
+      }
+
+      await postToTopicChannel(
+        this.nodeOneCore.channelManager,
+        request.conversationId,
+        createAIRouting(request.conversationId, request.mode, this.nodeOneCore.ownerId)
+      );
+      await this.rebuildConversation(request.conversationId);
+
+      return await this.getConversation({ conversationId: request.conversationId });
+    } catch (error) {
+      console.error('[ChatPlan] Error setting AI addressing:', error);
+      return {
+        success: false,
+        error: (error as Error).message
+      };
+    }
+  }
+
+  /**
+   * Edit the AI settings of a conversation (system prompt, model override,
+   * sampling parameters, context window policy, thinking visibility)
+   *
+   * Stored as a ConversationAISettings snapshot in the topic channel, so the
+   * settings follow the conversation instead of the model.
+   */
+  async updateAISettings(request: UpdateAISettingsRequest): Promise<UpdateAISettingsResponse> {
+    try {
+      if (!this.nodeOneCore.initialized || !this.nodeOneCore.topicModel) {
+        throw new Error('Node not initialized');
+      }
+
+      await this.assertAllowed(request.conversationId, 'editConversation');
+
+      const current = await getConversationAISettings(this.nodeOneCore.channelManager, request.conversationId);
+      const next = mergeAISettings(current, request.settings || {});
+
+      if (next.modelId && next.modelId !== current.modelId && this.nodeOneCore.llmManager) {
+        const model = await this.nodeOneCore.llmManager.getModel(next.modelId).catch(() => undefined);
+        if (!model) {
+          throw new Error(`Model not found: ${next.modelId}`);
+        }
+      }
+
+      await postToTopicChannel(
+        this.nodeOneCore.channelManager,
+        request.conversationId,
+        createAISettings(request.conversationId, next, this.nodeOneCore.ownerId)
+      );
+      // From now on answers go through routeToAIs with these settings
+      await this.syncAIRegistration(request.conversationId);
+
+      return await this.getConversation({ conversationId: request.conversationId });
+    } catch (error) {
+      console.error('[ChatPlan] Error updating AI settings:', error);
+      return {
+        success: false,
+        error: (error as Error).message
+      };
+    }
+  }
+
+  /**
+   * Get the metadata history of a conversation (name, description, avatar edits)
+   */
+  async getConversationHistory(request: GetConversationHistoryRequest): Promise<GetConversationHistoryResponse> {
+    try {
+      if (!this.nodeOneCore.initialized || !this.nodeOneCore.topicModel) {
+        throw new Error('Node not initialized');
+      }
+
+      const history = await getConversationMetadataHistory(this.nodeOneCore.channelManager, request.conversationId);
+      return {
+        success: true,
+        history
+      };
+    } catch (error) {
+      console.error('[ChatPlan] Error getting conversation history:', error);
+      return {
+        success: false,
+        error: (error as Error).message
+      };
+    }
+  }
+
+  /**
+   * Create a P2P (one-to-one) conversation
+   *
+   * Uses P2PTopicService internally to create topic with proper channel setup.
+   * All P2P topic creation MUST go through this method - platform code should NOT
+   * call P2PTopicService or TopicModel directly.
+   */
+  async createP2PConversation(request: CreateP2PConversationRequest): Promise<CreateP2PConversationResponse> {
+    try {
+      if (!this.nodeOneCore.initialized || !this.nodeOneCore.topicModel) {
+        throw new Error('Node not initialized');
+      }
+
+      const { localPersonId, remotePersonId } = request;
+
+      console.log('[ChatPlan] Creating P2P conversation');
+      console.log('[ChatPlan]   Local person:', localPersonId?.substring(0, 8));
+      console.log('[ChatPlan]   Remote person:', remotePersonId?.substring(0, 8));
+
+      // Use P2PTopicService to create the topic
+      const { topicRoom, wasCreated } = await createP2PTopic(
+        this.nodeOneCore.topicModel,
+        localPersonId,
+        remotePersonId
+      );
+
+      // Generate P2P topic ID (lexicographically sorted)
+      const topicId = localPersonId < remotePersonId
+        ? `${localPersonId}<->${remotePersonId}`
+        : `${remotePersonId}<->${localPersonId}`;
+
+      if (wasCreated) {
+        console.log('[ChatPlan] ✅ Created new P2P conversation:', topicId);
+      } else {
+        console.log('[ChatPlan] ✅ Using existing P2P conversation:', topicId);
+      }
+
+      return {
+        success: true,
+        topicId,
+        topicRoom
+      };
+    } catch (error) {
+      console.error('[ChatPlan] Error creating P2P conversation:', error);
+      return {
+        success: false,
+        error: (error as Error).message
+      };
+    }
+  }
+
+  /**
+   * Create a group conversation with proper Group/HashGroup structure.
+   *
+   * This method implements the new group chat architecture:
+   * 1. Creates HashGroup with participants
+   * 2. Uses GroupChatPlan to create Group referencing HashGroup
+   * 3. Uses TopicModel to create Topic referencing Group
+   * 4. Grants access via HashGroup (CHUM handles automatic distribution)
+   *
+   * @param name - Name of the group conversation
+   * @param participants - Person IDs of all participants (owner is auto-included)
+   * @returns The created Topic
+   */
+  async createGroupConversation(
+    name: string,
+    participants: SHA256IdHash<Person>[]
+  ): Promise<Topic> {
+    if (!this.nodeOneCore.initialized || !this.nodeOneCore.topicModel) {
+      throw new Error('TopicModel not initialized');
+    }
+
+    if (!this.nodeOneCore.ownerId) {
+      throw new Error('Owner ID not set');
+    }
+
+    console.log(`[ChatPlan] Creating group conversation "${name}" with ${participants.length} participants`);
+
+    // Ensure owner is included in participants
+    const allParticipants = [...participants];
+    if (!allParticipants.includes(this.nodeOneCore.ownerId)) {
+      allParticipants.unshift(this.nodeOneCore.ownerId);
+    }
+
+    // Import storage functions
+    const { storeUnversionedObject } = await import('@refinio/one.core/lib/storage-unversioned-objects.js');
+    const { calculateIdHashOfObj } = await import('@refinio/one.core/lib/util/object.js');
+    const { createAccess } = await import('@refinio/one.core/lib/access.js');
+
+    // Step 1: Create HashGroup with participants
+    const hashGroup: HashGroup<Person> = {
+      $type$: 'HashGroup',
+      person: new Set(allParticipants)
+    };
+    const hashGroupResult = await storeUnversionedObject(hashGroup);
+    const hashGroupHash = hashGroupResult.hash as SHA256Hash<HashGroup<Person>>;
+
+    console.log(`[ChatPlan] Created HashGroup: ${hashGroupHash.substring(0, 8)}`);
+
+    // Step 2: Create Group referencing HashGroup
+    const { storeVersionedObject } = await import('@refinio/one.core/lib/storage-versioned-objects.js');
+
+    const group: Group = {
+      $type$: 'Group',
+      name,
+      hashGroup: hashGroupHash,
+      participants: hashGroupHash
+    };
+    const groupResult = await storeVersionedObject(group);
+    const groupIdHash = groupResult.idHash as SHA256IdHash<Group>;
+    console.log(`[ChatPlan] Created Group: ${groupIdHash.substring(0, 8)}`);
+
+    // Step 3: Create Topic referencing Group
+    // Channel identity is based on participants only (no owner)
+    const creatorSeed = `${name}:${Date.now()}`;
+    const topic = await this.nodeOneCore.topicModel.createGroupTopic(
+      name,
+      groupIdHash,
+      await createGroupTopicId(this.nodeOneCore.ownerId, creatorSeed)
+    );
+    const topicIdHash = await calculateIdHashOfObj(topic);
+
+    console.log(`[ChatPlan] Created Topic: ${topicIdHash.substring(0, 8)}`);
+
+    // Step 4: Grant access via HashGroup
+    // Note: We only grant access to Topic, NOT to ChannelInfo separately.
+    // CHUM follows Topic.channel (referenceToId) automatically, fetching ChannelInfo
+    // as a child of Topic. This ensures ChannelInfo is available before Topic is
+    // processed by listeners (children fetched before root).
+    const accessRequests: SetAccessParam[] = [
+      {
+        id: topicIdHash,
+        person: [],
+        hashGroup: [hashGroupHash],
+        mode: SET_ACCESS_MODE.ADD
+      }
+    ];
+
+    await createAccess(accessRequests);
+    console.log(`[ChatPlan] Granted access via HashGroup`);
+
+    // Creator owns the group
+    if (this.nodeOneCore.channelManager) {
+      try {
+        await initializeConversationRoles(this.nodeOneCore.channelManager, topic.id, this.nodeOneCore.ownerId, creatorSeed);
+      } catch (error) {
+        console.warn('[ChatPlan] Failed to initialize roles:', error);
+      }
+    }
+
+    // Configure channel for group conversations
+    if (this.nodeOneCore.channelManager) {
+      this.nodeOneCore.channelManager.setChannelSettingsAppendSenderProfile(topic.id, true);
+      this.nodeOneCore.channelManager.setChannelSettingsRegisterSenderProfileAtLeute(topic.id, true);
+    }
+
+    console.log(`[ChatPlan] Group conversation created: ${topic.id}`);
+
+    return topic;
+  }
+
+  /**
+   * Get current user
+   */
+  async getCurrentUser(_request: GetCurrentUserRequest): Promise<GetCurrentUserResponse> {
+    try {
+      if (!this.nodeOneCore.initialized || !this.nodeOneCore.ownerId) {
+        // Fallback to state manager
+        const userId = this.stateManager?.getState('user.id');
+        const userName = this.stateManager?.getState('user.name');
+
+        if (userId) {
+          return {
+            success: true,
+            user: {
+              id: userId,
+              name: userName || 'User'
+            }
+          };
+        }
+
+        return {
+          success: false,
+          error: 'User not authenticated'
+        };
+      }
+
+      // Get from ONE.core instance
+      const ownerId = this.nodeOneCore.ownerId;
+      let userName = 'User';
+
+      // Try to get name from LeuteModel
+      if (this.nodeOneCore.leuteModel) {
+        try {
+          const me: any = await this.nodeOneCore.leuteModel.me();
+          if (me) {
+            const profile: any = await me.mainProfile();
+            if (profile?.personDescriptions?.length > 0) {
+              const nameDesc = profile.personDescriptions.find((d: any) =>
+                d.$type$ === 'PersonName' && d.name
+              );
+              if (nameDesc?.name) {
+                userName = nameDesc.name;
+              }
+            }
+          }
+        } catch (e) {
+          console.warn('[ChatPlan] Could not get user profile:', e);
+        }
+      }
+
+      return {
+        success: true,
+        user: {
+          id: String(ownerId),
+          name: userName
+        }
+      };
+    } catch (error) {
+      console.error('[ChatPlan] Error getting current user:', error);
+      return {
+        success: false,
+        error: (error as Error).message
+      };
+    }
+  }
+
+  /**
+   * Add participants to a conversation
+   *
+   * Updates access rights for the existing topic - does NOT create a new topic.
+   * Topic versions are tracked via ONE.core's versioning system.
+   */
+  async addParticipants(request: AddParticipantsRequest): Promise<AddParticipantsResponse> {
+    try {
+      console.log('[ChatPlan] ========== ADD PARTICIPANTS START ==========');
+      console.log('[ChatPlan] Conversation:', request.conversationId);
+      console.log('[ChatPlan] Participant IDs to add:', request.participantIds);
+
+      if (!this.nodeOneCore.initialized || !this.nodeOneCore.topicModel) {
+        throw new Error('Models not initialized');
+      }
+
+      // Get the existing topic
+      const topic = await this.nodeOneCore.topicModel.topics.queryById(request.conversationId);
+      if (!topic) {
+        throw new Error(`Topic not found: ${request.conversationId}`);
+      }
+
+      await this.assertAllowed(request.conversationId, 'manageParticipants');
+
+      // Add participants to the topic (creates new channel, stores new Topic version)
+      const updatedTopic = await this.nodeOneCore.topicModel.addPersonsToTopic(
+        request.participantIds as any[], // SHA256IdHash<Person>[]
+        topic
+      );
+
+      console.log('[ChatPlan] ✅ Added participants to topic, new channel:', updatedTopic.channel?.substring(0, 8));
+
+      // Update GroupPlan to add participants (updates Topic → ChannelInfo → HashGroup)
+      if (this.groupPlan) {
+        console.log('[ChatPlan] Updating GroupPlan with new participants');
+        await this.groupPlan.addParticipants({
+          topicId: request.conversationId,
+          participants: request.participantIds as any[]
+        });
+        console.log('[ChatPlan] GroupPlan updated');
+      }
+
+      // Register new AI participants with the AI assistant
+      if (this.nodeOneCore.aiAssistantModel) {
+        if (await this.registerAIParticipants(request.conversationId, request.participantIds)) {
+          // Trigger introduction message from AI (fire and forget)
+          this.nodeOneCore.aiAssistantModel.handleNewTopic(request.conversationId).catch((error: Error) => {
+            console.error('[ChatPlan] Failed to generate AI introduction message:', error);
+          });
+        }
+      }
+
+      await this.postSystemEvent(request.conversationId, 'participants-added', request.participantIds);
+
+      // Participants changed - rebuild the conversation list entry (emits participantsChanged)
+      await this.rebuildConversation(request.conversationId);
+
+      console.log('[ChatPlan] ========== ADD PARTICIPANTS END ==========');
+
+      return {
+        success: true,
+        data: {
+          conversationId: request.conversationId,
+          addedParticipants: request.participantIds
+          // No newConversationId - same topic, just updated participants
+        }
+      };
+    } catch (error) {
+      console.error('[ChatPlan] Error adding participants:', error);
+      return {
+        success: false,
+        error: (error as Error).message
+      };
+    }
+  }
+
+  /**
+   * Get roles of a conversation and what the current user may do
+   */
+  async getConversationRoles(request: GetConversationRolesRequest): Promise<GetConversationRolesResponse> {
+    try {
+      if (!this.nodeOneCore.initialized || !this.nodeOneCore.topicModel) {
+        throw new Error('Models not initialized');
+      }
+
+      const topic = await this.nodeOneCore.topicModel.topics.queryById(request.conversationId);
+      if (!topic) {
+        throw new Error(`Topic not found: ${request.conversationId}`);
+      }
+
+      const roles = await this.getRoleState(request.conversationId);
+      const ownerId = String(this.nodeOneCore.ownerId);
+      const participants = await Promise.all((await this.getTopicParticipantIds(topic)).map(async id => ({
+        id,
+        name: await this.resolvePersonName(id),
+        role: getRole(roles, id)
+      })));
+
+      return {
+        success: true,
+        data: {
+          managed: roles.managed,
+          announcementOnly: roles.announcementOnly,
+          myRole: getRole(roles, ownerId),
+          canPost: hasPermission(roles, ownerId, 'post'),
+          participants
+        }
+      };
+    } catch (error) {
+      console.error('[ChatPlan] Error getting conversation roles:', error);
+      return {
+        success: false,
+        error: (error as Error).message
+      };
+    }
+  }
+
+  /**
+   * Change the role of a participant
+   *
+   * Admins switch participants between member and read-only; the owner also
+   * manages admins and can transfer ownership.
+   */
+  async setParticipantRole(request: SetParticipantRoleRequest): Promise<UpdateRolesResponse> {
+    try {
+      const roles = await this.getManagedRoles(request.conversationId);
+      const ownerId = String(this.nodeOneCore.ownerId);
+      const personId = String(request.personId);
+
+      const topic = await this.nodeOneCore.topicModel.topics.queryById(request.conversationId);
+      if (!(await this.getTopicParticipantIds(topic)).includes(personId)) {
+        throw new Error('Person is not a participant of this conversation');
+      }
+      if (!canChangeRole(roles, ownerId, personId, request.role)) {
+        throw new Error(`Not allowed to make this participant ${request.role}`);
+      }
+
+      const admins = new Set(roles.admins);
+      const readOnly = new Set(roles.readOnly);
+      let owner = roles.owner;
+      admins.delete(personId);
+      readOnly.delete(personId);
+
+      if (request.role === 'owner') {
+        // Previous owner stays admin
+        if (owner) {
+          admins.add(owner);
+        }
+        owner = personId;
+      } else if (request.role === 'admin') {
+        admins.add(personId);
+      } else if (request.role === 'read-only') {
+        readOnly.add(personId);
+      }
+
+      await postConversationRoles(
+        this.nodeOneCore.channelManager,
+        request.conversationId,
+        { owner, admins, readOnly, announcementOnly: roles.announcementOnly },
+        this.nodeOneCore.ownerId
+      );
+      return { success: true };
+    } catch (error) {
+      console.error('[ChatPlan] Error setting participant role:', error);
+      return {
+        success: false,
+        error: (error as Error).message
+      };
+    }
+  }
+
+  /**
+   * Turn announcement mode on or off (only owner and admins post while on)
+   */
+  async setAnnouncementMode(request: SetAnnouncementModeRequest): Promise<UpdateRolesResponse> {
+    try {
+      const roles = await this.getManagedRoles(request.conversationId);
+      assertPermission(roles, String(this.nodeOneCore.ownerId), 'manageRoles');
+
+      if (roles.announcementOnly !== request.enabled) {
+        await postConversationRoles(
+          this.nodeOneCore.channelManager,
+          request.conversationId,
+          { ...roles, announcementOnly: request.enabled },
+          this.nodeOneCore.ownerId
+        );
+      }
+      return { success: true };
+    } catch (error) {
+      console.error('[ChatPlan] Error setting announcement mode:', error);
+      return {
+        success: false,
+        error: (error as Error).message
+      };
+    }
+  }
+
+  /**
+   * Create an invite link for a group conversation (owner and admins)
+   */
+  async createInvite(request: CreateInviteRequest): Promise<CreateInviteResponse> {
+    try {
+      if (!this.nodeOneCore.initialized || !this.nodeOneCore.topicModel) {
+        throw new Error('Models not initialized');
+      }
+      if (!this.nodeOneCore.ownerId) {
+        throw new Error('User not authenticated');
+      }
+      if (request.conversationId.includes('<->')) {
+        throw new Error('Invites are only available for group conversations');
+      }
+
+      const topic = await this.nodeOneCore.topicModel.topics.queryById(request.conversationId);
+      if (!topic) {
+        throw new Error(`Topic not found: ${request.conversationId}`);
+      }
+      await this.assertAllowed(request.conversationId, 'manageParticipants');
+
+      const metadata = await getConversationMetadata(this.nodeOneCore.channelManager, topic);
+      const invite = await this.getInviteRegistry().createInvite(
+        request.conversationId,
+        {
+          expiresAt: request.expiresAt,
+          maxUses: request.maxUses,
+          requiresApproval: request.requiresApproval
+        },
+        metadata.name
+      );
+      console.log(`[ChatPlan] Created invite ${invite.id.substring(0, 8)} for ${request.conversationId}`);
+
+      // Join requests arrive in P2P topics - make sure they are watched
+      this.startLiveUpdates();
+
+      return { success: true, data: invite };
+    } catch (error) {
+      console.error('[ChatPlan] Error creating invite:', error);
+      return {
+        success: false,
+        error: (error as Error).message
+      };
+    }
+  }
+
+  /**
+   * Revoke an own invite (pending join requests made with it are rejected)
+   */
+  async revokeInvite(request: RevokeInviteRequest): Promise<CreateInviteResponse> {
+    try {
+      const invite = await this.getInviteRegistry().revokeInvite(request.inviteId);
+      return { success: true, data: invite };
+    } catch (error) {
+      console.error('[ChatPlan] Error revoking invite:', error);
+      return {
+        success: false,
+        error: (error as Error).message
+      };
+    }
+  }
+
+  /**
+   * Get own invites of a conversation, newest first
+   */
+  async getInvites(request: GetInvitesRequest): Promise<GetInvitesResponse> {
+    try {
+      const invites = await this.getInviteRegistry().getInvites(request.conversationId);
+      return { success: true, data: invites };
+    } catch (error) {
+      console.error('[ChatPlan] Error getting invites:', error);
+      return {
+        success: false,
+        error: (error as Error).message
+      };
+    }
+  }
+
+  /**
+   * Ask to join a group conversation with an invite token
+   *
+   * The join request is sent to the inviter through the P2P conversation with
+   * them - invitees who are not connected to the inviter pair with the
+   * pairing invitation of the token first. The group shows up in
+   * getConversations once the inviter's instance added the user (right away,
+   * or after an admin approved the request).
+   */
+  async joinWithInvite(request: JoinWithInviteRequest): Promise<JoinWithInviteResponse> {
+    try {
+      if (!this.nodeOneCore.initialized || !this.nodeOneCore.topicModel) {
+        throw new Error('Models not initialized');
+      }
+      const ownerId = this.nodeOneCore.ownerId;
+      if (!ownerId) {
+        throw new Error('User not authenticated');
+      }
+
+      const payload = decodeInviteToken(request.token);
+      const { topicId, name, createdBy: inviter } = payload.invite;
+      if (String(inviter) === String(ownerId)) {
+        throw new Error('Cannot join with your own invite');
+      }
+      if (payload.invite.expiresAt !== undefined && payload.invite.expiresAt <= Date.now()) {
+        throw new Error('Invite expired');
+      }
+
+      const hashes = await importInviteToken(payload);
+      if (await verifyInvite(hashes.invite, inviter) === false) {
+        throw new Error('Invite signature is invalid');
+      }
+
+      const existing = await this.nodeOneCore.topicModel.topics.queryById(topicId);
+      if (existing && (await this.getTopicParticipantIds(existing)).includes(String(ownerId))) {
+        return {
+          success: true,
+          data: { conversationId: topicId, name, status: 'joined', verified: true }
+        };
+      }
+
+      if (!(await this.nodeOneCore.leuteModel?.getSomeone(inviter))) {
+        const pairing = this.nodeOneCore.connectionsModel?.pairing;
+        if (!payload.pairing || !pairing?.connectUsingInvitation) {
+          throw new Error('The inviter is not a contact - ask them for a new invite link');
+        }
+        await pairing.connectUsingInvitation(payload.pairing, ownerId);
+        console.log(`[ChatPlan] Paired with inviter ${String(inviter).substring(0, 8)}`);
+      }
+
+      const p2p = await this.createP2PConversation({
+        localPersonId: String(ownerId),
+        remotePersonId: String(inviter)
+      });
+      if (!p2p.success || !p2p.topicId) {
+        throw new Error(p2p.error || 'Could not reach the inviter');
+      }
+
+      await postToTopicChannel(this.nodeOneCore.channelManager, p2p.topicId, createJoinRequest(payload, hashes, ownerId));
+      console.log(`[ChatPlan] Sent join request for ${topicId} to ${String(inviter).substring(0, 8)}`);
+
+      return {
+        success: true,
+        data: {
+          conversationId: topicId,
+          name,
+          status: 'requested',
+          verified: await verifyInvite(hashes.invite, inviter) === true
+        }
+      };
+    } catch (error) {
+      console.error('[ChatPlan] Error joining with invite:', error);
+      return {
+        success: false,
+        error: (error as Error).message
+      };
+    }
+  }
+
+  /**
+   * Get join requests waiting for approval, oldest first
+   */
+  async getJoinRequests(request: GetJoinRequestsRequest = {}): Promise<GetJoinRequestsResponse> {
+    try {
+      const pending = await this.getInviteRegistry().getRequests(request.conversationId, 'pending');
+      const data = await Promise.all(pending.map(async joinRequest => ({
+        ...joinRequest,
+        requesterName: await this.resolvePersonName(joinRequest.requester)
+      })));
+      return { success: true, data };
+    } catch (error) {
+      console.error('[ChatPlan] Error getting join requests:', error);
+      return {
+        success: false,
+        error: (error as Error).message
+      };
+    }
+  }
+
+  /**
+   * Approve a pending join request - adds the requester to the conversation
+   */
+  async approveJoinRequest(request: DecideJoinRequestRequest): Promise<DecideJoinRequestResponse> {
+    try {
+      const joinRequest = await this.getInviteRegistry().assertApprovable(request.requestId);
+      await this.assertAllowed(joinRequest.topicId, 'manageParticipants');
+      const approved = await this.admitJoinRequest(joinRequest);
+      return { success: true, data: approved };
+    } catch (error) {
+      console.error('[ChatPlan] Error approving join request:', error);
+      return {
+        success: false,
+        error: (error as Error).message
+      };
+    }
+  }
 
   /**
-   * Set message managers after initialization
+   * Reject a pending join request
    */
-  setMessageManagers(versionManager: any, assertionManager: any): void {
-    this.messageVersionManager = versionManager;
-    this.messageAssertionManager = assertionManager;
+  async rejectJoinRequest(request: DecideJoinRequestRequest): Promise<DecideJoinRequestResponse> {
+    try {
+      const rejected = await this.getInviteRegistry().rejectRequest(request.requestId, 'Rejected by admin');
+      return { success: true, data: rejected };
+    } catch (error) {
+      console.error('[ChatPlan] Error rejecting join request:', error);
+      return {
+        success: false,
+        error: (error as Error).message
+      };
+    }
   }
 
   /**
-   * Set GroupPlan after initialization (for gradual adoption)
+   * Handle new join requests in a P2P topic (requests for own invites only)
    */
-  setGroupPlan(plan: GroupPlan): void {
-    this.groupPlan = plan;
+  private async processJoinRequests(topicId: string): Promise<void> {
+    if (!topicId.includes('<->')) {
+      return;
+    }
+
+    const run = this.joinRequestQueue.then(async () => {
+      const ownerId = String(this.nodeOneCore.ownerId);
+      const registry = this.getInviteRegistry();
+      const entries = await getTopicObjects(this.nodeOneCore.channelManager, topicId, 'ChatJoinRequest');
+
+      for (const entry of entries) {
+        if (String(entry.author) === ownerId || await registry.isKnownRequest(String(entry.dataHash))) {
+          continue;
+        }
+
+        const received = await registry.receiveRequest(entry, topicId);
+        if (!received || received.request.status !== 'pending') {
+          continue;
+        }
+
+        if (received.admit) {
+          try {
+            await this.admitJoinRequest(received.request);
+            continue;
+          } catch (error) {
+            console.warn('[ChatPlan] Could not add person who joined with invite:', error);
+          }
+        }
+        this.events.emit('joinRequest', (await registry.getRequest(received.request.id))!);
+      }
+    });
+    this.joinRequestQueue = run.catch(() => undefined);
+    await run;
   }
 
   /**
-   * Set StoryFactory after initialization (for gradual adoption)
+   * Add the requester of a join request through addParticipants
+   *
+   * @throws If adding fails - the request then stays pending
    */
-  setStoryFactory(factory: StoryFactory): void {
-    this.storyFactory = factory;
+  private async admitJoinRequest(joinRequest: JoinRequestInfo): Promise<JoinRequestInfo> {
+    const registry = this.getInviteRegistry();
+    const topic = await this.nodeOneCore.topicModel.topics.queryById(joinRequest.topicId);
+    if (!topic) {
+      throw new Error(`Topic not found: ${joinRequest.topicId}`);
+    }
+
+    if (!(await this.getTopicParticipantIds(topic)).includes(joinRequest.requester)) {
+      const result = await this.addParticipants({
+        conversationId: joinRequest.topicId,
+        participantIds: [joinRequest.requester]
+      });
+      if (!result.success) {
+        await registry.markFailed(joinRequest.id, result.error || 'Could not add participant');
+        throw new Error(result.error || 'Could not add participant');
+      }
+    }
+
+    console.log(`[ChatPlan] ${joinRequest.requester.substring(0, 8)} joined ${joinRequest.topicId} with invite`);
+    return await registry.completeRequest(joinRequest.id);
   }
 
   /**
-   * Get current instance version hash for Story/Assembly tracking
+   * Role state of a topic (P2P topics never have roles)
    */
-  private getCurrentInstanceVersion(): string {
-    // Try to get from nodeOneCore, fallback to timestamp if not available
-    return this.nodeOneCore.instanceVersion || `instance-${Date.now()}`;
+  private async getRoleState(conversationId: string): Promise<RoleState> {
+    if (conversationId.includes('<->')) {
+      return { managed: false, admins: new Set(), readOnly: new Set(), announcementOnly: false };
+    }
+    return await getConversationRoles(this.nodeOneCore.channelManager, conversationId);
   }
 
   /**
-   * Initialize default chats
+   * Filter for received messages: drops posts whose author was not allowed to
+   * post when sending them (read-only participants, announcement mode)
    */
-  async initializeDefaultChats(_request: InitializeDefaultChatsRequest): Promise<InitializeDefaultChatsResponse> {
+  private async getPostFilter(conversationId: string): Promise<(entry: any) => boolean> {
+    const roles = await getRoleTimeline(this.nodeOneCore.channelManager, conversationId);
+    return (entry: any) => isEntryAllowed(roles, entry, 'post');
+  }
+
+  /**
+   * Role state of a group topic that has roles (throws for topics without roles)
+   */
+  private async getManagedRoles(conversationId: string): Promise<RoleState> {
+    if (!this.nodeOneCore.initialized || !this.nodeOneCore.topicModel) {
+      throw new Error('Models not initialized');
+    }
+    if (!this.nodeOneCore.ownerId) {
+      throw new Error('User not authenticated');
+    }
+
+    const roles = await this.getRoleState(conversationId);
+    if (!roles.managed) {
+      throw new Error('This conversation has no roles');
+    }
+    return roles;
+  }
+
+  /**
+   * Throw if a person (default: the owner) may not do something in a conversation
+   */
+  private async assertAllowed(
+    conversationId: string,
+    permission: ConversationPermission,
+    personId: string = String(this.nodeOneCore.ownerId)
+  ): Promise<void> {
+    const roles = await this.getRoleState(conversationId);
+    assertPermission(roles, personId, permission);
+  }
+
+  /**
+   * Remove participants from a conversation
+   *
+   * Creates a new channel (ChannelInfo/HashGroup) for the remaining participants.
+   * Removed persons keep the history they already have, but receive no future
+   * messages. An AI topic is unregistered when its AI participant is removed.
+   */
+  async removeParticipants(request: RemoveParticipantsRequest): Promise<RemoveParticipantsResponse> {
     try {
-      if (!this.nodeOneCore.initialized || !this.nodeOneCore.topicModel) {
-        return { success: false, error: 'Node not ready' };
+      if (!request.participantIds || request.participantIds.length === 0) {
+        throw new Error('No participants to remove');
+      }
+      if (request.participantIds.some(id => String(id) === String(this.nodeOneCore.ownerId))) {
+        throw new Error('Use leaveConversation to remove yourself');
       }
 
-      // Don't create any chats here - they should only be created when we have an AI model
-      return { success: true };
+      await this.removeFromConversation(request.conversationId, request.participantIds, 'participants-removed');
+
+      return {
+        success: true,
+        data: {
+          conversationId: request.conversationId,
+          removedParticipants: request.participantIds
+        }
+      };
     } catch (error) {
-      console.error('[ChatPlan] Error initializing default chats:', error);
-      return { success: false, error: (error as Error).message };
+      console.error('[ChatPlan] Error removing participants:', error);
+      return {
+        success: false,
+        error: (error as Error).message
+      };
     }
   }
 
   /**
-   * UI ready signal
+   * Leave a conversation
+   *
+   * The remaining participants continue in a new channel without the owner.
+   * The local history stays readable.
    */
-  async uiReady(_request: UIReadyRequest): Promise<UIReadyResponse> {
+  async leaveConversation(request: LeaveConversationRequest): Promise<LeaveConversationResponse> {
     try {
-      // Notify the PeerMessageListener that UI is ready (platform-specific)
-      if (this.nodeOneCore.peerMessageListener) {
-        // This will be handled by the platform-specific adapter
+      if (!this.nodeOneCore.ownerId) {
+        throw new Error('User not authenticated');
       }
+
+      await this.removeFromConversation(request.conversationId, [String(this.nodeOneCore.ownerId)], 'participant-left');
       return { success: true };
     } catch (error) {
-      console.error('[ChatPlan] Error in uiReady:', error);
-      return { success: false, error: (error as Error).message };
+      console.error('[ChatPlan] Error leaving conversation:', error);
+      return {
+        success: false,
+        error: (error as Error).message
+      };
     }
   }
 
   /**
-   * Send a message to a conversation
+   * Remove persons from a topic (shared by removeParticipants and leaveConversation)
    */
-  async sendMessage(request: SendMessageRequest): Promise<SendMessageResponse> {
-    // Disabled: Pollutes JSON-RPC stdout in MCP server
-    // console.error('[ChatPlan] Send message:', { conversationId: request.conversationId, content: request.content, senderId: request.senderId });
+  private async removeFromConversation(
+    conversationId: string,
+    participantIds: string[],
+    event: 'participants-removed' | 'participant-left'
+  ): Promise<void> {
+    if (!this.nodeOneCore.initialized || !this.nodeOneCore.topicModel) {
+      throw new Error('Models not initialized');
+    }
+    if (!this.groupPlan?.removeParticipants) {
+      throw new Error('GroupPlan does not support removing participants');
+    }
 
-    // Use provided senderId or default to owner
-    const userId = request.senderId || this.nodeOneCore.ownerId || this.stateManager?.getState('user.id');
+    const topic = await this.nodeOneCore.topicModel.topics.queryById(conversationId);
+    if (!topic) {
+      throw new Error(`Topic not found: ${conversationId}`);
+    }
+    // P2P topic IDs are derived from both persons (id1<->id2)
+    if (conversationId.includes('<->')) {
+      throw new Error('Participants of a direct conversation cannot change');
+    }
 
-    // StoryFactory disabled - Story requires product (Assembly) reference which isn't implemented yet
-    // TODO: Re-enable when Assembly/Story integration is complete
-    return await this.sendMessageInternal(request, userId);
+    const current = await this.getTopicParticipantIds(topic);
+    const removed = participantIds.filter(id => current.includes(String(id)));
+    if (removed.length === 0) {
+      throw new Error('None of the given persons is a participant of this conversation');
+    }
+
+    const roles = await getConversationRoles(this.nodeOneCore.channelManager, conversationId);
+    const ownerId = String(this.nodeOneCore.ownerId);
+    if (event === 'participant-left') {
+      if (getRole(roles, ownerId) === 'owner' && current.length > 1) {
+        throw new Error('Transfer ownership before leaving the conversation');
+      }
+    } else {
+      assertPermission(roles, ownerId, 'manageParticipants');
+      // Admins remove members; only the owner removes admins - nobody removes the owner
+      for (const personId of removed) {
+        const role = getRole(roles, personId);
+        if (role === 'owner' || (role === 'admin' && getRole(roles, ownerId) !== 'owner')) {
+          throw new Error(`Cannot remove the ${role} of this conversation`);
+        }
+      }
+    }
+
+    // Posted before the channel changes, so the removed persons see it too
+    await this.postSystemEvent(
+      conversationId,
+      event,
+      event === 'participant-left' ? [] : removed
+    );
+
+    const result = await this.groupPlan.removeParticipants({
+      topicId: conversationId,
+      participants: removed as any[]
+    });
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to remove participants');
+    }
+
+    // Removed persons lose their role - being added again makes them members
+    if (event === 'participants-removed' && removed.some(id => roles.admins.has(id) || roles.readOnly.has(id))) {
+      await postConversationRoles(this.nodeOneCore.channelManager, conversationId, {
+        owner: roles.owner,
+        admins: new Set(Array.from(roles.admins).filter(id => !removed.includes(id))),
+        readOnly: new Set(Array.from(roles.readOnly).filter(id => !removed.includes(id))),
+        announcementOnly: roles.announcementOnly
+      }, this.nodeOneCore.ownerId);
+    }
+
+    // An AI topic without AI participants is a plain conversation - a single
+    // remaining AI is answered by the assistant again
+    await this.syncAIRegistration(conversationId);
+
+    // Participants changed - rebuild the conversation list entry (emits participantsChanged)
+    await this.rebuildConversation(conversationId);
   }
 
   /**
-   * Internal implementation of sendMessage (wrapped by Story recording)
+   * Post a ChatSystemEvent to a topic (failures are logged - the change itself is done)
+   */
+  private async postSystemEvent(
+    conversationId: string,
+    event: ChatSystemEventType,
+    subjects: string[],
+    update?: Pick<ChatSystemEvent, 'changes' | 'name'>
+  ): Promise<void> {
+    try {
+      await postToTopicChannel(
+        this.nodeOneCore.channelManager,
+        conversationId,
+        createSystemEvent(conversationId, event, this.nodeOneCore.ownerId, subjects as any[], update)
+      );
+    } catch (error) {
+      console.warn('[ChatPlan] Failed to post system event:', error);
+    }
+  }
+
+  /**
+   * Clear a conversation
+   *
+   * Hides all messages up to now for the current user (clear marker).
+   * With forEveryone, all other participants are asked to clear as well.
    */
-  private async sendMessageInternal(request: SendMessageRequest, userId: string | null): Promise<SendMessageResponse> {
+  async clearConversation(request: ClearConversationRequest): Promise<ClearConversationResponse> {
     try {
       if (!this.nodeOneCore.initialized || !this.nodeOneCore.topicModel) {
-        throw new Error('TopicModel not initialized');
+        throw new Error('Models not initialized');
       }
 
-      if (!userId) {
+      if (!this.nodeOneCore.ownerId) {
         throw new Error('User not authenticated');
       }
 
-      // Validate conversationId
-      if (!request.conversationId || typeof request.conversationId !== 'string') {
-        throw new Error(`Invalid conversationId: ${request.conversationId}`);
-      }
-
-      // Allow empty content if attachments are present
-      const hasContent = request.content && request.content.trim().length > 0;
-      const hasAttachments = request.attachments && request.attachments.length > 0;
-
-      if (!hasContent && !hasAttachments) {
-        throw new Error('Message content cannot be empty');
-      }
-
-      console.log('[ChatPlan.sendMessage] 📤 Sending to:', request.conversationId?.substring(0, 20) + '...');
-
       // Get topic room
-      let topicRoom: any;
-      try {
-        topicRoom = await this.nodeOneCore.topicModel.enterTopicRoom(request.conversationId);
-      } catch (error) {
-        console.error('[ChatPlan] Topic does not exist for conversation:', request.conversationId);
-        throw new Error(`Topic ${request.conversationId} not found. Topics should be created before sending messages.`);
+      const topicRoom = await this.nodeOneCore.topicModel.enterTopicRoom(request.conversationId);
+      if (!topicRoom) {
+        throw new Error(`Topic not found: ${request.conversationId}`);
       }
 
-      // Debug: log topic and channel info
-      const topicChannel = topicRoom.topic?.channel;
-      console.log('[ChatPlan.sendMessage] 📋 Topic found:', {
-        id: topicRoom.topic?.id?.substring(0, 20),
-        channel: topicChannel?.substring(0, 16)
-      });
-
-      // Send message with or without attachments
-      // Channel identity is based on participants only (no owner)
-      if (request.attachments && request.attachments.length > 0) {
-        // Transform attachments to the format expected by sendMessageWithAttachmentAsHash
-        const attachmentObjects = request.attachments.map(att => {
-          // If it's already an object with hash and type, use it
-          if (typeof att === 'object' && att.hash && att.type) {
-            return {
-              hash: att.hash,
-              type: att.type,
-              metadata: att.mimeType || att.name || att.size ? {
-                name: att.name,
-                mimeType: att.mimeType,
-                size: att.size
-              } : undefined
-            };
-          }
-          // Legacy: If it's a string, assume it's a BLOB hash
-          if (typeof att === 'string') {
-            return { hash: att, type: 'BLOB' };
-          }
-          // Fallback: Extract hash and assume BLOB
-          return { hash: att.hash || att.id, type: 'BLOB' };
-        }).filter(att => att.hash); // Filter out any attachments without hashes
-
-        await topicRoom.sendMessageWithAttachmentAsHash(
-          request.content || '',
-          attachmentObjects
-        );
-      } else {
-        await topicRoom.sendMessage(request.content);
+      if (request.forEveryone === true &&
+          !await canClearForEveryone(this.nodeOneCore.channelManager, request.conversationId, this.nodeOneCore.ownerId)) {
+        throw new Error('Only the owner can clear this conversation for everyone');
       }
 
-      // AI response is handled by AIMessageListener (not here)
-      // AIMessageListener detects the channel update and triggers processMessage
+      // Messages are not deleted - a clear marker hides everything up to now for this user.
+      // forEveryone additionally posts a ChatClearRequest that other participants honor.
+      const clearedAt = await clearTopic(
+        this.nodeOneCore.channelManager,
+        request.conversationId,
+        this.nodeOneCore.ownerId,
+        request.forEveryone === true
+      );
+      console.log(`[ChatPlan] Cleared conversation ${request.conversationId} at ${clearedAt} (forEveryone: ${!!request.forEveryone})`);
+      await this.conversationIndex?.refreshActivity(request.conversationId);
 
+      return { success: true, clearedAt };
+    } catch (error) {
+      console.error('[ChatPlan] Error clearing conversation:', error);
       return {
-        success: true,
-        data: {
-          id: `msg-${Date.now()}`,
-          conversationId: request.conversationId,
-          content: request.content,
-          sender: this.nodeOneCore.ownerId,
-          senderName: 'You',
-          timestamp: Date.now(),
-          attachments: request.attachments || []
-        }
+        success: false,
+        error: (error as Error).message
       };
-    } catch (error) {
-      throw error;
     }
   }
 
   /**
-   * Get messages for a conversation
+   * Mark a conversation as read up to a message
+   *
+   * Stores the local read position (drives unreadCount in getConversations).
+   * With shareReceipt, a ChatReadReceipt is posted so other participants see "seen by".
    */
-  async getMessages(request: GetMessagesRequest): Promise<GetMessagesResponse> {
-    try{
+  async markAsRead(request: MarkAsReadRequest): Promise<MarkAsReadResponse> {
+    try {
       if (!this.nodeOneCore.initialized || !this.nodeOneCore.topicModel) {
         throw new Error('TopicModel not initialized');
       }
 
-      const limit = request.limit || 50;
-      const offset = request.offset || 0;
-
-      console.log('[ChatPlan.getMessages] 📥 Request:', request.conversationId?.substring(0, 20) + '...');
-
-      // Get topic room - may not exist yet if topic is being created
-      let topicRoom;
-      try {
-        topicRoom = await this.nodeOneCore.topicModel.enterTopicRoom(request.conversationId);
-      } catch (error: any) {
-        // Topic doesn't exist yet - return empty messages (valid during topic creation)
-        if (error.message?.includes('does not exist')) {
-          console.log('[ChatPlan.getMessages] ⚠️ Topic does not exist:', request.conversationId?.substring(0, 20));
-          return {
-            success: true,
-            messages: [],
-            hasMore: false,
-            total: 0
-          };
-        }
-        throw error; // Re-throw other errors
+      if (!this.nodeOneCore.ownerId) {
+        throw new Error('User not authenticated');
       }
 
+      const topicRoom = await this.nodeOneCore.topicModel.enterTopicRoom(request.conversationId);
       if (!topicRoom) {
         throw new Error(`Topic not found: ${request.conversationId}`);
       }
 
-      // Debug: log topic and channel info
-      const topicChannel = topicRoom.topic?.channel;
-      console.log('[ChatPlan.getMessages] 📋 Topic found:', {
-        id: topicRoom.topic?.id?.substring(0, 20),
-        name: topicRoom.topic?.name?.substring(0, 20),
-        channel: topicChannel?.substring(0, 16)
-      });
-
-      const allMessages = await topicRoom.retrieveAllMessages();
-      console.log('[ChatPlan.getMessages] 📨 Retrieved messages:', allMessages.length);
-
-      // Map ObjectData to UI format - extract the actual message data and look up sender names
-      const formattedMessages = await Promise.all(allMessages.map(async (msg: any) => {
-        let senderName = 'Unknown';
-
-        // Get sender from either author or data.sender
-        const sender = msg.author || msg.data?.sender;
+      const clearedAt = await this.getClearedAtForOwner(request.conversationId);
+      const accept = await this.getPostFilter(request.conversationId);
 
-        // Detect if sender is an AI using AIAssistantModel (check FIRST)
-        let isAI = false;
-        if (sender && this.nodeOneCore.aiAssistantModel) {
-          try {
-            isAI = this.nodeOneCore.aiAssistantModel.isAIPerson(sender);
-            // If it's an AI, try to get the model name as display name
-            if (isAI) {
-              const modelId = this.nodeOneCore.aiAssistantModel.getModelIdForPersonId(sender);
-              if (modelId) {
-                senderName = modelId;
-              }
-            }
-          } catch (e) {
-            // If detection fails, default to false
-            isAI = false;
-          }
+      // Default: everything up to the newest message. Newest-first, so this
+      // stops at the message (or the clear marker) instead of loading the history
+      let message: any;
+      for await (const msg of iterateTopicObjects(this.nodeOneCore.channelManager, request.conversationId, 'ChatMessage')) {
+        if (isCleared(msg, clearedAt)) {
+          break;
         }
-
-        // Look up sender name from LeuteModel (works for ALL participants)
-        // Only do this if we haven't already set a name (e.g., from AI model)
-        if (sender && senderName === 'Unknown') {
-          try {
-            if (this.nodeOneCore.leuteModel) {
-              // First check if sender is the current user
-              if (sender.toString() === this.nodeOneCore.ownerId?.toString()) {
-                try {
-                  const me: any = await this.nodeOneCore.leuteModel.me();
-                  if (me) {
-                    const profile: any = await me.mainProfile();
-                    if (profile) {
-                      const personName = profile.personDescriptions?.find((d: any) => d.$type$ === 'PersonName');
-                      senderName = personName?.name || profile.name || 'You';
-                    }
-                  }
-                } catch (e) {
-                  console.error('[ChatPlan] Failed to get current user name:', e);
-                }
-              } else {
-                // Check other contacts
-                const others: any = await this.nodeOneCore.leuteModel.others();
-                for (const someone of others) {
-                  try {
-                    const personId: any = await someone.mainIdentity();
-                    if (personId && sender && personId.toString() === sender.toString()) {
-                      const profile: any = await someone.mainProfile();
-                      if (profile) {
-                        const personName = profile.personDescriptions?.find((d: any) => d.$type$ === 'PersonName');
-                        senderName = personName?.name || profile.name || 'Unknown';
-                        break;
-                      }
-                    }
-                  } catch (e) {
-                    // Continue to next person
-                  }
-                }
-              }
-            }
-          } catch (error) {
-            console.error('[ChatPlan] Failed to get sender name:', error);
-          }
+        if (!accept(msg)) {
+          continue;
         }
-
-        const thinking = msg.data?.thinking || msg.thinking;
-        if (thinking) {
-          console.log(`[ChatPlan] 🧠 Message ${msg.id?.substring(0, 8)} has thinking (${thinking.length} chars)`);
+        if (!request.upToMessageId || msg.id === request.upToMessageId || String(msg.dataHash) === request.upToMessageId) {
+          message = msg;
+          break;
         }
+      }
+      if (request.upToMessageId && !message) {
+        throw new Error(`Message not found: ${request.upToMessageId}`);
+      }
 
-        // Attachments are stored as references to ChatAttachment objects which contain metadata
-        // Fetch each ChatAttachment to get type, name, size, mimeType, etc.
-        const rawAttachments = msg.data?.attachments || [];
-        const attachments = await Promise.all(rawAttachments.map(async (attHash: SHA256Hash) => {
-          try {
-            const { getObject } = await import('@refinio/one.core/lib/storage-unversioned-objects.js');
-            const chatAttachment = await getObject(attHash) as any;
-            return {
-              hash: chatAttachment.hash as string,  // The actual BLOB/object hash
-              type: chatAttachment.type,
-              name: chatAttachment.metadata?.name,
-              size: chatAttachment.metadata?.size,
-              mimeType: chatAttachment.metadata?.mimeType,
-              preview: chatAttachment.metadata?.preview,
-              thumbnailHash: chatAttachment.metadata?.thumbnailHash
-            };
-          } catch (error) {
-            console.error('[ChatPlan] Failed to fetch ChatAttachment:', attHash, error);
-            // Fallback: return just the hash if fetch fails
-            return { hash: attHash as string };
-          }
-        }));
-
+      if (!message) {
         return {
-          id: msg.id,
-          content: msg.data?.text || msg.text || '',  // Check both data.text and text (matches Electron)
-          sender,
-          senderName,
-          timestamp: msg.creationTime ? new Date(msg.creationTime).getTime() : Date.now(),
-          attachments,
-          creationTime: msg.creationTime,
-          thinking,  // Include thinking/reasoning trace (for DeepSeek R1, etc.)
-          isAI,  // Flag to identify AI messages
-          isOwn: sender?.toString() === this.nodeOneCore.ownerId?.toString()  // Ownership flag for UI alignment
+          success: true,
+          data: { conversationId: request.conversationId, readUpTo: 0, unreadCount: 0 }
         };
-      }));
+      }
 
-      // Sort by timestamp ascending (oldest first in array)
-      const sortedMessages = formattedMessages.sort((a: any, b: any) => {
-        return a.timestamp - b.timestamp;
-      });
+      const position = await markRead(
+        this.nodeOneCore.channelManager,
+        request.conversationId,
+        this.nodeOneCore.ownerId,
+        new Date(message.creationTime).getTime(),
+        message.dataHash,
+        request.shareReceipt === true
+      );
 
-      // Apply pagination from the END (most recent messages first)
-      // Chat apps show newest messages when you open a conversation
-      const totalMessages = sortedMessages.length;
-      const endIndex = Math.max(0, totalMessages - offset);
-      const startIndex = Math.max(0, endIndex - limit);
-      const paginatedMessages = sortedMessages.slice(startIndex, endIndex);
-      const hasMore = startIndex > 0;
+      // Unread messages are counted back to the read position only
+      const summary = await this.conversationIndex?.refreshActivity(request.conversationId);
+      const unreadCount = summary
+        ? summary.unreadCount
+        : (await getTopicActivity(this.nodeOneCore.channelManager, request.conversationId, this.nodeOneCore.ownerId)).unreadCount;
 
       return {
         success: true,
-        messages: paginatedMessages,
-        total: sortedMessages.length,
-        hasMore
+        data: {
+          conversationId: request.conversationId,
+          readUpTo: position.readUpTo,
+          unreadCount
+        }
       };
     } catch (error) {
-      console.error('[ChatPlan] Error getting messages:', error);
+      console.error('[ChatPlan] Error marking conversation as read:', error);
       return {
         success: false,
         error: (error as Error).message
@@ -657,502 +4184,295 @@ export class ChatPlan {
   }
 
   /**
-   * Create a new conversation
+   * Edit a message (sender only)
+   *
+   * Posts a ChatMessageEdit to the topic channel - all participants see the new text.
    */
-  async createConversation(request: CreateConversationRequest): Promise<CreateConversationResponse> {
-    const userId = this.nodeOneCore.ownerId || this.stateManager?.getState('user.id');
+  async editMessage(request: EditMessageRequest): Promise<EditMessageResponse> {
+    try {
+      const { message, state } = await this.getEditableMessage(request.conversationId, request.messageId);
 
-    // StoryFactory disabled - Story requires product (Assembly) reference which isn't implemented yet
-    // TODO: Re-enable when Assembly/Story integration is complete
-    return await this.createConversationInternal(request, userId);
+      const edit = createMessageEdit(message, state, this.nodeOneCore.ownerId, request.newText, request.editReason);
+      await postToTopicChannel(this.nodeOneCore.channelManager, request.conversationId, edit);
+
+      const data = {
+        messageId: request.messageId,
+        editedAt: edit.timestamp,
+        content: edit.text,
+        editCount: state.editCount + 1
+      };
+      this.events.emit('messageEdited', { conversationId: request.conversationId, ...data });
+      await this.getConversationIndex().refreshActivity(request.conversationId);
+
+      return {
+        success: true,
+        data
+      };
+    } catch (error) {
+      console.error('[ChatPlan] Error editing message:', error);
+      return {
+        success: false,
+        error: (error as Error).message
+      };
+    }
   }
 
   /**
-   * Internal implementation of createConversation (wrapped by Story+Assembly recording)
+   * Delete a message for everyone (sender only) - it stays in the history as a tombstone
    */
-  private async createConversationInternal(request: CreateConversationRequest, userId: string | null): Promise<CreateConversationResponse> {
+  async deleteMessage(request: DeleteMessageRequest): Promise<DeleteMessageResponse> {
     try {
-      if (!this.nodeOneCore.initialized || !this.nodeOneCore.topicModel) {
-        throw new Error('Models not initialized');
-      }
+      const { message, state } = await this.getEditableMessage(request.conversationId, request.messageId);
+
+      const deletion = createMessageDeletion(message, state, this.nodeOneCore.ownerId, request.reason);
+      await postToTopicChannel(this.nodeOneCore.channelManager, request.conversationId, deletion);
+
+      this.events.emit('messageEdited', {
+        conversationId: request.conversationId,
+        messageId: request.messageId,
+        editedAt: deletion.timestamp,
+        content: '',
+        editCount: state.editCount,
+        isDeleted: true
+      });
+      await this.getConversationIndex().refreshActivity(request.conversationId);
 
-      if (!this.groupPlan) {
-        throw new Error('GroupPlan not initialized');
-      }
+      return { success: true };
+    } catch (error) {
+      console.error('[ChatPlan] Error deleting message:', error);
+      return {
+        success: false,
+        error: (error as Error).message
+      };
+    }
+  }
 
-      if (!userId) {
-        throw new Error('User not authenticated');
-      }
+  /**
+   * Find a message and resolve its current edit state
+   */
+  private async getEditableMessage(conversationId: string, messageId: string): Promise<{ message: any; state: MessageEditState }> {
+    if (!this.nodeOneCore.initialized || !this.nodeOneCore.topicModel) {
+      throw new Error('TopicModel not initialized');
+    }
+    if (!this.nodeOneCore.ownerId) {
+      throw new Error('User not authenticated');
+    }
 
-      const type = request.type || 'direct';
-      const participants = request.participants || [];
-      const name = request.name || `Conversation ${Date.now()}`;
+    const topicRoom = await this.nodeOneCore.topicModel.enterTopicRoom(conversationId);
+    if (!topicRoom) {
+      throw new Error(`Topic not found: ${conversationId}`);
+    }
+    const message = await this.findMessage(topicRoom, messageId);
+    if (!message?.dataHash) {
+      throw new Error(`Message not found: ${messageId}`);
+    }
 
-      console.error(`[ChatPlan] 🔍 BEFORE createGroup - participants.length: ${participants.length}`);
-      console.error(`[ChatPlan] 🔍 BEFORE createGroup - participants:`, participants);
+    const changes = await getMessageChanges(this.nodeOneCore.channelManager, conversationId);
+    return { message, state: resolveMessageState(message, findMessageChanges(changes, message)) };
+  }
 
-      // Topic ID: Unique based on owner + name + timestamp
-      // Each conversation gets a unique ID even with the same name
-      const timestamp = Date.now();
-      const topicIdSource = `${userId}:${name}:${timestamp}`;
-      const hashBuffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(topicIdSource));
-      const hashArray = Array.from(new Uint8Array(hashBuffer));
-      const hashHex = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-      const topicId = `topic-${hashHex.substring(0, 24)}`;
-      console.log(`[ChatPlan] Unique topic ID: ${topicId} (from: ${userId.substring(0, 8)}:${name}:${timestamp})`);
+  /**
+   * Add an emoji reaction to a message
+   *
+   * Posts a ChatReaction to the topic channel - syncs to all participants like ChatMessage.
+   */
+  async addReaction(request: AddReactionRequest): Promise<AddReactionResponse> {
+    return await this.postReaction(request, 'add');
+  }
 
-      // Create topic using GroupPlan (uses TopicModel internally)
-      const result = await this.groupPlan.createTopic({
-        topicId,
-        topicName: name,
-        participants
-      });
+  /**
+   * Remove an emoji reaction from a message
+   */
+  async removeReaction(request: RemoveReactionRequest): Promise<RemoveReactionResponse> {
+    return await this.postReaction(request, 'remove');
+  }
 
-      if (!result.success) {
-        throw new Error(result.error || 'Topic creation failed');
+  /**
+   * Shared implementation of addReaction/removeReaction
+   */
+  private async postReaction(
+    request: AddReactionRequest | RemoveReactionRequest,
+    action: 'add' | 'remove'
+  ): Promise<AddReactionResponse> {
+    try {
+      if (!this.nodeOneCore.initialized || !this.nodeOneCore.topicModel) {
+        throw new Error('TopicModel not initialized');
       }
 
-      console.log(`[ChatPlan] Created topic via GroupPlan - topicIdHash: ${result.topicIdHash?.substring(0, 8)}`)
-
-      console.log(`[ChatPlan] Topic created with ${participants.length} participants`);
+      if (!this.nodeOneCore.ownerId) {
+        throw new Error('User not authenticated');
+      }
 
-      // Configure channel for group conversations (one.leute pattern)
-      // This ensures Person/Profile objects arriving via CHUM are automatically registered
-      if (this.nodeOneCore.channelManager) {
-        this.nodeOneCore.channelManager.setChannelSettingsAppendSenderProfile(topicId, true);
-        this.nodeOneCore.channelManager.setChannelSettingsRegisterSenderProfileAtLeute(topicId, true);
+      if (!request.emoji || request.emoji.trim().length === 0) {
+        throw new Error('Emoji cannot be empty');
       }
 
-      // Enrich participants with names (same format as getConversations)
-      const enrichedParticipants = await Promise.all(participants.map(async (participantId) => {
-        let name = 'Unknown';
-        let isAI = false;
-        let modelId: string | undefined;
+      const topicRoom = await this.nodeOneCore.topicModel.enterTopicRoom(request.conversationId);
+      if (!topicRoom) {
+        throw new Error(`Topic not found: ${request.conversationId}`);
+      }
 
-        if (this.nodeOneCore.leuteModel) {
-          try {
-            // Check if it's current user
-            if (participantId === this.nodeOneCore.ownerId) {
-              const me: any = await this.nodeOneCore.leuteModel.me();
-              if (me) {
-                const profile: any = await me.mainProfile();
-                if (profile) {
-                  const personName = profile.personDescriptions?.find((d: any) => d.$type$ === 'PersonName');
-                  name = personName?.name || profile.name || 'You';
-                }
-              }
-            } else {
-              // Check if AI participant
-              if (this.nodeOneCore.aiAssistantModel?.isAIPerson(participantId)) {
-                isAI = true;
-                modelId = this.nodeOneCore.aiAssistantModel.getModelIdForPersonId(participantId);
-                if (modelId && this.nodeOneCore.llmManager) {
-                  const modelInfo = await this.nodeOneCore.llmManager.getModel(modelId);
-                  name = modelInfo?.name || modelId;
-                }
-              } else {
-                // Other contact
-                const others = await this.nodeOneCore.leuteModel.others();
-                for (const someone of others) {
-                  const identity = await someone.mainIdentity();
-                  if (identity === participantId) {
-                    const profile: any = await someone.mainProfile();
-                    if (profile) {
-                      const personName = profile.personDescriptions?.find((d: any) => d.$type$ === 'PersonName');
-                      name = personName?.name || profile.name || 'Contact';
-                    }
-                    break;
-                  }
-                }
-              }
-            }
-          } catch (error) {
-            console.warn(`[ChatPlan] Failed to get name for participant ${String(participantId).substring(0, 8)}:`, error);
-          }
-        }
+      const message = await this.findMessage(topicRoom, request.messageId);
+      if (!message?.dataHash) {
+        throw new Error(`Message not found: ${request.messageId}`);
+      }
 
-        return {
-          id: String(participantId),
-          name,
-          isAI,
-          modelId
-        };
-      }));
+      const reaction = createReaction(message, this.nodeOneCore.ownerId, request.emoji.trim(), action);
+      await postToTopicChannel(this.nodeOneCore.channelManager, request.conversationId, reaction);
 
-      // Detect AI participants and register topic automatically
-      console.error(`[ChatPlan] createConversation checking ${participants.length} participants for AI:`, participants);
-      if (this.nodeOneCore.aiAssistantModel) {
-        try {
-          for (const participantId of participants) {
-            console.error(`[ChatPlan] Checking participant: ${participantId}`);
-            if (this.nodeOneCore.aiAssistantModel.isAIPerson(participantId)) {
-              const modelId = this.nodeOneCore.aiAssistantModel.getModelIdForPersonId(participantId);
-              if (modelId) {
-                this.nodeOneCore.aiAssistantModel.registerAITopic(topicId, participantId);
-                console.error(`[ChatPlan] Detected AI participant ${participantId.substring(0, 8)} with model: ${modelId}`);
-
-                // Default chats (hi/lama) are handled by AITopicManager callback
-                // User-created chats need welcome message triggered here
-                const isDefaultChat = topicId === 'hi' || topicId === 'lama';
-                if (!isDefaultChat) {
-                  this.nodeOneCore.aiAssistantModel.handleNewTopic(topicId).catch((error: Error) => {
-                    console.error('[ChatPlan] Failed to generate welcome message:', error);
-                  });
-                }
-                break; // Only register first AI participant
-              }
-            }
-          }
-        } catch (error) {
-          console.error('[ChatPlan] Failed to detect/register AI participants:', error);
-          // Non-fatal - conversation creation succeeded
-        }
-      }
+      // Return the updated aggregate (includes our own reaction immediately)
+      const reactionEntries = await getTopicObjects(this.nodeOneCore.channelManager, request.conversationId, 'ChatReaction');
+      const reactionsByMessage = aggregateReactions(reactionEntries, this.nodeOneCore.ownerId);
 
       return {
         success: true,
         data: {
-          id: topicId,
-          name,
-          type,
-          participants: enrichedParticipants,  // Enriched with names to match getConversations format
-          created: Date.now()
+          messageId: request.messageId,
+          reactions: await this.formatReactions(reactionsByMessage.get(String(message.id)))
         }
       };
     } catch (error) {
-      throw error;
+      console.error(`[ChatPlan] Error ${action === 'add' ? 'adding' : 'removing'} reaction:`, error);
+      return {
+        success: false,
+        error: (error as Error).message
+      };
     }
   }
 
   /**
-   * Get all conversations
+   * Store a file for sending: detects the real type, enforces the attachment
+   * limits and creates a thumbnail (images) or text preview (text files)
    */
-  async getConversations(request: GetConversationsRequest): Promise<GetConversationsResponse> {
+  async prepareAttachment(request: PrepareAttachmentRequest): Promise<PrepareAttachmentResponse> {
     try {
-      if (!this.nodeOneCore.initialized || !this.nodeOneCore.topicModel) {
-        throw new Error('TopicModel not initialized');
-      }
-
-      const limit = request.limit || 20;
-      const offset = request.offset || 0;
-
-      const topics = await this.nodeOneCore.topicModel.topics.all();
-      console.log(`[ChatPlan] getConversations: Found ${topics.length} topics:`, topics.map((t: any) => ({ id: t.id, name: t.name })));
-
-      // Convert to conversation format
-      const conversations = await Promise.all(
-        topics.map(async (topic: any) => {
-          const topicId = topic.id;
-          const name = topic.name;
-          console.log(`[ChatPlan] Processing topic: ${topicId} (${name})`);
-
-          // Get topic idHash for version history lookup
-          let topicIdHash: string | undefined;
-          try {
-            const idHash = await this.nodeOneCore.topicModel.topics.queryIdHashById(topicId);
-            topicIdHash = idHash ? String(idHash) : undefined;
-            console.log(`[ChatPlan] Topic ${topicId} idHash: ${topicIdHash?.substring(0, 16) || 'undefined'}`);
-          } catch (e) {
-            console.warn(`[ChatPlan] Failed to get idHash for ${topicId}:`, e);
-          }
-
-          // Get participants from topic's ChannelInfo with enriched data (names)
-          // ALSO extract AI model info from participants (if any AI contact is found)
-          let participants: any[] = [];
-          let aiModelId: string | undefined;
-          try {
-            // Get participants directly from Topic → ChannelInfo → HashGroup
-            let participantIds: string[] = [];
-
-            try {
-              // Load ChannelInfo from topic.channel
-              const channelResult = await getObjectByIdHash<ChannelInfo>(topic.channel);
-              const channelInfo = channelResult.obj;
-
-              if (channelInfo.participants) {
-                // Load HashGroup to get actual participant IDs
-                const hashGroup = await getObject(channelInfo.participants) as HashGroup<Person>;
-                if (hashGroup.person) {
-                  participantIds = Array.from(hashGroup.person).map((id: any) => String(id));
-                }
-              }
-              console.log(`[ChatPlan] Topic ${topicId} (${name}) - ${participantIds.length} participants from ChannelInfo`);
-            } catch (e) {
-              console.warn(`[ChatPlan] Topic ${topicId} (${name}) - failed to get participants from ChannelInfo:`, e);
-            }
-
-            if (participantIds.length === 0) {
-              // Last resort fallback - shouldn't happen if ChannelInfo exists
-              console.warn(`[ChatPlan] Topic ${topicId} (${name}) - no participants in ChannelInfo, using owner only`);
-              const currentUserId = this.nodeOneCore.ownerId;
-              if (currentUserId) {
-                participantIds = [String(currentUserId)];
-              }
-            }
-
-            console.log(`[ChatPlan] Topic ${topicId} (${name}) - enriching ${participantIds.length} participants...`);
-
-            // Enrich each participant with name and avatar color
-            participants = await Promise.all(participantIds.map(async (participantId) => {
-              let name = 'Unknown';
-              let color: string | undefined;
-              let isAI = false;
-
-                    // Load avatar color from AvatarPreference storage
-                    try {
-                      const result = await getObjectByIdHash(participantId as any);
-                      if (result && result.obj && typeof result.obj === 'object' && '$type$' in result.obj && (result.obj as any).$type$ === 'AvatarPreference') {
-                        color = (result.obj as any).color;
-                      }
-                    } catch (e) {
-                      // No avatar preference exists, color will be undefined
-                    }
-
-                    // Get name from Leute model for ALL participants
-                    if (this.nodeOneCore.leuteModel) {
-                      try {
-                        // Check if it's current user
-                        if (participantId === this.nodeOneCore.ownerId) {
-                          const me: any = await this.nodeOneCore.leuteModel.me();
-                          if (me) {
-                            const profile: any = await me.mainProfile();
-                            if (profile) {
-                              const personName = profile.personDescriptions?.find((d: any) => d.$type$ === 'PersonName');
-                              name = personName?.name || profile.name || 'You';
-                            }
-                          }
-                        } else {
-                          // Check if it's an AI participant by reading LLM objects from storage
-                          if (this.nodeOneCore.llmObjectManager) {
-                            try {
-                              // CRITICAL: Ensure LLMObjectManager is initialized before querying
-                              // Defensive check to prevent silent failures if initialization order changes
-                              if (!(this.nodeOneCore.llmObjectManager as any).initialized) {
-                                console.warn(`[ChatPlan] ⚠️  LLMObjectManager not initialized - initializing now...`);
-                                await this.nodeOneCore.llmObjectManager.initialize();
-                                console.log(`[ChatPlan] ✅ LLMObjectManager initialized (late init)`);
-                              }
-
-                              // Query LLM objects to find one with this personId
-                              const allLLMs = this.nodeOneCore.llmObjectManager.getAllLLMObjects();
-                              console.log(`[ChatPlan] 🔍 DEBUG: Checking ${allLLMs.length} LLM objects for participant ${participantId.substring(0, 8)}...`);
-                              for (const llm of allLLMs) {
-                                const llmData = llm as any;
-                                console.log(`[ChatPlan] 🔍 DEBUG: Checking LLM - personId: ${llmData.personId?.toString().substring(0, 8)}, modelId: ${llmData.modelId}`);
-                                if (llmData.personId && llmData.personId.toString() === participantId) {
-                                  // Found AI contact - use modelId from LLM object (from storage)
-                                  const modelId = llmData.modelId;
-                                  console.log(`[ChatPlan] 🔍 DEBUG: ✅ FOUND AI CONTACT! modelId:`, modelId);
-                                  if (modelId) {
-                                    name = modelId;
-                                    isAI = true; // Mark as AI participant
-                                    // CAPTURE the AI model ID for this conversation
-                                    aiModelId = modelId;
-                                    console.log(`[ChatPlan] 🔍 DEBUG: Set aiModelId to:`, aiModelId);
-                                    break;
-                                  }
-                                }
-                              }
-                            } catch (e) {
-                              console.warn(`[ChatPlan] Failed to check if participant is AI:`, e);
-                            }
-                          }
-
-                          // If not AI or AI check failed, check other contacts
-                          if (name === 'Unknown') {
-                            const others: any = await this.nodeOneCore.leuteModel.others();
-                            for (const someone of others) {
-                              try {
-                                const personId: any = await someone.mainIdentity();
-                                if (personId && personId.toString() === participantId) {
-                                  const profile: any = await someone.mainProfile();
-                                  if (profile) {
-                                    const personName = profile.personDescriptions?.find((d: any) => d.$type$ === 'PersonName');
-                                    name = personName?.name || profile.name || 'User';
-                                    break;
-                                  }
-                                }
-                              } catch (e) {
-                                // Continue to next person
-                              }
-                            }
-                          }
-                        }
-                      } catch (error) {
-                        console.warn(`[ChatPlan] Could not get name for participant ${participantId}:`, error);
-                      }
-                    }
-
-              return {
-                id: participantId,
-                name,
-                isAI,
-                color
-              };
-            }));
-          } catch (error) {
-            console.error(`[ChatPlan] Error fetching participants for topic ${topicId}:`, error);
-
-            // Fallback on error: Add current user as participant
-            if (participants.length === 0) {
-              const currentUserId = this.nodeOneCore.ownerId;
-              if (currentUserId) {
-                participants = [{
-                  id: String(currentUserId),
-                  name: 'You',
-                  isAI: false
-                }];
-              }
-            }
-          }
-
-          // Fetch last message for preview
-          let lastMessage = '';
-          let lastMessageTime = Date.now();
-          try {
-            const topicRoom = await this.nodeOneCore.topicModel.enterTopicRoom(topicId);
-            const messages = await topicRoom.retrieveAllMessages();
-
-            if (messages.length > 0) {
-              // Get the most recent message
-              const sortedMessages = messages.sort((a: any, b: any) => {
-                const timeA = a.creationTime ? new Date(a.creationTime).getTime() : 0;
-                const timeB = b.creationTime ? new Date(b.creationTime).getTime() : 0;
-                return timeB - timeA; // Descending order (newest first)
-              });
-              const recentMessage = sortedMessages[0];
-              lastMessage = recentMessage.data?.text || recentMessage.text || '';
-              lastMessageTime = recentMessage.creationTime ? new Date(recentMessage.creationTime).getTime() : Date.now();
-
-              // Truncate message preview to 100 characters
-              if (lastMessage.length > 100) {
-                lastMessage = lastMessage.substring(0, 100) + '...';
-              }
-            }
-          } catch (error) {
-            // If we can't fetch messages, just continue without preview
-            console.warn(`[ChatPlan] Could not fetch last message for topic ${topicId}:`, error);
-          }
+      const attachment = await this.getAttachmentService().prepare(request);
+      console.log(`[ChatPlan] Prepared attachment ${attachment.hash.substring(0, 8)} (${attachment.mimeType}, ${attachment.size} bytes)`);
+      return { success: true, data: attachment };
+    } catch (error) {
+      console.error('[ChatPlan] Error preparing attachment:', error);
+      return {
+        success: false,
+        error: (error as Error).message
+      };
+    }
+  }
 
-          // Check if this is an AI topic using AITopicManager (authoritative source)
-          let modelName: string | undefined;
-          let isAITopic = false;
+  /**
+   * Start a chunked upload of a large file
+   *
+   * Chunks are sent with appendChunk (any order); an interrupted upload is
+   * resumed by sending the missingChunks of getUploadStatus. Size limits are
+   * checked here, the file type with the first chunk.
+   */
+  async beginUpload(request: BeginUploadRequest): Promise<UploadStateResponse> {
+    try {
+      return { success: true, data: await this.getUploads().begin(request) };
+    } catch (error) {
+      console.error('[ChatPlan] Error starting upload:', error);
+      return {
+        success: false,
+        error: (error as Error).message
+      };
+    }
+  }
 
-          // AUTHORITATIVE CHECK: Use topicManager to determine if this is an AI topic
-          if (this.nodeOneCore.aiAssistantModel?.topicManager?.isAITopic) {
-            isAITopic = this.nodeOneCore.aiAssistantModel.topicManager.isAITopic(topicId);
-          }
+  async appendChunk(request: AppendChunkRequest): Promise<UploadStateResponse> {
+    try {
+      const state = await this.getUploads().append(request.uploadId, request.index, request.data, request.sha256);
+      return { success: true, data: state };
+    } catch (error) {
+      console.error(`[ChatPlan] Error storing chunk ${request.index}:`, error);
+      return {
+        success: false,
+        error: (error as Error).message
+      };
+    }
+  }
 
-          // Get AI model ID if it's an AI topic
-          if (isAITopic) {
-            // Use aiModelId from participants if found, otherwise get from topicManager
-            if (!aiModelId && this.nodeOneCore.aiAssistantModel?.topicManager?.getAIPersonForTopic) {
-              const aiPersonId = this.nodeOneCore.aiAssistantModel.topicManager.getAIPersonForTopic(topicId);
-              if (aiPersonId && this.nodeOneCore.aiAssistantModel?.aiManager?.getLLMId) {
-                aiModelId = await this.nodeOneCore.aiAssistantModel.aiManager.getLLMId(aiPersonId);
-              }
-            }
+  /**
+   * Get the progress of an upload (also after a restart)
+   */
+  async getUploadStatus(request: UploadRequest): Promise<UploadStateResponse> {
+    try {
+      return { success: true, data: await this.getUploads().getState(request.uploadId) };
+    } catch (error) {
+      console.error('[ChatPlan] Error getting upload status:', error);
+      return {
+        success: false,
+        error: (error as Error).message
+      };
+    }
+  }
 
-            // Get model name from LLM manager
-            if (aiModelId && this.nodeOneCore.llmManager) {
-              const modelInfo = await this.nodeOneCore.llmManager.getModel(aiModelId);
-              modelName = modelInfo?.name || aiModelId;
-            }
-          }
+  /**
+   * Assemble an upload into one file and verify its checksum
+   *
+   * On a checksum mismatch the upload stays open, so the chunks can be sent again.
+   */
+  async finishUpload(request: UploadRequest): Promise<FinishUploadResponse> {
+    try {
+      return { success: true, data: await this.getUploads().finish(request.uploadId) };
+    } catch (error) {
+      console.error('[ChatPlan] Error finishing upload:', error);
+      return {
+        success: false,
+        error: (error as Error).message
+      };
+    }
+  }
 
-          // Resolve display name for P2P topics (format: hash1<->hash2)
-          // P2P topics should show the OTHER participant's name, not the raw hash format
-          let displayName = name || topicId;
-          const p2pRegex = /^([0-9a-f]{64})<->([0-9a-f]{64})$/;
-          const p2pMatch = topicId.match(p2pRegex);
-          if (p2pMatch && this.nodeOneCore.leuteModel) {
-            // Extract both participant IDs and find the OTHER one
-            const [, personA, personB] = p2pMatch;
-            const myId = String(this.nodeOneCore.ownerId);
-            const otherId = (personA === myId) ? personB : personA;
-
-            // Look up the other participant's name from contacts
-            try {
-              const others = await this.nodeOneCore.leuteModel.others();
-              for (const someone of others) {
-                const personId = await someone.mainIdentity();
-                if (personId && String(personId) === otherId) {
-                  const profile = await someone.mainProfile();
-                  if (profile) {
-                    // Try descriptionsOfType first (method), then fall back to array search
-                    let personName: any = null;
-                    if (typeof profile.descriptionsOfType === 'function') {
-                      const personNames = profile.descriptionsOfType('PersonName');
-                      if (personNames && personNames.length > 0) {
-                        personName = personNames[0];
-                      }
-                    }
-                    if (!personName && profile.personDescriptions) {
-                      personName = profile.personDescriptions.find((d: any) => d.$type$ === 'PersonName');
-                    }
-
-                    if (personName?.name) {
-                      displayName = personName.name;
-                    } else {
-                      // No PersonName - try email from Person object (may not be synced yet)
-                      try {
-                        const { getObjectByIdHash } = await import('@refinio/one.core/lib/storage-versioned-objects.js');
-                        const personResult = await getObjectByIdHash(personId);
-                        const personObj = personResult?.obj as any;
-                        if (personObj?.email) {
-                          // Extract name part from email (before @)
-                          const emailName = personObj.email.split('@')[0];
-                          displayName = emailName || `Contact ${otherId.substring(0, 8)}`;
-                        }
-                      } catch {
-                        // Person object not synced yet - fallback handled below
-                      }
-                    }
-                  }
-                  break;
-                }
-              }
-              // If not found in contacts, use truncated hash as fallback
-              if (displayName === name || displayName === topicId) {
-                displayName = `Contact ${otherId.substring(0, 8)}`;
-              }
-            } catch (e) {
-              console.warn(`[ChatPlan] Could not resolve P2P contact name for ${otherId.substring(0, 8)}:`, e);
-              displayName = `Contact ${otherId.substring(0, 8)}`;
-            }
-          }
+  async cancelUpload(request: UploadRequest): Promise<UploadStateResponse> {
+    try {
+      return { success: true, data: await this.getUploads().cancel(request.uploadId) };
+    } catch (error) {
+      console.error('[ChatPlan] Error cancelling upload:', error);
+      return {
+        success: false,
+        error: (error as Error).message
+      };
+    }
+  }
 
-          return {
-            id: topicId,
-            topicIdHash,  // For version history lookup
-            name: displayName,
-            type: 'chat',
-            participants,
-            lastActivity: lastMessageTime,
-            lastMessage,
-            unreadCount: 0,
-            isAITopic,
-            aiModelId,
-            modelName
-          };
-        })
-      );
+  /**
+   * Read a byte range of an attachment (downloads in parts, seeking in media)
+   */
+  async readAttachment(request: ReadAttachmentRequest): Promise<ReadAttachmentResponse> {
+    try {
+      const offset = request.offset ?? 0;
+      const bytes = await readBlobRange(request.hash, offset, request.length);
+      return { success: true, data: { offset, bytes } };
+    } catch (error) {
+      console.error('[ChatPlan] Error reading attachment:', error);
+      return {
+        success: false,
+        error: (error as Error).message
+      };
+    }
+  }
 
-      // Sort by last activity
-      const sortedConversations = conversations.sort((a, b) => b.lastActivity - a.lastActivity);
-      console.log(`[ChatPlan] After conversion: ${conversations.length} conversations:`,
-        conversations.map(c => ({ id: c.id, name: c.name, participants: c.participants.length, isAITopic: c.isAITopic })));
+  /**
+   * Render a message as audio with the active TTS model
+   *
+   * The audio is cached per message and voice; asking again returns the
+   * cached BLOB unless the text or the model changed.
+   */
+  async synthesizeMessage(request: SynthesizeMessageRequest): Promise<SynthesizeMessageResponse> {
+    try {
+      if (!this.speech) {
+        throw new Error('Text-to-speech is not configured');
+      }
 
-      // Apply pagination
-      const paginatedConversations = sortedConversations.slice(offset, offset + limit);
-      console.log(`[ChatPlan] Returning ${paginatedConversations.length} conversations (offset: ${offset}, limit: ${limit})`);
+      // Edited messages are read with their latest text
+      const { message, state } = await this.getEditableMessage(request.conversationId, request.messageId);
+      if (state.deleted) {
+        throw new Error('Message was deleted');
+      }
 
-      return {
-        success: true,
-        data: paginatedConversations
-      };
+      const speech = await this.speech.synthesize(message.dataHash, state.text, request.voice);
+      return { success: true, data: { messageId: request.messageId, ...speech } };
     } catch (error) {
-      console.error('[ChatPlan] Error getting conversations:', error);
+      console.error('[ChatPlan] Error synthesizing message:', error);
       return {
         success: false,
         error: (error as Error).message
@@ -1161,35 +4481,44 @@ export class ChatPlan {
   }
 
   /**
-   * Get a single conversation
+   * Read new AI replies of a conversation aloud as they arrive (AI conversations only)
+   *
+   * The audio is delivered through onSpeech.
    */
-  async getConversation(request: GetConversationRequest): Promise<GetConversationResponse> {
+  async setAutoSpeak(request: SetAutoSpeakRequest): Promise<AutoSpeakResponse> {
     try {
-      if (!this.nodeOneCore.initialized || !this.nodeOneCore.topicModel) {
-        throw new Error('Node not initialized');
+      if (!this.speech) {
+        throw new Error('Text-to-speech is not configured');
       }
-
-      // Try to get the topic
-      const topic: any = await this.nodeOneCore.topicModel.topics.queryById(request.conversationId);
-
-      if (!topic) {
-        throw new Error(`Conversation not found: ${request.conversationId}`);
+      if (request.enabled && !(await this.getRecipients(request.conversationId)).some(r => r.isAI)) {
+        throw new Error('Auto-speak is only available in conversations with an AI');
       }
 
-      // Convert to conversation format
-      const conversation: any = {
-        id: topic.id,
-        name: topic.name || topic.id,
-        createdAt: topic.creationTime ? new Date(topic.creationTime).toISOString() : new Date().toISOString(),
-        participants: topic.members || []
-      };
-
+      const settings = await this.speech.setAutoSpeak(request.conversationId, this.nodeOneCore.ownerId, {
+        enabled: request.enabled,
+        voice: request.voice
+      });
+      if (settings.enabled) {
+        this.startLiveUpdates();
+      }
+      return { success: true, data: { conversationId: request.conversationId, ...settings } };
+    } catch (error) {
+      console.error('[ChatPlan] Error setting auto-speak:', error);
       return {
-        success: true,
-        data: conversation
+        success: false,
+        error: (error as Error).message
       };
+    }
+  }
+
+  async getAutoSpeak(request: { conversationId: string }): Promise<AutoSpeakResponse> {
+    try {
+      const settings = this.speech
+        ? await this.speech.getAutoSpeak(request.conversationId, this.nodeOneCore.ownerId)
+        : { enabled: false };
+      return { success: true, data: { conversationId: request.conversationId, ...settings } };
     } catch (error) {
-      console.error('[ChatPlan] Error getting conversation:', error);
+      console.error('[ChatPlan] Error getting auto-speak:', error);
       return {
         success: false,
         error: (error as Error).message
@@ -1198,49 +4527,68 @@ export class ChatPlan {
   }
 
   /**
-   * Create a P2P (one-to-one) conversation
+   * Create a poll - sent as a message with the question as text
    *
-   * Uses P2PTopicService internally to create topic with proper channel setup.
-   * All P2P topic creation MUST go through this method - platform code should NOT
-   * call P2PTopicService or TopicModel directly.
+   * Goes through the outbox like sendMessage; the ChatPoll is attached once
+   * the question message is stored, and the message only counts as stored
+   * with its poll.
    */
-  async createP2PConversation(request: CreateP2PConversationRequest): Promise<CreateP2PConversationResponse> {
+  async createPoll(request: CreatePollRequest): Promise<SendMessageResponse> {
     try {
-      if (!this.nodeOneCore.initialized || !this.nodeOneCore.topicModel) {
-        throw new Error('Node not initialized');
-      }
-
-      const { localPersonId, remotePersonId } = request;
-
-      console.log('[ChatPlan] Creating P2P conversation');
-      console.log('[ChatPlan]   Local person:', localPersonId?.substring(0, 8));
-      console.log('[ChatPlan]   Remote person:', remotePersonId?.substring(0, 8));
-
-      // Use P2PTopicService to create the topic
-      const { topicRoom, wasCreated } = await createP2PTopic(
-        this.nodeOneCore.topicModel,
-        localPersonId,
-        remotePersonId
+      const spec = normalizePollSpec(request);
+      const userId = this.nodeOneCore.ownerId || this.stateManager?.getState('user.id');
+      return await this.sendMessageInternal(
+        { conversationId: request.conversationId, content: spec.question },
+        userId,
+        spec
       );
+    } catch (error) {
+      console.error('[ChatPlan] Error creating poll:', error);
+      return {
+        success: false,
+        error: (error as Error).message
+      };
+    }
+  }
 
-      // Generate P2P topic ID (lexicographically sorted)
-      const topicId = localPersonId < remotePersonId
-        ? `${localPersonId}<->${remotePersonId}`
-        : `${remotePersonId}<->${localPersonId}`;
+  /**
+   * Vote in a poll - replaces the own previous vote
+   */
+  async vote(request: VotePollRequest): Promise<PollResponse> {
+    try {
+      const { message, poll } = await this.getPoll(request.conversationId, request.messageId);
 
-      if (wasCreated) {
-        console.log('[ChatPlan] ✅ Created new P2P conversation:', topicId);
-      } else {
-        console.log('[ChatPlan] ✅ Using existing P2P conversation:', topicId);
+      const roles = await this.getRoleState(request.conversationId);
+      if (getRole(roles, String(this.nodeOneCore.ownerId)) === 'read-only') {
+        throw new Error('Read-only participants cannot vote');
       }
 
+      const vote = createPollVote(poll, this.nodeOneCore.ownerId, request.choices || []);
+      await postToTopicChannel(this.nodeOneCore.channelManager, request.conversationId, vote);
+
+      return await this.pollResponse(request, message);
+    } catch (error) {
+      console.error('[ChatPlan] Error voting:', error);
       return {
-        success: true,
-        topicId,
-        topicRoom
+        success: false,
+        error: (error as Error).message
       };
+    }
+  }
+
+  /**
+   * Close a poll before its closing time (poll creator only)
+   */
+  async closePoll(request: ClosePollRequest): Promise<PollResponse> {
+    try {
+      const { message, poll } = await this.getPoll(request.conversationId, request.messageId);
+
+      const close = createPollClose(poll, this.nodeOneCore.ownerId);
+      await postToTopicChannel(this.nodeOneCore.channelManager, request.conversationId, close);
+
+      return await this.pollResponse(request, message);
     } catch (error) {
-      console.error('[ChatPlan] Error creating P2P conversation:', error);
+      console.error('[ChatPlan] Error closing poll:', error);
       return {
         success: false,
         error: (error as Error).message
@@ -1249,331 +4597,621 @@ export class ChatPlan {
   }
 
   /**
-   * Create a group conversation with proper Group/HashGroup structure.
-   *
-   * This method implements the new group chat architecture:
-   * 1. Creates HashGroup with participants
-   * 2. Uses GroupChatPlan to create Group referencing HashGroup
-   * 3. Uses TopicModel to create Topic referencing Group
-   * 4. Grants access via HashGroup (CHUM handles automatic distribution)
-   *
-   * @param name - Name of the group conversation
-   * @param participants - Person IDs of all participants (owner is auto-included)
-   * @returns The created Topic
+   * Tally all polls of a topic
    */
-  async createGroupConversation(
-    name: string,
-    participants: SHA256IdHash<Person>[]
-  ): Promise<Topic> {
+  private async loadPolls(conversationId: string, since?: number): Promise<Map<string, PollSummary>> {
+    const read = (type: string): Promise<any[]> => since === undefined
+      ? getTopicObjects(this.nodeOneCore.channelManager, conversationId, type)
+      : getTopicObjectsSince(this.nodeOneCore.channelManager, conversationId, type, since);
+    const [pollEntries, voteEntries, closeEntries] = await Promise.all([
+      read('ChatPoll'),
+      read('ChatPollVote'),
+      read('ChatPollClose')
+    ]);
+    return aggregatePolls(pollEntries, voteEntries, closeEntries, this.nodeOneCore.ownerId);
+  }
+
+  /**
+   * Find a poll message and its current poll state
+   */
+  private async getPoll(conversationId: string, messageId: string): Promise<{ message: any; poll: PollSummary }> {
     if (!this.nodeOneCore.initialized || !this.nodeOneCore.topicModel) {
       throw new Error('TopicModel not initialized');
     }
-
     if (!this.nodeOneCore.ownerId) {
-      throw new Error('Owner ID not set');
+      throw new Error('User not authenticated');
     }
 
-    console.log(`[ChatPlan] Creating group conversation "${name}" with ${participants.length} participants`);
+    const topicRoom = await this.nodeOneCore.topicModel.enterTopicRoom(conversationId);
+    if (!topicRoom) {
+      throw new Error(`Topic not found: ${conversationId}`);
+    }
 
-    // Ensure owner is included in participants
-    const allParticipants = [...participants];
-    if (!allParticipants.includes(this.nodeOneCore.ownerId)) {
-      allParticipants.unshift(this.nodeOneCore.ownerId);
+    const message = await this.findMessage(topicRoom, messageId);
+    if (!message?.dataHash) {
+      throw new Error(`Message not found: ${messageId}`);
     }
 
-    // Import storage functions
-    const { storeUnversionedObject } = await import('@refinio/one.core/lib/storage-unversioned-objects.js');
-    const { calculateIdHashOfObj } = await import('@refinio/one.core/lib/util/object.js');
-    const { createAccess } = await import('@refinio/one.core/lib/access.js');
+    const poll = (await this.loadPolls(conversationId)).get(String(message.dataHash));
+    if (!poll) {
+      throw new Error(`Message is not a poll: ${messageId}`);
+    }
+    return { message, poll };
+  }
 
-    // Step 1: Create HashGroup with participants
-    const hashGroup: HashGroup<Person> = {
-      $type$: 'HashGroup',
-      person: new Set(allParticipants)
+  /**
+   * Updated poll of a message (includes the own vote or close immediately)
+   */
+  private async pollResponse(request: { conversationId: string; messageId: string }, message: any): Promise<PollResponse> {
+    const poll = (await this.loadPolls(request.conversationId)).get(String(message.dataHash));
+    return {
+      success: true,
+      data: {
+        messageId: request.messageId,
+        poll: await this.formatPoll(poll)
+      }
     };
-    const hashGroupResult = await storeUnversionedObject(hashGroup);
-    const hashGroupHash = hashGroupResult.hash as SHA256Hash<HashGroup<Person>>;
+  }
 
-    console.log(`[ChatPlan] Created HashGroup: ${hashGroupHash.substring(0, 8)}`);
+  /**
+   * Convert a poll summary to UI format (voter IDs enriched with names)
+   */
+  private async formatPoll(poll: PollSummary | undefined): Promise<any> {
+    if (!poll) {
+      return undefined;
+    }
+    return {
+      ...poll,
+      tallies: await Promise.all(poll.tallies.map(async tally => ({
+        ...tally,
+        voters: tally.voters
+          ? await Promise.all(tally.voters.map(async id => ({ id, name: await this.resolvePersonName(id) })))
+          : undefined
+      })))
+    };
+  }
 
-    // Step 2: Create Group referencing HashGroup
-    const { storeVersionedObject } = await import('@refinio/one.core/lib/storage-versioned-objects.js');
+  /**
+   * Send the own typing state to the other participants of a conversation
+   *
+   * Ephemeral: sent over the presence transport, never stored or synced via CHUM.
+   * Call repeatedly while typing (throttled) and with false when typing stops.
+   */
+  async setTyping(conversationId: string, isTyping: boolean): Promise<SetTypingResponse> {
+    try {
+      if (!this.nodeOneCore.initialized || !this.nodeOneCore.topicModel) {
+        throw new Error('TopicModel not initialized');
+      }
 
-    const group: Group = {
-      $type$: 'Group',
-      name,
-      hashGroup: hashGroupHash,
-      participants: hashGroupHash
+      const topic = await this.nodeOneCore.topicModel.topics.queryById(conversationId);
+      if (!topic) {
+        throw new Error(`Conversation not found: ${conversationId}`);
+      }
+
+      // Only humans receive typing signals - AI participants are local
+      const directory = this.getDirectory();
+      const recipients: string[] = [];
+      for (const participantId of await this.getTopicParticipantIds(topic)) {
+        if (participantId === String(this.nodeOneCore.ownerId)) {
+          continue;
+        }
+        if (directory && (await directory.get(participantId)).isAI) {
+          continue;
+        }
+        recipients.push(participantId);
+      }
+
+      await getPresenceService(this.nodeOneCore).setTyping(conversationId, recipients, isTyping);
+      return { success: true };
+    } catch (error) {
+      console.error('[ChatPlan] Error setting typing state:', error);
+      return {
+        success: false,
+        error: (error as Error).message
+      };
+    }
+  }
+
+  /**
+   * Subscribe to typing state of other participants
+   *
+   * @returns Function that removes the listener
+   */
+  onTyping(listener: (event: TypingChangedEvent) => void): Unsubscribe {
+    return getPresenceService(this.nodeOneCore).onTyping(event => {
+      this.isTypingParticipant(event.conversationId, event.personId)
+        .then(async isParticipant => {
+          // Signals name any conversation - only its participants are shown
+          if (isParticipant) {
+            listener({ ...event, name: await this.resolvePersonName(event.personId) });
+          }
+        })
+        .catch((error: Error) => console.error('[ChatPlan] typing listener failed:', error));
+    });
+  }
+
+  private async isTypingParticipant(conversationId: string, personId: string): Promise<boolean> {
+    const topic = await this.nodeOneCore.topicModel?.topics.queryById(conversationId);
+    if (!topic) {
+      return false;
+    }
+    return (await this.getTopicParticipantIds(topic)).includes(String(personId));
+  }
+
+  /**
+   * Subscribe to new messages in all conversations (sent and received)
+   *
+   * @returns Function that removes the listener
+   */
+  onMessage(listener: (event: ChatMessageEvent) => void): Unsubscribe {
+    this.startLiveUpdates();
+    return this.events.on('message', listener);
+  }
+
+  /**
+   * Subscribe to message edits
+   *
+   * @returns Function that removes the listener
+   */
+  onMessageEdited(listener: (event: ChatMessageEditedEvent) => void): Unsubscribe {
+    this.startLiveUpdates();
+    return this.events.on('messageEdited', listener);
+  }
+
+  /**
+   * Subscribe to conversation list changes (new conversations, last message,
+   * unread count, name, participants)
+   *
+   * @returns Function that removes the listener
+   */
+  onConversationUpdated(listener: (conversation: any) => void): Unsubscribe {
+    this.startLiveUpdates();
+    return this.events.on('conversationUpdated', listener);
+  }
+
+  /**
+   * Subscribe to participant changes of conversations
+   *
+   * @returns Function that removes the listener
+   */
+  onParticipantsChanged(listener: (event: ParticipantsChangedEvent) => void): Unsubscribe {
+    this.startLiveUpdates();
+    return this.events.on('participantsChanged', listener);
+  }
+
+  /**
+   * Subscribe to join requests that wait for approval (or could not be completed)
+   *
+   * @returns Function that removes the listener
+   */
+  onJoinRequest(listener: (request: JoinRequestInfo) => void): Unsubscribe {
+    return this.events.on('joinRequest', listener);
+  }
+
+  /**
+   * Subscribe to transcripts of voice messages (sent from this instance)
+   *
+   * Transcripts of other participants arrive with getMessages.
+   *
+   * @returns Function that removes the listener
+   */
+  onTranscript(listener: (event: TranscriptEvent) => void): Unsubscribe {
+    return this.events.on('transcript', listener);
+  }
+
+  /**
+   * Subscribe to AI replies read aloud by auto-speak
+   *
+   * @returns Function that removes the listener
+   */
+  onSpeech(listener: (event: SpeechEvent) => void): Unsubscribe {
+    this.startLiveUpdates();
+    return this.events.on('speech', listener);
+  }
+
+  /**
+   * Subscribe to upload progress (every stored chunk, finish and cancel)
+   *
+   * @returns Function that removes the listener
+   */
+  onUploadProgress(listener: (state: UploadState) => void): Unsubscribe {
+    return this.events.on('uploadProgress', listener);
+  }
+
+  /**
+   * Subscribe to outbox status changes of own messages (queued, stored, failed)
+   *
+   * @returns Function that removes the listener
+   */
+  onOutboxStatus(listener: (entry: OutboxEntry) => void): Unsubscribe {
+    return this.events.on('outboxStatus', listener);
+  }
+
+  /**
+   * Start listening to channel updates (once, on first subscription or UI ready)
+   */
+  private startLiveUpdates(): void {
+    if (this.liveUpdates || !this.nodeOneCore.channelManager?.onUpdated) {
+      return;
+    }
+
+    this.liveUpdates = {
+      baseline: true,
+      watermarks: new Map(),
+      channelToTopic: new Map(),
+      metadataVersions: new Map(),
+      disconnect: []
     };
-    const groupResult = await storeVersionedObject(group);
-    const groupIdHash = groupResult.idHash as SHA256IdHash<Group>;
-    console.log(`[ChatPlan] Created Group: ${groupIdHash.substring(0, 8)}`);
 
-    // Step 3: Create Topic referencing Group
-    // Channel identity is based on participants only (no owner)
-    const topic = await this.nodeOneCore.topicModel.createGroupTopic(
-      name,
-      groupIdHash
-      // topicId auto-generated
-    );
-    const topicIdHash = await calculateIdHashOfObj(topic);
+    // Callback signature: (channelInfoIdHash, participantsHash, owner, time, data)
+    const disconnect = this.nodeOneCore.channelManager.onUpdated((channelInfoIdHash: any) => {
+      this.handleChannelUpdate(String(channelInfoIdHash)).catch((error: Error) => {
+        console.error('[ChatPlan] Failed to process channel update:', error);
+      });
+    });
+    if (typeof disconnect === 'function') {
+      this.liveUpdates.disconnect.push(disconnect);
+    }
 
-    console.log(`[ChatPlan] Created Topic: ${topicIdHash.substring(0, 8)}`);
+    // Sync acknowledgements of others, and ours again for participants coming online
+    const presence = getPresenceService(this.nodeOneCore);
+    this.liveUpdates.disconnect.push(
+      presence.onDelivered(event => {
+        this.recordDelivery(event.conversationId, event.personId, event.receivedUpTo).catch((error: Error) => {
+          console.warn('[ChatPlan] Failed to record delivery:', error);
+        });
+      }),
+      presence.onPresence(state => {
+        if (state.isOnline) {
+          this.resendDeliveryAcks(state.personId).catch((error: Error) => {
+            console.warn('[ChatPlan] Failed to resend delivery acknowledgements:', error);
+          });
+        }
+      })
+    );
 
-    // Step 4: Grant access via HashGroup
-    // Note: We only grant access to Topic, NOT to ChannelInfo separately.
-    // CHUM follows Topic.channel (referenceToId) automatically, fetching ChannelInfo
-    // as a child of Topic. This ensures ChannelInfo is available before Topic is
-    // processed by listeners (children fetched before root).
-    const accessRequests: SetAccessParam[] = [
-      {
-        id: topicIdHash,
-        person: [],
-        hashGroup: [hashGroupHash],
-        mode: SET_ACCESS_MODE.ADD
-      }
-    ];
+    // Map channels to topics and load conversation summaries
+    this.scheduleTopicScan();
+  }
 
-    await createAccess(accessRequests);
-    console.log(`[ChatPlan] Granted access via HashGroup`);
+  /**
+   * Stop listening to channel updates and invite pairings (call before shutting the instance down)
+   *
+   * Subscriptions stay registered; the next subscription or uiReady() starts
+   * listening again and treats messages stored until then as already seen.
+   */
+  stopLiveUpdates(): void {
+    this.stopInvitePairings?.();
+    this.stopInvitePairings = undefined;
+    this.invitePairings.clear();
+
+    const live = this.liveUpdates;
+    if (!live) {
+      return;
+    }
+    for (const disconnect of live.disconnect) {
+      disconnect();
+    }
+    if (live.topicScan) {
+      clearTimeout(live.topicScan);
+    }
+    this.liveUpdates = undefined;
+  }
 
-    // Configure channel for group conversations
-    if (this.nodeOneCore.channelManager) {
-      this.nodeOneCore.channelManager.setChannelSettingsAppendSenderProfile(topic.id, true);
-      this.nodeOneCore.channelManager.setChannelSettingsRegisterSenderProfileAtLeute(topic.id, true);
+  private async handleChannelUpdate(channelInfoIdHash: string): Promise<void> {
+    const topicId = this.liveUpdates?.channelToTopic.get(channelInfoIdHash);
+    if (topicId) {
+      // Conversation summary is refreshed by the conversation index itself
+      await this.emitNewMessages(topicId);
+      await this.emitMessageChanges(topicId);
+      await this.acknowledgeDelivery(topicId);
+      await this.processJoinRequests(topicId);
+      return;
     }
 
-    console.log(`[ChatPlan] Group conversation created: ${topic.id}`);
+    // Channel of another participant, a new topic or a new topic version
+    this.scheduleTopicScan();
+  }
 
-    return topic;
+  private scheduleTopicScan(): void {
+    const live = this.liveUpdates;
+    if (!live || live.topicScan) {
+      return;
+    }
+
+    live.topicScan = setTimeout(() => {
+      live.topicScan = undefined;
+      this.scanTopics().catch((error: Error) => {
+        console.error('[ChatPlan] Failed to scan topics for updates:', error);
+      });
+    }, LIVE_SCAN_DELAY_MS);
   }
 
   /**
-   * Get current user
+   * Check all topics for new messages and changed conversations
    */
-  async getCurrentUser(_request: GetCurrentUserRequest): Promise<GetCurrentUserResponse> {
-    try {
-      if (!this.nodeOneCore.initialized || !this.nodeOneCore.ownerId) {
-        // Fallback to state manager
-        const userId = this.stateManager?.getState('user.id');
-        const userName = this.stateManager?.getState('user.name');
+  private async scanTopics(): Promise<void> {
+    if (!this.nodeOneCore.topicModel) {
+      return;
+    }
 
-        if (userId) {
-          return {
-            success: true,
-            user: {
-              id: userId,
-              name: userName || 'User'
-            }
-          };
-        }
+    const topics = await this.nodeOneCore.topicModel.topics.all();
+    const index = this.getConversationIndex();
 
-        return {
-          success: false,
-          error: 'User not authenticated'
-        };
+    // Rebuilds changed topics (emits conversationUpdated / participantsChanged)
+    await index.getConversations();
+
+    for (const topic of topics) {
+      this.liveUpdates!.channelToTopic.set(String(topic.channel), topic.id);
+      if (await this.emitNewMessages(topic.id) > 0) {
+        await index.refreshActivity(topic.id);
       }
+      await this.emitMessageChanges(topic.id);
+      await this.acknowledgeDelivery(topic.id);
+      await this.checkMetadataChange(topic.id);
+      await this.processJoinRequests(topic.id);
+    }
+    if (this.liveUpdates) {
+      // Topics found from now on synced after listening started - their messages are new
+      this.liveUpdates.baseline = false;
+    }
+  }
 
-      // Get from ONE.core instance
-      const ownerId = this.nodeOneCore.ownerId;
-      let userName = 'User';
+  /**
+   * Rebuild a conversation when another participant edited its metadata,
+   * AI addressing or AI settings
+   */
+  private async checkMetadataChange(topicId: string): Promise<void> {
+    const live = this.liveUpdates;
+    if (!live) {
+      return;
+    }
 
-      // Try to get name from LeuteModel
-      if (this.nodeOneCore.leuteModel) {
-        try {
-          const me: any = await this.nodeOneCore.leuteModel.me();
-          if (me) {
-            const profile: any = await me.mainProfile();
-            if (profile?.personDescriptions?.length > 0) {
-              const nameDesc = profile.personDescriptions.find((d: any) =>
-                d.$type$ === 'PersonName' && d.name
-              );
-              if (nameDesc?.name) {
-                userName = nameDesc.name;
-              }
-            }
-          }
-        } catch (e) {
-          console.warn('[ChatPlan] Could not get user profile:', e);
-        }
-      }
+    const { version, settingsHash } = await this.getMetadataVersion(topicId);
+    const firstCheck = !live.metadataVersions.has(topicId);
+    // After a start the stored summary shows what was applied before (summaries without one are rebuilt once)
+    const known = live.metadataVersions.get(topicId)
+      ?? await this.getConversationIndex().getMetadataVersion(topicId)
+      ?? '';
+    live.metadataVersions.set(topicId, version);
+
+    // Settings (also those stored before a restart) decide who answers the topic's AI messages
+    if (settingsHash && (firstCheck || !known.endsWith(`:${settingsHash}`))) {
+      await this.syncAIRegistration(topicId);
+    }
+    if (known !== version) {
+      await this.syncTopicName(topicId);
+      await this.rebuildConversation(topicId);
+    }
+  }
 
-      return {
-        success: true,
-        user: {
-          id: String(ownerId),
-          name: userName
-        }
-      };
-    } catch (error) {
-      console.error('[ChatPlan] Error getting current user:', error);
-      return {
-        success: false,
-        error: (error as Error).message
-      };
+  /**
+   * Hashes of the newest metadata, AI routing and AI settings objects of a topic
+   */
+  private async getMetadataVersion(topicId: string): Promise<{ version: string; settingsHash: string }> {
+    const [latest, routing, settings] = await Promise.all([
+      getLatestMetadataEntry(this.nodeOneCore.channelManager, topicId),
+      getLatestAIRoutingEntry(this.nodeOneCore.channelManager, topicId),
+      getLatestAISettingsEntry(this.nodeOneCore.channelManager, topicId)
+    ]);
+    const settingsHash = String(settings?.dataHash ?? '');
+    return { version: `${latest?.dataHash ?? ''}:${routing?.dataHash ?? ''}:${settingsHash}`, settingsHash };
+  }
+
+  /**
+   * Store a new Topic version when the conversation name in the metadata differs
+   * from the Topic's name (own edits and edits synced from other participants)
+   */
+  private async syncTopicName(topicId: string): Promise<void> {
+    const topic = await this.nodeOneCore.topicModel?.topics.queryById(topicId);
+    if (!topic) {
+      return;
+    }
+    const { name } = await getConversationMetadata(this.nodeOneCore.channelManager, topic);
+    if (name && topic.name !== name) {
+      await storeVersionedObject({ ...topic, name });
+      console.log(`[ChatPlan] Stored new Topic version of ${topicId} (name: ${name})`);
     }
   }
 
   /**
-   * Add participants to a conversation
+   * Read the entries of a type that were posted to a topic after its live
+   * watermark, and move the watermark to the newest of them
    *
-   * Updates access rights for the existing topic - does NOT create a new topic.
-   * Topic versions are tracked via ONE.core's versioning system.
+   * The first read after listening started only places the watermark at the
+   * newest entry - the history is not live. Topics found on later scans synced
+   * after listening started and are read from their beginning (or floor).
+   * Entries that sync in below the watermark (posted offline with an older
+   * creation time) are not live events; getMessages shows them.
+   *
+   * @param floor - Stop at entries created at or before this time (clear marker)
+   * @returns The new entries, newest first
    */
-  async addParticipants(request: AddParticipantsRequest): Promise<AddParticipantsResponse> {
-    try {
-      console.log('[ChatPlan] ========== ADD PARTICIPANTS START ==========');
-      console.log('[ChatPlan] Conversation:', request.conversationId);
-      console.log('[ChatPlan] Participant IDs to add:', request.participantIds);
-
-      if (!this.nodeOneCore.initialized || !this.nodeOneCore.topicModel) {
-        throw new Error('Models not initialized');
+  private async readSinceWatermark(topicId: string, type: string, floor: number = 0): Promise<any[]> {
+    const live = this.liveUpdates!;
+    const key = `${type}|${topicId}`;
+    const watermark = live.watermarks.get(key);
+    const baseline = !watermark && live.baseline;
+
+    const entries: any[] = [];
+    for await (const entry of iterateTopicObjects(this.nodeOneCore.channelManager, topicId, type)) {
+      const position = getEntryPosition(entry);
+      if ((watermark && comparePositions(position, watermark) <= 0) || (floor && position.time <= floor)) {
+        break;
       }
-
-      // Get the existing topic
-      const topic = await this.nodeOneCore.topicModel.topics.queryById(request.conversationId);
-      if (!topic) {
-        throw new Error(`Topic not found: ${request.conversationId}`);
+      entries.push(entry);
+      if (baseline) {
+        break;
       }
+    }
 
-      // Add participants to the topic (creates new channel, stores new Topic version)
-      const updatedTopic = await this.nodeOneCore.topicModel.addPersonsToTopic(
-        request.participantIds as any[], // SHA256IdHash<Person>[]
-        topic
-      );
-
-      console.log('[ChatPlan] ✅ Added participants to topic, new channel:', updatedTopic.channel?.substring(0, 8));
+    if (entries.length > 0) {
+      live.watermarks.set(key, getEntryPosition(entries[0]));
+    } else if (!watermark) {
+      live.watermarks.set(key, { time: floor });
+    }
+    return baseline ? [] : entries;
+  }
 
-      // Update GroupPlan to add participants (updates Topic → ChannelInfo → HashGroup)
-      if (this.groupPlan) {
-        console.log('[ChatPlan] Updating GroupPlan with new participants');
-        await this.groupPlan.addParticipants({
-          topicId: request.conversationId,
-          participants: request.participantIds as any[]
-        });
-        console.log('[ChatPlan] GroupPlan updated');
-      }
+  /**
+   * Emit edits and deletions of other participants that were not emitted yet
+   * (own edits are emitted by editMessage / deleteMessage)
+   */
+  private async emitMessageChanges(topicId: string): Promise<void> {
+    const live = this.liveUpdates;
+    if (!live) {
+      return;
+    }
 
-      // Detect if any new participant is AI and register the topic
-      if (this.nodeOneCore.aiAssistantModel) {
-        for (const participantId of request.participantIds) {
-          const isAI = this.nodeOneCore.aiAssistantModel.isAIPerson(participantId);
-          if (isAI) {
-            const modelId = this.nodeOneCore.aiAssistantModel.getModelIdForPersonId(participantId);
-            console.log('[ChatPlan] Detected new AI participant - PersonId:', participantId.substring(0, 8), 'ModelId:', modelId);
-
-            // Register the topic with the AI Person's ID hash
-            this.nodeOneCore.aiAssistantModel.registerAITopic(request.conversationId, participantId as any);
-
-            // Trigger introduction message from AI (fire and forget)
-            this.nodeOneCore.aiAssistantModel.handleNewTopic(request.conversationId).catch((error: Error) => {
-              console.error('[ChatPlan] Failed to generate AI introduction message:', error);
-            });
+    // Without listeners the watermark still moves, so a later subscriber gets no backlog
+    const silent = !this.events.hasListeners('messageEdited');
 
-            break; // Only register the first AI participant
-          }
+    // Channel entry ids of changed messages
+    const changed = new Set<string>();
+    for (const type of ['ChatMessageEdit', 'ChatMessageDeletion']) {
+      for (const entry of await this.readSinceWatermark(topicId, type)) {
+        const change = entry.data as ChatMessageEdit | ChatMessageDeletion;
+        if (!silent && String(entry.author) !== String(this.nodeOneCore.ownerId) && change?.entry) {
+          changed.add(change.entry);
         }
       }
+    }
+    if (changed.size === 0) {
+      return;
+    }
 
-      console.log('[ChatPlan] ========== ADD PARTICIPANTS END ==========');
-
-      return {
-        success: true,
-        data: {
-          conversationId: request.conversationId,
-          addedParticipants: request.participantIds
-          // No newConversationId - same topic, just updated participants
-        }
-      };
-    } catch (error) {
-      console.error('[ChatPlan] Error adding participants:', error);
-      return {
-        success: false,
-        error: (error as Error).message
-      };
+    const changes = await getMessageChanges(this.nodeOneCore.channelManager, topicId);
+    for (const entryId of changed) {
+      const message = await findLatestTopicObject(
+        this.nodeOneCore.channelManager,
+        topicId,
+        'ChatMessage',
+        (msg: any) => msg.id === entryId,
+        Number.POSITIVE_INFINITY
+      );
+      if (!message) {
+        continue;
+      }
+      const state = resolveMessageState(message, findMessageChanges(changes, message));
+      if (state.editCount === 0 && !state.deleted) {
+        continue;  // Not posted by the sender
+      }
+      this.events.emit('messageEdited', {
+        conversationId: topicId,
+        messageId: message.id,
+        editedAt: (state.deleted ? state.deletedAt : state.editedAt)!,
+        content: state.text,
+        editCount: state.editCount,
+        isDeleted: state.deleted
+      });
     }
   }
 
   /**
-   * Clear a conversation
+   * Emit messages of a topic that were not emitted yet
+   *
+   * @returns Number of emitted messages
    */
-  async clearConversation(request: ClearConversationRequest): Promise<ClearConversationResponse> {
-    try {
-      if (!this.nodeOneCore.initialized || !this.nodeOneCore.topicModel) {
-        throw new Error('Models not initialized');
-      }
+  private async emitNewMessages(topicId: string): Promise<number> {
+    const live = this.liveUpdates;
+    if (!live) {
+      return 0;
+    }
 
-      // Get topic room
-      const topicRoom = await this.nodeOneCore.topicModel.enterTopicRoom(request.conversationId);
-      if (!topicRoom) {
-        throw new Error(`Topic not found: ${request.conversationId}`);
+    const clearedAt = await this.getClearedAtForOwner(topicId);
+    const accept = await this.getPostFilter(topicId);
+    // Read newest-first - handled in chronological order
+    const arrived = (await this.readSinceWatermark(topicId, 'ChatMessage', clearedAt)).filter(accept).reverse();
+
+    // Own messages are routed when they are sent; AI answers are never routed
+    for (const entry of arrived) {
+      const author = String(entry.author || entry.data?.sender);
+      if (author !== String(this.nodeOneCore.ownerId) && !this.nodeOneCore.aiAssistantModel?.isAIPerson?.(author)) {
+        void this.routeToAIs(topicId, String(entry.dataHash), entry.id, entry.data?.text || '', author);
       }
+    }
 
-      // Clear conversation
-      // TODO: Implement actual clear logic
+    // Without message listeners the watermark still moves, so a later subscriber gets no backlog
+    return await dispatchArrivedMessages(this.events, arrived, {
+      ownerId: String(this.nodeOneCore.ownerId),
+      isAI: async personId => {
+        try {
+          return (await this.getDirectory()?.get(personId))?.isAI === true;
+        } catch (e) {
+          return false;
+        }
+      },
+      emitMessages: async entries => {
+        const context = await this.buildMessageFormatContext(topicId, entries);
+        for (const entry of entries) {
+          const message = await this.formatMessage(entry, context);
+          const clientId = this.outbox?.getClientId(String(entry.dataHash));
+          if (clientId) {
+            message.clientId = clientId;
+          }
+          this.events.emit('message', { conversationId: topicId, message });
+        }
+      },
+      ...(this.speech && { speak: (entry: any) => void this.autoSpeak(topicId, entry, entry.id) })
+    });
+  }
 
-      return { success: true };
+  /**
+   * Read a received AI reply aloud if auto-speak is on for the topic
+   */
+  private async autoSpeak(topicId: string, entry: any, messageId: string): Promise<void> {
+    try {
+      const settings = await this.speech!.getAutoSpeak(topicId, this.nodeOneCore.ownerId);
+      if (!settings.enabled) {
+        return;
+      }
+      const speech = await this.speech!.synthesize(entry.dataHash, entry.data?.text || '', settings.voice);
+      this.events.emit('speech', { conversationId: topicId, messageId, speech });
     } catch (error) {
-      console.error('[ChatPlan] Error clearing conversation:', error);
-      return {
-        success: false,
-        error: (error as Error).message
-      };
+      console.warn('[ChatPlan] Auto-speak failed:', error);
     }
   }
 
   /**
-   * Edit a message
+   * Forward conversation index changes to subscribers
    */
-  async editMessage(request: EditMessageRequest): Promise<EditMessageResponse> {
-    try {
-      if (!this.messageVersionManager) {
-        throw new Error('Message version manager not initialized');
-      }
+  private handleConversationChange(data: ConversationSummaryData, previous?: ConversationSummaryData): void {
+    this.events.emit('conversationUpdated', data);
 
-      // Create new version
-      const result = await this.messageVersionManager.createNewVersion(
-        request.messageId,
-        request.newText,
-        request.editReason
-      );
+    if (!previous) {
+      return;
+    }
 
-      return {
-        success: true,
-        data: {
-          messageId: request.messageId,
-          newVersion: result.newVersionHash,
-          editedAt: Date.now()
-        }
-      };
-    } catch (error) {
-      console.error('[ChatPlan] Error editing message:', error);
-      return {
-        success: false,
-        error: (error as Error).message
-      };
+    const before = new Set(previous.participants.map((p: any) => String(p.id)));
+    const after = new Set(data.participants.map((p: any) => String(p.id)));
+    const added = Array.from(after).filter(id => !before.has(id));
+    const removed = Array.from(before).filter(id => !after.has(id));
+    if (added.length > 0 || removed.length > 0) {
+      this.events.emit('participantsChanged', {
+        conversationId: data.id,
+        participants: data.participants,
+        added,
+        removed
+      });
     }
   }
 
   /**
-   * Delete a message
+   * Rebuild the conversation list entry of a topic (after local topic changes)
    */
-  async deleteMessage(request: DeleteMessageRequest): Promise<DeleteMessageResponse> {
+  private async rebuildConversation(conversationId: string): Promise<void> {
+    if (!this.conversationIndex) {
+      return;
+    }
+
     try {
-      if (!this.messageVersionManager) {
-        throw new Error('Message version manager not initialized');
+      const topic = await this.nodeOneCore.topicModel.topics.queryById(conversationId);
+      if (topic) {
+        await this.conversationIndex.rebuild(topic);
       }
-
-      // Mark as deleted
-      await this.messageVersionManager.markAsDeleted(request.messageId, request.reason);
-
-      return { success: true };
     } catch (error) {
-      console.error('[ChatPlan] Error deleting message:', error);
-      return {
-        success: false,
-        error: (error as Error).message
-      };
+      console.warn(`[ChatPlan] Failed to rebuild conversation ${conversationId}:`, error);
+      await this.conversationIndex.invalidate(conversationId);
     }
   }
 
@@ -1582,6 +5220,15 @@ export class ChatPlan {
    */
   async getMessageHistory(request: GetMessageHistoryRequest): Promise<GetMessageHistoryResponse> {
     try {
+      // Text versions from ChatMessageEdit objects (original first, empty for deleted messages)
+      if (request.conversationId) {
+        const { state } = await this.getEditableMessage(request.conversationId, request.messageId);
+        return {
+          success: true,
+          history: state.history
+        };
+      }
+
       if (!this.messageVersionManager) {
         throw new Error('Message version manager not initialized');
       }
@@ -1625,6 +5272,62 @@ export class ChatPlan {
     }
   }
 
+  /**
+   * Export a conversation with the certificates of its messages for offline verification
+   */
+  async exportSignedTranscript(request: ExportSignedTranscriptRequest): Promise<ExportSignedTranscriptResponse> {
+    try {
+      if (!this.nodeOneCore.initialized || !this.nodeOneCore.topicModel) {
+        throw new Error('TopicModel not initialized');
+      }
+
+      const topicRoom = await this.nodeOneCore.topicModel.enterTopicRoom(request.conversationId);
+      if (!topicRoom) {
+        throw new Error(`Topic not found: ${request.conversationId}`);
+      }
+
+      const clearedAt = await this.getClearedAtForOwner(request.conversationId);
+      const changes = await getMessageChanges(this.nodeOneCore.channelManager, request.conversationId);
+      const visible: any[] = [];
+      const deletedMessages: string[] = [];
+      for (const msg of await getTopicObjects(this.nodeOneCore.channelManager, request.conversationId, 'ChatMessage')) {
+        if (isCleared(msg, clearedAt)) {
+          continue;
+        }
+        if (resolveMessageState(msg, findMessageChanges(changes, msg)).deleted) {
+          deletedMessages.push(String(msg.dataHash));
+          continue;
+        }
+        visible.push(msg);
+      }
+
+      visible.sort((a, b) => getEntryPosition(a).time - getEntryPosition(b).time);
+      const { messages, signers } = await buildSignedTranscript(visible);
+      const verified = messages.filter(message => message.verification.status === 'verified').length;
+      console.log(`[ChatPlan] Exported signed transcript of ${request.conversationId}: ${verified}/${messages.length} messages verified`);
+
+      return {
+        success: true,
+        data: {
+          format: 'chat.core/signed-transcript',
+          version: 1,
+          conversationId: request.conversationId,
+          exportedBy: String(this.nodeOneCore.ownerId),
+          exportedAt: Date.now(),
+          messages,
+          signers,
+          deletedMessages
+        }
+      };
+    } catch (error) {
+      console.error('[ChatPlan] Error exporting signed transcript:', error);
+      return {
+        success: false,
+        error: (error as Error).message
+      };
+    }
+  }
+
   /**
    * Verify message assertion
    */
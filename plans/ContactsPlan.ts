@@ -20,6 +20,9 @@ import { ensureIdHash, SHA256IdHash } from '@refinio/one.core/lib/util/type-chec
 import { getDefaultKeys } from '@refinio/one.core/lib/keychain/keychain.js';
 import { createAccess } from '@refinio/one.core/lib/access.js';
 import { SET_ACCESS_MODE } from '@refinio/one.core/lib/storage-base-common.js';
+import { getPersonDirectory, PersonDirectory, PersonEntry } from '../services/PersonDirectory.js';
+import { PlanEventEmitter, Unsubscribe } from '../services/PlanEventEmitter.js';
+import { getPresenceService } from '../services/PresenceService.js';
 // StoryFactory type (defined locally to avoid moduleResolution issues)
 interface StoryFactory {
   recordExecution(context: any, operation: () => Promise<any>): Promise<{ result: any; storyId?: any; assemblyId?: any }>;
@@ -35,7 +38,8 @@ export interface Contact {
   isAI: boolean;
   modelId?: string;
   canMessage: boolean;
-  isConnected: boolean;
+  isConnected: boolean;  // AI: always; humans: online via presence heartbeats
+  lastSeen?: number;     // Time of the last presence signal (humans only)
   status?: 'owner' | 'connected' | 'disconnected';
 }
 
@@ -46,6 +50,19 @@ export interface ContactWithTrust extends Contact {
   discoveredAt: number;
 }
 
+/**
+ * Contact added, changed or removed (contact in getContacts format)
+ */
+export interface ContactChangedEvent {
+  personId: string;
+  contact?: Contact;  // undefined if removed
+  removed: boolean;
+}
+
+interface ContactsPlanEvents {
+  contactChanged: ContactChangedEvent;
+}
+
 export interface GetContactsResponse {
   success: boolean;
   contacts?: Contact[];
@@ -77,10 +94,18 @@ export class ContactsPlan {
 
   private nodeOneCore: any;
   private storyFactory?: StoryFactory;
+  private events: PlanEventEmitter<ContactsPlanEvents>;
+  // Last contact list seen by subscribers (personId -> contact), undefined until the first subscription
+  private contactSnapshot?: Map<string, Contact>;
+  private contactUpdates: Promise<void>;
+  private contactDiffPending: boolean;
 
   constructor(nodeOneCore: any, storyFactory?: StoryFactory) {
     this.nodeOneCore = nodeOneCore;
     this.storyFactory = storyFactory;
+    this.events = new PlanEventEmitter<ContactsPlanEvents>('ContactsPlan');
+    this.contactUpdates = Promise.resolve();
+    this.contactDiffPending = false;
   }
 
   /**
@@ -99,24 +124,21 @@ export class ContactsPlan {
   }
 
   /**
-   * Invalidate the contacts cache (deprecated - no-op)
+   * Invalidate the contacts cache (person directory is rebuilt on next request)
    */
   invalidateCache(): void {
-    // No-op - we don't cache locally
+    if (this.nodeOneCore.leuteModel) {
+      this.getDirectory().invalidate();
+    }
   }
 
   /**
-   * Helper to run an async operation with timeout
+   * Get the shared person directory
    */
-  private async withTimeout<T>(promise: Promise<T>, timeoutMs: number, defaultValue: T, description: string): Promise<T> {
-    return Promise.race([
-      promise,
-      new Promise<T>((_, reject) =>
-        setTimeout(() => reject(new Error(`Timeout after ${timeoutMs}ms: ${description}`)), timeoutMs)
-      )
-    ]).catch(error => {
-      console.warn(`[ContactsPlan] ${description} failed or timed out:`, error.message);
-      return defaultValue;
+  private getDirectory(): PersonDirectory {
+    return getPersonDirectory(this.nodeOneCore.leuteModel, {
+      aiAssistantModel: this.nodeOneCore.aiAssistantModel,
+      llmObjectManager: this.nodeOneCore.llmObjectManager
     });
   }
 
@@ -131,163 +153,30 @@ export class ContactsPlan {
         return { success: false, error: 'Leute model not initialized' };
       }
 
-      // Get all contacts including owner - these are Someone objects that need to be transformed
-      const me = await this.nodeOneCore.leuteModel.me();
-      const others = await this.nodeOneCore.leuteModel.others();
-      const someoneObjects = [me, ...others];
-      console.log(`[ContactsPlan] Found ${someoneObjects.length} Someone objects (1 owner + ${others.length} others)`);
-      const allContacts: Contact[] = [];
-
-      // Track processed Person IDs to skip duplicates
-      const processedPersonIds = new Set<string>();
-
-      // Transform Someone objects to plain serializable objects
-      // Track whether we're processing the owner (first item is "me")
-      let isOwner = true;
-      for (const someone of someoneObjects) {
-        try {
-          // Timeout protection: If a contact is corrupt/hanging, skip it after 2 seconds
-          const personId: any = await this.withTimeout(
-            someone.mainIdentity(),
-            2000,
-            null,
-            'mainIdentity()'
-          );
-
-          if (!personId) {
-            console.warn('[ContactsPlan] Skipping contact - mainIdentity() failed or timed out');
-            continue;
-          }
-
-          // Skip if we've already processed this Person (duplicate Someone object)
-          if (processedPersonIds.has(personId)) {
-            continue;
-          }
-          processedPersonIds.add(personId);
-
-          // Get profile to extract display name, email, and avatar (with timeout)
-          const profile: any = await this.withTimeout(
-            someone.mainProfile(),
-            2000,
-            null,
-            `mainProfile() for ${personId.substring(0, 8)}`
-          );
-
-          let displayName: string = '';
-          let email: string | undefined;
-          let avatarBlobHash: string | undefined;
-
-          if (profile) {
-            // Use ProfileModel.descriptionsOfType() which properly resolves hash references
-            try {
-              const personNames = profile.descriptionsOfType?.('PersonName');
-              if (personNames && personNames.length > 0) {
-                displayName = (personNames[0] as any).name || '';
-              }
-            } catch (e) {
-              // Fallback: try raw personDescriptions array
-              if (profile.personDescriptions && Array.isArray(profile.personDescriptions)) {
-                const nameDesc = profile.personDescriptions.find((d: any) => d.$type$ === 'PersonName');
-                if (nameDesc && 'name' in nameDesc) {
-                  displayName = nameDesc.name;
-                }
-              }
-            }
-
-            // Extract email from Email description
-            try {
-              const emails = profile.descriptionsOfType?.('Email');
-              if (emails && emails.length > 0) {
-                email = (emails[0] as any).email || '';
-              }
-            } catch (e) {
-              // Email not found
-            }
-
-            // Extract avatar blob hash from ProfileImage description (prefer main profile)
-            try {
-              const profileImages = profile.descriptionsOfType?.('ProfileImage');
-              if (profileImages && profileImages.length > 0) {
-                avatarBlobHash = (profileImages[profileImages.length - 1] as any).image;
-              }
-            } catch (e) {
-              // Avatar not found in main profile
-            }
-
-            // If no avatar in main profile, check other profiles (bubble up)
-            if (!avatarBlobHash) {
-              try {
-                const allProfiles: any[] = await this.withTimeout(
-                  someone.profiles(),
-                  3000,
-                  [] as any[],
-                  `profiles() for ${personId.substring(0, 8)}`
-                );
-
-                for (const otherProfile of allProfiles) {
-                  if (avatarBlobHash) break; // Found one, stop searching
-                  try {
-                    const otherProfileImages = otherProfile.descriptionsOfType?.('ProfileImage');
-                    if (otherProfileImages && otherProfileImages.length > 0) {
-                      avatarBlobHash = (otherProfileImages[otherProfileImages.length - 1] as any).image;
-                    }
-                  } catch (e) {
-                    // Continue to next profile
-                  }
-                }
-              } catch (e) {
-                // Could not get other profiles, continue without avatar
-              }
-            }
-          }
+      // Owner + all contacts from the shared person directory (same names as chat)
+      const entries = await this.getDirectory().getAll();
+      console.log(`[ContactsPlan] Found ${entries.length} persons in directory`);
 
-          // Check if this is an AI contact first (for fallback display name)
-          let isAI = false;
-          let modelId: string | undefined;
-          if (this.nodeOneCore.aiAssistantModel) {
-            isAI = this.nodeOneCore.aiAssistantModel.isAIPerson(personId);
-            console.log(`[ContactsPlan]   Person ${personId.substring(0, 8)} isAI: ${isAI}`);
-
-            // If this is an AI, get the model ID
-            if (isAI) {
-              modelId = this.nodeOneCore.aiAssistantModel.getModelIdForPersonId(personId);
-              console.log(`[ContactsPlan]   Model ID: ${modelId}`);
-            }
-          } else {
-            console.log(`[ContactsPlan]   ⚠️  No aiAssistantModel available for AI detection`);
-          }
-
-          // Final fallback for non-AI contacts or if PersonName is not available
-          if (!displayName) {
-            if (isAI && modelId) {
-              // Use model ID if we have it from the cache
-              displayName = modelId;
-            } else {
-              // Last resort: use truncated person ID
-              // This happens when Profile doesn't have PersonName yet (e.g., during initial CHUM sync)
-              displayName = `Contact ${String(personId).substring(0, 8)}`;
-            }
-          }
+      // Online state comes from the ephemeral presence channel (AI is always "connected")
+      const presence = getPresenceService(this.nodeOneCore);
 
-          allContacts.push({
-            id: someone.idHash,  // Use Someone's idHash, not personId
-            personId: personId,
-            name: displayName,
-            email,
-            avatarBlobHash,
-            isAI: isAI,
-            modelId: modelId,
-            canMessage: true,
-            isConnected: isAI, // AI is always "connected"
-            status: isOwner ? 'owner' : undefined
-          });
-          isOwner = false; // Only first contact is owner
-        } catch (contactError) {
-          // Skip this contact if processing fails - don't let one bad contact break the entire list
-          console.error('[ContactsPlan] Failed to process contact, skipping:', contactError);
-          continue;
-        }
-      }
+      const allContacts: Contact[] = entries.map((entry: PersonEntry) => {
+        const state = entry.isAI || entry.isOwner ? undefined : presence.getPresence(entry.personId);
+        const isConnected = entry.isAI || entry.isOwner || state?.isOnline === true;
+        return {
+          id: entry.someoneId || entry.personId,  // Use Someone's idHash, not personId
+          personId: entry.personId,
+          name: entry.displayName,
+          email: entry.email,
+          avatarBlobHash: entry.avatarBlobHash,
+          isAI: entry.isAI,
+          modelId: entry.modelId,
+          canMessage: true,
+          isConnected,
+          lastSeen: state?.lastSeen,
+          status: entry.isOwner ? 'owner' : (isConnected ? 'connected' : 'disconnected')
+        };
+      });
 
       console.log(`[ContactsPlan] ✅ Returning ${allContacts.length} contacts (${allContacts.filter(c => c.isAI).length} AI)`);
 
@@ -304,6 +193,69 @@ export class ContactsPlan {
     }
   }
 
+  /**
+   * Subscribe to contact changes (added, renamed, new avatar, AI flag, online state, removed)
+   *
+   * @returns Function that removes the listener
+   */
+  onContactChanged(listener: (event: ContactChangedEvent) => void): Unsubscribe {
+    if (!this.contactSnapshot && this.nodeOneCore.leuteModel) {
+      this.contactSnapshot = new Map();
+      // Baseline without events, then diff on every directory change
+      this.queueContactDiff(false);
+      this.getDirectory().onChanged(() => this.queueContactDiff(true));
+      getPresenceService(this.nodeOneCore).onPresence(() => this.queueContactDiff(true));
+    }
+    return this.events.on('contactChanged', listener);
+  }
+
+  /**
+   * Queue a comparison of the contact list with the last snapshot
+   * (coalesces bursts of directory changes into one comparison)
+   */
+  private queueContactDiff(emit: boolean): void {
+    if (this.contactDiffPending) {
+      return;
+    }
+    this.contactDiffPending = true;
+
+    this.contactUpdates = this.contactUpdates
+      .then(() => {
+        this.contactDiffPending = false;
+        return this.diffContacts(emit);
+      })
+      .catch((error: Error) => {
+        console.error('[ContactsPlan] Failed to compare contacts:', error);
+      });
+  }
+
+  private async diffContacts(emit: boolean): Promise<void> {
+    const result = await this.getContacts();
+    if (!result.success || !result.contacts || !this.contactSnapshot) {
+      return;
+    }
+
+    const previous = this.contactSnapshot;
+    const current = new Map(result.contacts.map(contact => [String(contact.personId), contact]));
+    this.contactSnapshot = current;
+
+    if (!emit) {
+      return;
+    }
+
+    for (const [personId, contact] of current) {
+      const before = previous.get(personId);
+      if (!before || JSON.stringify(before) !== JSON.stringify(contact)) {
+        this.events.emit('contactChanged', { personId, contact, removed: false });
+      }
+    }
+    for (const personId of previous.keys()) {
+      if (!current.has(personId)) {
+        this.events.emit('contactChanged', { personId, removed: true });
+      }
+    }
+  }
+
   /**
    * Get all contacts with trust information using trust.core
    * Platform-agnostic: Uses TrustModel only, no transport dependencies
@@ -544,6 +496,7 @@ export class ContactsPlan {
         );
 
         console.log(`[ContactsPlan] AI contact created: ${personIdHash.toString().substring(0, 8)}...`);
+        this.getDirectory().invalidate();
 
         return {
           success: true,
@@ -615,6 +568,7 @@ export class ContactsPlan {
 
       // Add to LeuteModel using addProfile
       await (this.nodeOneCore.leuteModel as any).addProfile(profileIdHash);
+      this.getDirectory().invalidate();
 
       return {
         success: true,
@@ -641,6 +595,7 @@ export class ContactsPlan {
       }
 
       await this.nodeOneCore.leuteModel.removeSomeoneElse(contactId as any);
+      this.getDirectory().invalidate();
       return { success: true };
     } catch (error) {
       console.error('[ContactsPlan] Failed to remove contact:', error);
@@ -920,23 +875,12 @@ export class ContactsPlan {
       const hashGroupResult: HashGroup<Person> = await getObject(group.hashGroup);
       const memberIds = hashGroupResult.person;
 
-      // Get member details
-      const members = [];
-      const someoneObjects = await this.nodeOneCore.leuteModel.others();
-
-      for (const personIdHash of memberIds) {
-        const someone = someoneObjects.find((s: any) => s.mainIdentity() === personIdHash);
-
-        if (someone) {
-          const profile = await someone.mainProfile();
-          const name = profile?.personDescriptions?.find((d: any) => d.$type$ === 'PersonName')?.name || 'Unknown';
-
-          members.push({
-            id: personIdHash,
-            name
-          });
-        }
-      }
+      // Get member details (names from the shared person directory)
+      const directory = this.getDirectory();
+      const members = await Promise.all(Array.from(memberIds).map(async (personIdHash: any) => ({
+        id: personIdHash,
+        name: await directory.getDisplayName(String(personIdHash))
+      })));
 
       return { success: true, members };
     } catch (error) {
@@ -1245,6 +1189,7 @@ export class ContactsPlan {
 
       if (needsSave) {
         await profile.saveAndLoad();
+        this.getDirectory().invalidate();
       }
 
       return { success: true };
@@ -10,6 +10,8 @@
 
 import type { PlanContext } from '@refinio/api/plan-system';
 import { NotFoundError } from '@refinio/api/plan-system';
+import { getClearedAt, isCleared } from '../services/ClearMarkerService.js';
+import { getTopicObjects } from '../services/TopicChannelService.js';
 
 /**
  * Request/Response types (will be defined with Zod schemas in operation-types.ts)
@@ -95,45 +97,40 @@ export class ExportPlanSimple {
   }
 
   /**
-   * Get topic by ID (placeholder - implement with actual ONE.core calls)
+   * Get topic by ID
    */
   private async getTopic(topicId: string): Promise<any> {
-    // TODO: Implement actual topic retrieval from ONE.core
-    // For now, return mock data for development
-    console.warn('[ExportPlan] Using mock topic - implement with real ONE.core');
-    return {
-      id: topicId,
-      name: 'Sample Topic'
-    };
+    if (!this.oneCore.topicModel) {
+      throw new Error('TopicModel not initialized');
+    }
+    return await this.oneCore.topicModel.topics.queryById(topicId);
   }
 
   /**
-   * Get messages for topic (placeholder - implement with actual ONE.core calls)
+   * Get messages for topic
+   *
+   * Respects the clear marker of the current user - cleared messages are not exported.
    */
   private async getMessages(topicId: string): Promise<Message[]> {
-    // TODO: Implement actual message retrieval from ONE.core
-    // For now, return mock data for development
-    console.warn('[ExportPlan] Using mock messages - implement with real ONE.core');
-    return [
-      {
-        messageId: 'msg-001',
-        content: 'Hello, this is a test message',
-        author: 'Alice',
-        timestamp: Date.now() - 3600000
-      },
-      {
-        messageId: 'msg-002',
-        content: 'This is another message',
-        author: 'Bob',
-        timestamp: Date.now() - 1800000
-      },
-      {
-        messageId: 'msg-003',
-        content: 'Final test message',
-        author: 'Alice',
-        timestamp: Date.now()
-      }
-    ];
+    const topicRoom = await this.oneCore.topicModel.enterTopicRoom(topicId);
+    const clearedAt = this.oneCore.ownerId
+      ? await getClearedAt(this.oneCore.channelManager, topicId, this.oneCore.ownerId)
+      : 0;
+
+    // Read through the topic channel helpers - they include channels the
+    // topic used before participants were removed
+    const allMessages = topicRoom ? await getTopicObjects(this.oneCore.channelManager, topicId, 'ChatMessage') : [];
+
+    return allMessages
+      .filter((msg: any) => !isCleared(msg, clearedAt))
+      .map((msg: any) => ({
+        messageId: msg.id,
+        content: msg.data?.text || '',
+        author: String(msg.author || msg.data?.sender || 'Unknown'),
+        timestamp: msg.creationTime ? new Date(msg.creationTime).getTime() : Date.now(),
+        attachments: (msg.data?.attachments || []).map((hash: any) => String(hash))
+      }))
+      .sort((a: Message, b: Message) => a.timestamp - b.timestamp);
   }
 
   /**
@@ -18,6 +18,9 @@ import type { ChannelInfo } from '@refinio/one.models/lib/recipes/ChannelRecipes
 import type TopicModel from '@refinio/one.models/lib/models/Chat/TopicModel.js';
 import { createAccess } from '@refinio/one.core/lib/access.js';
 import { SET_ACCESS_MODE } from '@refinio/one.core/lib/storage-base-common.js';
+import { replaceParticipantAccess } from '../services/ChannelAccessService.js';
+import { addPreviousChannel, getPreviousChannels } from '../services/TopicChannelService.js';
+import { initializeConversationRoles } from '../services/ConversationRolesService.js';
 
 /**
  * Result from creating a topic
@@ -47,6 +50,7 @@ export interface CreateTopicRequest {
   topicId: string;
   topicName: string;
   participants: SHA256IdHash<Person>[];
+  creatorSeed?: string;  // Seed the topic ID was derived from (createGroupTopicId) - enables roles
 }
 
 export interface CreateTopicResponse {
@@ -89,12 +93,27 @@ export interface AddParticipantsResponse {
   error?: string;
 }
 
+export interface RemoveParticipantsRequest {
+  topicId: string;
+  participants: SHA256IdHash<Person>[];
+}
+
+export interface RemoveParticipantsResponse {
+  success: boolean;
+  topicIdHash?: SHA256IdHash<Topic>;
+  channelInfoIdHash?: SHA256IdHash<ChannelInfo>;
+  participantsHash?: SHA256Hash<HashGroup<Person>>;
+  remainingParticipants?: SHA256IdHash<Person>[];
+  error?: string;
+}
+
 /**
  * GroupPlan - Pure business logic for conversation topic operations
  *
  * Dependencies injected via constructor:
  * - topicModel: TopicModel for topic creation and queries
  * - storageDeps: Storage functions for object access
+ * - channelManager: ChannelManager for new topic channels (optional - needed to remove participants)
  */
 export class GroupPlan {
   static get planId(): string { return 'group'; }
@@ -105,14 +124,16 @@ export class GroupPlan {
   private topicModel: TopicModel;
   private storageDeps: GroupPlanStorageDeps;
   private ownerId: SHA256IdHash<Person>;
+  private channelManager?: any;
 
   // Cache: topicId -> topicIdHash (for quick lookups)
   private topicCache: Map<string, SHA256IdHash<Topic>>;
 
-  constructor(topicModel: TopicModel, storageDeps: GroupPlanStorageDeps, ownerId: SHA256IdHash<Person>) {
+  constructor(topicModel: TopicModel, storageDeps: GroupPlanStorageDeps, ownerId: SHA256IdHash<Person>, channelManager?: any) {
     this.topicModel = topicModel;
     this.storageDeps = storageDeps;
     this.ownerId = ownerId;
+    this.channelManager = channelManager;
     this.topicCache = new Map();
   }
 
@@ -187,6 +208,15 @@ export class GroupPlan {
       // Cache the topic
       this.topicCache.set(request.topicId, topicIdHash);
 
+      // Creator owns the group (roles snapshot next to the participants HashGroup)
+      if (this.channelManager && request.creatorSeed) {
+        try {
+          await initializeConversationRoles(this.channelManager, request.topicId, this.ownerId, request.creatorSeed);
+        } catch (error) {
+          console.warn('[GroupPlan] Failed to initialize roles:', error);
+        }
+      }
+
       console.log(`[GroupPlan] Created topic ${String(topicIdHash).substring(0, 8)}`);
 
       return {
@@ -306,6 +336,97 @@ export class GroupPlan {
     }
   }
 
+  /**
+   * Remove participants from an existing topic
+   *
+   * Creates a HashGroup with the remaining participants, a new channel for it
+   * and a new Topic version pointing to that channel. The old channel is
+   * recorded in the topic's ChatChannelHistory, so its messages are still read
+   * by the remaining participants. Access to the Topic, the new and all earlier
+   * channels is replaced by the remaining participants' HashGroup, so removed
+   * persons keep the history they have but get no future messages.
+   * Also used when the owner leaves (owner is one of the removed persons).
+   */
+  async removeParticipants(request: RemoveParticipantsRequest): Promise<RemoveParticipantsResponse> {
+    console.log(`[GroupPlan] Removing ${request.participants.length} participants from topic ${request.topicId}`);
+
+    try {
+      if (!this.channelManager) {
+        throw new Error('ChannelManager not available');
+      }
+
+      const topic = await this.topicModel.findTopic(request.topicId);
+      if (!topic) {
+        throw new Error(`Topic ${request.topicId} not found`);
+      }
+
+      const current = await this.getParticipantsForTopic(request.topicId);
+      const removed = new Set(request.participants.map(p => String(p)));
+      const remaining = current.filter(p => !removed.has(String(p)));
+
+      if (remaining.length === current.length) {
+        throw new Error('None of the given persons is a participant of this topic');
+      }
+      if (remaining.length === 0) {
+        throw new Error('A topic needs at least one participant');
+      }
+
+      // Step 1: HashGroup with the remaining participants
+      const hashGroupObj: HashGroup<Person> = {
+        $type$: 'HashGroup',
+        person: new Set(remaining)
+      };
+      const hashGroupResult = await this.storageDeps.storeUnversionedObject(hashGroupObj);
+      const participantsHash = hashGroupResult.hash as SHA256Hash<HashGroup<Person>>;
+
+      console.log(`[GroupPlan] Created HashGroup: ${String(participantsHash).substring(0, 8)}`);
+
+      // Step 2: New channel for the remaining participants (same owner as before)
+      const channelInfoResult = await this.storageDeps.getObjectByIdHash(topic.channel);
+      const channelInfo: ChannelInfo = channelInfoResult.obj;
+      const channelResult = await this.channelManager.createChannel(remaining, channelInfo.owner ?? null);
+      const channelInfoIdHash = channelResult.channelInfoIdHash as SHA256IdHash<ChannelInfo>;
+
+      // Step 3: New Topic version pointing to the new channel
+      const topicResult = await this.storageDeps.storeVersionedObject({
+        ...topic,
+        channel: channelInfoIdHash
+      });
+      const topicIdHash = topicResult.idHash as SHA256IdHash<Topic>;
+      this.topicCache.set(request.topicId, topicIdHash);
+
+      // Step 4: The old channel's history stays readable (TopicChannelService reads earlier channels)
+      const historyIdHash = await addPreviousChannel(request.topicId, String(topic.channel));
+      const previousChannels = await getPreviousChannels(request.topicId);
+
+      // Step 5: Only the remaining participants get the new Topic version and
+      // channel - the grants of earlier channels to the old HashGroups are revoked
+      const restricted = await replaceParticipantAccess(
+        [topicIdHash, channelInfoIdHash, historyIdHash, ...previousChannels] as SHA256IdHash<any>[],
+        participantsHash
+      );
+      if (!restricted) {
+        throw new Error('Failed to restrict access to the remaining participants');
+      }
+
+      console.log(`[GroupPlan] Removed participants, new channel ${String(channelInfoIdHash).substring(0, 8)}`);
+
+      return {
+        success: true,
+        topicIdHash,
+        channelInfoIdHash,
+        participantsHash,
+        remainingParticipants: remaining
+      };
+    } catch (error) {
+      console.error('[GroupPlan] Error removing participants:', error);
+      return {
+        success: false,
+        error: (error as Error).message
+      };
+    }
+  }
+
   /**
    * Get cached topic ID hash
    */
@@ -0,0 +1,37 @@
+/**
+ * Chat Channel History Recipe for ONE.core
+ *
+ * ChatChannelHistory: channels a group topic used before its current one.
+ * Removing participants moves the Topic to a new channel; the history of the
+ * earlier channels stays readable for the remaining participants through
+ * this list. Versioned (identity = topicId) and shared with the remaining
+ * participants like the Topic.
+ */
+
+export const ChatChannelHistoryRecipe = {
+    $type$: 'Recipe' as const,
+    name: 'ChatChannelHistory',
+    rule: [
+        {
+            itemprop: '$type$',
+            itemtype: { type: 'string', regexp: /^ChatChannelHistory$/ }
+        },
+        {
+            itemprop: 'topicId',
+            itemtype: { type: 'string' },
+            isId: true
+        },
+        // ChannelInfo id hashes of earlier channels, oldest first
+        {
+            itemprop: 'channels',
+            itemtype: {
+                type: 'array',
+                item: { type: 'string' }
+            }
+        },
+        {
+            itemprop: 'updatedAt',
+            itemtype: { type: 'number' }
+        }
+    ]
+};
@@ -0,0 +1,71 @@
+/**
+ * Chat Clear Marker Recipes for ONE.core
+ *
+ * ChatClearMarker: per-user, per-topic marker. Messages created at or before
+ * `clearedAt` are hidden for that user. Versioned (identity = topicId + person),
+ * stored locally and never posted to the topic channel.
+ *
+ * ChatClearRequest: posted to the topic channel when a user asks all
+ * participants to clear the conversation. Receiving clients honor it like
+ * their own marker.
+ */
+
+export const ChatClearMarkerRecipe = {
+    $type$: 'Recipe' as const,
+    name: 'ChatClearMarker',
+    rule: [
+        {
+            itemprop: '$type$',
+            itemtype: { type: 'string', regexp: /^ChatClearMarker$/ }
+        },
+        // Topic ID the marker applies to
+        {
+            itemprop: 'topicId',
+            itemtype: { type: 'string' },
+            isId: true
+        },
+        // Person for whom the messages are hidden
+        {
+            itemprop: 'person',
+            itemtype: {
+                type: 'referenceToId',
+                allowedTypes: new Set(['Person'])
+            },
+            isId: true
+        },
+        // Messages with creation time <= clearedAt are hidden
+        {
+            itemprop: 'clearedAt',
+            itemtype: { type: 'number' }
+        }
+    ]
+};
+
+export const ChatClearRequestRecipe = {
+    $type$: 'Recipe' as const,
+    name: 'ChatClearRequest',
+    rule: [
+        {
+            itemprop: '$type$',
+            itemtype: { type: 'string', regexp: /^ChatClearRequest$/ }
+        },
+        // Topic ID to clear
+        {
+            itemprop: 'topicId',
+            itemtype: { type: 'string' }
+        },
+        // Person who asked everyone to clear
+        {
+            itemprop: 'requestedBy',
+            itemtype: {
+                type: 'referenceToId',
+                allowedTypes: new Set(['Person'])
+            }
+        },
+        // Messages with creation time <= clearedAt are hidden for all participants
+        {
+            itemprop: 'clearedAt',
+            itemtype: { type: 'number' }
+        }
+    ]
+};
@@ -0,0 +1,43 @@
+/**
+ * Chat Delivery Position Recipe for ONE.core
+ *
+ * ChatDeliveryPosition: how far the own messages of a topic arrived at one
+ * recipient, as acknowledged by the recipient's instance. Versioned
+ * (identity = topicId + recipient), stored locally - drives the "synced"
+ * delivery state of own messages.
+ */
+
+export const ChatDeliveryPositionRecipe = {
+    $type$: 'Recipe' as const,
+    name: 'ChatDeliveryPosition',
+    rule: [
+        {
+            itemprop: '$type$',
+            itemtype: { type: 'string', regexp: /^ChatDeliveryPosition$/ }
+        },
+        // Topic ID the position applies to
+        {
+            itemprop: 'topicId',
+            itemtype: { type: 'string' },
+            isId: true
+        },
+        // Participant the messages were delivered to
+        {
+            itemprop: 'recipient',
+            itemtype: {
+                type: 'referenceToId',
+                allowedTypes: new Set(['Person'])
+            },
+            isId: true
+        },
+        // Creation time of the newest own message that arrived - everything up to it arrived
+        {
+            itemprop: 'receivedUpTo',
+            itemtype: { type: 'number' }
+        },
+        {
+            itemprop: 'updatedAt',
+            itemtype: { type: 'number' }
+        }
+    ]
+};
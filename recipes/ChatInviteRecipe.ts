@@ -0,0 +1,289 @@
+/**
+ * Chat Invite Recipes for ONE.core
+ *
+ * ChatInvite: invitation to a group topic, created and signed (Signature
+ * object) by an owner or admin. The invite token carries the complete object
+ * and the signature, so the invitee can store it and check the signature; the
+ * random secret makes the hash unguessable for anyone without the token.
+ *
+ * ChatJoinRequest: posted by the invitee to the P2P topic shared with the
+ * inviter. The inviter's instance checks it against the stored invite and
+ * adds the requester or queues the request for approval.
+ *
+ * ChatInviteEntry / ChatJoinRequestEntry: state of one own invite (uses,
+ * revocation) or received join request. Versioned (identity = person +
+ * invite / request), so state changes only add versions of that entry.
+ *
+ * ChatInviteRegistry: the invites and join requests a person keeps.
+ * Versioned (identity = person).
+ *
+ * All but ChatJoinRequest are stored locally and never shared.
+ */
+
+export const ChatInviteRecipe = {
+    $type$: 'Recipe' as const,
+    name: 'ChatInvite',
+    rule: [
+        {
+            itemprop: '$type$',
+            itemtype: { type: 'string', regexp: /^ChatInvite$/ }
+        },
+        {
+            itemprop: 'topicId',
+            itemtype: { type: 'string' }
+        },
+        // Conversation name, shown to the invitee before joining
+        {
+            itemprop: 'name',
+            itemtype: { type: 'string' },
+            optional: true
+        },
+        {
+            itemprop: 'createdBy',
+            itemtype: {
+                type: 'referenceToId',
+                allowedTypes: new Set(['Person'])
+            }
+        },
+        {
+            itemprop: 'createdAt',
+            itemtype: { type: 'number' }
+        },
+        // Invite is invalid after this time (ms)
+        {
+            itemprop: 'expiresAt',
+            itemtype: { type: 'number' },
+            optional: true
+        },
+        // Number of persons that can join with this invite
+        {
+            itemprop: 'maxUses',
+            itemtype: { type: 'integer' },
+            optional: true
+        },
+        {
+            itemprop: 'requiresApproval',
+            itemtype: { type: 'boolean' }
+        },
+        // Random value so the invite hash cannot be guessed
+        {
+            itemprop: 'secret',
+            itemtype: { type: 'string' }
+        }
+    ]
+};
+
+export const ChatJoinRequestRecipe = {
+    $type$: 'Recipe' as const,
+    name: 'ChatJoinRequest',
+    rule: [
+        {
+            itemprop: '$type$',
+            itemtype: { type: 'string', regexp: /^ChatJoinRequest$/ }
+        },
+        // Group topic to join
+        {
+            itemprop: 'topicId',
+            itemtype: { type: 'string' }
+        },
+        {
+            itemprop: 'invite',
+            itemtype: {
+                type: 'referenceToObj',
+                allowedTypes: new Set(['ChatInvite'])
+            }
+        },
+        {
+            itemprop: 'signature',
+            itemtype: {
+                type: 'referenceToObj',
+                allowedTypes: new Set(['Signature'])
+            }
+        },
+        {
+            itemprop: 'requester',
+            itemtype: {
+                type: 'referenceToId',
+                allowedTypes: new Set(['Person'])
+            }
+        },
+        {
+            itemprop: 'timestamp',
+            itemtype: { type: 'number' }
+        }
+    ]
+};
+
+export const ChatInviteEntryRecipe = {
+    $type$: 'Recipe' as const,
+    name: 'ChatInviteEntry',
+    rule: [
+        {
+            itemprop: '$type$',
+            itemtype: { type: 'string', regexp: /^ChatInviteEntry$/ }
+        },
+        {
+            itemprop: 'person',
+            itemtype: {
+                type: 'referenceToId',
+                allowedTypes: new Set(['Person'])
+            },
+            isId: true
+        },
+        // ChatInvite hash
+        {
+            itemprop: 'invite',
+            itemtype: { type: 'string' },
+            isId: true
+        },
+        {
+            itemprop: 'topicId',
+            itemtype: { type: 'string' }
+        },
+        // Signature object hash
+        {
+            itemprop: 'signature',
+            itemtype: { type: 'string' }
+        },
+        {
+            itemprop: 'createdAt',
+            itemtype: { type: 'number' }
+        },
+        {
+            itemprop: 'expiresAt',
+            itemtype: { type: 'number' },
+            optional: true
+        },
+        {
+            itemprop: 'maxUses',
+            itemtype: { type: 'integer' },
+            optional: true
+        },
+        {
+            itemprop: 'requiresApproval',
+            itemtype: { type: 'boolean' }
+        },
+        // Persons who joined with the invite
+        {
+            itemprop: 'uses',
+            itemtype: { type: 'integer' }
+        },
+        {
+            itemprop: 'revoked',
+            itemtype: { type: 'boolean' }
+        },
+        {
+            itemprop: 'updatedAt',
+            itemtype: { type: 'number' }
+        }
+    ]
+};
+
+export const ChatJoinRequestEntryRecipe = {
+    $type$: 'Recipe' as const,
+    name: 'ChatJoinRequestEntry',
+    rule: [
+        {
+            itemprop: '$type$',
+            itemtype: { type: 'string', regexp: /^ChatJoinRequestEntry$/ }
+        },
+        {
+            itemprop: 'person',
+            itemtype: {
+                type: 'referenceToId',
+                allowedTypes: new Set(['Person'])
+            },
+            isId: true
+        },
+        // ChatJoinRequest hash
+        {
+            itemprop: 'request',
+            itemtype: { type: 'string' },
+            isId: true
+        },
+        // ChatInvite hash
+        {
+            itemprop: 'invite',
+            itemtype: { type: 'string' }
+        },
+        {
+            itemprop: 'topicId',
+            itemtype: { type: 'string' }
+        },
+        {
+            itemprop: 'requester',
+            itemtype: {
+                type: 'referenceToId',
+                allowedTypes: new Set(['Person'])
+            }
+        },
+        // P2P topic the request arrived in
+        {
+            itemprop: 'p2pTopicId',
+            itemtype: { type: 'string' }
+        },
+        {
+            itemprop: 'requestedAt',
+            itemtype: { type: 'number' }
+        },
+        {
+            itemprop: 'status',
+            itemtype: { type: 'string', regexp: /^(pending|approved|rejected)$/ }
+        },
+        // Why a request was rejected or could not be completed
+        {
+            itemprop: 'reason',
+            itemtype: { type: 'string' },
+            optional: true
+        },
+        {
+            itemprop: 'decidedAt',
+            itemtype: { type: 'number' },
+            optional: true
+        },
+        {
+            itemprop: 'updatedAt',
+            itemtype: { type: 'number' }
+        }
+    ]
+};
+
+export const ChatInviteRegistryRecipe = {
+    $type$: 'Recipe' as const,
+    name: 'ChatInviteRegistry',
+    rule: [
+        {
+            itemprop: '$type$',
+            itemtype: { type: 'string', regexp: /^ChatInviteRegistry$/ }
+        },
+        // Owner of the registry
+        {
+            itemprop: 'person',
+            itemtype: {
+                type: 'referenceToId',
+                allowedTypes: new Set(['Person'])
+            },
+            isId: true
+        },
+        // ChatInvite hashes of the ChatInviteEntry objects
+        {
+            itemprop: 'invites',
+            itemtype: {
+                type: 'array',
+                item: { type: 'string' }
+            }
+        },
+        // ChatJoinRequest hashes of the ChatJoinRequestEntry objects
+        {
+            itemprop: 'requests',
+            itemtype: {
+                type: 'array',
+                item: { type: 'string' }
+            }
+        },
+        {
+            itemprop: 'updatedAt',
+            itemtype: { type: 'number' }
+        }
+    ]
+};
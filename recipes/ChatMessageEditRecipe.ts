@@ -0,0 +1,98 @@
+/**
+ * Chat Message Edit Recipes for ONE.core
+ *
+ * ChatMessage objects are immutable, so edits and deletions are separate
+ * objects posted to the topic channel (like ChatReply):
+ *
+ * ChatMessageEdit: new text of a message. The latest edit is the current text;
+ * all edits together are the message history.
+ *
+ * ChatMessageDeletion: turns a message into a tombstone. Later edits are
+ * ignored.
+ *
+ * Both only count when posted by the sender of the message. Both name the
+ * channel entry of the message: identical messages share a ChatMessage hash.
+ */
+
+export const ChatMessageEditRecipe = {
+    $type$: 'Recipe' as const,
+    name: 'ChatMessageEdit',
+    rule: [
+        {
+            itemprop: '$type$',
+            itemtype: { type: 'string', regexp: /^ChatMessageEdit$/ }
+        },
+        // The edited (original) message
+        {
+            itemprop: 'message',
+            itemtype: {
+                type: 'referenceToObj',
+                allowedTypes: new Set(['ChatMessage'])
+            }
+        },
+        // Channel entry id of the message
+        {
+            itemprop: 'entry',
+            itemtype: { type: 'string' }
+        },
+        {
+            itemprop: 'editor',
+            itemtype: {
+                type: 'referenceToId',
+                allowedTypes: new Set(['Person'])
+            }
+        },
+        {
+            itemprop: 'text',
+            itemtype: { type: 'string' }
+        },
+        {
+            itemprop: 'reason',
+            itemtype: { type: 'string' },
+            optional: true
+        },
+        {
+            itemprop: 'timestamp',
+            itemtype: { type: 'number' }
+        }
+    ]
+};
+
+export const ChatMessageDeletionRecipe = {
+    $type$: 'Recipe' as const,
+    name: 'ChatMessageDeletion',
+    rule: [
+        {
+            itemprop: '$type$',
+            itemtype: { type: 'string', regexp: /^ChatMessageDeletion$/ }
+        },
+        {
+            itemprop: 'message',
+            itemtype: {
+                type: 'referenceToObj',
+                allowedTypes: new Set(['ChatMessage'])
+            }
+        },
+        // Channel entry id of the message
+        {
+            itemprop: 'entry',
+            itemtype: { type: 'string' }
+        },
+        {
+            itemprop: 'deletedBy',
+            itemtype: {
+                type: 'referenceToId',
+                allowedTypes: new Set(['Person'])
+            }
+        },
+        {
+            itemprop: 'reason',
+            itemtype: { type: 'string' },
+            optional: true
+        },
+        {
+            itemprop: 'timestamp',
+            itemtype: { type: 'number' }
+        }
+    ]
+};
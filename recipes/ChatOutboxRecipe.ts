@@ -0,0 +1,140 @@
+/**
+ * Chat Outbox Recipes for ONE.core
+ *
+ * ChatOutboxEntry: one message that was accepted by sendMessage, with its
+ * delivery state. Versioned (identity = person + clientId), so status changes
+ * only add versions of that message.
+ *
+ * ChatOutbox: client IDs of the entries that were not stored in their topic
+ * channel when the last message was queued. Versioned (identity = person) -
+ * lets the outbox find pending messages after a restart.
+ *
+ * Both are stored locally and never shared.
+ */
+
+export const ChatOutboxRecipe = {
+    $type$: 'Recipe' as const,
+    name: 'ChatOutbox',
+    rule: [
+        {
+            itemprop: '$type$',
+            itemtype: { type: 'string', regexp: /^ChatOutbox$/ }
+        },
+        // Owner of the outbox
+        {
+            itemprop: 'person',
+            itemtype: {
+                type: 'referenceToId',
+                allowedTypes: new Set(['Person'])
+            },
+            isId: true
+        },
+        // Client IDs of pending entries
+        {
+            itemprop: 'pending',
+            itemtype: {
+                type: 'array',
+                item: { type: 'string' }
+            }
+        },
+        {
+            itemprop: 'updatedAt',
+            itemtype: { type: 'number' }
+        }
+    ]
+};
+
+export const ChatOutboxEntryRecipe = {
+    $type$: 'Recipe' as const,
+    name: 'ChatOutboxEntry',
+    rule: [
+        {
+            itemprop: '$type$',
+            itemtype: { type: 'string', regexp: /^ChatOutboxEntry$/ }
+        },
+        {
+            itemprop: 'person',
+            itemtype: {
+                type: 'referenceToId',
+                allowedTypes: new Set(['Person'])
+            },
+            isId: true
+        },
+        {
+            itemprop: 'clientId',
+            itemtype: { type: 'string' },
+            isId: true
+        },
+        {
+            itemprop: 'conversationId',
+            itemtype: { type: 'string' }
+        },
+        {
+            itemprop: 'content',
+            itemtype: { type: 'string' }
+        },
+        // Attachment descriptors (JSON array)
+        {
+            itemprop: 'attachments',
+            itemtype: { type: 'string' }
+        },
+        {
+            itemprop: 'senderId',
+            itemtype: { type: 'string' }
+        },
+        {
+            itemprop: 'replyTo',
+            itemtype: { type: 'string' },
+            optional: true
+        },
+        // Poll specification (JSON) if the message is a poll question
+        {
+            itemprop: 'poll',
+            itemtype: { type: 'string' },
+            optional: true
+        },
+        {
+            itemprop: 'status',
+            itemtype: { type: 'string', regexp: /^(queued|stored|failed)$/ }
+        },
+        {
+            itemprop: 'attempts',
+            itemtype: { type: 'number' }
+        },
+        {
+            itemprop: 'lastError',
+            itemtype: { type: 'string' },
+            optional: true
+        },
+        // Set as soon as the ChatMessage is in the channel
+        {
+            itemprop: 'messageHash',
+            itemtype: { type: 'string' },
+            optional: true
+        },
+        {
+            itemprop: 'messageId',
+            itemtype: { type: 'string' },
+            optional: true
+        },
+        // Set as soon as the ChatPoll of a poll question is in the channel
+        {
+            itemprop: 'pollHash',
+            itemtype: { type: 'string' },
+            optional: true
+        },
+        {
+            itemprop: 'createdAt',
+            itemtype: { type: 'number' }
+        },
+        {
+            itemprop: 'updatedAt',
+            itemtype: { type: 'number' }
+        },
+        {
+            itemprop: 'nextAttemptAt',
+            itemtype: { type: 'number' },
+            optional: true
+        }
+    ]
+};
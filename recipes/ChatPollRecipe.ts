@@ -0,0 +1,137 @@
+/**
+ * Chat Poll Recipes for ONE.core
+ *
+ * ChatPoll: turns a ChatMessage (the question) into a poll. Posted to the
+ * topic channel right after the message, like ChatReply.
+ *
+ * ChatPollVote: a participant's current choices. Votes are append-only - the
+ * latest vote of a voter replaces their earlier ones, an empty choice list
+ * withdraws the vote.
+ *
+ * ChatPollClose: posted by the poll creator to stop voting before closesAt.
+ *
+ * Anonymous polls hide voters in the tallies. Votes still travel with their
+ * author like every channel object, so anonymity is towards the UI, not the
+ * participants' instances.
+ */
+
+export const ChatPollRecipe = {
+    $type$: 'Recipe' as const,
+    name: 'ChatPoll',
+    rule: [
+        {
+            itemprop: '$type$',
+            itemtype: { type: 'string', regexp: /^ChatPoll$/ }
+        },
+        // The ChatMessage carrying the question
+        {
+            itemprop: 'message',
+            itemtype: {
+                type: 'referenceToObj',
+                allowedTypes: new Set(['ChatMessage'])
+            }
+        },
+        {
+            itemprop: 'question',
+            itemtype: { type: 'string' }
+        },
+        {
+            itemprop: 'options',
+            itemtype: {
+                type: 'array',
+                item: { type: 'string' }
+            }
+        },
+        {
+            itemprop: 'multipleChoice',
+            itemtype: { type: 'boolean' }
+        },
+        {
+            itemprop: 'anonymous',
+            itemtype: { type: 'boolean' }
+        },
+        // Voting ends at this time (ms)
+        {
+            itemprop: 'closesAt',
+            itemtype: { type: 'number' },
+            optional: true
+        },
+        {
+            itemprop: 'createdBy',
+            itemtype: {
+                type: 'referenceToId',
+                allowedTypes: new Set(['Person'])
+            }
+        },
+        {
+            itemprop: 'createdAt',
+            itemtype: { type: 'number' }
+        }
+    ]
+};
+
+export const ChatPollVoteRecipe = {
+    $type$: 'Recipe' as const,
+    name: 'ChatPollVote',
+    rule: [
+        {
+            itemprop: '$type$',
+            itemtype: { type: 'string', regexp: /^ChatPollVote$/ }
+        },
+        {
+            itemprop: 'poll',
+            itemtype: {
+                type: 'referenceToObj',
+                allowedTypes: new Set(['ChatPoll'])
+            }
+        },
+        {
+            itemprop: 'voter',
+            itemtype: {
+                type: 'referenceToId',
+                allowedTypes: new Set(['Person'])
+            }
+        },
+        // Indexes into ChatPoll.options (empty = vote withdrawn)
+        {
+            itemprop: 'choices',
+            itemtype: {
+                type: 'array',
+                item: { type: 'integer' }
+            }
+        },
+        {
+            itemprop: 'timestamp',
+            itemtype: { type: 'number' }
+        }
+    ]
+};
+
+export const ChatPollCloseRecipe = {
+    $type$: 'Recipe' as const,
+    name: 'ChatPollClose',
+    rule: [
+        {
+            itemprop: '$type$',
+            itemtype: { type: 'string', regexp: /^ChatPollClose$/ }
+        },
+        {
+            itemprop: 'poll',
+            itemtype: {
+                type: 'referenceToObj',
+                allowedTypes: new Set(['ChatPoll'])
+            }
+        },
+        {
+            itemprop: 'closedBy',
+            itemtype: {
+                type: 'referenceToId',
+                allowedTypes: new Set(['Person'])
+            }
+        },
+        {
+            itemprop: 'timestamp',
+            itemtype: { type: 'number' }
+        }
+    ]
+};
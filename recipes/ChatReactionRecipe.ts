@@ -0,0 +1,57 @@
+/**
+ * Chat Reaction Recipe for ONE.core
+ *
+ * Defines the schema for emoji reactions on chat messages.
+ * Reactions are posted to the topic channel, so they sync to all participants.
+ * Removing a reaction posts a new object with action 'remove' (channels are append-only).
+ */
+
+export const ChatReactionRecipe = {
+    $type$: 'Recipe' as const,
+    name: 'ChatReaction',
+    rule: [
+        {
+            itemprop: '$type$',
+            itemtype: { type: 'string', regexp: /^ChatReaction$/ }
+        },
+        // The ChatMessage this reaction belongs to
+        {
+            itemprop: 'message',
+            itemtype: {
+                type: 'referenceToObj',
+                allowedTypes: new Set(['ChatMessage'])
+            }
+        },
+        // Channel entry id of the message (identical messages share their hash)
+        {
+            itemprop: 'entry',
+            itemtype: { type: 'string' }
+        },
+        // Person who reacted
+        {
+            itemprop: 'sender',
+            itemtype: {
+                type: 'referenceToId',
+                allowedTypes: new Set(['Person'])
+            }
+        },
+        // The emoji (e.g., '👍')
+        {
+            itemprop: 'emoji',
+            itemtype: { type: 'string' }
+        },
+        // Whether the reaction is added or removed
+        {
+            itemprop: 'action',
+            itemtype: {
+                type: 'string',
+                regexp: /^(add|remove)$/
+            }
+        },
+        // Time of the reaction (latest action per sender+emoji wins)
+        {
+            itemprop: 'timestamp',
+            itemtype: { type: 'number' }
+        }
+    ]
+};
@@ -0,0 +1,101 @@
+/**
+ * Chat Read Position Recipes for ONE.core
+ *
+ * ChatReadPosition: per-user, per-topic read position. Versioned
+ * (identity = topicId + person), stored locally - drives unread counts.
+ *
+ * ChatReadReceipt: optional receipt posted to the topic channel so other
+ * participants can see how far a user has read ("seen by").
+ */
+
+export const ChatReadPositionRecipe = {
+    $type$: 'Recipe' as const,
+    name: 'ChatReadPosition',
+    rule: [
+        {
+            itemprop: '$type$',
+            itemtype: { type: 'string', regexp: /^ChatReadPosition$/ }
+        },
+        // Topic ID the position applies to
+        {
+            itemprop: 'topicId',
+            itemtype: { type: 'string' },
+            isId: true
+        },
+        // Reader
+        {
+            itemprop: 'person',
+            itemtype: {
+                type: 'referenceToId',
+                allowedTypes: new Set(['Person'])
+            },
+            isId: true
+        },
+        // Creation time of the last read message - everything up to it is read
+        {
+            itemprop: 'readUpTo',
+            itemtype: { type: 'number' }
+        },
+        // Last read message
+        {
+            itemprop: 'message',
+            itemtype: {
+                type: 'referenceToObj',
+                allowedTypes: new Set(['ChatMessage'])
+            },
+            optional: true
+        },
+        // Read position last shared as a ChatReadReceipt
+        {
+            itemprop: 'sharedUpTo',
+            itemtype: { type: 'number' },
+            optional: true
+        },
+        {
+            itemprop: 'updatedAt',
+            itemtype: { type: 'number' }
+        }
+    ]
+};
+
+export const ChatReadReceiptRecipe = {
+    $type$: 'Recipe' as const,
+    name: 'ChatReadReceipt',
+    rule: [
+        {
+            itemprop: '$type$',
+            itemtype: { type: 'string', regexp: /^ChatReadReceipt$/ }
+        },
+        {
+            itemprop: 'topicId',
+            itemtype: { type: 'string' }
+        },
+        // Reader
+        {
+            itemprop: 'reader',
+            itemtype: {
+                type: 'referenceToId',
+                allowedTypes: new Set(['Person'])
+            }
+        },
+        // Creation time of the last read message
+        {
+            itemprop: 'readUpTo',
+            itemtype: { type: 'number' }
+        },
+        // Last read message
+        {
+            itemprop: 'message',
+            itemtype: {
+                type: 'referenceToObj',
+                allowedTypes: new Set(['ChatMessage'])
+            },
+            optional: true
+        },
+        // When the receipt was sent
+        {
+            itemprop: 'timestamp',
+            itemtype: { type: 'number' }
+        }
+    ]
+};
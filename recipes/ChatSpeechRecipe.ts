@@ -0,0 +1,107 @@
+/**
+ * Chat Speech Recipes for ONE.core
+ *
+ * ChatSpeech: cached read-aloud audio of a message. Versioned
+ * (identity = message + voice), stored locally and never shared. A new version
+ * replaces the cache when the text or the TTS model changed.
+ *
+ * ChatAutoSpeak: per-user, per-topic setting to read AI replies aloud as
+ * they arrive. Versioned (identity = topicId + person), stored locally.
+ */
+
+export const ChatSpeechRecipe = {
+    $type$: 'Recipe' as const,
+    name: 'ChatSpeech',
+    rule: [
+        {
+            itemprop: '$type$',
+            itemtype: { type: 'string', regexp: /^ChatSpeech$/ }
+        },
+        {
+            itemprop: 'message',
+            itemtype: {
+                type: 'referenceToObj',
+                allowedTypes: new Set(['ChatMessage'])
+            },
+            isId: true
+        },
+        // Voice preset name or BLOB hash of reference audio ('' = model default)
+        {
+            itemprop: 'voice',
+            itemtype: { type: 'string' },
+            isId: true
+        },
+        // The spoken text (the cache is stale when the message text changed)
+        {
+            itemprop: 'text',
+            itemtype: { type: 'string' }
+        },
+        // Name of the TTS model that rendered the audio
+        {
+            itemprop: 'model',
+            itemtype: { type: 'string' }
+        },
+        // BLOB hash of the audio
+        {
+            itemprop: 'audio',
+            itemtype: { type: 'string' }
+        },
+        {
+            itemprop: 'mimeType',
+            itemtype: { type: 'string' }
+        },
+        {
+            itemprop: 'sampleRate',
+            itemtype: { type: 'number' },
+            optional: true
+        },
+        // Length in seconds
+        {
+            itemprop: 'duration',
+            itemtype: { type: 'number' },
+            optional: true
+        },
+        {
+            itemprop: 'createdAt',
+            itemtype: { type: 'number' }
+        }
+    ]
+};
+
+export const ChatAutoSpeakRecipe = {
+    $type$: 'Recipe' as const,
+    name: 'ChatAutoSpeak',
+    rule: [
+        {
+            itemprop: '$type$',
+            itemtype: { type: 'string', regexp: /^ChatAutoSpeak$/ }
+        },
+        {
+            itemprop: 'topicId',
+            itemtype: { type: 'string' },
+            isId: true
+        },
+        {
+            itemprop: 'person',
+            itemtype: {
+                type: 'referenceToId',
+                allowedTypes: new Set(['Person'])
+            },
+            isId: true
+        },
+        {
+            itemprop: 'enabled',
+            itemtype: { type: 'boolean' }
+        },
+        // Voice for the replies (model default if missing)
+        {
+            itemprop: 'voice',
+            itemtype: { type: 'string' },
+            optional: true
+        },
+        {
+            itemprop: 'updatedAt',
+            itemtype: { type: 'number' }
+        }
+    ]
+};
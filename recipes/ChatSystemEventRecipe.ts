@@ -0,0 +1,69 @@
+/**
+ * Chat System Event Recipe for ONE.core
+ *
+ * ChatSystemEvent: posted to the topic channel when the conversation itself
+ * changes (participants added, removed or left, name/description/avatar
+ * edited). Clients show it in the message list as a system line ("Alice left").
+ */
+
+export const ChatSystemEventRecipe = {
+    $type$: 'Recipe' as const,
+    name: 'ChatSystemEvent',
+    rule: [
+        {
+            itemprop: '$type$',
+            itemtype: { type: 'string', regexp: /^ChatSystemEvent$/ }
+        },
+        {
+            itemprop: 'topicId',
+            itemtype: { type: 'string' }
+        },
+        // What happened
+        {
+            itemprop: 'event',
+            itemtype: {
+                type: 'string',
+                regexp: /^(participants-added|participants-removed|participant-left|conversation-updated)$/
+            }
+        },
+        // Person who caused the event
+        {
+            itemprop: 'actor',
+            itemtype: {
+                type: 'referenceToId',
+                allowedTypes: new Set(['Person'])
+            }
+        },
+        // Persons the event is about (added / removed participants)
+        {
+            itemprop: 'subjects',
+            itemtype: {
+                type: 'array',
+                item: {
+                    type: 'referenceToId',
+                    allowedTypes: new Set(['Person'])
+                }
+            },
+            optional: true
+        },
+        // Edited conversation fields (name, description, avatar)
+        {
+            itemprop: 'changes',
+            itemtype: {
+                type: 'array',
+                item: { type: 'string', regexp: /^(name|description|avatar)$/ }
+            },
+            optional: true
+        },
+        // New name (when renamed)
+        {
+            itemprop: 'name',
+            itemtype: { type: 'string' },
+            optional: true
+        },
+        {
+            itemprop: 'timestamp',
+            itemtype: { type: 'number' }
+        }
+    ]
+};
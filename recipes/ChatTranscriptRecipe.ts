@@ -0,0 +1,172 @@
+/**
+ * Chat Transcript Recipe for ONE.core
+ *
+ * Transcript of an audio attachment (voice message), created in the background
+ * by the sender's active STT model. Posted to the topic channel after the
+ * message, like ChatReply, so every participant sees the same text. Only
+ * transcripts by the sender of the message count.
+ *
+ * ChatTranscriptionJob: a pending, finished or failed transcription of one
+ * sent message. Versioned (identity = person + message).
+ *
+ * ChatTranscriptionQueue: messages whose transcription is pending. Versioned
+ * (identity = person) - lets the queue resume jobs after a restart.
+ *
+ * Jobs and the queue are stored locally and never shared.
+ */
+
+export const ChatTranscriptRecipe = {
+    $type$: 'Recipe' as const,
+    name: 'ChatTranscript',
+    rule: [
+        {
+            itemprop: '$type$',
+            itemtype: { type: 'string', regexp: /^ChatTranscript$/ }
+        },
+        // The message carrying the audio
+        {
+            itemprop: 'message',
+            itemtype: {
+                type: 'referenceToObj',
+                allowedTypes: new Set(['ChatMessage'])
+            }
+        },
+        // BLOB hash of the transcribed audio attachment
+        {
+            itemprop: 'attachment',
+            itemtype: { type: 'string' }
+        },
+        {
+            itemprop: 'text',
+            itemtype: { type: 'string' }
+        },
+        // Spoken language (ISO 639-1), if known
+        {
+            itemprop: 'language',
+            itemtype: { type: 'string' },
+            optional: true
+        },
+        // Timed segments as JSON [{ start, end, text }] (seconds) - only from
+        // models with the 'timestamps' capability
+        {
+            itemprop: 'segments',
+            itemtype: { type: 'string' },
+            optional: true
+        },
+        // Name of the STT model that produced the transcript
+        {
+            itemprop: 'model',
+            itemtype: { type: 'string' }
+        },
+        {
+            itemprop: 'createdBy',
+            itemtype: {
+                type: 'referenceToId',
+                allowedTypes: new Set(['Person'])
+            }
+        },
+        {
+            itemprop: 'createdAt',
+            itemtype: { type: 'number' }
+        }
+    ]
+};
+
+export const ChatTranscriptionJobRecipe = {
+    $type$: 'Recipe' as const,
+    name: 'ChatTranscriptionJob',
+    rule: [
+        {
+            itemprop: '$type$',
+            itemtype: { type: 'string', regexp: /^ChatTranscriptionJob$/ }
+        },
+        {
+            itemprop: 'person',
+            itemtype: {
+                type: 'referenceToId',
+                allowedTypes: new Set(['Person'])
+            },
+            isId: true
+        },
+        // ChatMessage hash
+        {
+            itemprop: 'message',
+            itemtype: { type: 'string' },
+            isId: true
+        },
+        {
+            itemprop: 'conversationId',
+            itemtype: { type: 'string' }
+        },
+        // Person the message was sent as (creator of its transcripts)
+        {
+            itemprop: 'sender',
+            itemtype: {
+                type: 'referenceToId',
+                allowedTypes: new Set(['Person'])
+            }
+        },
+        // Audio attachments still to transcribe (JSON array)
+        {
+            itemprop: 'audio',
+            itemtype: { type: 'string' }
+        },
+        {
+            itemprop: 'status',
+            itemtype: { type: 'string', regexp: /^(pending|done|failed)$/ }
+        },
+        {
+            itemprop: 'attempts',
+            itemtype: { type: 'number' }
+        },
+        {
+            itemprop: 'lastError',
+            itemtype: { type: 'string' },
+            optional: true
+        },
+        {
+            itemprop: 'nextAttemptAt',
+            itemtype: { type: 'number' },
+            optional: true
+        },
+        {
+            itemprop: 'createdAt',
+            itemtype: { type: 'number' }
+        },
+        {
+            itemprop: 'updatedAt',
+            itemtype: { type: 'number' }
+        }
+    ]
+};
+
+export const ChatTranscriptionQueueRecipe = {
+    $type$: 'Recipe' as const,
+    name: 'ChatTranscriptionQueue',
+    rule: [
+        {
+            itemprop: '$type$',
+            itemtype: { type: 'string', regexp: /^ChatTranscriptionQueue$/ }
+        },
+        {
+            itemprop: 'person',
+            itemtype: {
+                type: 'referenceToId',
+                allowedTypes: new Set(['Person'])
+            },
+            isId: true
+        },
+        // ChatMessage hashes of pending jobs
+        {
+            itemprop: 'pending',
+            itemtype: {
+                type: 'array',
+                item: { type: 'string' }
+            }
+        },
+        {
+            itemprop: 'updatedAt',
+            itemtype: { type: 'number' }
+        }
+    ]
+};
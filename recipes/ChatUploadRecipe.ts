@@ -0,0 +1,79 @@
+/**
+ * Chat Upload Recipe for ONE.core
+ *
+ * ChatUpload: state of a chunked attachment upload. Every received chunk is
+ * stored as its own BLOB right away; the upload object records which chunks
+ * arrived, so an interrupted upload continues with the missing chunks.
+ * Versioned (identity = uploadId), stored locally and never shared.
+ */
+
+export const ChatUploadRecipe = {
+    $type$: 'Recipe' as const,
+    name: 'ChatUpload',
+    rule: [
+        {
+            itemprop: '$type$',
+            itemtype: { type: 'string', regexp: /^ChatUpload$/ }
+        },
+        {
+            itemprop: 'uploadId',
+            itemtype: { type: 'string' },
+            isId: true
+        },
+        {
+            itemprop: 'owner',
+            itemtype: {
+                type: 'referenceToId',
+                allowedTypes: new Set(['Person'])
+            }
+        },
+        {
+            itemprop: 'name',
+            itemtype: { type: 'string' },
+            optional: true
+        },
+        {
+            itemprop: 'mimeType',
+            itemtype: { type: 'string' },
+            optional: true
+        },
+        // Total size in bytes
+        {
+            itemprop: 'size',
+            itemtype: { type: 'integer' }
+        },
+        {
+            itemprop: 'chunkSize',
+            itemtype: { type: 'integer' }
+        },
+        // Expected SHA-256 (hex) of the whole file, checked when the upload is finished
+        {
+            itemprop: 'sha256',
+            itemtype: { type: 'string' },
+            optional: true
+        },
+        // BLOB hash per chunk index (JSON array, null = missing)
+        {
+            itemprop: 'chunks',
+            itemtype: { type: 'string' }
+        },
+        {
+            itemprop: 'status',
+            itemtype: { type: 'string', regexp: /^(open|complete|cancelled)$/ }
+        },
+        // BLOB hash of the assembled file (status complete)
+        {
+            itemprop: 'blob',
+            itemtype: { type: 'string' },
+            optional: true
+        },
+        {
+            itemprop: 'createdAt',
+            itemtype: { type: 'number' }
+        },
+        {
+            itemprop: 'updatedAt',
+            itemtype: { type: 'number' }
+        }
+    ]
+};
@@ -0,0 +1,42 @@
+/**
+ * Conversation AI Routing Recipe for ONE.core
+ *
+ * ConversationAIRouting: which AI participants answer a message in a
+ * conversation with several AIs. Posted to the topic channel like
+ * ConversationMetadata - the newest object is the current setting.
+ *
+ * Modes:
+ * - mention: only AIs mentioned by name (@name) answer
+ * - round-robin: the AIs take turns
+ * - all: every AI answers (side-by-side comparison)
+ */
+
+export const ConversationAIRoutingRecipe = {
+    $type$: 'Recipe' as const,
+    name: 'ConversationAIRouting',
+    rule: [
+        {
+            itemprop: '$type$',
+            itemtype: { type: 'string', regexp: /^ConversationAIRouting$/ }
+        },
+        {
+            itemprop: 'topicId',
+            itemtype: { type: 'string' }
+        },
+        {
+            itemprop: 'mode',
+            itemtype: { type: 'string', regexp: /^(mention|round-robin|all)$/ }
+        },
+        {
+            itemprop: 'updatedBy',
+            itemtype: {
+                type: 'referenceToId',
+                allowedTypes: new Set(['Person'])
+            }
+        },
+        {
+            itemprop: 'updatedAt',
+            itemtype: { type: 'number' }
+        }
+    ]
+};
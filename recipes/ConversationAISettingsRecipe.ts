@@ -0,0 +1,85 @@
+/**
+ * Conversation AI Settings Recipe for ONE.core
+ *
+ * ConversationAISettings: how the AI behaves in one conversation. Sampling
+ * parameters override the defaults of the LLM object, so a "code reviewer"
+ * and a "translator" conversation can share one model. Posted to the topic
+ * channel like ConversationMetadata - the newest object is the current
+ * setting and reaches every participant.
+ *
+ * Context window policies:
+ * - full: as much history as the model context holds
+ * - recent: the last contextLimit messages
+ * - tokens: the newest messages that fit into contextLimit tokens
+ */
+
+export const ConversationAISettingsRecipe = {
+    $type$: 'Recipe' as const,
+    name: 'ConversationAISettings',
+    rule: [
+        {
+            itemprop: '$type$',
+            itemtype: { type: 'string', regexp: /^ConversationAISettings$/ }
+        },
+        {
+            itemprop: 'topicId',
+            itemtype: { type: 'string' }
+        },
+        {
+            itemprop: 'systemPrompt',
+            itemtype: { type: 'string' },
+            optional: true
+        },
+        // Model override (LLM.modelId)
+        {
+            itemprop: 'modelId',
+            itemtype: { type: 'string' },
+            optional: true
+        },
+        // Sampling parameters (unset = LLM object defaults)
+        {
+            itemprop: 'temperature',
+            itemtype: { type: 'number' },
+            optional: true
+        },
+        {
+            itemprop: 'maxTokens',
+            itemtype: { type: 'number' },
+            optional: true
+        },
+        {
+            itemprop: 'topK',
+            itemtype: { type: 'number' },
+            optional: true
+        },
+        {
+            itemprop: 'topP',
+            itemtype: { type: 'number' },
+            optional: true
+        },
+        {
+            itemprop: 'contextPolicy',
+            itemtype: { type: 'string', regexp: /^(full|recent|tokens)$/ }
+        },
+        {
+            itemprop: 'contextLimit',
+            itemtype: { type: 'number' },
+            optional: true
+        },
+        {
+            itemprop: 'showThinking',
+            itemtype: { type: 'boolean' }
+        },
+        {
+            itemprop: 'updatedBy',
+            itemtype: {
+                type: 'referenceToId',
+                allowedTypes: new Set(['Person'])
+            }
+        },
+        {
+            itemprop: 'updatedAt',
+            itemtype: { type: 'number' }
+        }
+    ]
+};
@@ -0,0 +1,50 @@
+/**
+ * Conversation Metadata Recipe for ONE.core
+ *
+ * ConversationMetadata: posted to the topic channel when a participant edits
+ * the conversation (name, description, avatar). Every object is a complete
+ * snapshot - the newest one in the channel is the current metadata, older
+ * ones form the metadata history.
+ */
+
+export const ConversationMetadataRecipe = {
+    $type$: 'Recipe' as const,
+    name: 'ConversationMetadata',
+    rule: [
+        {
+            itemprop: '$type$',
+            itemtype: { type: 'string', regexp: /^ConversationMetadata$/ }
+        },
+        {
+            itemprop: 'topicId',
+            itemtype: { type: 'string' }
+        },
+        {
+            itemprop: 'name',
+            itemtype: { type: 'string' }
+        },
+        {
+            itemprop: 'description',
+            itemtype: { type: 'string' },
+            optional: true
+        },
+        // Conversation picture
+        {
+            itemprop: 'avatar',
+            itemtype: { type: 'referenceToBlob' },
+            optional: true
+        },
+        // Person who made the change
+        {
+            itemprop: 'updatedBy',
+            itemtype: {
+                type: 'referenceToId',
+                allowedTypes: new Set(['Person'])
+            }
+        },
+        {
+            itemprop: 'updatedAt',
+            itemtype: { type: 'number' }
+        }
+    ]
+};
@@ -0,0 +1,80 @@
+/**
+ * Conversation Roles Recipe for ONE.core
+ *
+ * ConversationRoles: role snapshot of a group topic, posted to the topic
+ * channel next to the topic's participants HashGroup. Every snapshot is
+ * complete; a snapshot only counts if its author was owner or admin by the
+ * previous valid snapshot, so participants can verify the role history.
+ *
+ * Participants not listed are members. Topics without a snapshot have no
+ * roles - every participant may do everything (behavior before roles).
+ */
+
+export const ConversationRolesRecipe = {
+    $type$: 'Recipe' as const,
+    name: 'ConversationRoles',
+    rule: [
+        {
+            itemprop: '$type$',
+            itemtype: { type: 'string', regexp: /^ConversationRoles$/ }
+        },
+        {
+            itemprop: 'topicId',
+            itemtype: { type: 'string' }
+        },
+        {
+            itemprop: 'owner',
+            itemtype: {
+                type: 'referenceToId',
+                allowedTypes: new Set(['Person'])
+            }
+        },
+        {
+            itemprop: 'admins',
+            itemtype: {
+                type: 'array',
+                item: {
+                    type: 'referenceToId',
+                    allowedTypes: new Set(['Person'])
+                }
+            },
+            optional: true
+        },
+        // Participants that can read but not post
+        {
+            itemprop: 'readOnly',
+            itemtype: {
+                type: 'array',
+                item: {
+                    type: 'referenceToId',
+                    allowedTypes: new Set(['Person'])
+                }
+            },
+            optional: true
+        },
+        // Announcement mode - only owner and admins can post
+        {
+            itemprop: 'announcementOnly',
+            itemtype: { type: 'boolean' }
+        },
+        // Person who made the change
+        {
+            itemprop: 'updatedBy',
+            itemtype: {
+                type: 'referenceToId',
+                allowedTypes: new Set(['Person'])
+            }
+        },
+        {
+            itemprop: 'updatedAt',
+            itemtype: { type: 'number' }
+        },
+        // First snapshot only: seed of the topic ID, which is derived from the
+        // creator's person ID and this seed - proves who created the group
+        {
+            itemprop: 'creatorSeed',
+            itemtype: { type: 'string' },
+            optional: true
+        }
+    ]
+};
@@ -0,0 +1,116 @@
+/**
+ * Conversation Summary Recipe for ONE.core
+ *
+ * ConversationSummary: per-user, per-topic cached entry of the conversation
+ * list. Versioned (identity = topicId + person), stored locally - lets
+ * getConversations answer without reading every topic's channel and history.
+ */
+
+export const ConversationSummaryRecipe = {
+    $type$: 'Recipe' as const,
+    name: 'ConversationSummary',
+    rule: [
+        {
+            itemprop: '$type$',
+            itemtype: { type: 'string', regexp: /^ConversationSummary$/ }
+        },
+        // Topic ID the summary describes
+        {
+            itemprop: 'topicId',
+            itemtype: { type: 'string' },
+            isId: true
+        },
+        // Owner of the summary (unread counts are per person)
+        {
+            itemprop: 'person',
+            itemtype: {
+                type: 'referenceToId',
+                allowedTypes: new Set(['Person'])
+            },
+            isId: true
+        },
+        // Topic channel + name the summary was built from - a new channel
+        // (participants changed) or a rename triggers a rebuild
+        {
+            itemprop: 'source',
+            itemtype: { type: 'string' }
+        },
+        {
+            itemprop: 'topicIdHash',
+            itemtype: { type: 'string' },
+            optional: true
+        },
+        {
+            itemprop: 'name',
+            itemtype: { type: 'string' }
+        },
+        // Participant list as returned by getConversations (JSON)
+        {
+            itemprop: 'participants',
+            itemtype: { type: 'string' }
+        },
+        {
+            itemprop: 'lastMessage',
+            itemtype: { type: 'string' }
+        },
+        {
+            itemprop: 'lastActivity',
+            itemtype: { type: 'number' }
+        },
+        {
+            itemprop: 'unreadCount',
+            itemtype: { type: 'number' }
+        },
+        {
+            itemprop: 'firstUnreadMessageId',
+            itemtype: { type: 'string' },
+            optional: true
+        },
+        {
+            itemprop: 'isAITopic',
+            itemtype: { type: 'boolean' }
+        },
+        {
+            itemprop: 'aiModelId',
+            itemtype: { type: 'string' },
+            optional: true
+        },
+        {
+            itemprop: 'modelName',
+            itemtype: { type: 'string' },
+            optional: true
+        },
+        // AI participants with model names (JSON array)
+        {
+            itemprop: 'aiParticipants',
+            itemtype: { type: 'string' },
+            optional: true
+        },
+        {
+            itemprop: 'aiAddressing',
+            itemtype: { type: 'string', regexp: /^(mention|round-robin|all)$/ },
+            optional: true
+        },
+        {
+            itemprop: 'description',
+            itemtype: { type: 'string' },
+            optional: true
+        },
+        {
+            itemprop: 'avatarBlobHash',
+            itemtype: { type: 'string' },
+            optional: true
+        },
+        // Newest metadata, AI routing and AI settings objects the summary was
+        // built from - edits synced while the app was closed trigger a rebuild
+        {
+            itemprop: 'metadataVersion',
+            itemtype: { type: 'string' },
+            optional: true
+        },
+        {
+            itemprop: 'updatedAt',
+            itemtype: { type: 'number' }
+        }
+    ]
+};
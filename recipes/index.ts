@@ -6,6 +6,24 @@
 import { LLMRecipe } from './LLMRecipe.js';
 import { TTSRecipe } from './TTSRecipe.js';
 import { STTRecipe } from './STTRecipe.js';
+import { ChatReactionRecipe } from './ChatReactionRecipe.js';
+import { ChatClearMarkerRecipe, ChatClearRequestRecipe } from './ChatClearMarkerRecipe.js';
+import { ChatReadPositionRecipe, ChatReadReceiptRecipe } from './ChatReadPositionRecipe.js';
+import { ConversationSummaryRecipe } from './ConversationSummaryRecipe.js';
+import { ChatOutboxRecipe, ChatOutboxEntryRecipe } from './ChatOutboxRecipe.js';
+import { ChatDeliveryPositionRecipe } from './ChatDeliveryPositionRecipe.js';
+import { ChatSystemEventRecipe } from './ChatSystemEventRecipe.js';
+import { ConversationMetadataRecipe } from './ConversationMetadataRecipe.js';
+import { ConversationRolesRecipe } from './ConversationRolesRecipe.js';
+import { ChatInviteRecipe, ChatJoinRequestRecipe, ChatInviteEntryRecipe, ChatJoinRequestEntryRecipe, ChatInviteRegistryRecipe } from './ChatInviteRecipe.js';
+import { ChatPollRecipe, ChatPollVoteRecipe, ChatPollCloseRecipe } from './ChatPollRecipe.js';
+import { ChatUploadRecipe } from './ChatUploadRecipe.js';
+import { ChatTranscriptRecipe, ChatTranscriptionJobRecipe, ChatTranscriptionQueueRecipe } from './ChatTranscriptRecipe.js';
+import { ChatSpeechRecipe, ChatAutoSpeakRecipe } from './ChatSpeechRecipe.js';
+import { ChatMessageEditRecipe, ChatMessageDeletionRecipe } from './ChatMessageEditRecipe.js';
+import { ConversationAIRoutingRecipe } from './ConversationAIRoutingRecipe.js';
+import { ConversationAISettingsRecipe } from './ConversationAISettingsRecipe.js';
+import { ChatChannelHistoryRecipe } from './ChatChannelHistoryRecipe.js';
 
 /**
  * All recipes that need to be registered with ONE.core
@@ -14,12 +32,74 @@ import { STTRecipe } from './STTRecipe.js';
 export const CHAT_CORE_RECIPES = [
     LLMRecipe,
     TTSRecipe,
-    STTRecipe
+    STTRecipe,
+    ChatReactionRecipe,
+    ChatClearMarkerRecipe,
+    ChatClearRequestRecipe,
+    ChatReadPositionRecipe,
+    ChatReadReceiptRecipe,
+    ConversationSummaryRecipe,
+    ChatOutboxRecipe,
+    ChatOutboxEntryRecipe,
+    ChatDeliveryPositionRecipe,
+    ChatSystemEventRecipe,
+    ConversationMetadataRecipe,
+    ConversationRolesRecipe,
+    ChatInviteRecipe,
+    ChatJoinRequestRecipe,
+    ChatInviteEntryRecipe,
+    ChatJoinRequestEntryRecipe,
+    ChatInviteRegistryRecipe,
+    ChatPollRecipe,
+    ChatPollVoteRecipe,
+    ChatPollCloseRecipe,
+    ChatUploadRecipe,
+    ChatTranscriptRecipe,
+    ChatTranscriptionJobRecipe,
+    ChatTranscriptionQueueRecipe,
+    ChatSpeechRecipe,
+    ChatAutoSpeakRecipe,
+    ChatMessageEditRecipe,
+    ChatMessageDeletionRecipe,
+    ConversationAIRoutingRecipe,
+    ConversationAISettingsRecipe,
+    ChatChannelHistoryRecipe
 ];
 
 // Re-export individual recipes for convenience
 export {
     LLMRecipe,
     TTSRecipe,
-    STTRecipe
+    STTRecipe,
+    ChatReactionRecipe,
+    ChatClearMarkerRecipe,
+    ChatClearRequestRecipe,
+    ChatReadPositionRecipe,
+    ChatReadReceiptRecipe,
+    ConversationSummaryRecipe,
+    ChatOutboxRecipe,
+    ChatOutboxEntryRecipe,
+    ChatDeliveryPositionRecipe,
+    ChatSystemEventRecipe,
+    ConversationMetadataRecipe,
+    ConversationRolesRecipe,
+    ChatInviteRecipe,
+    ChatJoinRequestRecipe,
+    ChatInviteEntryRecipe,
+    ChatJoinRequestEntryRecipe,
+    ChatInviteRegistryRecipe,
+    ChatPollRecipe,
+    ChatPollVoteRecipe,
+    ChatPollCloseRecipe,
+    ChatUploadRecipe,
+    ChatTranscriptRecipe,
+    ChatTranscriptionJobRecipe,
+    ChatTranscriptionQueueRecipe,
+    ChatSpeechRecipe,
+    ChatAutoSpeakRecipe,
+    ChatMessageEditRecipe,
+    ChatMessageDeletionRecipe,
+    ConversationAIRoutingRecipe,
+    ConversationAISettingsRecipe,
+    ChatChannelHistoryRecipe
 };
@@ -0,0 +1,130 @@
+/**
+ * AI Routing Service (Chat Business Logic)
+ *
+ * Decides which AI participants answer a message in conversations with
+ * several AIs (see ConversationAIRouting for the modes). Conversations with
+ * one AI are answered by that AI as before. Only routing objects posted by
+ * participants allowed to edit the conversation count.
+ */
+
+import type { SHA256IdHash } from '@refinio/one.core/lib/util/type-checks.js';
+import type { Person } from '@refinio/one.core/lib/recipes.js';
+import type { ConversationAIRouting } from '../types/OneObjectInterfaces.js';
+import { findLatestTopicObject } from './TopicChannelService.js';
+import { getRoleTimeline, isEntryAllowed } from './ConversationRolesService.js';
+
+export type AIAddressingMode = ConversationAIRouting['mode'];
+
+export const AI_ADDRESSING_MODES: AIAddressingMode[] = ['mention', 'round-robin', 'all'];
+export const DEFAULT_AI_ADDRESSING: AIAddressingMode = 'all';
+
+/**
+ * AI participant of a conversation (roster entry)
+ */
+export interface AIParticipant {
+  id: string;  // Person ID
+  name: string;
+  modelId?: string;
+  modelName?: string;
+}
+
+/**
+ * Create a ConversationAIRouting object
+ */
+export function createAIRouting(
+  topicId: string,
+  mode: AIAddressingMode,
+  updatedBy: SHA256IdHash<Person>
+): ConversationAIRouting {
+  if (!AI_ADDRESSING_MODES.includes(mode)) {
+    throw new Error(`Invalid AI addressing mode: ${mode}`);
+  }
+  return {
+    $type$: 'ConversationAIRouting',
+    topicId,
+    mode,
+    updatedBy,
+    updatedAt: Date.now()
+  };
+}
+
+/**
+ * Get the newest routing object of a topic (channel entry, undefined if never set)
+ */
+export async function getLatestAIRoutingEntry(channelManager: any, topicId: string): Promise<any | undefined> {
+  const roles = await getRoleTimeline(channelManager, topicId);
+  return await findLatestTopicObject(
+    channelManager,
+    topicId,
+    'ConversationAIRouting',
+    (entry: any) => entry.data?.topicId === topicId && isEntryAllowed(roles, entry, 'editConversation')
+  );
+}
+
+/**
+ * Get the addressing mode of a topic
+ */
+export async function getAIAddressing(channelManager: any, topicId: string): Promise<AIAddressingMode> {
+  const mode = (await getLatestAIRoutingEntry(channelManager, topicId))?.data?.mode;
+  return AI_ADDRESSING_MODES.includes(mode) ? mode : DEFAULT_AI_ADDRESSING;
+}
+
+/**
+ * AIs mentioned in a text (@name or @modelId, case-insensitive)
+ */
+export function findMentionedAIs(text: string, roster: AIParticipant[]): AIParticipant[] {
+  const lower = text.toLowerCase();
+  return roster.filter(ai => [ai.name, ai.modelName, ai.modelId]
+    .filter((label): label is string => !!label)
+    .some(label => isMentioned(lower, label.toLowerCase())));
+}
+
+/**
+ * Select the AIs that answer a message
+ *
+ * @param roster - AI participants in a stable order
+ * @param lastResponderId - AI that wrote the newest AI message (round-robin)
+ * @returns Responders in answer order
+ */
+export function selectResponders(
+  mode: AIAddressingMode,
+  roster: AIParticipant[],
+  text: string,
+  lastResponderId?: string
+): AIParticipant[] {
+  if (roster.length === 0) {
+    return [];
+  }
+
+  switch (mode) {
+    case 'mention':
+      return findMentionedAIs(text, roster);
+    case 'round-robin': {
+      // Mentions still address an AI directly
+      const mentioned = findMentionedAIs(text, roster);
+      if (mentioned.length > 0) {
+        return mentioned;
+      }
+      const last = roster.findIndex(ai => ai.id === lastResponderId);
+      return [roster[(last + 1) % roster.length]];
+    }
+    default:
+      return roster;
+  }
+}
+
+function isMentioned(text: string, label: string): boolean {
+  let from = 0;
+  for (;;) {
+    const index = text.indexOf(`@${label}`, from);
+    if (index < 0) {
+      return false;
+    }
+    // "@gpt" must not match "@gpt4"
+    const next = text.charAt(index + label.length + 1);
+    if (!next || !/[\p{L}\p{N}_-]/u.test(next)) {
+      return true;
+    }
+    from = index + 1;
+  }
+}
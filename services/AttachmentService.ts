@@ -0,0 +1,416 @@
+/**
+ * Attachment Service (Chat Business Logic)
+ *
+ * Turns raw file bytes into ready-to-send attachment descriptors:
+ * 1. sniff the real MIME type from the content (the declared type and file
+ *    name are only used when the content is not recognized)
+ * 2. enforce size and type limits
+ * 3. store the file as BLOB
+ * 4. generate a thumbnail (images) or text preview (text files)
+ *
+ * The descriptor goes into SendMessageRequest.attachments unchanged. Sending
+ * only takes its BLOB hash and name from the client: the metadata
+ * (thumbnailHash, preview, dimensions) that ends up in the ChatAttachment is
+ * the one created here, or derived from the stored BLOB again (resolve).
+ */
+
+import type { SHA256Hash } from '@refinio/one.core/lib/util/type-checks.js';
+import type { BLOB } from '@refinio/one.core/lib/recipes.js';
+import { storeArrayBufferAsBlob, readBlobAsArrayBuffer } from '@refinio/one.core/lib/storage-blob.js';
+import { getImageSize, defaultThumbnailRenderer, ThumbnailRenderer } from './ImageThumbnail.js';
+
+export interface AttachmentLimits {
+  maxBytes: number;
+  maxUploadBytes: number;   // Files sent through chunked uploads
+  allowedTypes?: string[];  // MIME types or wildcards ('image/*'); undefined allows all types not blocked
+  blockedTypes: string[];   // Checked after allowedTypes
+  thumbnailSize: number;    // Thumbnails fit into thumbnailSize x thumbnailSize
+  previewLength: number;    // Characters of text previews
+}
+
+export const DEFAULT_ATTACHMENT_LIMITS: AttachmentLimits = {
+  maxBytes: 25 * 1024 * 1024,
+  maxUploadBytes: 2 * 1024 * 1024 * 1024,
+  blockedTypes: [
+    'application/x-msdownload',
+    'application/x-executable',
+    'application/x-mach-binary',
+    'application/x-sh'
+  ],
+  thumbnailSize: 320,
+  previewLength: 280
+};
+
+/**
+ * Raw file handed to the attachment pipeline
+ */
+export interface AttachmentInput {
+  data: Uint8Array | ArrayBuffer;
+  name?: string;
+  mimeType?: string;  // Declared type (e.g. from the file picker)
+}
+
+/**
+ * Attachment descriptor accepted by sendMessage
+ */
+export interface PreparedAttachment {
+  hash: string;  // BLOB hash
+  type: 'BLOB';
+  uploadId?: string;  // Finished chunked upload the file came from
+  name?: string;
+  mimeType: string;
+  size: number;
+  metadata: {
+    name?: string;
+    mimeType: string;
+    size: number;
+    width?: number;
+    height?: number;
+    thumbnailHash?: string;  // BLOB hash of the thumbnail
+    thumbnailMimeType?: string;
+    preview?: string;        // Start of a text file
+  };
+}
+
+// [offset, signature bytes (null = any byte), MIME type]
+const SIGNATURES: Array<[number, Array<number | null>, string]> = [
+  [0, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A], 'image/png'],
+  [0, [0xFF, 0xD8, 0xFF], 'image/jpeg'],
+  [0, [0x47, 0x49, 0x46, 0x38], 'image/gif'],
+  [0, [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50], 'image/webp'],
+  [0, [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x41, 0x56, 0x45], 'audio/wav'],
+  [0, [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x41, 0x56, 0x49, 0x20], 'video/x-msvideo'],
+  [0, [0x42, 0x4D], 'image/bmp'],
+  [0, [0x49, 0x49, 0x2A, 0x00], 'image/tiff'],
+  [0, [0x4D, 0x4D, 0x00, 0x2A], 'image/tiff'],
+  [0, [0x00, 0x00, 0x01, 0x00], 'image/x-icon'],
+  [0, [0x25, 0x50, 0x44, 0x46, 0x2D], 'application/pdf'],
+  [0, [0x50, 0x4B, 0x03, 0x04], 'application/zip'],
+  [0, [0x1F, 0x8B], 'application/gzip'],
+  [0, [0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C], 'application/x-7z-compressed'],
+  [0, [0x52, 0x61, 0x72, 0x21, 0x1A, 0x07], 'application/vnd.rar'],
+  [0, [0x49, 0x44, 0x33], 'audio/mpeg'],
+  [0, [0x4F, 0x67, 0x67, 0x53], 'audio/ogg'],
+  [0, [0x66, 0x4C, 0x61, 0x43], 'audio/flac'],
+  [0, [0x1A, 0x45, 0xDF, 0xA3], 'video/webm'],
+  [0, [0x4D, 0x5A], 'application/x-msdownload'],
+  [0, [0x7F, 0x45, 0x4C, 0x46], 'application/x-executable'],
+  [0, [0xCF, 0xFA, 0xED, 0xFE], 'application/x-mach-binary'],
+  [0, [0xFE, 0xED, 0xFA, 0xCF], 'application/x-mach-binary'],
+  [0, [0x23, 0x21], 'application/x-sh']
+];
+
+// ISO base media (ftyp box) brands
+const FTYP_BRANDS: Record<string, string> = {
+  heic: 'image/heic',
+  heix: 'image/heic',
+  mif1: 'image/heif',
+  avif: 'image/avif',
+  'M4A ': 'audio/mp4',
+  qt: 'video/quicktime'
+};
+
+// ZIP based document formats: declared type or extension decides
+const ZIP_DOCUMENTS: Record<string, string> = {
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  odt: 'application/vnd.oasis.opendocument.text',
+  epub: 'application/epub+zip'
+};
+
+const TEXT_EXTENSIONS: Record<string, string> = {
+  txt: 'text/plain',
+  md: 'text/markdown',
+  csv: 'text/csv',
+  json: 'application/json',
+  html: 'text/html',
+  xml: 'application/xml',
+  js: 'text/javascript',
+  ts: 'text/plain'
+};
+
+/**
+ * Detect the MIME type of file content
+ *
+ * @param declaredType - Type claimed by the sender (used for formats the content does not identify)
+ * @param name - File name (extension used the same way)
+ */
+export function sniffMimeType(bytes: Uint8Array, declaredType?: string, name?: string): string {
+  const extension = name?.includes('.') ? name.split('.').pop()!.toLowerCase() : undefined;
+
+  // MP4 family (checked first - the box size could look like another signature): "ftyp" box at offset 4
+  if (bytes.length >= 12 && String.fromCharCode(...bytes.subarray(4, 8)) === 'ftyp') {
+    const brand = String.fromCharCode(...bytes.subarray(8, 12));
+    return FTYP_BRANDS[brand] || FTYP_BRANDS[brand.trim()] || 'video/mp4';
+  }
+
+  for (const [offset, signature, mimeType] of SIGNATURES) {
+    if (signature.every((value, i) => value === null || bytes[offset + i] === value)) {
+      if (mimeType === 'application/zip') {
+        const zipType = Object.values(ZIP_DOCUMENTS).find(type => type === declaredType)
+          || (extension ? ZIP_DOCUMENTS[extension] : undefined);
+        return zipType || mimeType;
+      }
+      if (mimeType === 'application/x-sh' && !isText(bytes)) {
+        continue;
+      }
+      return mimeType;
+    }
+  }
+
+  // MPEG audio frame sync without ID3 tag
+  if (bytes[0] === 0xFF && (bytes[1] & 0xE0) === 0xE0) {
+    return 'audio/mpeg';
+  }
+
+  if (isText(bytes)) {
+    const head = new TextDecoder().decode(bytes.subarray(0, 512)).trimStart().toLowerCase();
+    if (head.startsWith('<svg') || (head.startsWith('<?xml') && head.includes('<svg'))) {
+      return 'image/svg+xml';
+    }
+    if (declaredType && (declaredType.startsWith('text/') || declaredType === 'application/json')) {
+      return declaredType;
+    }
+    return (extension && TEXT_EXTENSIONS[extension]) || 'text/plain';
+  }
+
+  return 'application/octet-stream';
+}
+
+/**
+ * Check a MIME type against a list of types and wildcards
+ */
+export function matchesMimeType(mimeType: string, patterns: string[]): boolean {
+  return patterns.some(pattern => pattern === mimeType ||
+    (pattern.endsWith('/*') && mimeType.startsWith(pattern.slice(0, -1))));
+}
+
+/**
+ * Create a short text preview (whitespace collapsed)
+ */
+export function createTextPreview(bytes: Uint8Array, length: number): string {
+  // Decode a bit more than needed - multi-byte characters
+  const text = new TextDecoder('utf-8', { fatal: false }).decode(bytes.subarray(0, length * 4));
+  const collapsed = text.replace(/\s+/g, ' ').trim();
+  return collapsed.length > length ? collapsed.substring(0, length - 1) + '…' : collapsed;
+}
+
+/**
+ * AttachmentService - validates, stores and enriches attachments
+ */
+export class AttachmentService {
+  private limits: AttachmentLimits;
+  private renderThumbnail: ThumbnailRenderer;
+  private known: Map<string, PreparedAttachment>;  // BLOB hash -> descriptor created by this instance
+
+  /**
+   * @param renderThumbnail - Platform renderer for more formats (e.g. canvas in the browser);
+   *                          the built-in renderer handles PNG and JPEG
+   */
+  constructor(limits: Partial<AttachmentLimits> = {}, renderThumbnail?: ThumbnailRenderer) {
+    this.limits = { ...DEFAULT_ATTACHMENT_LIMITS, ...limits };
+    this.renderThumbnail = renderThumbnail || defaultThumbnailRenderer;
+    this.known = new Map();
+  }
+
+  setLimits(limits: Partial<AttachmentLimits>): void {
+    this.limits = { ...this.limits, ...limits };
+  }
+
+  getLimits(): AttachmentLimits {
+    return { ...this.limits };
+  }
+
+  /**
+   * Check an attachment against the limits without storing it
+   *
+   * @returns The detected MIME type
+   * @throws If the attachment is empty, too large or of a blocked type
+   */
+  validate(input: AttachmentInput): string {
+    const bytes = toBytes(input.data);
+    this.assertAllowedSize(bytes.length);
+
+    const mimeType = sniffMimeType(bytes, input.mimeType, input.name);
+    this.assertAllowedType(mimeType);
+    return mimeType;
+  }
+
+  /**
+   * @throws If an attachment of this size is empty or too large
+   */
+  assertAllowedSize(size: number): void {
+    if (size === 0) {
+      throw new Error('Attachment is empty');
+    }
+    if (size > this.limits.maxBytes) {
+      throw new Error(`Attachment is too large (${formatSize(size)}, limit ${formatSize(this.limits.maxBytes)})`);
+    }
+  }
+
+  /**
+   * @throws If a chunked upload of this size is empty or too large
+   */
+  assertAllowedUploadSize(size: number): void {
+    if (size === 0) {
+      throw new Error('Attachment is empty');
+    }
+    if (size > this.limits.maxUploadBytes) {
+      throw new Error(`Upload is too large (${formatSize(size)}, limit ${formatSize(this.limits.maxUploadBytes)})`);
+    }
+  }
+
+  /**
+   * @throws If the (detected) MIME type is not allowed
+   */
+  assertAllowedType(mimeType: string): void {
+    if (this.limits.allowedTypes && !matchesMimeType(mimeType, this.limits.allowedTypes)) {
+      throw new Error(`Attachment type not allowed: ${mimeType}`);
+    }
+    if (matchesMimeType(mimeType, this.limits.blockedTypes)) {
+      throw new Error(`Attachment type not allowed: ${mimeType}`);
+    }
+  }
+
+  /**
+   * Validate, store and enrich an attachment
+   */
+  async prepare(input: AttachmentInput): Promise<PreparedAttachment> {
+    const bytes = toBytes(input.data);
+    const mimeType = this.validate(input);
+
+    const stored = await storeArrayBufferAsBlob(toArrayBuffer(bytes));
+    const attachment = await this.describe(String(stored.hash), bytes, mimeType, input.name);
+    this.remember(attachment);
+    return attachment;
+  }
+
+  /**
+   * Record a descriptor created by this instance (e.g. of a finished upload)
+   */
+  remember(attachment: PreparedAttachment): void {
+    this.known.set(attachment.hash, attachment);
+  }
+
+  /**
+   * Get the descriptor of an attachment named by a client
+   *
+   * Descriptors created by prepare() or remember() are used as they are;
+   * other BLOBs are read and checked against the limits again (finished
+   * uploads are resolved by ChunkedUploads instead). Nothing but the hash and
+   * the file name is taken from the client.
+   *
+   * @throws If the BLOB is not stored or breaks the limits
+   */
+  async resolve(hash: string, name?: string): Promise<PreparedAttachment> {
+    const fileName = typeof name === 'string' && name ? name : undefined;
+    const known = this.known.get(hash);
+    if (known) {
+      return fileName === known.name ? known : withName(known, fileName);
+    }
+
+    let bytes: Uint8Array;
+    try {
+      bytes = new Uint8Array(await readBlobAsArrayBuffer(hash as SHA256Hash<BLOB>));
+    } catch (error) {
+      throw new Error(`Attachment not found: ${hash}`);
+    }
+    const mimeType = this.validate({ data: bytes, name: fileName });
+    const attachment = await this.describe(hash, bytes, mimeType, fileName);
+    this.remember(attachment);
+    return attachment;
+  }
+
+  private async describe(hash: string, bytes: Uint8Array, mimeType: string, name?: string): Promise<PreparedAttachment> {
+    const metadata: PreparedAttachment['metadata'] = {
+      ...(name && { name }),
+      mimeType,
+      size: bytes.length
+    };
+
+    if (mimeType.startsWith('image/')) {
+      Object.assign(metadata, getImageSize(bytes, mimeType));
+      await this.addThumbnail(bytes, mimeType, metadata);
+    } else if (mimeType.startsWith('text/') || mimeType === 'application/json') {
+      metadata.preview = createTextPreview(bytes, this.limits.previewLength);
+    }
+
+    return {
+      hash,
+      type: 'BLOB',
+      ...(name && { name }),
+      mimeType,
+      size: bytes.length,
+      metadata
+    };
+  }
+
+  private async addThumbnail(bytes: Uint8Array, mimeType: string, metadata: PreparedAttachment['metadata']): Promise<void> {
+    const size = this.limits.thumbnailSize;
+    if (metadata.width && metadata.height && metadata.width <= size && metadata.height <= size) {
+      // Small enough to be its own thumbnail
+      return;
+    }
+
+    try {
+      const thumbnail = await this.renderThumbnail(bytes, mimeType, size);
+      if (!thumbnail) {
+        return;
+      }
+      const stored = await storeArrayBufferAsBlob(toArrayBuffer(thumbnail.bytes));
+      metadata.thumbnailHash = String(stored.hash);
+      metadata.thumbnailMimeType = thumbnail.mimeType;
+    } catch (error) {
+      // The attachment is usable without a thumbnail
+      console.warn('[AttachmentService] Failed to create thumbnail:', error);
+    }
+  }
+}
+
+function withName(attachment: PreparedAttachment, name?: string): PreparedAttachment {
+  const { name: _name, ...descriptor } = attachment;
+  const { name: _metadataName, ...metadata } = attachment.metadata;
+  return {
+    ...descriptor,
+    ...(name && { name }),
+    metadata: { ...(name && { name }), ...metadata }
+  };
+}
+
+function toBytes(data: Uint8Array | ArrayBuffer): Uint8Array {
+  return data instanceof Uint8Array ? data : new Uint8Array(data);
+}
+
+function toArrayBuffer(bytes: Uint8Array): ArrayBuffer {
+  return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength) as ArrayBuffer;
+}
+
+/**
+ * Heuristic: valid UTF-8 without binary control characters
+ */
+function isText(bytes: Uint8Array): boolean {
+  const sample = bytes.subarray(0, 4096);
+  for (const byte of sample) {
+    if (byte === 0 || (byte < 0x20 && byte !== 0x09 && byte !== 0x0A && byte !== 0x0D && byte !== 0x0C && byte !== 0x1B)) {
+      return false;
+    }
+  }
+  try {
+    // A multi-byte character may be cut at the sample end
+    new TextDecoder('utf-8', { fatal: true }).decode(sample.length < bytes.length ? sample.subarray(0, sample.length - 3) : sample);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function formatSize(bytes: number): string {
+  if (bytes >= 1024 * 1024) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+  if (bytes >= 1024) {
+    return `${Math.round(bytes / 1024)} KB`;
+  }
+  return `${bytes} B`;
+}
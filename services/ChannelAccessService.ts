@@ -178,6 +178,33 @@ export async function grantChannelEntryAccess(channelManager: any, channelId: st
   }
 }
 
+/**
+ * Limit access to objects to exactly the members of a participants HashGroup
+ *
+ * Replaces all earlier person and group grants of the objects. Used when
+ * participants leave a topic: removed persons keep what they already have,
+ * but no longer receive new versions (the next Topic version, entries of the
+ * new channel).
+ */
+export async function replaceParticipantAccess(ids: SHA256IdHash<any>[], participantsHash: SHA256Hash<HashGroup<Person>>): Promise<boolean> {
+  try {
+    console.log(`[ChannelAccess] Replacing access of ${ids.length} objects with participants ${participantsHash?.substring(0, 8)}`)
+
+    await createAccess(ids.map(id => ({
+      id,
+      person: [],
+      hashGroup: [participantsHash],
+      mode: SET_ACCESS_MODE.REPLACE
+    })))
+
+    console.log('[ChannelAccess] ✅ Access replaced')
+    return true
+  } catch (error) {
+    console.error('[ChannelAccess] Failed to replace access:', error)
+    return false
+  }
+}
+
 /**
  * Setup channel access when browser connects
  * Called when browser Person ID is received
@@ -260,5 +287,6 @@ export default {
   grantMessageAccessToPerson,
   grantMutualChannelAccess,
   grantChannelEntryAccess,
+  replaceParticipantAccess,
   setupBrowserNodeChannelAccess
 }
\ No newline at end of file
@@ -0,0 +1,520 @@
+/**
+ * Chunked Upload Service (Chat Business Logic)
+ *
+ * Upload and download of large attachments without holding them in memory:
+ *
+ *   beginUpload -> appendChunk (any order, repeatable) -> finishUpload
+ *
+ * Each chunk is stored as a BLOB when it arrives and recorded in a versioned
+ * ChatUpload object, so an interrupted upload (lost connection, app restart)
+ * resumes with the chunks that are still missing. finishUpload streams the
+ * chunks into the final BLOB. Chunk BLOBs are not deleted: BLOBs are content
+ * addressed, so any other file or object may share one. BLOB hashes are
+ * SHA-256 hashes of the content, so chunk and file checksums are verified
+ * against the stored hashes.
+ *
+ * Uploads have their own size limit (AttachmentLimits.maxUploadBytes). A
+ * finished upload is sent with its uploadId, so the file does not have to be
+ * read again to describe it - also after a restart.
+ *
+ * Downloads read byte ranges of a BLOB through a read stream that stays open
+ * between reads, so reading a file front to back streams it once.
+ */
+
+import type { SHA256Hash, SHA256IdHash } from '@refinio/one.core/lib/util/type-checks.js';
+import type { Person, BLOB } from '@refinio/one.core/lib/recipes.js';
+import type { ChatUpload } from '../types/OneObjectInterfaces.js';
+import { storeVersionedObject, getObjectByIdHash } from '@refinio/one.core/lib/storage-versioned-objects.js';
+import { storeArrayBufferAsBlob, readBlobAsArrayBuffer } from '@refinio/one.core/lib/storage-blob.js';
+import { createFileWriteStream, createFileReadStream } from '@refinio/one.core/lib/system/storage-streams.js';
+import { calculateIdHashOfObj } from '@refinio/one.core/lib/util/object.js';
+import { createRandomString } from '@refinio/one.core/lib/system/crypto-helpers.js';
+import { AttachmentService, PreparedAttachment, sniffMimeType } from './AttachmentService.js';
+
+export const DEFAULT_CHUNK_SIZE = 4 * 1024 * 1024;
+const MIN_CHUNK_SIZE = 64 * 1024;
+const MAX_CHUNK_SIZE = 16 * 1024 * 1024;
+// Largest range returned by one read
+export const MAX_READ_LENGTH = 16 * 1024 * 1024;
+// Open read streams are closed after this long without a read
+const READER_IDLE_MS = 30 * 1000;
+
+export type UploadStatus = 'open' | 'complete' | 'cancelled';
+
+export interface BeginUploadOptions {
+  size: number;
+  name?: string;
+  mimeType?: string;  // Declared type - replaced by the type detected from the first chunk
+  sha256?: string;    // Hex SHA-256 of the whole file (verified by finishUpload)
+  chunkSize?: number;
+}
+
+/**
+ * Upload progress (returned by every call and emitted after every chunk)
+ */
+export interface UploadState {
+  uploadId: string;
+  status: UploadStatus;
+  name?: string;
+  mimeType?: string;
+  size: number;
+  chunkSize: number;
+  chunkCount: number;
+  receivedBytes: number;
+  missingChunks: number[];  // Indexes still to send
+  progress: number;         // 0..1
+  blobHash?: string;        // Final BLOB (status complete)
+}
+
+interface Upload {
+  record: ChatUpload;
+  chunks: Array<string | null>;
+  persisting: Promise<void>;  // Versions are stored one after another
+}
+
+/**
+ * ChunkedUploads - resumable uploads of one person
+ */
+export class ChunkedUploads {
+  private ownerId: SHA256IdHash<Person>;
+  private getAttachments: () => AttachmentService;
+  private onProgress: (state: UploadState) => void;
+  private uploads: Map<string, Upload>;
+
+  /**
+   * @param getAttachments - Current attachment service (its limits apply to uploads)
+   * @param onProgress - Called after every change of an upload
+   */
+  constructor(
+    ownerId: SHA256IdHash<Person>,
+    getAttachments: () => AttachmentService,
+    onProgress: (state: UploadState) => void
+  ) {
+    this.ownerId = ownerId;
+    this.getAttachments = getAttachments;
+    this.onProgress = onProgress;
+    this.uploads = new Map();
+  }
+
+  async begin(options: BeginUploadOptions): Promise<UploadState> {
+    if (!Number.isInteger(options.size)) {
+      throw new Error('Upload size must be an integer');
+    }
+    this.getAttachments().assertAllowedUploadSize(options.size);
+
+    const chunkSize = options.chunkSize ?? DEFAULT_CHUNK_SIZE;
+    if (!Number.isInteger(chunkSize) || chunkSize < MIN_CHUNK_SIZE || chunkSize > MAX_CHUNK_SIZE) {
+      throw new Error(`Chunk size must be between ${MIN_CHUNK_SIZE} and ${MAX_CHUNK_SIZE} bytes`);
+    }
+    if (options.sha256 !== undefined && !/^[0-9a-f]{64}$/i.test(options.sha256)) {
+      throw new Error('sha256 must be a hex SHA-256 hash');
+    }
+
+    const now = Date.now();
+    const chunks: Array<string | null> = new Array(Math.ceil(options.size / chunkSize)).fill(null);
+    const upload: Upload = {
+      record: {
+        $type$: 'ChatUpload',
+        uploadId: await createRandomString(32),
+        owner: this.ownerId,
+        ...(options.name && { name: options.name }),
+        ...(options.mimeType && { mimeType: options.mimeType }),
+        size: options.size,
+        chunkSize,
+        ...(options.sha256 && { sha256: options.sha256.toLowerCase() }),
+        chunks: JSON.stringify(chunks),
+        status: 'open',
+        createdAt: now,
+        updatedAt: now
+      },
+      chunks,
+      persisting: Promise.resolve()
+    };
+    this.uploads.set(upload.record.uploadId, upload);
+    await this.persist(upload);
+
+    console.log(`[ChunkedUploads] Started upload ${upload.record.uploadId.substring(0, 8)} (${options.size} bytes, ${chunks.length} chunks)`);
+    return this.toState(upload);
+  }
+
+  /**
+   * Store one chunk (sending a chunk again replaces it)
+   *
+   * @param sha256 - Optional hex SHA-256 of the chunk, verified after storing
+   */
+  async append(uploadId: string, index: number, data: Uint8Array | ArrayBuffer, sha256?: string): Promise<UploadState> {
+    const upload = await this.getOpenUpload(uploadId);
+    const { size, chunkSize } = upload.record;
+
+    if (!Number.isInteger(index) || index < 0 || index >= upload.chunks.length) {
+      throw new Error(`Invalid chunk index ${index} (upload has ${upload.chunks.length} chunks)`);
+    }
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    const expectedLength = Math.min(chunkSize, size - index * chunkSize);
+    if (bytes.length !== expectedLength) {
+      throw new Error(`Chunk ${index} must be ${expectedLength} bytes, got ${bytes.length}`);
+    }
+
+    // The first chunk shows what the file really is
+    if (index === 0) {
+      const mimeType = sniffMimeType(bytes, upload.record.mimeType, upload.record.name);
+      this.getAttachments().assertAllowedType(mimeType);
+      upload.record.mimeType = mimeType;
+    }
+
+    const stored = await storeArrayBufferAsBlob(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength) as ArrayBuffer);
+    if (sha256 && String(stored.hash) !== sha256.toLowerCase()) {
+      throw new Error(`Chunk ${index} is corrupted (checksum mismatch)`);
+    }
+
+    upload.chunks[index] = String(stored.hash);
+    await this.persist(upload);
+
+    const state = this.toState(upload);
+    this.onProgress(state);
+    return state;
+  }
+
+  /**
+   * Assemble the chunks into the final BLOB and verify its hash
+   *
+   * @returns Attachment descriptor for sendMessage
+   * @throws If chunks are missing or the file hash does not match (the upload stays open)
+   */
+  async finish(uploadId: string): Promise<PreparedAttachment> {
+    const upload = await this.getUpload(uploadId);
+    if (upload.record.status === 'complete' && upload.record.blob) {
+      return this.toAttachment(upload);
+    }
+    if (upload.record.status !== 'open') {
+      throw new Error(`Upload ${uploadId} was ${upload.record.status}`);
+    }
+
+    const missing = upload.chunks.filter(chunk => chunk === null).length;
+    if (missing > 0) {
+      throw new Error(`Upload is missing ${missing} chunks`);
+    }
+
+    // Chunks are read and written one at a time - memory stays at one chunk
+    const stream = createFileWriteStream();
+    let result: any;
+    try {
+      for (const chunk of upload.chunks) {
+        stream.write(await readBlobAsArrayBuffer(chunk as SHA256Hash<BLOB>));
+      }
+      result = await stream.end();
+    } catch (error) {
+      await stream.cancel().catch(() => undefined);
+      throw error;
+    }
+
+    const blobHash = String(result.hash);
+    if (upload.record.sha256 && blobHash !== upload.record.sha256) {
+      throw new Error('Uploaded file is corrupted (checksum mismatch) - send the chunks again');
+    }
+
+    upload.record.status = 'complete';
+    upload.record.blob = blobHash;
+    await this.persist(upload);
+    this.onProgress(this.toState(upload));
+
+    console.log(`[ChunkedUploads] Finished upload ${uploadId.substring(0, 8)} -> ${blobHash.substring(0, 8)}`);
+    return this.toAttachment(upload);
+  }
+
+  async cancel(uploadId: string): Promise<UploadState> {
+    const upload = await this.getOpenUpload(uploadId);
+    upload.record.status = 'cancelled';
+    await this.persist(upload);
+
+    const state = this.toState(upload);
+    this.onProgress(state);
+    return state;
+  }
+
+  /**
+   * Get the attachment descriptor of a finished upload
+   *
+   * @throws If the upload is not finished or its file is not this BLOB
+   */
+  async getAttachment(uploadId: string, blobHash: string): Promise<PreparedAttachment> {
+    const upload = await this.getUpload(uploadId);
+    if (upload.record.status !== 'complete' || upload.record.blob !== blobHash) {
+      throw new Error(`Upload ${uploadId} is not a finished upload of ${blobHash}`);
+    }
+    return this.toAttachment(upload);
+  }
+
+  /**
+   * Get the state of an upload (e.g. to resume after a restart)
+   */
+  async getState(uploadId: string): Promise<UploadState> {
+    return this.toState(await this.getUpload(uploadId));
+  }
+
+  private async getOpenUpload(uploadId: string): Promise<Upload> {
+    const upload = await this.getUpload(uploadId);
+    if (upload.record.status !== 'open') {
+      throw new Error(`Upload ${uploadId} is ${upload.record.status}`);
+    }
+    return upload;
+  }
+
+  private async getUpload(uploadId: string): Promise<Upload> {
+    let upload = this.uploads.get(uploadId);
+    if (!upload) {
+      upload = await this.loadUpload(uploadId);
+      this.uploads.set(uploadId, upload);
+    }
+    return upload;
+  }
+
+  private async loadUpload(uploadId: string): Promise<Upload> {
+    let record: ChatUpload | undefined;
+    try {
+      const idHash = await calculateIdHashOfObj({ $type$: 'ChatUpload', uploadId } as any);
+      record = (await getObjectByIdHash<ChatUpload>(idHash as any))?.obj;
+    } catch (e) {
+      // Unknown upload
+    }
+    if (!record || String(record.owner) !== String(this.ownerId)) {
+      throw new Error(`Upload not found: ${uploadId}`);
+    }
+    return {
+      record,
+      chunks: JSON.parse(record.chunks),
+      persisting: Promise.resolve()
+    };
+  }
+
+  private async persist(upload: Upload): Promise<void> {
+    const run = upload.persisting.then(async () => {
+      upload.record = {
+        ...upload.record,
+        chunks: JSON.stringify(upload.chunks),
+        updatedAt: Date.now()
+      };
+      await storeVersionedObject(upload.record);
+    });
+    upload.persisting = run.catch(() => undefined);
+    await run;
+  }
+
+  private toState(upload: Upload): UploadState {
+    const { record, chunks } = upload;
+    const missingChunks: number[] = [];
+    let receivedBytes = 0;
+    chunks.forEach((chunk, index) => {
+      if (chunk === null) {
+        missingChunks.push(index);
+      } else {
+        receivedBytes += Math.min(record.chunkSize, record.size - index * record.chunkSize);
+      }
+    });
+
+    return {
+      uploadId: record.uploadId,
+      status: record.status,
+      name: record.name,
+      mimeType: record.mimeType,
+      size: record.size,
+      chunkSize: record.chunkSize,
+      chunkCount: chunks.length,
+      receivedBytes,
+      missingChunks,
+      progress: record.size > 0 ? receivedBytes / record.size : 1,
+      blobHash: record.blob
+    };
+  }
+
+  /**
+   * Attachment descriptor of a finished upload (known to the attachment service,
+   * so sending it does not read the file again)
+   */
+  private toAttachment(upload: Upload): PreparedAttachment {
+    const { record } = upload;
+    const mimeType = record.mimeType || 'application/octet-stream';
+    const attachment: PreparedAttachment = {
+      hash: record.blob!,
+      type: 'BLOB',
+      uploadId: record.uploadId,
+      ...(record.name && { name: record.name }),
+      mimeType,
+      size: record.size,
+      metadata: {
+        ...(record.name && { name: record.name }),
+        mimeType,
+        size: record.size
+      }
+    };
+    this.getAttachments().remember(attachment);
+    return attachment;
+  }
+}
+
+/**
+ * Read a byte range of a BLOB
+ *
+ * Reads continue on the stream of the previous read of the BLOB when they
+ * start at or after its position (downloads front to back, media playback);
+ * only a read before that position opens a new stream.
+ *
+ * @returns The bytes (shorter than length at the end of the BLOB)
+ */
+export async function readBlobRange(blobHash: string, offset: number, length: number): Promise<Uint8Array> {
+  if (!Number.isInteger(offset) || offset < 0 || !Number.isInteger(length) || length < 0) {
+    throw new Error('Invalid range');
+  }
+  if (length > MAX_READ_LENGTH) {
+    throw new Error(`Range too large (max ${MAX_READ_LENGTH} bytes per read)`);
+  }
+
+  // A reader that is already past the offset finishes its reads and closes when idle
+  let reader = blobReaders.get(blobHash);
+  if (!reader || offset < reader.position) {
+    reader = new BlobReader(blobHash);
+    blobReaders.set(blobHash, reader);
+  }
+  return await reader.read(offset, length);
+}
+
+// BLOB hash -> open read stream
+const blobReaders = new Map<string, BlobReader>();
+
+/**
+ * Forward-only reader over the read stream of a BLOB
+ *
+ * The stream is paused while a read's worth of data is buffered.
+ */
+class BlobReader {
+  position: number;  // Offset of the first buffered byte
+  private hash: string;
+  private stream: any;
+  private buffered: Uint8Array[];
+  private bufferedBytes: number;
+  private ended: boolean;
+  private error?: unknown;
+  private wake?: () => void;
+  private reading: Promise<unknown>;  // Reads run one after another
+  private idleTimer?: ReturnType<typeof setTimeout>;
+
+  constructor(hash: string) {
+    this.hash = hash;
+    this.position = 0;
+    this.buffered = [];
+    this.bufferedBytes = 0;
+    this.ended = false;
+    this.reading = Promise.resolve();
+
+    this.stream = createFileReadStream(hash as SHA256Hash<BLOB>);
+    this.stream.onData.addListener((data: ArrayBuffer) => {
+      this.buffered.push(new Uint8Array(data));
+      this.bufferedBytes += data.byteLength;
+      if (this.bufferedBytes >= MAX_READ_LENGTH) {
+        this.stream.pause?.();
+      }
+      this.notify();
+    });
+    this.stream.promise.then(
+      () => this.end(),
+      (error: unknown) => this.end(error)
+    );
+  }
+
+  read(offset: number, length: number): Promise<Uint8Array> {
+    const run = this.reading.then(async () => {
+      if (this.idleTimer) {
+        clearTimeout(this.idleTimer);
+      }
+      try {
+        // A queued read before the position of this stream needs a stream of its own
+        if (offset < this.position) {
+          const reader = new BlobReader(this.hash);
+          try {
+            return await reader.readRange(offset, length);
+          } finally {
+            reader.close();
+          }
+        }
+        return await this.readRange(offset, length);
+      } finally {
+        this.idleTimer = setTimeout(() => this.close(), READER_IDLE_MS);
+        // An idle reader alone must not keep a Node.js process alive
+        (this.idleTimer as any).unref?.();
+      }
+    });
+    this.reading = run.catch(() => undefined);
+    return run;
+  }
+
+  close(): void {
+    if (this.idleTimer) {
+      clearTimeout(this.idleTimer);
+    }
+    if (blobReaders.get(this.hash) === this) {
+      blobReaders.delete(this.hash);
+    }
+    if (!this.ended) {
+      this.ended = true;
+      try {
+        this.stream.cancel();
+      } catch (e) {
+        // Already finished
+      }
+    }
+    this.buffered = [];
+    this.bufferedBytes = 0;
+  }
+
+  private async readRange(offset: number, length: number): Promise<Uint8Array> {
+    const result = new Uint8Array(length);
+    let filled = 0;
+    while (filled < length) {
+      const head = this.buffered[0];
+      if (!head) {
+        if (this.ended) {
+          if (this.error !== undefined) {
+            this.close();
+            throw this.error;
+          }
+          break;
+        }
+        await new Promise<void>(resolve => {
+          this.wake = resolve;
+          this.stream.resume?.();
+        });
+        continue;
+      }
+
+      // Skip to the requested offset, then copy
+      const start = Math.min(head.length, offset + filled - this.position);
+      const take = Math.min(head.length - start, length - filled);
+      result.set(head.subarray(start, start + take), filled);
+      filled += take;
+
+      const consumed = start + take;
+      this.position += consumed;
+      this.bufferedBytes -= consumed;
+      if (consumed === head.length) {
+        this.buffered.shift();
+      } else {
+        this.buffered[0] = head.subarray(consumed);
+      }
+    }
+    return result.subarray(0, filled);
+  }
+
+  private end(error?: unknown): void {
+    if (!this.ended) {
+      this.ended = true;
+      this.error = error;
+    }
+    this.notify();
+  }
+
+  private notify(): void {
+    const wake = this.wake;
+    this.wake = undefined;
+    wake?.();
+  }
+}
@@ -0,0 +1,141 @@
+/**
+ * Clear Marker Service (Chat Business Logic)
+ *
+ * Clearing a conversation never deletes messages (channels are append-only and
+ * other participants keep their copy). Instead a per-user ChatClearMarker hides
+ * everything created at or before the marker time.
+ *
+ * A user may also ask all participants to clear: a ChatClearRequest is posted
+ * to the topic channel and every client treats it like its own marker. Only
+ * requests of the group's owner (by its roles) are honored - the creator, or
+ * whoever owns the group after an ownership transfer. Nobody clears a P2P
+ * conversation or a group without roles for the other participants. A request never clears past the creation time of its channel
+ * entry, so a future clearedAt (or clock skew) cannot hide newer messages.
+ */
+
+import type { SHA256IdHash } from '@refinio/one.core/lib/util/type-checks.js';
+import type { Person } from '@refinio/one.core/lib/recipes.js';
+import type { ChatClearMarker, ChatClearRequest } from '../types/OneObjectInterfaces.js';
+import { storeVersionedObject, getObjectByIdHash } from '@refinio/one.core/lib/storage-versioned-objects.js';
+import { calculateIdHashOfObj } from '@refinio/one.core/lib/util/object.js';
+import { postToTopicChannel, getTopicObjects, getEntryPosition } from './TopicChannelService.js';
+import { getRoleTimeline, getRoleStateAt } from './ConversationRolesService.js';
+
+/**
+ * Get the local clear marker time for a person in a topic (0 if never cleared)
+ */
+export async function getLocalClearedAt(topicId: string, personId: SHA256IdHash<Person>): Promise<number> {
+  try {
+    const idHash = await calculateIdHashOfObj({
+      $type$: 'ChatClearMarker',
+      topicId,
+      person: personId
+    } as any);
+    const result = await getObjectByIdHash<ChatClearMarker>(idHash as any);
+    return result?.obj?.clearedAt || 0;
+  } catch (e) {
+    // No marker stored yet
+    return 0;
+  }
+}
+
+/**
+ * Get the effective clear time for a person in a topic
+ *
+ * Combines the local marker with clear requests posted by the owner of the group.
+ *
+ * @returns Timestamp (ms) - messages created at or before it are hidden; 0 if never cleared
+ */
+export async function getClearedAt(channelManager: any, topicId: string, personId: SHA256IdHash<Person>): Promise<number> {
+  let clearedAt = await getLocalClearedAt(topicId, personId);
+
+  const requests = await getTopicObjects(channelManager, topicId, 'ChatClearRequest');
+  let isOwner: ((personId: string, time: number) => boolean) | undefined;
+  for (const entry of requests) {
+    const request = entry.data as ChatClearRequest;
+    if (request?.topicId !== topicId || typeof request.clearedAt !== 'number') {
+      continue;
+    }
+    const postedAt = getEntryPosition(entry).time;
+    const requestedClearedAt = Math.min(request.clearedAt, postedAt);
+    if (requestedClearedAt <= clearedAt) {
+      continue;
+    }
+
+    // Only the owner clears for everyone (entry author - requestedBy is not signed)
+    const requester = String(entry.author);
+    if (requester !== String(personId)) {
+      isOwner = isOwner || await getOwnerCheck(channelManager, topicId);
+      if (!isOwner(requester, postedAt)) {
+        continue;
+      }
+    }
+    clearedAt = requestedClearedAt;
+  }
+
+  return clearedAt;
+}
+
+/**
+ * Check if a person may clear a topic for everyone
+ */
+export async function canClearForEveryone(channelManager: any, topicId: string, personId: SHA256IdHash<Person>): Promise<boolean> {
+  const isOwner = await getOwnerCheck(channelManager, topicId);
+  return isOwner(String(personId), Date.now());
+}
+
+/**
+ * Clear a conversation for a person, optionally asking all participants to clear too
+ *
+ * @returns The new clear marker time
+ */
+export async function clearTopic(
+  channelManager: any,
+  topicId: string,
+  personId: SHA256IdHash<Person>,
+  forEveryone: boolean = false
+): Promise<number> {
+  const clearedAt = Date.now();
+
+  const marker: ChatClearMarker = {
+    $type$: 'ChatClearMarker',
+    topicId,
+    person: personId,
+    clearedAt
+  };
+  await storeVersionedObject(marker);
+
+  if (forEveryone) {
+    const request: ChatClearRequest = {
+      $type$: 'ChatClearRequest',
+      topicId,
+      requestedBy: personId,
+      clearedAt
+    };
+    await postToTopicChannel(channelManager, topicId, request);
+  }
+
+  return clearedAt;
+}
+
+/**
+ * Owner of a topic at a point in time: the owner of the role state (P2P topics
+ * and groups without roles have no owner)
+ */
+async function getOwnerCheck(channelManager: any, topicId: string): Promise<(personId: string, time: number) => boolean> {
+  const roles = await getRoleTimeline(channelManager, topicId);
+  return (personId: string, time: number): boolean => {
+    const state = getRoleStateAt(roles, time);
+    return state.managed && state.owner === personId;
+  };
+}
+
+/**
+ * Check whether a channel entry is hidden by a clear marker
+ */
+export function isCleared(entry: any, clearedAt: number): boolean {
+  if (!clearedAt || !entry.creationTime) {
+    return false;
+  }
+  return new Date(entry.creationTime).getTime() <= clearedAt;
+}
@@ -0,0 +1,222 @@
+/**
+ * Conversation AI Settings Service (Chat Business Logic)
+ *
+ * System prompt, model override, sampling parameters, context window policy
+ * and thinking visibility of one conversation. Edits are posted to the topic
+ * channel as complete ConversationAISettings snapshots (newest wins, like
+ * ConversationMetadata). Topics without a snapshot use DEFAULT_AI_SETTINGS -
+ * unset parameters fall back to the LLM object. Snapshots whose author lacked
+ * the editConversation permission when posting them are ignored.
+ */
+
+import type { SHA256IdHash } from '@refinio/one.core/lib/util/type-checks.js';
+import type { Person } from '@refinio/one.core/lib/recipes.js';
+import type { ConversationAISettings } from '../types/OneObjectInterfaces.js';
+import { findLatestTopicObject } from './TopicChannelService.js';
+import { getRoleTimeline, isEntryAllowed } from './ConversationRolesService.js';
+
+export type ContextPolicy = ConversationAISettings['contextPolicy'];
+
+export const CONTEXT_POLICIES: ContextPolicy[] = ['full', 'recent', 'tokens'];
+
+/**
+ * Editable AI settings of a conversation
+ */
+export interface AISettingsFields {
+  systemPrompt?: string;
+  modelId?: string;  // Answer with this model instead of the AI participant's own (one-AI conversations)
+  temperature?: number;
+  maxTokens?: number;
+  topK?: number;
+  topP?: number;
+  contextPolicy: ContextPolicy;
+  contextLimit?: number;  // Messages (recent) or tokens (tokens)
+  showThinking: boolean;
+}
+
+/**
+ * Settings change - omitted fields are kept, null resets a field to its default
+ */
+export type AISettingsPatch = {
+  [K in keyof AISettingsFields]?: AISettingsFields[K] | null;
+};
+
+/**
+ * Current AI settings of a conversation
+ */
+export interface ConversationAISettingsVersion extends AISettingsFields {
+  hash?: string;  // ConversationAISettings hash (undefined for never edited topics)
+  updatedBy?: string;
+  updatedAt?: number;
+}
+
+/**
+ * Generation options for one answer (conversation settings over LLM defaults)
+ */
+export interface GenerationOptions {
+  systemPrompt?: string;
+  modelId?: string;
+  temperature?: number;
+  maxTokens?: number;
+  topK?: number;
+  topP?: number;
+  contextPolicy: ContextPolicy;
+  contextLimit?: number;
+}
+
+export const DEFAULT_AI_SETTINGS: AISettingsFields = {
+  contextPolicy: 'full',
+  showThinking: true
+};
+
+/**
+ * Apply a change to the current settings
+ *
+ * @throws If a value is out of range
+ */
+export function mergeAISettings(current: AISettingsFields, patch: AISettingsPatch): AISettingsFields {
+  const next: any = { ...current };
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === undefined) {
+      continue;
+    }
+    next[key] = value === null ? (DEFAULT_AI_SETTINGS as any)[key] : value;
+  }
+
+  const fields: AISettingsFields = {
+    ...(typeof next.systemPrompt === 'string' && next.systemPrompt.trim() && { systemPrompt: next.systemPrompt.trim() }),
+    ...(typeof next.modelId === 'string' && next.modelId && { modelId: next.modelId }),
+    ...(next.temperature !== undefined && { temperature: next.temperature }),
+    ...(next.maxTokens !== undefined && { maxTokens: next.maxTokens }),
+    ...(next.topK !== undefined && { topK: next.topK }),
+    ...(next.topP !== undefined && { topP: next.topP }),
+    contextPolicy: next.contextPolicy,
+    ...(next.contextPolicy !== 'full' && next.contextLimit !== undefined && { contextLimit: next.contextLimit }),
+    showThinking: next.showThinking
+  };
+  validateAISettings(fields);
+  return fields;
+}
+
+/**
+ * Create a ConversationAISettings snapshot
+ */
+export function createAISettings(
+  topicId: string,
+  fields: AISettingsFields,
+  updatedBy: SHA256IdHash<Person>
+): ConversationAISettings {
+  validateAISettings(fields);
+  return {
+    $type$: 'ConversationAISettings',
+    topicId,
+    ...(fields.systemPrompt && { systemPrompt: fields.systemPrompt }),
+    ...(fields.modelId && { modelId: fields.modelId }),
+    ...(fields.temperature !== undefined && { temperature: fields.temperature }),
+    ...(fields.maxTokens !== undefined && { maxTokens: fields.maxTokens }),
+    ...(fields.topK !== undefined && { topK: fields.topK }),
+    ...(fields.topP !== undefined && { topP: fields.topP }),
+    contextPolicy: fields.contextPolicy,
+    ...(fields.contextLimit !== undefined && { contextLimit: fields.contextLimit }),
+    showThinking: fields.showThinking,
+    updatedBy,
+    updatedAt: Date.now()
+  };
+}
+
+/**
+ * Get the newest settings snapshot of a topic (channel entry, undefined if never edited)
+ */
+export async function getLatestAISettingsEntry(channelManager: any, topicId: string): Promise<any | undefined> {
+  const roles = await getRoleTimeline(channelManager, topicId);
+  return await findLatestTopicObject(
+    channelManager,
+    topicId,
+    'ConversationAISettings',
+    (entry: any) => entry.data?.topicId === topicId && isEntryAllowed(roles, entry, 'editConversation')
+  );
+}
+
+/**
+ * Get the current AI settings of a topic
+ */
+export async function getConversationAISettings(channelManager: any, topicId: string): Promise<ConversationAISettingsVersion> {
+  const entry = await getLatestAISettingsEntry(channelManager, topicId);
+  if (!entry?.data) {
+    return { ...DEFAULT_AI_SETTINGS };
+  }
+
+  const settings = entry.data as ConversationAISettings;
+  return {
+    hash: String(entry.dataHash),
+    ...(settings.systemPrompt && { systemPrompt: settings.systemPrompt }),
+    ...(settings.modelId && { modelId: settings.modelId }),
+    ...(settings.temperature !== undefined && { temperature: settings.temperature }),
+    ...(settings.maxTokens !== undefined && { maxTokens: settings.maxTokens }),
+    ...(settings.topK !== undefined && { topK: settings.topK }),
+    ...(settings.topP !== undefined && { topP: settings.topP }),
+    contextPolicy: CONTEXT_POLICIES.includes(settings.contextPolicy) ? settings.contextPolicy : DEFAULT_AI_SETTINGS.contextPolicy,
+    ...(settings.contextLimit !== undefined && { contextLimit: settings.contextLimit }),
+    showThinking: settings.showThinking !== false,
+    updatedBy: String(settings.updatedBy),
+    updatedAt: settings.updatedAt
+  };
+}
+
+/**
+ * Generation options for an answer
+ *
+ * @param llm - LLM object of the answering model (sampling defaults)
+ */
+export function resolveGenerationOptions(settings: AISettingsFields, llm?: any): GenerationOptions {
+  const pick = (key: 'temperature' | 'maxTokens' | 'topK' | 'topP'): number | undefined =>
+    settings[key] ?? (typeof llm?.[key] === 'number' ? llm[key] : undefined);
+
+  const options: GenerationOptions = { contextPolicy: settings.contextPolicy };
+  if (settings.systemPrompt) {
+    options.systemPrompt = settings.systemPrompt;
+  }
+  const modelId = settings.modelId || llm?.modelId;
+  if (modelId) {
+    options.modelId = modelId;
+  }
+  for (const key of ['temperature', 'maxTokens', 'topK', 'topP'] as const) {
+    const value = pick(key);
+    if (value !== undefined) {
+      options[key] = value;
+    }
+  }
+  if (settings.contextLimit !== undefined) {
+    options.contextLimit = settings.contextLimit;
+  }
+  return options;
+}
+
+function validateAISettings(fields: AISettingsFields): void {
+  if (!CONTEXT_POLICIES.includes(fields.contextPolicy)) {
+    throw new Error(`Invalid context policy: ${fields.contextPolicy}`);
+  }
+  if (typeof fields.showThinking !== 'boolean') {
+    throw new Error('showThinking must be a boolean');
+  }
+  if (fields.temperature !== undefined && !(fields.temperature >= 0 && fields.temperature <= 2)) {
+    throw new Error(`Temperature must be between 0 and 2: ${fields.temperature}`);
+  }
+  if (fields.topP !== undefined && !(fields.topP > 0 && fields.topP <= 1)) {
+    throw new Error(`topP must be between 0 and 1: ${fields.topP}`);
+  }
+  for (const key of ['maxTokens', 'topK'] as const) {
+    const value = fields[key];
+    if (value !== undefined && !(Number.isInteger(value) && value > 0)) {
+      throw new Error(`${key} must be a positive integer: ${value}`);
+    }
+  }
+  if (fields.contextPolicy !== 'full') {
+    if (fields.contextLimit === undefined) {
+      throw new Error(`Context policy '${fields.contextPolicy}' needs a contextLimit`);
+    }
+    if (!(Number.isInteger(fields.contextLimit) && fields.contextLimit > 0)) {
+      throw new Error(`contextLimit must be a positive integer: ${fields.contextLimit}`);
+    }
+  }
+}
@@ -0,0 +1,437 @@
+/**
+ * Conversation Index (Chat Business Logic)
+ *
+ * Persistent per-user summary of every conversation (name, participants,
+ * last message, last activity, AI flag, unread count) so the conversation
+ * list does not have to load ChannelInfo, HashGroups, contacts, LLM objects
+ * and message history of every topic on each request.
+ *
+ * - Summaries are stored as versioned ConversationSummary objects (topicId + person)
+ * - Channel updates only refresh the activity part (last message, unread) by
+ *   reading the newest entries of the changed channel
+ * - Topic changes (rename, new channel after participant changes) rebuild the
+ *   full summary; metadata edits (description, avatar) are rebuilt by ChatPlan
+ */
+
+import type { SHA256IdHash } from '@refinio/one.core/lib/util/type-checks.js';
+import type { Person } from '@refinio/one.core/lib/recipes.js';
+import type { ConversationSummary } from '../types/OneObjectInterfaces.js';
+import { storeVersionedObject, getObjectByIdHash } from '@refinio/one.core/lib/storage-versioned-objects.js';
+import { calculateIdHashOfObj } from '@refinio/one.core/lib/util/object.js';
+import { getClearedAt } from './ClearMarkerService.js';
+import { iterateTopicObjects, getPreviousChannels } from './TopicChannelService.js';
+import { getRoleTimeline, isEntryAllowed } from './ConversationRolesService.js';
+import { getReadPosition } from './ReadPositionService.js';
+import { getMessageChanges, findMessageChanges, resolveMessageState } from './MessageEditService.js';
+import type { AIParticipant, AIAddressingMode } from './AIRoutingService.js';
+
+const PREVIEW_LENGTH = 100;
+const DELETED_PREVIEW = 'Message deleted';
+
+/**
+ * Conversation in the format returned by ChatPlan.getConversations
+ */
+export interface ConversationSummaryData {
+  id: string;
+  topicIdHash?: string;
+  name: string;
+  type: string;
+  participants: any[];
+  lastActivity: number;
+  lastMessage: string;
+  unreadCount: number;
+  firstUnreadMessageId?: string;
+  isAITopic: boolean;
+  aiModelId?: string;      // First AI participant (single-AI clients)
+  modelName?: string;
+  aiParticipants: AIParticipant[];
+  aiAddressing?: AIAddressingMode;  // Set when the conversation has AI participants
+  description?: string;
+  avatarBlobHash?: string;
+  metadataVersion?: string;  // Metadata, AI routing and AI settings the summary was built from
+}
+
+/**
+ * Called with the new summary and the one it replaced (undefined for new conversations)
+ */
+export type SummaryChangeListener = (data: ConversationSummaryData, previous?: ConversationSummaryData) => void;
+
+/**
+ * Topic state a summary depends on besides messages (channel + name)
+ */
+function getTopicSource(topic: any): string {
+  return `${topic.channel}|${topic.name || ''}`;
+}
+
+// Source of stored summaries that must be rebuilt (never matches a topic)
+const STALE_SOURCE = 'stale';
+
+/**
+ * Message activity of a topic as seen by one person
+ */
+export interface TopicActivity {
+  lastMessage: string;
+  lastActivity?: number;  // undefined if the topic has no visible messages
+  unreadCount: number;
+  firstUnreadMessageId?: string;
+}
+
+/**
+ * Read the message activity of a topic (preview, last activity, unread)
+ *
+ * Iterates the channel newest-first and stops at the read position or clear
+ * marker - cost depends on the number of unread messages, not on the history.
+ */
+export async function getTopicActivity(
+  channelManager: any,
+  topicId: string,
+  personId?: SHA256IdHash<Person>
+): Promise<TopicActivity> {
+  const clearedAt = personId ? await getClearedAt(channelManager, topicId, personId) : 0;
+  const readUpTo = personId ? (await getReadPosition(topicId, personId))?.readUpTo || 0 : 0;
+
+  const activity: TopicActivity = { lastMessage: '', unreadCount: 0 };
+  if (!channelManager) {
+    return activity;
+  }
+
+  const roles = await getRoleTimeline(channelManager, topicId);
+  for await (const entry of iterateTopicObjects(channelManager, topicId, 'ChatMessage')) {
+    const time = entry.creationTime ? new Date(entry.creationTime).getTime() : 0;
+    if (clearedAt && time <= clearedAt) {
+      break;
+    }
+    // Posts of participants who were not allowed to post (announcement mode, read-only)
+    if (!isEntryAllowed(roles, entry, 'post')) {
+      continue;
+    }
+
+    // Newest visible message is the preview (with its latest edit)
+    if (activity.lastActivity === undefined) {
+      const changes = await getMessageChanges(channelManager, topicId);
+      const state = resolveMessageState(entry, findMessageChanges(changes, entry));
+      const text = state.deleted ? DELETED_PREVIEW : state.text;
+      activity.lastMessage = text.length > PREVIEW_LENGTH ? text.substring(0, PREVIEW_LENGTH) + '...' : text;
+      activity.lastActivity = time;
+    }
+
+    if (time <= readUpTo) {
+      break;
+    }
+
+    const sender = entry.author || entry.data?.sender;
+    if (!personId || String(sender) !== String(personId)) {
+      activity.unreadCount++;
+      activity.firstUnreadMessageId = entry.id;  // Iterating newest-first: last one wins = oldest unread
+    }
+  }
+
+  return activity;
+}
+
+/**
+ * ConversationIndex - persistent conversation summaries kept current by channel updates
+ */
+export class ConversationIndex {
+  private nodeOneCore: any;
+  private buildConversation: (topic: any) => Promise<ConversationSummaryData>;
+  private onChange?: SummaryChangeListener;
+
+  // topicId -> summary (plus the topic state it was built from)
+  private summaries: Map<string, { source: string; data: ConversationSummaryData }>;
+  // ChannelInfo id hash -> topicId (for channel update events)
+  private channelToTopic: Map<string, string>;
+  // Participants HashGroup hash -> topicIds - maps updates of channels other
+  // participants own for the same topic
+  private participantsToTopics: Map<string, Set<string>>;
+  // Channels whose participants are already mapped
+  private trackedChannels: Set<string>;
+  private listening: boolean;
+
+  /**
+   * @param nodeOneCore - ONE.core instance (topicModel, channelManager, ownerId)
+   * @param buildConversation - Builds the full summary of a topic
+   * @param onChange - Called whenever a summary changed (not for unchanged refreshes)
+   */
+  constructor(
+    nodeOneCore: any,
+    buildConversation: (topic: any) => Promise<ConversationSummaryData>,
+    onChange?: SummaryChangeListener
+  ) {
+    this.nodeOneCore = nodeOneCore;
+    this.buildConversation = buildConversation;
+    this.onChange = onChange;
+    this.summaries = new Map();
+    this.channelToTopic = new Map();
+    this.participantsToTopics = new Map();
+    this.trackedChannels = new Set();
+    this.listening = false;
+  }
+
+  /**
+   * Get summaries of all conversations
+   *
+   * Summaries missing in memory are loaded from storage; topics without a stored
+   * summary (or whose topic changed) are built once and persisted.
+   */
+  async getConversations(): Promise<ConversationSummaryData[]> {
+    this.startListening();
+
+    const topics = await this.nodeOneCore.topicModel.topics.all();
+
+    return await Promise.all(topics.map(async (topic: any) => {
+      const source = getTopicSource(topic);
+      await this.trackTopic(topic);
+
+      let summary = this.summaries.get(topic.id);
+      if (!summary) {
+        summary = await this.loadSummary(topic.id);
+        if (summary) {
+          // Kept even if outdated - the rebuild below compares against it
+          this.summaries.set(topic.id, summary);
+        }
+      }
+
+      // Topic changed (new channel or name) or was never indexed
+      if (!summary || summary.source !== source) {
+        return await this.rebuild(topic);
+      }
+
+      return summary.data;
+    }));
+  }
+
+  /**
+   * Rebuild the full summary of a topic (name, participants, AI info, activity)
+   */
+  async rebuild(topic: any): Promise<ConversationSummaryData> {
+    const previous = this.summaries.get(topic.id)?.data;
+    const data = await this.buildConversation(topic);
+    const source = getTopicSource(topic);
+    this.summaries.set(topic.id, { source, data });
+    await this.trackTopic(topic);
+    await this.storeSummary(topic.id, source, data);
+    this.notifyChange(data, previous);
+    return data;
+  }
+
+  /**
+   * Forget the summary of a topic and mark its stored copy outdated - it is
+   * rebuilt on the next request (call after renaming or changing participants)
+   */
+  async invalidate(topicId: string): Promise<void> {
+    await this.markStale([topicId]);
+  }
+
+  /**
+   * Mark the conversations of persons as outdated - they are rebuilt on the
+   * next request (call after contact names, avatars or AI models changed)
+   *
+   * @param personIds - Changed persons (participants, or the peer of a P2P topic)
+   */
+  async invalidatePersons(personIds: string[]): Promise<void> {
+    const changed = new Set(personIds.map(id => String(id)));
+    const affected = Array.from(this.summaries.values())
+      .map(summary => summary.data)
+      .filter(data => data.participants.some((participant: any) => changed.has(String(participant?.id ?? participant))) ||
+        data.id.split('<->').some(id => changed.has(id)))
+      .map(data => data.id);
+    await this.markStale(affected);
+  }
+
+  /**
+   * Metadata version of the summary in memory or storage (undefined if never indexed)
+   */
+  async getMetadataVersion(topicId: string): Promise<string | undefined> {
+    const summary = this.summaries.get(topicId) || await this.loadSummary(topicId);
+    return summary?.data.metadataVersion;
+  }
+
+  /**
+   * Refresh last message, last activity and unread count of a topic
+   * (after new messages, markAsRead or clear)
+   */
+  async refreshActivity(topicId: string): Promise<ConversationSummaryData | undefined> {
+    const summary = this.summaries.get(topicId);
+    if (!summary) {
+      return undefined;
+    }
+
+    const activity = await getTopicActivity(this.nodeOneCore.channelManager, topicId, this.nodeOneCore.ownerId);
+    const data: ConversationSummaryData = {
+      ...summary.data,
+      lastMessage: activity.lastMessage,
+      lastActivity: activity.lastActivity ?? summary.data.lastActivity,
+      unreadCount: activity.unreadCount,
+      firstUnreadMessageId: activity.firstUnreadMessageId
+    };
+
+    this.summaries.set(topicId, { source: summary.source, data });
+    await this.storeSummary(topicId, summary.source, data);
+    this.notifyChange(data, summary.data);
+    return data;
+  }
+
+  /**
+   * Drop summaries from memory and mark their stored copies outdated, so that
+   * neither is used before the next rebuild (also after a restart)
+   */
+  private async markStale(topicIds: string[]): Promise<void> {
+    for (const topicId of topicIds) {
+      const summary = this.summaries.get(topicId) ?? await this.loadSummary(topicId);
+      this.summaries.delete(topicId);
+      if (summary && summary.source !== STALE_SOURCE) {
+        await this.storeSummary(topicId, STALE_SOURCE, summary.data);
+      }
+    }
+  }
+
+  private notifyChange(data: ConversationSummaryData, previous?: ConversationSummaryData): void {
+    if (!this.onChange || (previous && JSON.stringify(previous) === JSON.stringify(data))) {
+      return;
+    }
+    try {
+      this.onChange(data, previous);
+    } catch (error) {
+      console.error('[ConversationIndex] Change listener failed:', error);
+    }
+  }
+
+  /**
+   * Keep summaries current on channel updates
+   */
+  private startListening(): void {
+    if (this.listening || !this.nodeOneCore.channelManager?.onUpdated) {
+      return;
+    }
+    this.listening = true;
+
+    // Callback signature: (channelInfoIdHash, participantsHash, owner, time, data)
+    this.nodeOneCore.channelManager.onUpdated((channelInfoIdHash: any, participantsHash: any) => {
+      const topicId = this.channelToTopic.get(String(channelInfoIdHash));
+      // Channels of other owners share the participants of the topic's channel
+      const topicIds = topicId ? [topicId] : Array.from(this.participantsToTopics.get(String(participantsHash)) || []);
+      // None: new topic or new topic version, indexed on next request
+      for (const id of topicIds) {
+        this.refreshActivity(id).catch((error: Error) => {
+          console.warn(`[ConversationIndex] Failed to refresh ${id}:`, error);
+        });
+      }
+    });
+  }
+
+  /**
+   * Map the channels of a topic (current, earlier and same-participant
+   * channels) to the topic for update events
+   */
+  private async trackTopic(topic: any): Promise<void> {
+    const channel = String(topic.channel);
+    this.channelToTopic.set(channel, topic.id);
+    if (this.trackedChannels.has(channel)) {
+      return;
+    }
+    this.trackedChannels.add(channel);
+
+    for (const previous of await getPreviousChannels(topic.id)) {
+      this.channelToTopic.set(previous, topic.id);
+    }
+    try {
+      const channelInfo = (await getObjectByIdHash(topic.channel)).obj as any;
+      if (channelInfo?.participants) {
+        const key = String(channelInfo.participants);
+        const topicIds = this.participantsToTopics.get(key) || new Set<string>();
+        topicIds.add(topic.id);
+        this.participantsToTopics.set(key, topicIds);
+      }
+    } catch (e) {
+      // ChannelInfo not synced yet - tracked again with the next topic version
+      this.trackedChannels.delete(channel);
+    }
+  }
+
+  /**
+   * Load the persisted summary of a topic
+   */
+  private async loadSummary(topicId: string): Promise<{ source: string; data: ConversationSummaryData } | undefined> {
+    if (!this.nodeOneCore.ownerId) {
+      return undefined;
+    }
+
+    try {
+      const idHash = await calculateIdHashOfObj({
+        $type$: 'ConversationSummary',
+        topicId,
+        person: this.nodeOneCore.ownerId
+      } as any);
+      const result = await getObjectByIdHash<ConversationSummary>(idHash as any);
+      const stored = result?.obj;
+      if (!stored) {
+        return undefined;
+      }
+
+      return {
+        source: stored.source,
+        data: {
+          id: topicId,
+          topicIdHash: stored.topicIdHash,
+          name: stored.name,
+          type: 'chat',
+          participants: JSON.parse(stored.participants || '[]'),
+          lastActivity: stored.lastActivity,
+          lastMessage: stored.lastMessage,
+          unreadCount: stored.unreadCount,
+          firstUnreadMessageId: stored.firstUnreadMessageId,
+          isAITopic: stored.isAITopic,
+          aiModelId: stored.aiModelId,
+          modelName: stored.modelName,
+          aiParticipants: JSON.parse(stored.aiParticipants || '[]'),
+          aiAddressing: stored.aiAddressing,
+          description: stored.description,
+          avatarBlobHash: stored.avatarBlobHash,
+          metadataVersion: stored.metadataVersion
+        }
+      };
+    } catch (e) {
+      // Not indexed yet
+      return undefined;
+    }
+  }
+
+  /**
+   * Persist the summary of a topic
+   */
+  private async storeSummary(topicId: string, source: string, data: ConversationSummaryData): Promise<void> {
+    if (!this.nodeOneCore.ownerId) {
+      return;
+    }
+
+    const summary: ConversationSummary = {
+      $type$: 'ConversationSummary',
+      topicId,
+      person: this.nodeOneCore.ownerId,
+      source,
+      name: data.name,
+      participants: JSON.stringify(data.participants),
+      lastMessage: data.lastMessage,
+      lastActivity: data.lastActivity,
+      unreadCount: data.unreadCount,
+      isAITopic: data.isAITopic,
+      ...(data.topicIdHash && { topicIdHash: data.topicIdHash }),
+      ...(data.firstUnreadMessageId && { firstUnreadMessageId: data.firstUnreadMessageId }),
+      ...(data.aiModelId && { aiModelId: data.aiModelId }),
+      ...(data.modelName && { modelName: data.modelName }),
+      ...(data.aiParticipants.length > 0 && { aiParticipants: JSON.stringify(data.aiParticipants) }),
+      ...(data.aiAddressing && { aiAddressing: data.aiAddressing }),
+      ...(data.description && { description: data.description }),
+      ...(data.avatarBlobHash && { avatarBlobHash: data.avatarBlobHash }),
+      ...(data.metadataVersion && { metadataVersion: data.metadataVersion }),
+      updatedAt: Date.now()
+    };
+
+    try {
+      await storeVersionedObject(summary);
+    } catch (e) {
+      console.warn(`[ConversationIndex] Failed to store summary for ${topicId}:`, e);
+    }
+  }
+}
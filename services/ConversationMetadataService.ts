@@ -0,0 +1,104 @@
+/**
+ * Conversation Metadata Service (Chat Business Logic)
+ *
+ * Name, description and avatar of a conversation. Edits are posted to the
+ * topic channel as complete ConversationMetadata snapshots, so they reach all
+ * participants via CHUM and the newest snapshot wins - no merging needed.
+ * Topics without a snapshot use the name of their Topic object. In groups with
+ * roles, snapshots by participants who may not edit the conversation are skipped.
+ */
+
+import type { SHA256Hash, SHA256IdHash } from '@refinio/one.core/lib/util/type-checks.js';
+import type { Person, BLOB } from '@refinio/one.core/lib/recipes.js';
+import type { ConversationMetadata } from '../types/OneObjectInterfaces.js';
+import { getTopicObjects, findLatestTopicObject } from './TopicChannelService.js';
+import { getRoleTimeline, isEntryAllowed } from './ConversationRolesService.js';
+
+/**
+ * Editable conversation fields
+ */
+export interface ConversationMetadataFields {
+  name: string;
+  description?: string;
+  avatarBlobHash?: string;
+}
+
+/**
+ * One version of the conversation metadata
+ */
+export interface ConversationMetadataVersion extends ConversationMetadataFields {
+  hash?: string;  // ConversationMetadata hash (undefined for never edited topics)
+  updatedBy?: string;
+  updatedAt?: number;
+}
+
+/**
+ * Create a ConversationMetadata snapshot
+ */
+export function createConversationMetadata(
+  topicId: string,
+  fields: ConversationMetadataFields,
+  updatedBy: SHA256IdHash<Person>
+): ConversationMetadata {
+  return {
+    $type$: 'ConversationMetadata',
+    topicId,
+    name: fields.name,
+    ...(fields.description && { description: fields.description }),
+    ...(fields.avatarBlobHash && { avatar: fields.avatarBlobHash as SHA256Hash<BLOB> }),
+    updatedBy,
+    updatedAt: Date.now()
+  };
+}
+
+/**
+ * Get the newest metadata snapshot of a topic (channel entry, undefined if never edited)
+ */
+export async function getLatestMetadataEntry(channelManager: any, topicId: string): Promise<any | undefined> {
+  const roles = await getRoleTimeline(channelManager, topicId);
+  return await findLatestTopicObject(
+    channelManager,
+    topicId,
+    'ConversationMetadata',
+    (entry: any) => entry.data?.topicId === topicId && isEntryAllowed(roles, entry, 'editConversation')
+  );
+}
+
+/**
+ * Get the current metadata of a topic
+ *
+ * @param topic - Topic object (fallback for topics that were never edited)
+ */
+export async function getConversationMetadata(channelManager: any, topic: any): Promise<ConversationMetadataVersion> {
+  const entry = await getLatestMetadataEntry(channelManager, topic.id);
+  if (!entry) {
+    return { name: topic.name || topic.id };
+  }
+  return toVersion(entry);
+}
+
+/**
+ * Get all metadata edits of a topic, oldest first
+ */
+export async function getConversationMetadataHistory(channelManager: any, topicId: string): Promise<ConversationMetadataVersion[]> {
+  const [entries, roles] = await Promise.all([
+    getTopicObjects(channelManager, topicId, 'ConversationMetadata'),
+    getRoleTimeline(channelManager, topicId)
+  ]);
+  return entries
+    .filter((entry: any) => entry.data?.topicId === topicId && isEntryAllowed(roles, entry, 'editConversation'))
+    .map(toVersion)
+    .sort((a, b) => (a.updatedAt || 0) - (b.updatedAt || 0));
+}
+
+function toVersion(entry: any): ConversationMetadataVersion {
+  const metadata = entry.data as ConversationMetadata;
+  return {
+    hash: entry.dataHash ? String(entry.dataHash) : undefined,
+    name: metadata.name,
+    description: metadata.description,
+    avatarBlobHash: metadata.avatar ? String(metadata.avatar) : undefined,
+    updatedBy: String(metadata.updatedBy),
+    updatedAt: metadata.updatedAt
+  };
+}
@@ -0,0 +1,375 @@
+/**
+ * Conversation Roles Service (Chat Business Logic)
+ *
+ * Roles of group conversations: owner, admin, member, read-only, plus an
+ * announcement mode in which only owner and admins post.
+ *
+ * Role snapshots (ConversationRoles) live in the topic channel. The role state
+ * is rebuilt by replaying them oldest first, skipping every snapshot whose
+ * author had no right to make that change - a participant cannot grant
+ * themselves admin rights by posting a snapshot. The first snapshot is only
+ * accepted from the group's creator, who is bound to the topic ID
+ * (createGroupTopicId), so a group cannot be taken over by another
+ * participant. P2P topics have no roles.
+ *
+ * Receivers check channel objects against the role state at the time they
+ * were created (isEntryAllowed), so unauthorized metadata edits or posts in
+ * announcement mode are ignored even though CHUM delivers them.
+ *
+ * Permissions:
+ * - owner: everything, including admin changes, ownership transfer and
+ *   clearing for everyone
+ * - admin: manage members and read-only participants, edit the conversation,
+ *   post in announcement mode
+ * - member: post (unless announcement mode)
+ * - read-only: read only
+ */
+
+import type { SHA256IdHash } from '@refinio/one.core/lib/util/type-checks.js';
+import type { Person } from '@refinio/one.core/lib/recipes.js';
+import type { ConversationRoles } from '../types/OneObjectInterfaces.js';
+import { getTopicObjects, postToTopicChannel, getEntryPosition } from './TopicChannelService.js';
+
+export type ConversationRole = 'owner' | 'admin' | 'member' | 'read-only';
+
+export type ConversationPermission =
+  | 'post'
+  | 'manageParticipants'
+  | 'editConversation'
+  | 'clearForEveryone'
+  | 'manageRoles';
+
+/**
+ * Resolved role state of a topic
+ */
+export interface RoleState {
+  managed: boolean;  // false: topic has no roles, every participant may do everything
+  owner?: string;
+  admins: Set<string>;
+  readOnly: Set<string>;
+  announcementOnly: boolean;
+}
+
+/**
+ * Role states of a topic over time (oldest first)
+ */
+export interface RoleTimeline {
+  changes: Array<{ from: number; state: RoleState }>;
+}
+
+const PERMISSION_ERRORS: Record<ConversationPermission, string> = {
+  post: 'You cannot post in this conversation',
+  manageParticipants: 'Only admins can add or remove participants',
+  editConversation: 'Only admins can edit this conversation',
+  clearForEveryone: 'Only the owner can clear this conversation for everyone',
+  manageRoles: 'Only admins can change roles'
+};
+
+/**
+ * Role of a person in a topic
+ */
+export function getRole(state: RoleState, personId: string): ConversationRole {
+  const id = String(personId);
+  if (!state.managed) {
+    return 'member';
+  }
+  if (state.owner === id) {
+    return 'owner';
+  }
+  if (state.admins.has(id)) {
+    return 'admin';
+  }
+  if (state.readOnly.has(id)) {
+    return 'read-only';
+  }
+  return 'member';
+}
+
+/**
+ * Check if a person may do something in a topic
+ */
+export function hasPermission(state: RoleState, personId: string, permission: ConversationPermission): boolean {
+  if (!state.managed) {
+    return true;
+  }
+
+  const role = getRole(state, personId);
+  const isAdmin = role === 'owner' || role === 'admin';
+  switch (permission) {
+    case 'post':
+      return state.announcementOnly ? isAdmin : role !== 'read-only';
+    case 'clearForEveryone':
+      return role === 'owner';
+    case 'manageParticipants':
+    case 'editConversation':
+    case 'manageRoles':
+      return isAdmin;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Throw if a person may not do something in a topic
+ */
+export function assertPermission(state: RoleState, personId: string, permission: ConversationPermission): void {
+  if (!hasPermission(state, personId, permission)) {
+    throw new Error(PERMISSION_ERRORS[permission]);
+  }
+}
+
+/**
+ * Check if a person may change the role of another participant
+ *
+ * Admins manage members and read-only participants; only the owner changes
+ * admins or transfers ownership.
+ */
+export function canChangeRole(
+  state: RoleState,
+  actorId: string,
+  targetId: string,
+  newRole: ConversationRole
+): boolean {
+  if (!state.managed) {
+    return true;
+  }
+
+  const actorRole = getRole(state, actorId);
+  if (actorRole === 'owner') {
+    return String(targetId) !== state.owner || newRole === 'owner';
+  }
+  if (actorRole !== 'admin') {
+    return false;
+  }
+
+  const targetRole = getRole(state, targetId);
+  return (targetRole === 'member' || targetRole === 'read-only') &&
+    (newRole === 'member' || newRole === 'read-only');
+}
+
+/**
+ * Replay role snapshots (oldest first) and keep only authorized changes
+ *
+ * @param creator - Creator of the group (see getTopicCreator); without one no snapshot is accepted
+ */
+export function resolveRoleTimeline(entries: any[], topicId: string, creator?: string): RoleTimeline {
+  let state = unmanagedState();
+  const changes: RoleTimeline['changes'] = [{ from: 0, state }];
+  if (!creator) {
+    return { changes };
+  }
+
+  for (const entry of entries) {
+    const snapshot = entry.data as ConversationRoles;
+    if (snapshot?.topicId !== topicId || !snapshot.owner) {
+      continue;
+    }
+
+    const author = String(entry.author || snapshot.updatedBy);
+    const next = toState(snapshot);
+    const authorized = state.managed
+      ? isAuthorizedChange(state, next, author)
+      // First snapshot: only the creator starts role management, as owner
+      : author === creator && next.owner === creator;
+
+    if (authorized) {
+      state = next;
+      changes.push({ from: getEntryPosition(entry).time, state });
+    } else {
+      console.warn(`[ConversationRoles] Ignoring unauthorized role change by ${author.substring(0, 8)} in ${topicId}`);
+    }
+  }
+
+  return { changes };
+}
+
+/**
+ * Replay role snapshots and return the current state
+ */
+export function resolveRoles(entries: any[], topicId: string, creator?: string): RoleState {
+  const { changes } = resolveRoleTimeline(entries, topicId, creator);
+  return changes[changes.length - 1].state;
+}
+
+/**
+ * Role state of a topic at a point in time
+ */
+export function getRoleStateAt(timeline: RoleTimeline, time: number): RoleState {
+  let state = timeline.changes[0].state;
+  for (const change of timeline.changes) {
+    if (change.from > time) {
+      break;
+    }
+    state = change.state;
+  }
+  return state;
+}
+
+/**
+ * Check if the author of a channel entry was allowed to post it when it was created
+ */
+export function isEntryAllowed(timeline: RoleTimeline, entry: any, permission: ConversationPermission): boolean {
+  const author = entry?.author ? String(entry.author) : undefined;
+  const state = getRoleStateAt(timeline, getEntryPosition(entry).time);
+  if (!state.managed) {
+    return true;
+  }
+  return !!author && hasPermission(state, author, permission);
+}
+
+const topicCreators = new Map<string, string>();
+
+/**
+ * Derive the ID of a new group topic from its creator
+ *
+ * Group channels have no owner (their id hash must be the same for every
+ * participant), so the creator is bound to the topic ID instead: the first
+ * role snapshot carries the seed, and anyone can recompute the ID from the
+ * snapshot's author and that seed.
+ */
+export async function createGroupTopicId(creatorId: string, creatorSeed: string): Promise<string> {
+  const source = `${creatorId}:${creatorSeed}`;
+  const hashBuffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(source));
+  const hashHex = Array.from(new Uint8Array(hashBuffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+  return `topic-${hashHex.substring(0, 24)}`;
+}
+
+/**
+ * Get the creator of a group topic from its role snapshots (oldest first)
+ *
+ * Only a snapshot whose author and seed reproduce the topic ID names the
+ * creator (see createGroupTopicId). Undefined for P2P topics and groups
+ * without such a snapshot - those have no roles.
+ */
+export async function getTopicCreator(entries: any[], topicId: string): Promise<string | undefined> {
+  // P2P topic IDs are derived from both persons (id1<->id2)
+  if (topicId.includes('<->')) {
+    return undefined;
+  }
+
+  const cached = topicCreators.get(topicId);
+  if (cached) {
+    return cached;
+  }
+
+  for (const entry of entries) {
+    const snapshot = entry.data as ConversationRoles;
+    if (snapshot?.topicId !== topicId || !snapshot.creatorSeed || !entry.author) {
+      continue;
+    }
+    const author = String(entry.author);
+    if (await createGroupTopicId(author, snapshot.creatorSeed) === topicId) {
+      topicCreators.set(topicId, author);
+      return author;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Get the role timeline of a topic
+ */
+export async function getRoleTimeline(channelManager: any, topicId: string): Promise<RoleTimeline> {
+  const entries = await getTopicObjects(channelManager, topicId, 'ConversationRoles');
+  return resolveRoleTimeline(entries, topicId, await getTopicCreator(entries, topicId));
+}
+
+/**
+ * Get the role state of a topic
+ */
+export async function getConversationRoles(channelManager: any, topicId: string): Promise<RoleState> {
+  const { changes } = await getRoleTimeline(channelManager, topicId);
+  return changes[changes.length - 1].state;
+}
+
+/**
+ * Post a new role snapshot
+ */
+export async function postConversationRoles(
+  channelManager: any,
+  topicId: string,
+  state: Omit<RoleState, 'managed'>,
+  updatedBy: SHA256IdHash<Person>,
+  creatorSeed?: string
+): Promise<ConversationRoles> {
+  if (!state.owner) {
+    throw new Error('Conversation roles need an owner');
+  }
+
+  const admins = Array.from(state.admins).filter(id => id !== state.owner);
+  const readOnly = Array.from(state.readOnly).filter(id => id !== state.owner && !state.admins.has(id));
+  const snapshot: ConversationRoles = {
+    $type$: 'ConversationRoles',
+    topicId,
+    owner: state.owner as SHA256IdHash<Person>,
+    ...(admins.length > 0 && { admins: admins as SHA256IdHash<Person>[] }),
+    ...(readOnly.length > 0 && { readOnly: readOnly as SHA256IdHash<Person>[] }),
+    announcementOnly: state.announcementOnly,
+    updatedBy,
+    updatedAt: Date.now(),
+    ...(creatorSeed && { creatorSeed })
+  };
+  await postToTopicChannel(channelManager, topicId, snapshot);
+  return snapshot;
+}
+
+/**
+ * Start role management for a new group topic (creator becomes owner)
+ *
+ * @param creatorSeed - Seed the topic ID was derived from (see createGroupTopicId)
+ */
+export async function initializeConversationRoles(
+  channelManager: any,
+  topicId: string,
+  ownerId: SHA256IdHash<Person>,
+  creatorSeed: string
+): Promise<void> {
+  if (await createGroupTopicId(String(ownerId), creatorSeed) !== topicId) {
+    throw new Error('Topic ID was not derived from its creator');
+  }
+  await postConversationRoles(
+    channelManager,
+    topicId,
+    { owner: String(ownerId), admins: new Set(), readOnly: new Set(), announcementOnly: false },
+    ownerId,
+    creatorSeed
+  );
+}
+
+function unmanagedState(): RoleState {
+  return { managed: false, admins: new Set(), readOnly: new Set(), announcementOnly: false };
+}
+
+function toState(snapshot: ConversationRoles): RoleState {
+  return {
+    managed: true,
+    owner: String(snapshot.owner),
+    admins: new Set((snapshot.admins || []).map(id => String(id))),
+    readOnly: new Set((snapshot.readOnly || []).map(id => String(id))),
+    announcementOnly: snapshot.announcementOnly === true
+  };
+}
+
+/**
+ * Check that every difference between two states was allowed for the author
+ */
+function isAuthorizedChange(current: RoleState, next: RoleState, author: string): boolean {
+  const authorRole = getRole(current, author);
+  if (authorRole === 'owner') {
+    return true;
+  }
+  if (authorRole !== 'admin') {
+    return false;
+  }
+
+  // Admins cannot touch ownership or the admin list
+  if (next.owner !== current.owner || !sameSet(next.admins, current.admins)) {
+    return false;
+  }
+  // Read-only changes and announcement mode are admin business
+  return true;
+}
+
+function sameSet(a: Set<string>, b: Set<string>): boolean {
+  return a.size === b.size && Array.from(a).every(value => b.has(value));
+}
@@ -0,0 +1,151 @@
+/**
+ * Delivery Status Service (Chat Business Logic)
+ *
+ * Per-recipient delivery state of own messages:
+ * - stored: in the own topic channel, not confirmed by the recipient yet
+ * - synced: the recipient acknowledged the CHUM sync of the message
+ * - seen: the recipient's ChatReadReceipt covers the message
+ *
+ * Sync acknowledgements are ephemeral 'delivered' presence signals (see
+ * PresenceService): when CHUM brought messages into a topic, the instance
+ * tells every other participant the creation time of the newest message of
+ * that participant that arrived - so an acknowledgement only covers messages
+ * of its receiver. The receiver stores the acknowledged position per topic and
+ * recipient as a local ChatDeliveryPosition; positions only move forward.
+ */
+
+import type { SHA256IdHash } from '@refinio/one.core/lib/util/type-checks.js';
+import type { Person } from '@refinio/one.core/lib/recipes.js';
+import type { ChatDeliveryPosition } from '../types/OneObjectInterfaces.js';
+import { storeVersionedObject, getObjectByIdHash } from '@refinio/one.core/lib/storage-versioned-objects.js';
+import { calculateIdHashOfObj } from '@refinio/one.core/lib/util/object.js';
+import { iterateTopicObjects, getEntryPosition } from './TopicChannelService.js';
+
+// Messages read newest-first to find the newest message of every sender
+const RECEIVED_SCAN_LIMIT = 200;
+
+export type DeliveryState = 'stored' | 'synced' | 'seen';
+
+// Ordered from least to most progressed
+const DELIVERY_STATES: DeliveryState[] = ['stored', 'synced', 'seen'];
+
+export interface RecipientDelivery {
+  personId: string;
+  status: DeliveryState;
+  upTo?: number;  // Receipt position that confirms the status
+}
+
+export interface MessageDelivery {
+  status: DeliveryState;  // Least progressed state of all recipients
+  recipients: RecipientDelivery[];
+}
+
+/**
+ * Creation time of the newest message of each sender that arrived in a topic
+ * (channel entry author) - everything of that sender up to it has arrived
+ *
+ * @param senders - Person IDs; senders without a message among the newest
+ *   RECEIVED_SCAN_LIMIT messages are missing from the result
+ */
+export async function getReceivedUpTo(channelManager: any, topicId: string, senders: string[]): Promise<Map<string, number>> {
+  const pending = new Set(senders.map(String));
+  const received = new Map<string, number>();
+  let scanned = 0;
+  for await (const entry of iterateTopicObjects(channelManager, topicId, 'ChatMessage')) {
+    if (pending.size === 0 || ++scanned > RECEIVED_SCAN_LIMIT) {
+      break;
+    }
+    const author = String(entry.author);
+    if (pending.delete(author)) {
+      received.set(author, getEntryPosition(entry).time);
+    }
+  }
+  return received;
+}
+
+/**
+ * Get the acknowledged delivery positions of recipients in a topic
+ *
+ * @returns Map of Person ID -> receivedUpTo (recipients without acknowledgement are missing)
+ */
+export async function getDeliveryPositions(topicId: string, recipients: string[]): Promise<Map<string, number>> {
+  const positions = new Map<string, number>();
+  for (const recipient of recipients) {
+    const position = await getDeliveryPosition(topicId, recipient);
+    if (position) {
+      positions.set(String(recipient), position.receivedUpTo);
+    }
+  }
+  return positions;
+}
+
+/**
+ * Store the acknowledged delivery position of a recipient
+ *
+ * @returns True if the position moved forward
+ */
+export async function recordDeliveryPosition(topicId: string, recipient: string, receivedUpTo: number): Promise<boolean> {
+  const current = await getDeliveryPosition(topicId, recipient);
+  if (current && current.receivedUpTo >= receivedUpTo) {
+    return false;
+  }
+
+  await storeVersionedObject({
+    $type$: 'ChatDeliveryPosition',
+    topicId,
+    recipient: recipient as SHA256IdHash<Person>,
+    receivedUpTo,
+    updatedAt: Date.now()
+  });
+  return true;
+}
+
+async function getDeliveryPosition(topicId: string, recipient: string): Promise<ChatDeliveryPosition | undefined> {
+  try {
+    const idHash = await calculateIdHashOfObj({
+      $type$: 'ChatDeliveryPosition',
+      topicId,
+      recipient
+    } as any);
+    const result = await getObjectByIdHash<ChatDeliveryPosition>(idHash as any);
+    return result?.obj;
+  } catch (e) {
+    // Nothing acknowledged yet
+    return undefined;
+  }
+}
+
+/**
+ * Delivery state of one recipient for a message
+ *
+ * @param messageTime - Creation time of the message
+ */
+export function getRecipientDelivery(
+  personId: string,
+  messageTime: number,
+  deliveryReceipts: Map<string, number>,
+  readReceipts: Map<string, number>
+): RecipientDelivery {
+  const readUpTo = readReceipts.get(personId);
+  if (readUpTo !== undefined && readUpTo >= messageTime) {
+    return { personId, status: 'seen', upTo: readUpTo };
+  }
+  const receivedUpTo = deliveryReceipts.get(personId);
+  if (receivedUpTo !== undefined && receivedUpTo >= messageTime) {
+    return { personId, status: 'synced', upTo: receivedUpTo };
+  }
+  return { personId, status: 'stored' };
+}
+
+/**
+ * Combine recipient states - a message is only as far as its slowest recipient
+ *
+ * Without recipients (e.g. note-to-self) the message counts as seen.
+ */
+export function summarizeDelivery(recipients: RecipientDelivery[]): MessageDelivery {
+  if (recipients.length === 0) {
+    return { status: 'seen', recipients };
+  }
+  const lowest = Math.min(...recipients.map(recipient => DELIVERY_STATES.indexOf(recipient.status)));
+  return { status: DELIVERY_STATES[lowest], recipients };
+}
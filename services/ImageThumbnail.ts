@@ -0,0 +1,476 @@
+/**
+ * Image Thumbnail (Chat Business Logic)
+ *
+ * Dependency-free image helpers for the attachment pipeline - plain
+ * JavaScript, no native modules, no canvas:
+ * - image dimensions from the file header (PNG, JPEG, GIF, WebP, BMP)
+ * - PNG thumbnails: decode, box-filter downscale, encode as PNG
+ *   (zlib via the standard Compression/DecompressionStream)
+ * - JPEG thumbnails: the EXIF preview image most cameras and phones embed
+ *
+ * Formats without a built-in path get no thumbnail unless the platform
+ * passes its own ThumbnailRenderer to the AttachmentService.
+ */
+
+export interface ImageSize {
+  width: number;
+  height: number;
+}
+
+export interface Thumbnail extends ImageSize {
+  bytes: Uint8Array;
+  mimeType: string;
+}
+
+/**
+ * Renders a thumbnail that fits into maxDimension x maxDimension
+ *
+ * @returns undefined if the image cannot be rendered
+ */
+export type ThumbnailRenderer = (bytes: Uint8Array, mimeType: string, maxDimension: number) => Promise<Thumbnail | undefined>;
+
+// Larger images are not decoded (RGBA buffer ~64 MB, inflated 16 bit RGBA data ~128 MB)
+const MAX_DECODE_PIXELS = 16_000_000;
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+
+/**
+ * Read image dimensions from the file header
+ */
+export function getImageSize(bytes: Uint8Array, mimeType: string): ImageSize | undefined {
+  try {
+    switch (mimeType) {
+      case 'image/png':
+        return bytes.length >= 24 ? { width: readUint32BE(bytes, 16), height: readUint32BE(bytes, 20) } : undefined;
+      case 'image/gif':
+        return bytes.length >= 10 ? { width: bytes[6] | (bytes[7] << 8), height: bytes[8] | (bytes[9] << 8) } : undefined;
+      case 'image/bmp':
+        return bytes.length >= 26
+          ? { width: Math.abs(readInt32LE(bytes, 18)), height: Math.abs(readInt32LE(bytes, 22)) }
+          : undefined;
+      case 'image/jpeg':
+        return getJpegSize(bytes);
+      case 'image/webp':
+        return getWebpSize(bytes);
+      default:
+        return undefined;
+    }
+  } catch (e) {
+    // Truncated or malformed header
+    return undefined;
+  }
+}
+
+/**
+ * Built-in renderer: PNG (decoded and scaled) and JPEG (embedded EXIF preview)
+ */
+export const defaultThumbnailRenderer: ThumbnailRenderer = async (bytes, mimeType, maxDimension) => {
+  if (mimeType === 'image/png') {
+    const image = await decodePng(bytes);
+    if (!image) {
+      return undefined;
+    }
+    const scaled = downscale(image, maxDimension);
+    return {
+      bytes: await encodePng(scaled),
+      mimeType: 'image/png',
+      width: scaled.width,
+      height: scaled.height
+    };
+  }
+
+  if (mimeType === 'image/jpeg') {
+    const preview = extractExifThumbnail(bytes);
+    const size = preview ? getJpegSize(preview) : undefined;
+    if (!preview || !size) {
+      return undefined;
+    }
+    return { bytes: preview, mimeType: 'image/jpeg', ...size };
+  }
+
+  return undefined;
+};
+
+interface RgbaImage extends ImageSize {
+  data: Uint8Array;  // RGBA, 8 bit per channel
+}
+
+function getJpegSize(bytes: Uint8Array): ImageSize | undefined {
+  let offset = 2;
+  while (offset + 9 < bytes.length) {
+    if (bytes[offset] !== 0xFF) {
+      return undefined;
+    }
+    const marker = bytes[offset + 1];
+    // SOF0-SOF15 except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+      return { height: readUint16BE(bytes, offset + 5), width: readUint16BE(bytes, offset + 7) };
+    }
+    offset += 2 + readUint16BE(bytes, offset + 2);
+  }
+  return undefined;
+}
+
+function getWebpSize(bytes: Uint8Array): ImageSize | undefined {
+  const chunk = String.fromCharCode(...bytes.subarray(12, 16));
+  if (chunk === 'VP8X') {
+    return {
+      width: 1 + (bytes[24] | (bytes[25] << 8) | (bytes[26] << 16)),
+      height: 1 + (bytes[27] | (bytes[28] << 8) | (bytes[29] << 16))
+    };
+  }
+  if (chunk === 'VP8 ') {
+    return { width: (bytes[26] | (bytes[27] << 8)) & 0x3FFF, height: (bytes[28] | (bytes[29] << 8)) & 0x3FFF };
+  }
+  if (chunk === 'VP8L') {
+    const bits = bytes[21] | (bytes[22] << 8) | (bytes[23] << 16) | (bytes[24] << 24);
+    return { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+  }
+  return undefined;
+}
+
+/**
+ * Find the JPEG preview in the EXIF block (IFD1) of a JPEG
+ */
+function extractExifThumbnail(bytes: Uint8Array): Uint8Array | undefined {
+  let offset = 2;
+  while (offset + 4 < bytes.length && bytes[offset] === 0xFF) {
+    const marker = bytes[offset + 1];
+    const length = readUint16BE(bytes, offset + 2);
+    // APP1 with "Exif\0\0"
+    if (marker === 0xE1 && String.fromCharCode(...bytes.subarray(offset + 4, offset + 8)) === 'Exif') {
+      return readExifThumbnail(bytes.subarray(offset + 10, offset + 2 + length));
+    }
+    if (marker === 0xDA) {
+      // Start of scan - no metadata after this
+      return undefined;
+    }
+    offset += 2 + length;
+  }
+  return undefined;
+}
+
+function readExifThumbnail(tiff: Uint8Array): Uint8Array | undefined {
+  const littleEndian = tiff[0] === 0x49;
+  const u16 = (at: number) => littleEndian ? tiff[at] | (tiff[at + 1] << 8) : readUint16BE(tiff, at);
+  const u32 = (at: number) => littleEndian
+    ? (tiff[at] | (tiff[at + 1] << 8) | (tiff[at + 2] << 16) | (tiff[at + 3] << 24)) >>> 0
+    : readUint32BE(tiff, at);
+
+  const ifd0 = u32(4);
+  if (ifd0 + 2 > tiff.length) {
+    return undefined;
+  }
+  const ifd1 = u32(ifd0 + 2 + u16(ifd0) * 12);
+  if (!ifd1 || ifd1 + 2 > tiff.length) {
+    return undefined;
+  }
+
+  let start: number | undefined;
+  let length: number | undefined;
+  const count = u16(ifd1);
+  for (let i = 0; i < count; i++) {
+    const entry = ifd1 + 2 + i * 12;
+    if (entry + 12 > tiff.length) {
+      break;
+    }
+    const tag = u16(entry);
+    if (tag === 0x0201) {
+      start = u32(entry + 8);
+    } else if (tag === 0x0202) {
+      length = u32(entry + 8);
+    }
+  }
+
+  if (start === undefined || !length || start + length > tiff.length) {
+    return undefined;
+  }
+  const thumbnail = tiff.slice(start, start + length);
+  return thumbnail[0] === 0xFF && thumbnail[1] === 0xD8 ? thumbnail : undefined;
+}
+
+/**
+ * Decode a non-interlaced PNG to RGBA
+ */
+async function decodePng(bytes: Uint8Array): Promise<RgbaImage | undefined> {
+  if (!PNG_SIGNATURE.every((value, i) => bytes[i] === value)) {
+    return undefined;
+  }
+
+  let width = 0;
+  let height = 0;
+  let bitDepth = 0;
+  let colorType = 0;
+  let palette: Uint8Array | undefined;
+  let paletteAlpha: Uint8Array | undefined;
+  const idat: Uint8Array[] = [];
+
+  let offset = 8;
+  while (offset + 8 <= bytes.length) {
+    const length = readUint32BE(bytes, offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const data = bytes.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      width = readUint32BE(data, 0);
+      height = readUint32BE(data, 4);
+      bitDepth = data[8];
+      colorType = data[9];
+      if (data[12] !== 0) {
+        // Adam7 interlacing is not supported
+        return undefined;
+      }
+    } else if (type === 'PLTE') {
+      palette = data;
+    } else if (type === 'tRNS') {
+      paletteAlpha = data;
+    } else if (type === 'IDAT') {
+      idat.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += 12 + length;
+  }
+
+  const channels = ({ 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 } as Record<number, number>)[colorType];
+  if (!width || !height || !channels || width * height > MAX_DECODE_PIXELS || (colorType === 3 && !palette)) {
+    return undefined;
+  }
+
+  const bitsPerPixel = channels * bitDepth;
+  const stride = Math.ceil((width * bitsPerPixel) / 8);
+  const bpp = Math.max(1, bitsPerPixel >> 3);
+  const raw = await inflate(concat(idat), height * (stride + 1));
+  if (raw.length < height * (stride + 1)) {
+    return undefined;
+  }
+
+  const rgba = new Uint8Array(width * height * 4);
+  const scale = bitDepth < 8 ? 255 / ((1 << bitDepth) - 1) : 1;
+  const gray = colorType === 0 || colorType === 4;
+  let previous: Uint8Array = new Uint8Array(stride);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    unfilter(filter, line, previous, bpp);
+
+    for (let x = 0; x < width; x++) {
+      const out = (y * width + x) * 4;
+      const first = x * channels;
+      if (colorType === 3) {
+        const index = readSample(line, first, bitDepth);
+        rgba[out] = palette![index * 3];
+        rgba[out + 1] = palette![index * 3 + 1];
+        rgba[out + 2] = palette![index * 3 + 2];
+        rgba[out + 3] = paletteAlpha && index < paletteAlpha.length ? paletteAlpha[index] : 255;
+      } else {
+        const value = readSample(line, first, bitDepth) * scale;
+        rgba[out] = value;
+        rgba[out + 1] = gray ? value : readSample(line, first + 1, bitDepth) * scale;
+        rgba[out + 2] = gray ? value : readSample(line, first + 2, bitDepth) * scale;
+        rgba[out + 3] = colorType === 4 ? readSample(line, first + 1, bitDepth)
+          : colorType === 6 ? readSample(line, first + 3, bitDepth) : 255;
+      }
+    }
+    previous = line;
+  }
+
+  return { width, height, data: rgba };
+}
+
+/**
+ * Read one sample of a scanline (16 bit samples are reduced to 8 bit)
+ */
+function readSample(line: Uint8Array, index: number, bitDepth: number): number {
+  if (bitDepth === 8) {
+    return line[index];
+  }
+  if (bitDepth === 16) {
+    return line[index * 2];
+  }
+  const bitOffset = index * bitDepth;
+  const byte = line[bitOffset >> 3];
+  return (byte >> (8 - bitDepth - (bitOffset & 7))) & ((1 << bitDepth) - 1);
+}
+
+function unfilter(filter: number, line: Uint8Array, previous: Uint8Array, bpp: number): void {
+  for (let i = 0; i < line.length; i++) {
+    const left = i >= bpp ? line[i - bpp] : 0;
+    const up = previous[i];
+    const upLeft = i >= bpp ? previous[i - bpp] : 0;
+    switch (filter) {
+      case 1:
+        line[i] = (line[i] + left) & 0xFF;
+        break;
+      case 2:
+        line[i] = (line[i] + up) & 0xFF;
+        break;
+      case 3:
+        line[i] = (line[i] + ((left + up) >> 1)) & 0xFF;
+        break;
+      case 4: {
+        const p = left + up - upLeft;
+        const pa = Math.abs(p - left);
+        const pb = Math.abs(p - up);
+        const pc = Math.abs(p - upLeft);
+        const predictor = pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+        line[i] = (line[i] + predictor) & 0xFF;
+        break;
+      }
+      default:
+        break;
+    }
+  }
+}
+
+/**
+ * Scale an image down (area average) to fit maxDimension x maxDimension
+ */
+function downscale(image: RgbaImage, maxDimension: number): RgbaImage {
+  const factor = Math.min(1, maxDimension / Math.max(image.width, image.height));
+  const width = Math.max(1, Math.round(image.width * factor));
+  const height = Math.max(1, Math.round(image.height * factor));
+  if (width === image.width && height === image.height) {
+    return image;
+  }
+
+  const data = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.floor((y * image.height) / height);
+    const y1 = Math.max(y0 + 1, Math.floor(((y + 1) * image.height) / height));
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.floor((x * image.width) / width);
+      const x1 = Math.max(x0 + 1, Math.floor(((x + 1) * image.width) / width));
+
+      const sum = [0, 0, 0, 0];
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0; sx < x1; sx++) {
+          const source = (sy * image.width + sx) * 4;
+          for (let c = 0; c < 4; c++) {
+            sum[c] += image.data[source + c];
+          }
+        }
+      }
+      const count = (y1 - y0) * (x1 - x0);
+      const target = (y * width + x) * 4;
+      for (let c = 0; c < 4; c++) {
+        data[target + c] = Math.round(sum[c] / count);
+      }
+    }
+  }
+  return { width, height, data };
+}
+
+/**
+ * Encode RGBA pixels as PNG (Sub filter on every row - compresses photos well enough)
+ */
+async function encodePng(image: RgbaImage): Promise<Uint8Array> {
+  const stride = image.width * 4;
+  const raw = new Uint8Array(image.height * (stride + 1));
+  for (let y = 0; y < image.height; y++) {
+    const row = y * (stride + 1);
+    raw[row] = 1;
+    for (let i = 0; i < stride; i++) {
+      const left = i >= 4 ? image.data[y * stride + i - 4] : 0;
+      raw[row + 1 + i] = (image.data[y * stride + i] - left) & 0xFF;
+    }
+  }
+
+  const header = new Uint8Array(13);
+  writeUint32BE(header, 0, image.width);
+  writeUint32BE(header, 4, image.height);
+  header[8] = 8;  // Bit depth
+  header[9] = 6;  // RGBA
+
+  return concat([
+    new Uint8Array(PNG_SIGNATURE),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', await deflate(raw)),
+    pngChunk('IEND', new Uint8Array(0))
+  ]);
+}
+
+function pngChunk(type: string, data: Uint8Array): Uint8Array {
+  const chunk = new Uint8Array(12 + data.length);
+  writeUint32BE(chunk, 0, data.length);
+  for (let i = 0; i < 4; i++) {
+    chunk[4 + i] = type.charCodeAt(i);
+  }
+  chunk.set(data, 8);
+  writeUint32BE(chunk, 8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+}
+
+let crcTable: Uint32Array | undefined;
+
+function crc32(data: Uint8Array): number {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xFFFFFFFF;
+  for (const byte of data) {
+    crc = crcTable[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Inflate at most maxLength bytes - trailing data of a crafted stream is never decompressed
+ */
+async function inflate(data: Uint8Array, maxLength: number): Promise<Uint8Array> {
+  const reader = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate')).getReader();
+  const parts: Uint8Array[] = [];
+  let length = 0;
+  try {
+    while (length < maxLength) {
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+      parts.push(value.subarray(0, maxLength - length));
+      length += Math.min(value.length, maxLength - length);
+    }
+  } finally {
+    await reader.cancel().catch(() => undefined);
+  }
+  return concat(parts);
+}
+
+async function deflate(data: Uint8Array): Promise<Uint8Array> {
+  const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function concat(parts: Uint8Array[]): Uint8Array {
+  const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
+
+function readUint16BE(bytes: Uint8Array, offset: number): number {
+  return (bytes[offset] << 8) | bytes[offset + 1];
+}
+
+function readUint32BE(bytes: Uint8Array, offset: number): number {
+  return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+}
+
+function readInt32LE(bytes: Uint8Array, offset: number): number {
+  return bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24);
+}
+
+function writeUint32BE(bytes: Uint8Array, offset: number, value: number): void {
+  bytes[offset] = (value >>> 24) & 0xFF;
+  bytes[offset + 1] = (value >>> 16) & 0xFF;
+  bytes[offset + 2] = (value >>> 8) & 0xFF;
+  bytes[offset + 3] = value & 0xFF;
+}
@@ -0,0 +1,639 @@
+/**
+ * Invite Service (Chat Business Logic)
+ *
+ * Invite links for group conversations.
+ *
+ * An owner or admin creates a ChatInvite (signed with their keys) and hands
+ * out a token that carries the complete invite and its signature, so
+ * everything the invitee is shown (conversation, name, expiry) is covered by
+ * the signature. Tokens also carry a pairing invitation of the inviter's
+ * ConnectionsModel: invitees who are not connected to the inviter yet pair
+ * with it first. The invitee then posts a ChatJoinRequest to the P2P topic
+ * shared with the inviter. The inviter's instance checks the request against
+ * the stored invite - signature, expiry, use count, revocation - and then
+ * either lets the requester join right away or queues the request for
+ * approval.
+ *
+ * Each invite and received request is kept in its own versioned entry
+ * (ChatInviteEntry, ChatJoinRequestEntry); the ChatInviteRegistry of a person
+ * lists them.
+ */
+
+import type { SHA256Hash, SHA256IdHash } from '@refinio/one.core/lib/util/type-checks.js';
+import type { Person } from '@refinio/one.core/lib/recipes.js';
+import type {
+  ChatInvite,
+  ChatInviteEntry,
+  ChatInviteRegistry,
+  ChatJoinRequest,
+  ChatJoinRequestEntry
+} from '../types/OneObjectInterfaces.js';
+import { storeVersionedObject, getObjectByIdHash } from '@refinio/one.core/lib/storage-versioned-objects.js';
+import { storeUnversionedObject, getObject } from '@refinio/one.core/lib/storage-unversioned-objects.js';
+import { calculateIdHashOfObj } from '@refinio/one.core/lib/util/object.js';
+import { createRandomString } from '@refinio/one.core/lib/system/crypto-helpers.js';
+import { sign, isSignedBy } from '@refinio/one.models/lib/misc/Signature.js';
+
+const TOKEN_PREFIX = 'chatinvite:';
+// Revoked and expired invites (and their decided requests) stay listed for a while
+const RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+export interface InviteOptions {
+  expiresAt?: number;
+  maxUses?: number;
+  requiresApproval?: boolean;
+}
+
+/**
+ * Pairing invitation of the ConnectionsModel (connectUsingInvitation)
+ */
+export interface PairingInvitation {
+  token: string;
+  publicKey: string;
+  url: string;
+}
+
+/**
+ * Content of an invite token
+ */
+export interface InviteTokenPayload {
+  v: 1;
+  invite: Omit<ChatInvite, '$type$'>;  // Signed by invite.createdBy
+  signature: string;                   // Signature of the ChatInvite hash
+  pairing?: PairingInvitation;         // Reaches the inviter without an existing connection
+}
+
+export interface InviteInfo {
+  id: string;  // ChatInvite hash
+  topicId: string;
+  signature: string;  // Signature object hash
+  token: string;      // What the invitee needs (carries a pairing invitation of this session)
+  createdAt: number;
+  expiresAt?: number;
+  maxUses?: number;
+  requiresApproval: boolean;
+  uses: number;
+  revoked: boolean;
+  updatedAt: number;
+}
+
+export type JoinRequestStatus = 'pending' | 'approved' | 'rejected';
+
+export interface JoinRequestInfo {
+  id: string;  // ChatJoinRequest hash
+  inviteId: string;
+  topicId: string;
+  requester: string;
+  p2pTopicId: string;  // Where the request arrived
+  requestedAt: number;
+  status: JoinRequestStatus;
+  reason?: string;     // Why a request was rejected or could not be completed
+  decidedAt?: number;
+}
+
+/**
+ * Encode an invite token
+ */
+export function encodeInviteToken(payload: InviteTokenPayload): string {
+  const bytes = new TextEncoder().encode(JSON.stringify(payload));
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  const base64url = btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  return TOKEN_PREFIX + base64url;
+}
+
+/**
+ * Decode an invite token
+ *
+ * @throws If the token is malformed
+ */
+export function decodeInviteToken(token: string): InviteTokenPayload {
+  try {
+    const base64 = token.trim().replace(TOKEN_PREFIX, '').replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64);
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    const payload = JSON.parse(new TextDecoder().decode(bytes));
+    const invite = payload?.invite;
+    if (
+      payload?.v !== 1 ||
+      typeof payload.signature !== 'string' ||
+      typeof invite?.topicId !== 'string' ||
+      typeof invite.createdBy !== 'string' ||
+      typeof invite.createdAt !== 'number' ||
+      typeof invite.requiresApproval !== 'boolean' ||
+      typeof invite.secret !== 'string'
+    ) {
+      throw new Error('missing fields');
+    }
+    return payload as InviteTokenPayload;
+  } catch (e) {
+    throw new Error('Invalid invite token');
+  }
+}
+
+/**
+ * Store the signed invite of a token locally (invitee side)
+ *
+ * The inviter signed exactly this ChatInvite, so storing it here yields the
+ * inviter's invite and Signature hashes.
+ */
+export async function importInviteToken(payload: InviteTokenPayload): Promise<{ invite: SHA256Hash<ChatInvite>; signature: SHA256Hash }> {
+  const invite = await storeUnversionedObject({ $type$: 'ChatInvite', ...payload.invite } as ChatInvite);
+  const signature = await storeUnversionedObject({
+    $type$: 'Signature',
+    issuer: payload.invite.createdBy,
+    data: invite.hash,
+    signature: payload.signature
+  } as any);
+  return { invite: invite.hash as SHA256Hash<ChatInvite>, signature: signature.hash as SHA256Hash };
+}
+
+/**
+ * Check the signature of an imported invite
+ *
+ * @returns undefined if the keys of the inviter are not known yet
+ */
+export async function verifyInvite(inviteHash: SHA256Hash<ChatInvite>, inviter: SHA256IdHash<Person>): Promise<boolean | undefined> {
+  try {
+    return await isSignedBy(inviteHash as SHA256Hash, inviter);
+  } catch (e) {
+    return undefined;
+  }
+}
+
+/**
+ * Create the ChatJoinRequest for an imported invite
+ */
+export function createJoinRequest(
+  payload: InviteTokenPayload,
+  hashes: { invite: SHA256Hash<ChatInvite>; signature: SHA256Hash },
+  requester: SHA256IdHash<Person>
+): ChatJoinRequest {
+  return {
+    $type$: 'ChatJoinRequest',
+    topicId: payload.invite.topicId,
+    invite: hashes.invite,
+    signature: hashes.signature,
+    requester,
+    timestamp: Date.now()
+  };
+}
+
+/**
+ * InviteRegistry - own invites and received join requests of one person
+ */
+export class InviteRegistry {
+  private ownerId: SHA256IdHash<Person>;
+  private getPairing?: (inviteId: string) => Promise<PairingInvitation | undefined>;
+  private invites: Map<string, InviteState>;
+  private requests: Map<string, JoinRequestInfo>;
+  private loaded?: Promise<void>;
+
+  /**
+   * @param getPairing - Pairing invitation to put into the token of an invite
+   */
+  constructor(ownerId: SHA256IdHash<Person>, getPairing?: (inviteId: string) => Promise<PairingInvitation | undefined>) {
+    this.ownerId = ownerId;
+    this.getPairing = getPairing;
+    this.invites = new Map();
+    this.requests = new Map();
+  }
+
+  async load(): Promise<void> {
+    if (!this.loaded) {
+      this.loaded = this.loadRegistry();
+    }
+    await this.loaded;
+  }
+
+  /**
+   * Create and sign an invite
+   *
+   * @param name - Conversation name shown to the invitee
+   */
+  async createInvite(topicId: string, options: InviteOptions, name?: string): Promise<InviteInfo> {
+    await this.load();
+
+    if (options.expiresAt !== undefined && options.expiresAt <= Date.now()) {
+      throw new Error('Invite expiry must be in the future');
+    }
+    if (options.maxUses !== undefined && (!Number.isInteger(options.maxUses) || options.maxUses < 1)) {
+      throw new Error('maxUses must be a positive integer');
+    }
+
+    const invite: ChatInvite = {
+      $type$: 'ChatInvite',
+      topicId,
+      ...(name && { name }),
+      createdBy: this.ownerId,
+      createdAt: Date.now(),
+      ...(options.expiresAt !== undefined && { expiresAt: options.expiresAt }),
+      ...(options.maxUses !== undefined && { maxUses: options.maxUses }),
+      requiresApproval: options.requiresApproval === true,
+      secret: await createRandomString(32)
+    };
+    const stored = await storeUnversionedObject(invite);
+    const signature = await sign(stored.hash as SHA256Hash);
+
+    const state: InviteState = {
+      id: String(stored.hash),
+      topicId,
+      signature: String(signature.hash),
+      createdAt: invite.createdAt,
+      expiresAt: invite.expiresAt,
+      maxUses: invite.maxUses,
+      requiresApproval: invite.requiresApproval,
+      uses: 0,
+      revoked: false,
+      updatedAt: invite.createdAt
+    };
+    this.invites.set(state.id, state);
+    await this.persistInvite(state);
+    await this.persistIndex();
+    return await this.toInfo(state);
+  }
+
+  /**
+   * Revoke an invite - pending requests made with it are rejected
+   */
+  async revokeInvite(inviteId: string): Promise<InviteInfo> {
+    await this.load();
+
+    const invite = this.invites.get(inviteId);
+    if (!invite) {
+      throw new Error(`Invite not found: ${inviteId}`);
+    }
+
+    const now = Date.now();
+    invite.revoked = true;
+    invite.updatedAt = now;
+    await this.persistInvite(invite);
+    for (const request of this.requests.values()) {
+      if (request.inviteId === inviteId && request.status === 'pending') {
+        request.status = 'rejected';
+        request.reason = 'Invite revoked';
+        request.decidedAt = now;
+        await this.persistRequest(request);
+      }
+    }
+    return await this.toInfo(invite);
+  }
+
+  async getInvite(inviteId: string): Promise<InviteInfo | undefined> {
+    await this.load();
+    const invite = this.invites.get(inviteId);
+    return invite ? await this.toInfo(invite) : undefined;
+  }
+
+  /**
+   * Get own invites (optionally of one topic), newest first
+   */
+  async getInvites(topicId?: string): Promise<InviteInfo[]> {
+    await this.load();
+    const invites = Array.from(this.invites.values())
+      .filter(invite => !topicId || invite.topicId === topicId)
+      .sort((a, b) => b.createdAt - a.createdAt);
+    return await Promise.all(invites.map(invite => this.toInfo(invite)));
+  }
+
+  /**
+   * Get received join requests (optionally of one topic and status), oldest first
+   */
+  async getRequests(topicId?: string, status?: JoinRequestStatus): Promise<JoinRequestInfo[]> {
+    await this.load();
+    return Array.from(this.requests.values())
+      .filter(request => (!topicId || request.topicId === topicId) && (!status || request.status === status))
+      .sort((a, b) => a.requestedAt - b.requestedAt)
+      .map(request => ({ ...request }));
+  }
+
+  async getRequest(requestId: string): Promise<JoinRequestInfo | undefined> {
+    await this.load();
+    const request = this.requests.get(requestId);
+    return request ? { ...request } : undefined;
+  }
+
+  /**
+   * Check whether a join request channel entry was processed already
+   */
+  async isKnownRequest(requestId: string): Promise<boolean> {
+    await this.load();
+    return this.requests.has(requestId);
+  }
+
+  /**
+   * Register a join request that arrived in a P2P topic
+   *
+   * @param entry - ChatJoinRequest channel entry
+   * @returns The registered request and whether the requester may join right
+   *          away, or undefined if the request is not for an own invite
+   */
+  async receiveRequest(entry: any, p2pTopicId: string): Promise<{ request: JoinRequestInfo; admit: boolean } | undefined> {
+    await this.load();
+
+    const data = entry.data as ChatJoinRequest;
+    const invite = this.invites.get(String(data?.invite));
+    if (!invite) {
+      return undefined;
+    }
+
+    const request: JoinRequestInfo = {
+      id: String(entry.dataHash),
+      inviteId: invite.id,
+      topicId: invite.topicId,
+      requester: String(entry.author || data.requester),
+      p2pTopicId,
+      requestedAt: data.timestamp,
+      status: 'pending'
+    };
+
+    const problem = String(data.requester) !== request.requester
+      ? 'Request was not made by the requester'
+      : data.topicId !== invite.topicId || String(data.signature) !== invite.signature
+        ? 'Invite token does not match the invite'
+        : await this.checkInvite(invite);
+    if (problem) {
+      request.status = 'rejected';
+      request.reason = problem;
+      request.decidedAt = Date.now();
+      console.warn(`[InviteRegistry] Rejected join request ${request.id.substring(0, 8)}: ${problem}`);
+    }
+
+    this.requests.set(request.id, request);
+    await this.persistRequest(request);
+    await this.persistIndex();
+    return { request: { ...request }, admit: !problem && !invite.requiresApproval };
+  }
+
+  /**
+   * Check that a pending request can still be approved
+   *
+   * @throws If the request is unknown, decided or its invite became invalid
+   */
+  async assertApprovable(requestId: string): Promise<JoinRequestInfo> {
+    await this.load();
+
+    const request = this.requests.get(requestId);
+    if (!request) {
+      throw new Error(`Join request not found: ${requestId}`);
+    }
+    if (request.status !== 'pending') {
+      throw new Error(`Join request was already ${request.status}`);
+    }
+    const problem = await this.checkInvite(this.invites.get(request.inviteId));
+    if (problem) {
+      throw new Error(problem);
+    }
+    return { ...request };
+  }
+
+  /**
+   * Record that the requester joined (counts as one use of the invite)
+   */
+  async completeRequest(requestId: string): Promise<JoinRequestInfo> {
+    return await this.decide(requestId, 'approved');
+  }
+
+  /**
+   * Reject a pending request
+   */
+  async rejectRequest(requestId: string, reason?: string): Promise<JoinRequestInfo> {
+    return await this.decide(requestId, 'rejected', reason);
+  }
+
+  /**
+   * Keep a request pending after adding the requester failed
+   */
+  async markFailed(requestId: string, reason: string): Promise<void> {
+    await this.load();
+    const request = this.requests.get(requestId);
+    if (request) {
+      request.reason = reason;
+      await this.persistRequest(request);
+    }
+  }
+
+  private async decide(requestId: string, status: JoinRequestStatus, reason?: string): Promise<JoinRequestInfo> {
+    await this.load();
+
+    const request = this.requests.get(requestId);
+    if (!request) {
+      throw new Error(`Join request not found: ${requestId}`);
+    }
+    if (request.status !== 'pending') {
+      throw new Error(`Join request was already ${request.status}`);
+    }
+
+    const now = Date.now();
+    request.status = status;
+    request.reason = reason;
+    request.decidedAt = now;
+    if (status === 'approved') {
+      const invite = this.invites.get(request.inviteId);
+      if (invite) {
+        invite.uses++;
+        invite.updatedAt = now;
+        await this.persistInvite(invite);
+      }
+    }
+    await this.persistRequest(request);
+    return { ...request };
+  }
+
+  /**
+   * @returns Why the invite cannot be used, or undefined if it is valid
+   */
+  private async checkInvite(invite: InviteState | undefined): Promise<string | undefined> {
+    if (!invite) {
+      return 'Invite not found';
+    }
+    if (invite.revoked) {
+      return 'Invite revoked';
+    }
+    if (invite.expiresAt !== undefined && invite.expiresAt <= Date.now()) {
+      return 'Invite expired';
+    }
+    if (invite.maxUses !== undefined && invite.uses >= invite.maxUses) {
+      return 'Invite has no uses left';
+    }
+    if (!(await isSignedBy(invite.id as SHA256Hash, this.ownerId))) {
+      return 'Invite signature is invalid';
+    }
+    return undefined;
+  }
+
+  /**
+   * Add the token - the signed invite, its signature and a pairing invitation
+   */
+  private async toInfo(state: InviteState): Promise<InviteInfo> {
+    const usable = !state.revoked &&
+      !(state.expiresAt !== undefined && state.expiresAt <= Date.now()) &&
+      !(state.maxUses !== undefined && state.uses >= state.maxUses);
+    const [invite, signature, pairing] = await Promise.all([
+      getObject(state.id as SHA256Hash<ChatInvite>),
+      getObject(state.signature as SHA256Hash) as Promise<any>,
+      usable ? this.getPairing?.(state.id) : undefined
+    ]);
+    const { $type$, ...signed } = invite;
+    return {
+      ...state,
+      token: encodeInviteToken({
+        v: 1,
+        invite: signed,
+        signature: String(signature.signature),
+        ...(pairing && { pairing })
+      })
+    };
+  }
+
+  private async loadRegistry(): Promise<void> {
+    let index: ChatInviteRegistry | undefined;
+    try {
+      const idHash = await calculateIdHashOfObj({
+        $type$: 'ChatInviteRegistry',
+        person: this.ownerId
+      } as any);
+      index = (await getObjectByIdHash<ChatInviteRegistry>(idHash as any))?.obj;
+    } catch (e) {
+      // No registry stored yet
+      return;
+    }
+
+    for (const inviteId of index?.invites || []) {
+      try {
+        const idHash = await calculateIdHashOfObj({
+          $type$: 'ChatInviteEntry',
+          person: this.ownerId,
+          invite: inviteId
+        } as any);
+        const stored = (await getObjectByIdHash<ChatInviteEntry>(idHash as any))?.obj;
+        if (stored) {
+          this.invites.set(inviteId, fromInviteEntry(stored));
+        }
+      } catch (e) {
+        console.warn(`[InviteRegistry] Invite entry ${inviteId.substring(0, 8)} is missing`);
+      }
+    }
+    for (const requestId of index?.requests || []) {
+      try {
+        const idHash = await calculateIdHashOfObj({
+          $type$: 'ChatJoinRequestEntry',
+          person: this.ownerId,
+          request: requestId
+        } as any);
+        const stored = (await getObjectByIdHash<ChatJoinRequestEntry>(idHash as any))?.obj;
+        if (stored) {
+          this.requests.set(requestId, fromJoinRequestEntry(stored));
+        }
+      } catch (e) {
+        console.warn(`[InviteRegistry] Join request entry ${requestId.substring(0, 8)} is missing`);
+      }
+    }
+  }
+
+  private async persistInvite(invite: InviteState): Promise<void> {
+    await storeVersionedObject(toInviteEntry(this.ownerId, invite));
+  }
+
+  private async persistRequest(request: JoinRequestInfo): Promise<void> {
+    await storeVersionedObject(toJoinRequestEntry(this.ownerId, request));
+  }
+
+  /**
+   * Store the list of entries - only written when an invite or request is added
+   */
+  private async persistIndex(): Promise<void> {
+    const cutoff = Date.now() - RETENTION_MS;
+    for (const [id, invite] of this.invites) {
+      const endedAt = invite.revoked ? invite.updatedAt : invite.expiresAt;
+      if (endedAt !== undefined && endedAt < cutoff) {
+        this.invites.delete(id);
+      }
+    }
+    // Requests of live invites stay, so their channel entries are not processed again
+    for (const [id, request] of this.requests) {
+      if (request.status !== 'pending' && !this.invites.has(request.inviteId)) {
+        this.requests.delete(id);
+      }
+    }
+
+    const registry: ChatInviteRegistry = {
+      $type$: 'ChatInviteRegistry',
+      person: this.ownerId,
+      invites: Array.from(this.invites.keys()),
+      requests: Array.from(this.requests.keys()),
+      updatedAt: Date.now()
+    };
+    await storeVersionedObject(registry);
+  }
+}
+
+/**
+ * Stored state of an own invite (the token is built on demand)
+ */
+type InviteState = Omit<InviteInfo, 'token'>;
+
+function toInviteEntry(ownerId: SHA256IdHash<Person>, invite: InviteState): ChatInviteEntry {
+  return {
+    $type$: 'ChatInviteEntry',
+    person: ownerId,
+    invite: invite.id,
+    topicId: invite.topicId,
+    signature: invite.signature,
+    createdAt: invite.createdAt,
+    ...(invite.expiresAt !== undefined && { expiresAt: invite.expiresAt }),
+    ...(invite.maxUses !== undefined && { maxUses: invite.maxUses }),
+    requiresApproval: invite.requiresApproval,
+    uses: invite.uses,
+    revoked: invite.revoked,
+    updatedAt: invite.updatedAt
+  };
+}
+
+function fromInviteEntry(stored: ChatInviteEntry): InviteState {
+  return {
+    id: stored.invite,
+    topicId: stored.topicId,
+    signature: stored.signature,
+    createdAt: stored.createdAt,
+    expiresAt: stored.expiresAt,
+    maxUses: stored.maxUses,
+    requiresApproval: stored.requiresApproval,
+    uses: stored.uses,
+    revoked: stored.revoked,
+    updatedAt: stored.updatedAt
+  };
+}
+
+function toJoinRequestEntry(ownerId: SHA256IdHash<Person>, request: JoinRequestInfo): ChatJoinRequestEntry {
+  return {
+    $type$: 'ChatJoinRequestEntry',
+    person: ownerId,
+    request: request.id,
+    invite: request.inviteId,
+    topicId: request.topicId,
+    requester: request.requester as SHA256IdHash<Person>,
+    p2pTopicId: request.p2pTopicId,
+    requestedAt: request.requestedAt,
+    status: request.status,
+    ...(request.reason && { reason: request.reason }),
+    ...(request.decidedAt !== undefined && { decidedAt: request.decidedAt }),
+    updatedAt: Date.now()
+  };
+}
+
+function fromJoinRequestEntry(stored: ChatJoinRequestEntry): JoinRequestInfo {
+  return {
+    id: stored.request,
+    inviteId: stored.invite,
+    topicId: stored.topicId,
+    requester: String(stored.requester),
+    p2pTopicId: stored.p2pTopicId,
+    requestedAt: stored.requestedAt,
+    status: stored.status,
+    ...(stored.reason && { reason: stored.reason }),
+    ...(stored.decidedAt !== undefined && { decidedAt: stored.decidedAt })
+  };
+}
@@ -0,0 +1,72 @@
+import { expect } from 'chai';
+import { dispatchArrivedMessages, ArrivedMessageHandlers } from './LiveMessageDispatch.js';
+import { PlanEventEmitter } from './PlanEventEmitter.js';
+
+const OWNER = 'owner';
+const AI = 'ai';
+const HUMAN = 'human';
+
+function entry(id: string, author: string): any {
+  return { id, author, dataHash: `hash-${id}`, data: { text: id, sender: author } };
+}
+
+/**
+ * Handlers like the ChatPlan's: auto-speak emits a 'speech' event
+ */
+function createHandlers(events: PlanEventEmitter<any>, emitted: any[]): ArrivedMessageHandlers {
+  return {
+    ownerId: OWNER,
+    isAI: async personId => personId === AI,
+    emitMessages: async entries => {
+      for (const arrived of entries) {
+        emitted.push(arrived);
+        events.emit('message', { conversationId: 'topic', message: arrived });
+      }
+    },
+    speak: arrived => events.emit('speech', { conversationId: 'topic', messageId: arrived.id })
+  };
+}
+
+describe('LiveMessageDispatch', () => {
+  const arrived = [entry('question', HUMAN), entry('answer', AI), entry('own', OWNER)];
+
+  it('speaks AI replies when only onSpeech is subscribed', async () => {
+    const events = new PlanEventEmitter<any>('test');
+    const spoken: string[] = [];
+    events.on('speech', event => spoken.push(event.messageId));
+    const emitted: any[] = [];
+
+    const count = await dispatchArrivedMessages(events, arrived, createHandlers(events, emitted));
+
+    expect(spoken).to.deep.equal(['answer']);
+    expect(emitted).to.be.empty;
+    expect(count).to.equal(0);
+  });
+
+  it('emits every message to message listeners and speaks only AI replies of others', async () => {
+    const events = new PlanEventEmitter<any>('test');
+    const messages: string[] = [];
+    const spoken: string[] = [];
+    events.on('message', event => messages.push(event.message.id));
+    events.on('speech', event => spoken.push(event.messageId));
+
+    // Own messages are never read aloud, even when the owner counts as AI
+    const handlers = { ...createHandlers(events, []), isAI: async (personId: string) => personId !== HUMAN };
+    const count = await dispatchArrivedMessages(events, arrived, handlers);
+
+    expect(messages).to.deep.equal(['question', 'answer', 'own']);
+    expect(spoken).to.deep.equal(['answer']);
+    expect(count).to.equal(3);
+  });
+
+  it('does not speak without text-to-speech', async () => {
+    const events = new PlanEventEmitter<any>('test');
+    const spoken: string[] = [];
+    events.on('speech', event => spoken.push(event.messageId));
+    const handlers = createHandlers(events, []);
+    delete handlers.speak;
+
+    await dispatchArrivedMessages(events, arrived, handlers);
+    expect(spoken).to.be.empty;
+  });
+});
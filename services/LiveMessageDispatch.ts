@@ -0,0 +1,50 @@
+/**
+ * Live Message Dispatch (Chat Business Logic)
+ *
+ * Hands the messages that arrived in a topic to live subscribers:
+ * - onMessage listeners get every message (formatted by the plan)
+ * - AI replies of other participants go to auto-speak
+ *
+ * Auto-speak does not depend on message listeners - a client that only
+ * subscribed to onSpeech still hears AI replies.
+ */
+
+import type { PlanEventEmitter } from './PlanEventEmitter.js';
+
+/**
+ * What the plan does with arrived messages
+ */
+export interface ArrivedMessageHandlers {
+  ownerId: string;
+  isAI: (personId: string) => Promise<boolean>;
+  /** Format the entries and emit them as 'message' events (only called with listeners) */
+  emitMessages: (entries: any[]) => Promise<void>;
+  /** Read an AI reply aloud (undefined without text-to-speech) */
+  speak?: (entry: any) => void;
+}
+
+/**
+ * Dispatch channel entries of new messages (oldest first)
+ *
+ * @returns Number of emitted messages
+ */
+export async function dispatchArrivedMessages(
+  events: PlanEventEmitter<any>,
+  entries: any[],
+  handlers: ArrivedMessageHandlers
+): Promise<number> {
+  if (handlers.speak) {
+    for (const entry of entries) {
+      const sender = String(entry.author || entry.data?.sender);
+      if (sender !== handlers.ownerId && await handlers.isAI(sender)) {
+        handlers.speak(entry);
+      }
+    }
+  }
+
+  if (entries.length === 0 || !events.hasListeners('message')) {
+    return 0;
+  }
+  await handlers.emitMessages(entries);
+  return entries.length;
+}
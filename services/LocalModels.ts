@@ -0,0 +1,32 @@
+/**
+ * Local Models (Chat Business Logic)
+ *
+ * Looks up installed speech models (STT and TTS objects, identity = name).
+ * The platform names the models it can run; chat.core uses the first one
+ * that is ready.
+ */
+
+import type { STT, TTS } from '../types/OneObjectInterfaces.js';
+import { getObjectByIdHash } from '@refinio/one.core/lib/storage-versioned-objects.js';
+import { calculateIdHashOfObj } from '@refinio/one.core/lib/util/object.js';
+
+/**
+ * Find the first model with status 'ready' that is not deleted
+ *
+ * @param modelNames - Model names in order of preference
+ * @returns The model object (undefined if none is ready)
+ */
+export async function findReadyModel<T extends STT | TTS>(type: T['$type$'], modelNames: string[]): Promise<T | undefined> {
+  for (const name of modelNames) {
+    try {
+      const idHash = await calculateIdHashOfObj({ $type$: type, name } as any);
+      const result = await getObjectByIdHash<T>(idHash as any);
+      if (result?.obj.status === 'ready' && !result.obj.deleted) {
+        return result.obj;
+      }
+    } catch (e) {
+      // Model object not stored on this instance
+    }
+  }
+  return undefined;
+}
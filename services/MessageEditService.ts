@@ -0,0 +1,254 @@
+/**
+ * Message Edit Service (Chat Business Logic)
+ *
+ * Builds ChatMessageEdit and ChatMessageDeletion objects and resolves the
+ * current state of messages from them:
+ * - current text = text of the latest edit (original text if never edited)
+ * - deleted messages become tombstones; edits after the deletion are ignored
+ * - only edits and deletions posted by the message sender count
+ *
+ * Changes name the channel entry of the message, not only its ChatMessage
+ * hash: two identical messages of a sender share a hash, and editing one must
+ * not edit the other. Changes without an entry are ignored.
+ */
+
+import type { SHA256IdHash } from '@refinio/one.core/lib/util/type-checks.js';
+import type { Person } from '@refinio/one.core/lib/recipes.js';
+import type { ChatMessageEdit, ChatMessageDeletion } from '../types/OneObjectInterfaces.js';
+import { getTopicObjects, getTopicObjectsSince } from './TopicChannelService.js';
+
+/**
+ * One text version of a message (the original is the first)
+ */
+export interface MessageVersion {
+  text: string;
+  timestamp: number;
+  reason?: string;
+}
+
+/**
+ * Current state of a message
+ */
+export interface MessageEditState {
+  text: string;
+  editCount: number;
+  editedAt?: number;
+  deleted: boolean;
+  deletedAt?: number;
+  deleteReason?: string;
+  history: MessageVersion[];
+}
+
+/**
+ * Edits and deletions of one message (valid authors only)
+ */
+export interface MessageChanges {
+  edits: ChatMessageEdit[];
+  deletions: ChatMessageDeletion[];
+}
+
+function getSender(message: any): string {
+  return String(message.author || message.data?.sender || '');
+}
+
+/**
+ * Create a ChatMessageEdit object
+ *
+ * @param message - ObjectData<ChatMessage> of the edited message
+ * @param state - Current state of the message
+ * @throws If the message has no channel entry, the editor is not the sender,
+ *   the message is deleted or the text is empty
+ */
+export function createMessageEdit(
+  message: any,
+  state: MessageEditState,
+  editor: SHA256IdHash<Person>,
+  text: string,
+  reason?: string
+): ChatMessageEdit {
+  if (!message.id) {
+    throw new Error('Edits need the channel entry of the message');
+  }
+  if (getSender(message) !== String(editor)) {
+    throw new Error('Only the sender can edit a message');
+  }
+  if (state.deleted) {
+    throw new Error('Message was deleted');
+  }
+  if (!text.trim()) {
+    throw new Error('Message text cannot be empty');
+  }
+  if (text === state.text) {
+    throw new Error('Message text is unchanged');
+  }
+
+  return {
+    $type$: 'ChatMessageEdit',
+    message: message.dataHash,
+    entry: String(message.id),
+    editor,
+    text,
+    ...(reason && { reason }),
+    timestamp: Date.now()
+  };
+}
+
+/**
+ * Create a ChatMessageDeletion object
+ *
+ * @throws If the message has no channel entry, the person is not the sender or
+ *   the message is already deleted
+ */
+export function createMessageDeletion(
+  message: any,
+  state: MessageEditState,
+  deletedBy: SHA256IdHash<Person>,
+  reason?: string
+): ChatMessageDeletion {
+  if (!message.id) {
+    throw new Error('Deletions need the channel entry of the message');
+  }
+  if (getSender(message) !== String(deletedBy)) {
+    throw new Error('Only the sender can delete a message');
+  }
+  if (state.deleted) {
+    throw new Error('Message is already deleted');
+  }
+
+  return {
+    $type$: 'ChatMessageDeletion',
+    message: message.dataHash,
+    entry: String(message.id),
+    deletedBy,
+    ...(reason && { reason }),
+    timestamp: Date.now()
+  };
+}
+
+/**
+ * Load the edits and deletions of a topic
+ *
+ * @param since - Only changes posted at or after this time (all if omitted)
+ * @returns Change index - look messages up with findMessageChanges
+ */
+export async function getMessageChanges(channelManager: any, topicId: string, since?: number): Promise<Map<string, MessageChanges>> {
+  const read = (type: string): Promise<any[]> => since === undefined
+    ? getTopicObjects(channelManager, topicId, type)
+    : getTopicObjectsSince(channelManager, topicId, type, since);
+  const [editEntries, deletionEntries] = await Promise.all([
+    read('ChatMessageEdit'),
+    read('ChatMessageDeletion')
+  ]);
+  return indexMessageChanges(editEntries, deletionEntries);
+}
+
+/**
+ * Index edit and deletion channel entries by message
+ *
+ * Entries whose channel author differs from the claimed editor are dropped;
+ * whether the editor is the sender is checked by resolveMessageState.
+ */
+export function indexMessageChanges(editEntries: any[], deletionEntries: any[]): Map<string, MessageChanges> {
+  const byMessage = new Map<string, MessageChanges>();
+  const changesOf = (key: string): MessageChanges => {
+    let changes = byMessage.get(key);
+    if (!changes) {
+      changes = { edits: [], deletions: [] };
+      byMessage.set(key, changes);
+    }
+    return changes;
+  };
+  // Each change is filed under its message entry and additionally under the
+  // hash, for messages loaded without their entry
+  const keysOf = (change: ChatMessageEdit | ChatMessageDeletion): string[] => [
+    entryKey(change.entry),
+    hashKey(String(change.message))
+  ];
+
+  for (const entry of editEntries) {
+    const edit = entry.data as ChatMessageEdit;
+    if (!edit?.message || !edit.entry || typeof edit.text !== 'string') {
+      continue;
+    }
+    if (entry.author && String(entry.author) !== String(edit.editor)) {
+      continue;
+    }
+    keysOf(edit).forEach(key => changesOf(key).edits.push(edit));
+  }
+
+  for (const entry of deletionEntries) {
+    const deletion = entry.data as ChatMessageDeletion;
+    if (!deletion?.message || !deletion.entry) {
+      continue;
+    }
+    if (entry.author && String(entry.author) !== String(deletion.deletedBy)) {
+      continue;
+    }
+    keysOf(deletion).forEach(key => changesOf(key).deletions.push(deletion));
+  }
+
+  return byMessage;
+}
+
+/**
+ * Changes of one message
+ *
+ * @param changes - Change index (from indexMessageChanges)
+ * @param message - ObjectData<ChatMessage>; without an entry id (message loaded
+ *   by hash) the changes of every message with that hash are returned
+ */
+export function findMessageChanges(
+  changes: Map<string, MessageChanges>,
+  message: { id?: string; dataHash?: any }
+): MessageChanges | undefined {
+  if (message.id) {
+    return changes.get(entryKey(String(message.id)));
+  }
+  return message.dataHash ? changes.get(hashKey(String(message.dataHash))) : undefined;
+}
+
+function entryKey(entryId: string): string {
+  return `entry:${entryId}`;
+}
+
+function hashKey(messageHash: string): string {
+  return `hash:${messageHash}`;
+}
+
+/**
+ * Resolve the current state of a message
+ *
+ * @param message - ObjectData<ChatMessage>
+ * @param changes - Changes of this message (from indexMessageChanges)
+ */
+export function resolveMessageState(message: any, changes?: MessageChanges): MessageEditState {
+  const sender = getSender(message);
+  const original: MessageVersion = {
+    text: message.data?.text || message.text || '',
+    timestamp: message.creationTime ? new Date(message.creationTime).getTime() : 0
+  };
+
+  const deletion = (changes?.deletions || [])
+    .filter(candidate => String(candidate.deletedBy) === sender)
+    .sort((a, b) => a.timestamp - b.timestamp)[0];
+
+  const edits = (changes?.edits || [])
+    .filter(edit => String(edit.editor) === sender && (!deletion || edit.timestamp <= deletion.timestamp))
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  const history: MessageVersion[] = [
+    original,
+    ...edits.map(edit => ({ text: edit.text, timestamp: edit.timestamp, ...(edit.reason && { reason: edit.reason }) }))
+  ];
+  const latest = edits[edits.length - 1];
+
+  return {
+    text: deletion ? '' : history[history.length - 1].text,
+    editCount: edits.length,
+    ...(latest && { editedAt: latest.timestamp }),
+    deleted: !!deletion,
+    ...(deletion && { deletedAt: deletion.timestamp }),
+    ...(deletion?.reason && { deleteReason: deletion.reason }),
+    history: deletion ? [] : history
+  };
+}
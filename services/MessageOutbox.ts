@@ -0,0 +1,422 @@
+/**
+ * Message Outbox (Chat Business Logic)
+ *
+ * Persistent queue between sendMessage and the topic channel. Every message
+ * gets a local client ID when it is accepted; delivery is retried with
+ * backoff until the message is stored in the channel or the attempts are used
+ * up. The client ID then maps to the stored ChatMessage hash.
+ *
+ * Status transitions:
+ *   queued -> stored                 (delivered)
+ *   queued -> failed                 (MAX_ATTEMPTS failed deliveries)
+ *   failed -> queued                 (retry)
+ *
+ * Messages of one conversation are delivered in the order they were queued.
+ * Every entry is stored as its own versioned ChatOutboxEntry; the ChatOutbox
+ * object of the person only lists the entries that are not stored yet (written
+ * when a message is queued), so restarts find the pending messages.
+ *
+ * Delivery reports progress (message stored, linked objects posted) before it
+ * finishes - a retry continues after the last completed step instead of
+ * sending the message twice.
+ */
+
+import type { SHA256IdHash } from '@refinio/one.core/lib/util/type-checks.js';
+import type { Person } from '@refinio/one.core/lib/recipes.js';
+import type { ChatOutbox, ChatOutboxEntry } from '../types/OneObjectInterfaces.js';
+import type { PollSpec } from './PollService.js';
+import { storeVersionedObject, getObjectByIdHash } from '@refinio/one.core/lib/storage-versioned-objects.js';
+import { calculateIdHashOfObj } from '@refinio/one.core/lib/util/object.js';
+
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 2000;
+// Stored entries stay queryable for a while, then leave the outbox
+const STORED_RETENTION_MS = 60 * 60 * 1000;
+
+export type OutboxStatus = 'queued' | 'stored' | 'failed';
+
+export interface OutboxEntry {
+  clientId: string;
+  conversationId: string;
+  content: string;
+  attachments: any[];
+  senderId: string;
+  replyTo?: string;
+  poll?: PollSpec;  // Message is the question of a poll
+  status: OutboxStatus;
+  attempts: number;
+  lastError?: string;
+  messageHash?: string;  // ChatMessage hash once stored
+  messageId?: string;    // Channel entry id once stored
+  pollHash?: string;     // ChatPoll hash once posted (poll questions)
+  createdAt: number;
+  updatedAt: number;
+  nextAttemptAt?: number;
+}
+
+/**
+ * Delivery progress of an entry (persisted before delivery continues)
+ */
+export type OutboxProgress = Partial<Pick<OutboxEntry, 'messageHash' | 'messageId' | 'pollHash'>>;
+
+/**
+ * Stores a queued message in its topic channel
+ *
+ * @param progress - Records completed steps (e.g. the stored message hash)
+ * @returns Hash (and channel entry id) of the stored ChatMessage
+ */
+export type OutboxDeliver = (
+  entry: OutboxEntry,
+  progress: (update: OutboxProgress) => Promise<void>
+) => Promise<{ hash: string; id?: string }>;
+
+/**
+ * Create a client ID for a new message
+ */
+export function createClientId(): string {
+  const random = Math.random().toString(36).substring(2, 10);
+  return `local-${Date.now().toString(36)}-${random}`;
+}
+
+/**
+ * MessageOutbox - persistent, retrying message queue of one person
+ */
+export class MessageOutbox {
+  private ownerId: SHA256IdHash<Person>;
+  private deliver: OutboxDeliver;
+  private onStatus: (entry: OutboxEntry) => void;
+
+  private entries: Map<string, OutboxEntry>;
+  private loaded?: Promise<void>;
+  private processing?: Promise<void>;
+  private reprocess: boolean;
+  private retryTimer?: ReturnType<typeof setTimeout>;
+
+  /**
+   * @param ownerId - Person owning the outbox
+   * @param deliver - Stores a message in its topic channel
+   * @param onStatus - Called after every status change
+   */
+  constructor(ownerId: SHA256IdHash<Person>, deliver: OutboxDeliver, onStatus: (entry: OutboxEntry) => void) {
+    this.ownerId = ownerId;
+    this.deliver = deliver;
+    this.onStatus = onStatus;
+    this.entries = new Map();
+    this.reprocess = false;
+  }
+
+  /**
+   * Load the persisted outbox and resume delivery of queued messages
+   */
+  async load(): Promise<void> {
+    if (!this.loaded) {
+      this.loaded = this.loadEntries().then(() => {
+        this.schedule(0);
+      });
+    }
+    await this.loaded;
+  }
+
+  /**
+   * Queue a message
+   *
+   * @returns The queued entry (client ID assigned)
+   */
+  async enqueue(
+    message: Pick<OutboxEntry, 'conversationId' | 'content' | 'attachments' | 'senderId' | 'replyTo' | 'poll'>
+  ): Promise<OutboxEntry> {
+    await this.load();
+
+    const now = Date.now();
+    const entry: OutboxEntry = {
+      ...message,
+      clientId: createClientId(),
+      status: 'queued',
+      attempts: 0,
+      createdAt: now,
+      updatedAt: now
+    };
+    this.entries.set(entry.clientId, entry);
+    await this.persistEntry(entry);
+    await this.persistPending();
+    this.onStatus({ ...entry });
+    return { ...entry };
+  }
+
+  /**
+   * Deliver all due messages now
+   *
+   * @returns Resolves when the current delivery run is done
+   */
+  async flush(): Promise<void> {
+    await this.load();
+
+    if (this.processing) {
+      // Run again after the current run, so entries queued meanwhile are included
+      this.reprocess = true;
+      return this.processing;
+    }
+
+    this.processing = this.process().finally(() => {
+      this.processing = undefined;
+    });
+    await this.processing;
+
+    if (this.reprocess) {
+      this.reprocess = false;
+      await this.flush();
+    }
+  }
+
+  /**
+   * Queue a failed message again
+   */
+  async retry(clientId: string): Promise<OutboxEntry> {
+    await this.load();
+
+    const entry = this.entries.get(clientId);
+    if (!entry) {
+      throw new Error(`Message not in outbox: ${clientId}`);
+    }
+    if (entry.status !== 'failed') {
+      throw new Error(`Message ${clientId} is ${entry.status}, only failed messages can be retried`);
+    }
+
+    entry.status = 'queued';
+    entry.attempts = 0;
+    entry.lastError = undefined;
+    entry.nextAttemptAt = undefined;
+    entry.updatedAt = Date.now();
+    await this.persistEntry(entry);
+    this.onStatus({ ...entry });
+
+    await this.flush();
+    return { ...this.entries.get(clientId)! };
+  }
+
+  /**
+   * Get an entry by client ID or stored message hash
+   */
+  async get(clientIdOrHash: string): Promise<OutboxEntry | undefined> {
+    await this.load();
+    const entry = this.entries.get(clientIdOrHash)
+      || Array.from(this.entries.values()).find(e => e.messageHash === clientIdOrHash);
+    return entry ? { ...entry } : undefined;
+  }
+
+  /**
+   * Get all entries (optionally of one conversation), oldest first
+   */
+  async getAll(conversationId?: string): Promise<OutboxEntry[]> {
+    await this.load();
+    return Array.from(this.entries.values())
+      .filter(entry => !conversationId || entry.conversationId === conversationId)
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map(entry => ({ ...entry }));
+  }
+
+  /**
+   * Find the client ID of a stored message (undefined if it was not sent through the outbox)
+   */
+  getClientId(messageHash: string): string | undefined {
+    for (const entry of this.entries.values()) {
+      if (entry.messageHash === messageHash) {
+        return entry.clientId;
+      }
+    }
+    return undefined;
+  }
+
+  private async process(): Promise<void> {
+    const now = Date.now();
+    // Conversations with an entry waiting for retry keep their later entries waiting too
+    const blocked = new Set<string>();
+    let nextRetry: number | undefined;
+
+    const queued = Array.from(this.entries.values())
+      .filter(entry => entry.status === 'queued')
+      .sort((a, b) => a.createdAt - b.createdAt);
+
+    for (const entry of queued) {
+      if (blocked.has(entry.conversationId)) {
+        continue;
+      }
+      if (entry.nextAttemptAt && entry.nextAttemptAt > now) {
+        blocked.add(entry.conversationId);
+        nextRetry = Math.min(nextRetry ?? entry.nextAttemptAt, entry.nextAttemptAt);
+        continue;
+      }
+
+      entry.attempts++;
+      try {
+        const stored = await this.deliver({ ...entry }, async update => {
+          Object.assign(entry, update);
+          entry.updatedAt = Date.now();
+          await this.persistEntry(entry);
+        });
+        if (!stored.hash) {
+          throw new Error('Delivery returned no message hash');
+        }
+        entry.status = 'stored';
+        entry.messageHash = stored.hash;
+        entry.messageId = stored.id ?? entry.messageId;
+        entry.lastError = undefined;
+        entry.nextAttemptAt = undefined;
+      } catch (error) {
+        entry.lastError = (error as Error).message;
+        if (entry.attempts >= MAX_ATTEMPTS) {
+          entry.status = 'failed';
+          entry.nextAttemptAt = undefined;
+          console.warn(`[MessageOutbox] Message ${entry.clientId} failed after ${entry.attempts} attempts:`, entry.lastError);
+        } else {
+          entry.nextAttemptAt = Date.now() + RETRY_BASE_DELAY_MS * Math.pow(2, entry.attempts - 1);
+          nextRetry = Math.min(nextRetry ?? entry.nextAttemptAt, entry.nextAttemptAt);
+          console.warn(`[MessageOutbox] Delivery of ${entry.clientId} failed (attempt ${entry.attempts}), retrying:`, entry.lastError);
+        }
+        blocked.add(entry.conversationId);
+      }
+
+      entry.updatedAt = Date.now();
+      await this.persistEntry(entry);
+      this.onStatus({ ...entry });
+    }
+    this.dropExpired();
+
+    if (nextRetry !== undefined) {
+      this.schedule(nextRetry - Date.now());
+    }
+  }
+
+  private schedule(delay: number): void {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+    }
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = undefined;
+      this.flush().catch((error: Error) => {
+        console.error('[MessageOutbox] Delivery run failed:', error);
+      });
+    }, Math.max(0, delay));
+    // A pending retry alone must not keep a Node.js process alive
+    (this.retryTimer as any).unref?.();
+  }
+
+  private async loadEntries(): Promise<void> {
+    let pending: string[] = [];
+    try {
+      const idHash = await calculateIdHashOfObj({
+        $type$: 'ChatOutbox',
+        person: this.ownerId
+      } as any);
+      const result = await getObjectByIdHash<ChatOutbox>(idHash as any);
+      pending = result?.obj?.pending || [];
+    } catch (e) {
+      // No outbox stored yet
+      return;
+    }
+
+    for (const clientId of pending) {
+      try {
+        const idHash = await calculateIdHashOfObj({
+          $type$: 'ChatOutboxEntry',
+          person: this.ownerId,
+          clientId
+        } as any);
+        const stored = (await getObjectByIdHash<ChatOutboxEntry>(idHash as any))?.obj;
+        if (stored) {
+          const entry = fromStoredEntry(stored);
+          this.entries.set(entry.clientId, entry);
+        }
+      } catch (e) {
+        console.warn(`[MessageOutbox] Outbox entry ${clientId} is missing`);
+      }
+    }
+    console.log(`[MessageOutbox] Loaded ${this.entries.size} entries`);
+  }
+
+  private async persistEntry(entry: OutboxEntry): Promise<void> {
+    try {
+      await storeVersionedObject(toStoredEntry(this.ownerId, entry));
+    } catch (e) {
+      // Outbox keeps working in memory - only restart recovery is affected
+      console.warn(`[MessageOutbox] Failed to persist outbox entry ${entry.clientId}:`, e);
+    }
+  }
+
+  /**
+   * Store the list of entries that are not stored yet
+   *
+   * Only written when a message is queued - entries delivered since then are
+   * skipped by the next load.
+   */
+  private async persistPending(): Promise<void> {
+    const outbox: ChatOutbox = {
+      $type$: 'ChatOutbox',
+      person: this.ownerId,
+      pending: Array.from(this.entries.values())
+        .filter(entry => entry.status !== 'stored')
+        .map(entry => entry.clientId),
+      updatedAt: Date.now()
+    };
+
+    try {
+      await storeVersionedObject(outbox);
+    } catch (e) {
+      console.warn('[MessageOutbox] Failed to persist outbox:', e);
+    }
+  }
+
+  // Stored entries stay queryable for the retention period only
+  private dropExpired(): void {
+    const cutoff = Date.now() - STORED_RETENTION_MS;
+    for (const [clientId, entry] of this.entries) {
+      if (entry.status === 'stored' && entry.updatedAt < cutoff) {
+        this.entries.delete(clientId);
+      }
+    }
+  }
+}
+
+function toStoredEntry(ownerId: SHA256IdHash<Person>, entry: OutboxEntry): ChatOutboxEntry {
+  return {
+    $type$: 'ChatOutboxEntry',
+    person: ownerId,
+    clientId: entry.clientId,
+    conversationId: entry.conversationId,
+    content: entry.content,
+    attachments: JSON.stringify(entry.attachments),
+    senderId: entry.senderId,
+    ...(entry.replyTo && { replyTo: entry.replyTo }),
+    ...(entry.poll && { poll: JSON.stringify(entry.poll) }),
+    status: entry.status,
+    attempts: entry.attempts,
+    ...(entry.lastError && { lastError: entry.lastError }),
+    ...(entry.messageHash && { messageHash: entry.messageHash }),
+    ...(entry.messageId && { messageId: entry.messageId }),
+    ...(entry.pollHash && { pollHash: entry.pollHash }),
+    createdAt: entry.createdAt,
+    updatedAt: entry.updatedAt,
+    ...(entry.nextAttemptAt !== undefined && { nextAttemptAt: entry.nextAttemptAt })
+  };
+}
+
+function fromStoredEntry(stored: ChatOutboxEntry): OutboxEntry {
+  return {
+    clientId: stored.clientId,
+    conversationId: stored.conversationId,
+    content: stored.content,
+    attachments: JSON.parse(stored.attachments || '[]'),
+    senderId: stored.senderId,
+    ...(stored.replyTo && { replyTo: stored.replyTo }),
+    ...(stored.poll && { poll: JSON.parse(stored.poll) }),
+    status: stored.status,
+    attempts: stored.attempts,
+    ...(stored.lastError && { lastError: stored.lastError }),
+    ...(stored.messageHash && { messageHash: stored.messageHash }),
+    ...(stored.messageId && { messageId: stored.messageId }),
+    ...(stored.pollHash && { pollHash: stored.pollHash }),
+    createdAt: stored.createdAt,
+    updatedAt: stored.updatedAt,
+    ...(stored.nextAttemptAt !== undefined && { nextAttemptAt: stored.nextAttemptAt })
+  };
+}
@@ -0,0 +1,516 @@
+/**
+ * Message Search Index (Chat Business Logic)
+ *
+ * Local in-memory inverted index over ChatMessage text (and optionally AI
+ * thinking traces) of all topics. Messages of every participant are indexed,
+ * since all of them arrive in the topic channel.
+ *
+ * - Each topic is read once in full, then kept current from channel updates
+ *   by reading only the newest entries
+ * - Messages are indexed per channel entry with their current text: edits
+ *   re-index the message, deleted messages are no longer found
+ * - Queries are AND-matched; the last query term also matches as prefix
+ *   (search-as-you-type)
+ * - Hits are ranked by TF-IDF (thinking matches weigh less than text matches),
+ *   newer messages first on equal score
+ */
+
+import { iterateTopicObjects } from './TopicChannelService.js';
+import { getMessageChanges, findMessageChanges, resolveMessageState, MessageChanges } from './MessageEditService.js';
+
+const MIN_TOKEN_LENGTH = 2;
+const SNIPPET_LENGTH = 160;
+const THINKING_WEIGHT = 0.5;
+// Incremental sync stops after this many already indexed entries in a row
+const KNOWN_ENTRIES_TO_STOP = 20;
+
+/**
+ * Search filters
+ */
+export interface MessageSearchQuery {
+  query: string;
+  conversationIds?: string[];
+  senderId?: string;
+  from?: number;             // Only messages created at or after this time
+  to?: number;               // Only messages created at or before this time
+  hasAttachment?: boolean;
+  includeThinking?: boolean; // Also search AI thinking traces
+  limit?: number;
+}
+
+/**
+ * Highlighted range in a snippet (end exclusive)
+ */
+export interface HighlightRange {
+  start: number;
+  end: number;
+}
+
+export interface MessageSearchHit {
+  conversationId: string;
+  messageId: string;
+  hash: string;
+  senderId: string;
+  timestamp: number;
+  snippet: string;
+  highlights: HighlightRange[];
+  matchedIn: 'text' | 'thinking';
+  score: number;
+}
+
+interface IndexedMessage {
+  topicId: string;
+  messageId: string;
+  hash: string;
+  senderId: string;
+  timestamp: number;
+  originalText: string;
+  text: string;  // Current text (latest edit, empty when deleted)
+  thinking: string;
+  hasAttachment: boolean;
+  textTerms: Map<string, number>;      // term -> frequency
+  thinkingTerms: Map<string, number>;
+}
+
+/**
+ * Split text into lowercase search terms (letters and digits of any script)
+ */
+export function tokenize(text: string): string[] {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(token => token.length >= MIN_TOKEN_LENGTH);
+}
+
+function countTerms(text: string): Map<string, number> {
+  const terms = new Map<string, number>();
+  for (const token of tokenize(text)) {
+    terms.set(token, (terms.get(token) || 0) + 1);
+  }
+  return terms;
+}
+
+/**
+ * Cut a snippet around the first matching term and mark all term occurrences
+ *
+ * @param text - Full message text
+ * @param terms - Matched index terms (lowercase)
+ */
+export function createSnippet(text: string, terms: string[]): { snippet: string; highlights: HighlightRange[] } {
+  const lower = text.toLowerCase();
+  const wordPattern = /[\p{L}\p{N}]+/gu;
+
+  // Word occurrences that are (or start with) a matched term
+  const matches: HighlightRange[] = [];
+  for (const match of lower.matchAll(wordPattern)) {
+    if (terms.some(term => match[0] === term || match[0].startsWith(term))) {
+      matches.push({ start: match.index!, end: match.index! + match[0].length });
+    }
+  }
+
+  let start = 0;
+  if (text.length > SNIPPET_LENGTH && matches.length > 0) {
+    // Center the window on the first match, then snap to a word boundary
+    start = Math.max(0, Math.min(matches[0].start - Math.floor(SNIPPET_LENGTH / 3), text.length - SNIPPET_LENGTH));
+    const space = text.lastIndexOf(' ', start);
+    if (space > 0 && start - space < 20) {
+      start = space + 1;
+    }
+  }
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+  const prefix = start > 0 ? '...' : '';
+  const suffix = end < text.length ? '...' : '';
+  const snippet = prefix + text.substring(start, end) + suffix;
+
+  const highlights = matches
+    .filter(range => range.start >= start && range.end <= end)
+    .map(range => ({ start: range.start - start + prefix.length, end: range.end - start + prefix.length }));
+
+  return { snippet, highlights };
+}
+
+/**
+ * MessageSearchIndex - inverted index over the ChatMessages of all topics
+ */
+export class MessageSearchIndex {
+  private channelManager: any;
+  private getTopics: () => Promise<Array<{ id: string; channel?: any }>>;
+
+  // Keyed by channel entry id - identical messages share a ChatMessage hash
+  private documents: Map<string, IndexedMessage>;
+  private textPostings: Map<string, Set<string>>;
+  private thinkingPostings: Map<string, Set<string>>;
+
+  // Hashes of the ChatMessageEdit/ChatMessageDeletion entries already applied
+  private seenChanges: Set<string>;
+  // topicId -> change index of the topic (only topics with changes)
+  private changes: Map<string, Map<string, MessageChanges>>;
+
+  // topicId -> true if channel updates arrived since the last sync
+  private topics: Map<string, boolean>;
+  // ChannelInfo id hash -> topicId
+  private channelToTopic: Map<string, string>;
+  private syncing: Map<string, Promise<void>>;
+  private listening: boolean;
+
+  /**
+   * @param channelManager - The ChannelManager instance
+   * @param getTopics - Returns all topics (id + channel)
+   */
+  constructor(channelManager: any, getTopics: () => Promise<Array<{ id: string; channel?: any }>>) {
+    this.channelManager = channelManager;
+    this.getTopics = getTopics;
+    this.documents = new Map();
+    this.textPostings = new Map();
+    this.thinkingPostings = new Map();
+    this.seenChanges = new Set();
+    this.changes = new Map();
+    this.topics = new Map();
+    this.channelToTopic = new Map();
+    this.syncing = new Map();
+    this.listening = false;
+  }
+
+  /**
+   * Search messages
+   */
+  async search(query: MessageSearchQuery): Promise<MessageSearchHit[]> {
+    const queryTerms = tokenize(query.query || '');
+    if (queryTerms.length === 0) {
+      return [];
+    }
+
+    await this.sync(query.conversationIds);
+
+    const conversationFilter = query.conversationIds ? new Set(query.conversationIds) : undefined;
+    const documentCount = Math.max(1, this.documents.size);
+
+    // Per query term: matching index terms (exact, or prefix for the last term)
+    const termGroups = queryTerms.map((term, i) => this.expandTerm(term, i === queryTerms.length - 1, query.includeThinking === true));
+
+    // AND: candidate documents must match every query term
+    let candidates: Set<string> | undefined;
+    for (const group of termGroups) {
+      const matching = new Set<string>();
+      for (const term of group) {
+        this.textPostings.get(term)?.forEach(key => matching.add(key));
+        if (query.includeThinking) {
+          this.thinkingPostings.get(term)?.forEach(key => matching.add(key));
+        }
+      }
+      candidates = candidates ? new Set([...candidates].filter(key => matching.has(key))) : matching;
+      if (candidates.size === 0) {
+        return [];
+      }
+    }
+
+    const hits: MessageSearchHit[] = [];
+    for (const key of candidates || []) {
+      const doc = this.documents.get(key);
+      if (!doc || !this.matchesFilters(doc, query, conversationFilter)) {
+        continue;
+      }
+
+      let textScore = 0;
+      let thinkingScore = 0;
+      const matchedTextTerms: string[] = [];
+      const matchedThinkingTerms: string[] = [];
+      for (const group of termGroups) {
+        for (const term of group) {
+          const documentFrequency = (this.textPostings.get(term)?.size || 0) + (this.thinkingPostings.get(term)?.size || 0);
+          const idf = Math.log(1 + documentCount / Math.max(1, documentFrequency));
+          const inText = doc.textTerms.get(term) || 0;
+          const inThinking = query.includeThinking ? doc.thinkingTerms.get(term) || 0 : 0;
+          if (inText) {
+            textScore += (1 + Math.log(inText)) * idf;
+            matchedTextTerms.push(term);
+          }
+          if (inThinking) {
+            thinkingScore += (1 + Math.log(inThinking)) * idf * THINKING_WEIGHT;
+            matchedThinkingTerms.push(term);
+          }
+        }
+      }
+
+      // Snippet from the text if it matched, otherwise from the thinking trace
+      const matchedIn = matchedTextTerms.length > 0 ? 'text' : 'thinking';
+      const { snippet, highlights } = matchedIn === 'text'
+        ? createSnippet(doc.text, matchedTextTerms)
+        : createSnippet(doc.thinking, matchedThinkingTerms);
+
+      hits.push({
+        conversationId: doc.topicId,
+        messageId: doc.messageId,
+        hash: doc.hash,
+        senderId: doc.senderId,
+        timestamp: doc.timestamp,
+        snippet,
+        highlights,
+        matchedIn,
+        score: textScore + thinkingScore
+      });
+    }
+
+    hits.sort((a, b) => b.score - a.score || b.timestamp - a.timestamp);
+    return query.limit ? hits.slice(0, query.limit) : hits;
+  }
+
+  /**
+   * Bring the index up to date (all topics, or only the given ones)
+   */
+  async sync(topicIds?: string[]): Promise<void> {
+    this.startListening();
+
+    const topics = await this.getTopics();
+    for (const topic of topics) {
+      if (topic.channel) {
+        this.channelToTopic.set(String(topic.channel), topic.id);
+      }
+      if (!this.topics.has(topic.id)) {
+        // Never indexed
+        this.topics.set(topic.id, true);
+      }
+    }
+
+    const wanted = topicIds ? topics.filter(topic => topicIds.includes(topic.id)) : topics;
+    for (const topic of wanted) {
+      if (this.topics.get(topic.id)) {
+        await this.syncTopic(topic.id);
+      }
+    }
+  }
+
+  /**
+   * Index new messages of a topic (serialized per topic)
+   */
+  private async syncTopic(topicId: string): Promise<void> {
+    const running = this.syncing.get(topicId);
+    if (running) {
+      return running;
+    }
+
+    const promise = this.readTopic(topicId).finally(() => {
+      this.syncing.delete(topicId);
+    });
+    this.syncing.set(topicId, promise);
+    return promise;
+  }
+
+  private async readTopic(topicId: string): Promise<void> {
+    if (!this.channelManager) {
+      return;
+    }
+
+    // Clear the flag first - updates arriving during the read mark it again
+    this.topics.set(topicId, false);
+
+    let knownInRow = 0;
+    try {
+      // Changes first, so that messages indexed below start with their current text
+      await this.applyChanges(topicId);
+
+      for await (const entry of iterateTopicObjects(this.channelManager, topicId, 'ChatMessage')) {
+        if (this.documents.has(documentKey(entry))) {
+          // Late CHUM deliveries can sit behind a few known entries - stop after a run of them
+          if (++knownInRow >= KNOWN_ENTRIES_TO_STOP) {
+            break;
+          }
+          continue;
+        }
+        knownInRow = 0;
+        this.add(topicId, entry);
+      }
+    } catch (error) {
+      this.topics.set(topicId, true);
+      console.warn(`[MessageSearchIndex] Failed to index topic ${topicId}:`, error);
+    }
+  }
+
+  /**
+   * Re-index the messages of a topic that were edited or deleted since the last sync
+   */
+  private async applyChanges(topicId: string): Promise<void> {
+    let changed = false;
+    for (const type of ['ChatMessageEdit', 'ChatMessageDeletion']) {
+      let knownInRow = 0;
+      for await (const entry of iterateTopicObjects(this.channelManager, topicId, type)) {
+        const hash = String(entry.dataHash);
+        if (this.seenChanges.has(hash)) {
+          if (++knownInRow >= KNOWN_ENTRIES_TO_STOP) {
+            break;
+          }
+          continue;
+        }
+        knownInRow = 0;
+        this.seenChanges.add(hash);
+        changed = true;
+      }
+    }
+    if (!changed) {
+      return;
+    }
+
+    const changes = await getMessageChanges(this.channelManager, topicId);
+    this.changes.set(topicId, changes);
+    for (const [key, doc] of this.documents) {
+      if (doc.topicId === topicId) {
+        this.setText(key, doc, this.currentText(doc, changes));
+      }
+    }
+  }
+
+  /**
+   * Text of a message after its edits ('' when deleted)
+   */
+  private currentText(doc: IndexedMessage, changes?: Map<string, MessageChanges>): string {
+    if (!changes) {
+      return doc.originalText;
+    }
+    const message = {
+      id: doc.messageId !== doc.hash ? doc.messageId : undefined,
+      dataHash: doc.hash,
+      author: doc.senderId,
+      data: { text: doc.originalText },
+      creationTime: doc.timestamp
+    };
+    return resolveMessageState(message, findMessageChanges(changes, message)).text;
+  }
+
+  /**
+   * Replace the indexed text of a message
+   */
+  private setText(key: string, doc: IndexedMessage, text: string): void {
+    if (text === doc.text) {
+      return;
+    }
+    for (const term of doc.textTerms.keys()) {
+      removePosting(this.textPostings, term, key);
+    }
+    doc.text = text;
+    doc.textTerms = countTerms(text);
+    for (const term of doc.textTerms.keys()) {
+      addPosting(this.textPostings, term, key);
+    }
+  }
+
+  /**
+   * Add an ObjectData<ChatMessage> entry to the index
+   */
+  private add(topicId: string, entry: any): void {
+    const hash = String(entry.dataHash);
+    const key = documentKey(entry);
+    const originalText: string = entry.data?.text || '';
+    const thinking: string = entry.data?.thinking || '';
+
+    const doc: IndexedMessage = {
+      topicId,
+      messageId: key,
+      hash,
+      senderId: String(entry.author || entry.data?.sender || ''),
+      timestamp: entry.creationTime ? new Date(entry.creationTime).getTime() : 0,
+      originalText,
+      text: originalText,
+      thinking,
+      hasAttachment: (entry.data?.attachments?.length || 0) > 0,
+      textTerms: new Map(),
+      thinkingTerms: countTerms(thinking)
+    };
+    doc.text = this.currentText(doc, this.changes.get(topicId));
+    doc.textTerms = countTerms(doc.text);
+    this.documents.set(key, doc);
+
+    for (const term of doc.textTerms.keys()) {
+      addPosting(this.textPostings, term, key);
+    }
+    for (const term of doc.thinkingTerms.keys()) {
+      addPosting(this.thinkingPostings, term, key);
+    }
+  }
+
+  private expandTerm(term: string, allowPrefix: boolean, includeThinking: boolean): string[] {
+    const terms = new Set<string>([term]);
+    if (allowPrefix) {
+      for (const candidate of this.textPostings.keys()) {
+        if (candidate.startsWith(term)) {
+          terms.add(candidate);
+        }
+      }
+      if (includeThinking) {
+        for (const candidate of this.thinkingPostings.keys()) {
+          if (candidate.startsWith(term)) {
+            terms.add(candidate);
+          }
+        }
+      }
+    }
+    return Array.from(terms);
+  }
+
+  private matchesFilters(doc: IndexedMessage, query: MessageSearchQuery, conversationFilter?: Set<string>): boolean {
+    if (conversationFilter && !conversationFilter.has(doc.topicId)) {
+      return false;
+    }
+    if (query.senderId && doc.senderId !== String(query.senderId)) {
+      return false;
+    }
+    if (query.from !== undefined && doc.timestamp < query.from) {
+      return false;
+    }
+    if (query.to !== undefined && doc.timestamp > query.to) {
+      return false;
+    }
+    if (query.hasAttachment !== undefined && doc.hasAttachment !== query.hasAttachment) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Keep the index current as messages arrive
+   */
+  private startListening(): void {
+    if (this.listening || !this.channelManager?.onUpdated) {
+      return;
+    }
+    this.listening = true;
+
+    // Callback signature: (channelInfoIdHash, participantsHash, owner, time, data)
+    this.channelManager.onUpdated((channelInfoIdHash: any) => {
+      const topicId = this.channelToTopic.get(String(channelInfoIdHash));
+      if (!topicId) {
+        // Channel of another participant or a new topic - catch up on next search
+        for (const id of this.topics.keys()) {
+          this.topics.set(id, true);
+        }
+        return;
+      }
+
+      this.topics.set(topicId, true);
+      this.syncTopic(topicId).catch((error: Error) => {
+        console.warn(`[MessageSearchIndex] Failed to update ${topicId}:`, error);
+      });
+    });
+  }
+}
+
+/**
+ * Index key of a message: its channel entry id (hash for entries without one)
+ */
+function documentKey(entry: any): string {
+  return entry.id ? String(entry.id) : String(entry.dataHash);
+}
+
+function addPosting(postings: Map<string, Set<string>>, term: string, key: string): void {
+  let keys = postings.get(term);
+  if (!keys) {
+    keys = new Set();
+    postings.set(term, keys);
+  }
+  keys.add(key);
+}
+
+function removePosting(postings: Map<string, Set<string>>, term: string, key: string): void {
+  const keys = postings.get(term);
+  if (keys?.delete(key) && keys.size === 0) {
+    postings.delete(term);
+  }
+}
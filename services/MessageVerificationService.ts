@@ -0,0 +1,213 @@
+/**
+ * Message Verification Service (Chat Business Logic)
+ *
+ * Checks AffirmationCertificates of messages and bundles them into signed
+ * transcripts that can be verified offline.
+ *
+ * A message is certified by an AffirmationCertificate whose `data` is the
+ * ChatMessage hash; the certificate is signed by a Signature object of its
+ * issuer (one.models trust model). Both are found through the one.core
+ * reverse maps.
+ *
+ * Verification states:
+ * - none: no certificate for the message
+ * - asserted: certified, but no signature can be checked here (issuer keys unknown)
+ * - verified: at least one signature checks out (signers listed)
+ * - invalid: signatures exist and the issuer keys are known, but none checks out
+ */
+
+import type { SHA256Hash, SHA256IdHash } from '@refinio/one.core/lib/util/type-checks.js';
+import type { Person } from '@refinio/one.core/lib/recipes.js';
+import type { AffirmationCertificate } from '../types/OneObjectInterfaces.js';
+import { getObject } from '@refinio/one.core/lib/storage-unversioned-objects.js';
+import { getAllEntries } from '@refinio/one.core/lib/reverse-map-query.js';
+import { convertObjToMicrodata } from '@refinio/one.core/lib/object-to-microdata.js';
+import { getDefaultKeys } from '@refinio/one.core/lib/keychain/keychain.js';
+import { isSignedBy } from '@refinio/one.models/lib/misc/Signature.js';
+
+export type VerificationStatus = 'none' | 'asserted' | 'verified' | 'invalid';
+
+export interface MessageVerification {
+  status: VerificationStatus;
+  certificates: number;
+  signers: string[];         // Person IDs with a valid signature
+  signedBySender: boolean;   // The sender is one of the signers
+}
+
+/**
+ * One ONE object in a transcript: its hash, canonical microdata (hashing the
+ * microdata with SHA-256 gives the hash) and the parsed object
+ */
+export interface TranscriptObject<T = any> {
+  hash: string;
+  microdata: string;
+  obj: T;
+}
+
+export interface TranscriptCertificate extends TranscriptObject<AffirmationCertificate> {
+  signatures: TranscriptObject[];  // Signature objects (issuer, data = certificate hash, signature)
+}
+
+export interface TranscriptMessage {
+  message: TranscriptObject;
+  certificates: TranscriptCertificate[];
+  verification: MessageVerification;
+}
+
+/**
+ * Public keys of a signer (Keys object, publicSignKey verifies signatures)
+ */
+export interface TranscriptSigner {
+  personId: string;
+  keys: TranscriptObject;
+}
+
+interface CertificateProof {
+  certificate: TranscriptCertificate;
+  issuers: string[];  // Issuers of the signatures
+}
+
+/**
+ * Verification state of a message
+ *
+ * @param senderId - Sender of the message (for signedBySender)
+ */
+export async function getMessageVerification(messageHash: SHA256Hash, senderId?: string): Promise<MessageVerification> {
+  return (await collectProof(messageHash, senderId)).verification;
+}
+
+/**
+ * Bundle messages with their certificates, signatures and signer keys
+ *
+ * Deleted messages are left out by the caller - a transcript must not bring
+ * back removed content.
+ *
+ * @param messages - ObjectData<ChatMessage> entries, oldest first
+ */
+export async function buildSignedTranscript(messages: any[]): Promise<{
+  messages: TranscriptMessage[];
+  signers: TranscriptSigner[];
+}> {
+  const result: TranscriptMessage[] = [];
+  const signerIds = new Set<string>();
+
+  for (const entry of messages) {
+    if (!entry.dataHash) {
+      continue;
+    }
+    const message = entry.data ?? await getObject(entry.dataHash);
+    const senderId = String(entry.author || message?.sender || '');
+    const { certificates, verification } = await collectProof(entry.dataHash, senderId);
+    verification.signers.forEach(signer => signerIds.add(signer));
+
+    result.push({
+      message: toTranscriptObject(String(entry.dataHash), message),
+      certificates,
+      verification
+    });
+  }
+
+  const signers: TranscriptSigner[] = [];
+  for (const personId of signerIds) {
+    try {
+      const keysHash = await getDefaultKeys(personId as SHA256IdHash<Person>);
+      signers.push({ personId, keys: toTranscriptObject(String(keysHash), await getObject(keysHash)) });
+    } catch (error) {
+      console.warn(`[MessageVerification] No keys for signer ${personId.substring(0, 8)}:`, error);
+    }
+  }
+
+  return { messages: result, signers };
+}
+
+async function collectProof(
+  messageHash: SHA256Hash,
+  senderId?: string
+): Promise<{ certificates: TranscriptCertificate[]; verification: MessageVerification }> {
+  const proofs: CertificateProof[] = [];
+  for (const certificateHash of await getEntries(messageHash, 'AffirmationCertificate')) {
+    try {
+      proofs.push(await loadCertificate(certificateHash));
+    } catch (error) {
+      console.warn(`[MessageVerification] Failed to load certificate ${String(certificateHash).substring(0, 8)}:`, error);
+    }
+  }
+
+  const signers = new Set<string>();
+  let checkable = false;
+  for (const proof of proofs) {
+    for (const issuer of proof.issuers) {
+      if (!(await hasKeys(issuer))) {
+        continue;
+      }
+      checkable = true;
+      if (await isSignedBy(proof.certificate.hash as SHA256Hash, issuer as SHA256IdHash<Person>)) {
+        signers.add(issuer);
+      }
+    }
+  }
+
+  let status: VerificationStatus = 'none';
+  if (signers.size > 0) {
+    status = 'verified';
+  } else if (checkable) {
+    status = 'invalid';
+  } else if (proofs.length > 0) {
+    status = 'asserted';
+  }
+
+  return {
+    certificates: proofs.map(proof => proof.certificate),
+    verification: {
+      status,
+      certificates: proofs.length,
+      signers: Array.from(signers),
+      signedBySender: !!senderId && signers.has(senderId)
+    }
+  };
+}
+
+async function loadCertificate(certificateHash: SHA256Hash): Promise<CertificateProof> {
+  const certificate = await getObject(certificateHash as SHA256Hash<AffirmationCertificate>);
+  const signatures: TranscriptObject[] = [];
+  const issuers = new Set<string>();
+
+  for (const signatureHash of await getEntries(certificateHash, 'Signature')) {
+    try {
+      const signature = await getObject(signatureHash) as any;
+      signatures.push(toTranscriptObject(String(signatureHash), signature));
+      if (signature?.issuer) {
+        issuers.add(String(signature.issuer));
+      }
+    } catch (error) {
+      // Signature referenced but not synced
+    }
+  }
+
+  return {
+    certificate: { ...toTranscriptObject(String(certificateHash), certificate), signatures },
+    issuers: Array.from(issuers)
+  };
+}
+
+async function getEntries(hash: SHA256Hash, type: string): Promise<SHA256Hash[]> {
+  try {
+    return await getAllEntries(hash, type as any) as SHA256Hash[];
+  } catch (e) {
+    // No reverse map yet - nothing references the object
+    return [];
+  }
+}
+
+async function hasKeys(personId: string): Promise<boolean> {
+  try {
+    await getDefaultKeys(personId as SHA256IdHash<Person>);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function toTranscriptObject(hash: string, obj: any): TranscriptObject {
+  return { hash, microdata: convertObjToMicrodata(obj), obj };
+}
@@ -0,0 +1,463 @@
+/**
+ * Person Directory (Chat Business Logic)
+ *
+ * Single source for how a person is shown in chat: display name, avatar,
+ * color and AI flag. Replaces the per-method walks over LeuteModel.others()
+ * so message senders, conversation participants and contact lists always
+ * agree on a person's name.
+ *
+ * Display name rule (same for every screen):
+ * 1. PersonName of the main profile
+ * 2. Model ID for AI persons
+ * 3. Local part of the person's email
+ * 4. "Contact xxxxxxxx" (first 8 chars of the Person ID)
+ *
+ * The directory is built once from LeuteModel (me + others) and rebuilt
+ * lazily after profile or LLM changes. One directory exists per LeuteModel.
+ */
+
+import type LeuteModel from '@refinio/one.models/lib/models/Leute/LeuteModel.js';
+import { getObjectByIdHash } from '@refinio/one.core/lib/storage-versioned-objects.js';
+import { ProfileService } from './ProfileService.js';
+
+const LOOKUP_TIMEOUT_MS = 2000;
+
+/**
+ * How a person is shown in chat
+ */
+export interface PersonEntry {
+  personId: string;
+  someoneId?: string;      // Someone idHash (undefined for persons not in contacts)
+  displayName: string;
+  email?: string;
+  avatarBlobHash?: string;
+  color?: string;
+  isAI: boolean;
+  modelId?: string;
+  isOwner: boolean;
+  isContact: boolean;      // Known through LeuteModel (me or others)
+}
+
+/**
+ * Optional AI sources - either may be available depending on the platform
+ */
+export interface PersonDirectorySources {
+  aiAssistantModel?: any;
+  llmObjectManager?: any;
+}
+
+// Run a lookup with timeout - a corrupt or hanging Someone must not block the directory
+async function withTimeout<T>(promise: Promise<T>, defaultValue: T, description: string): Promise<T> {
+  let timer: ReturnType<typeof setTimeout> | undefined;
+  return Promise.race([
+    promise,
+    new Promise<T>((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`Timeout after ${LOOKUP_TIMEOUT_MS}ms: ${description}`)), LOOKUP_TIMEOUT_MS);
+    })
+  ]).catch(error => {
+    console.warn(`[PersonDirectory] ${description} failed or timed out:`, error.message);
+    return defaultValue;
+  }).finally(() => clearTimeout(timer));
+}
+
+// Persons whose entry differs between two loads (added and removed contacts included)
+function diffEntries(previous: Map<string, PersonEntry>, next: Map<string, PersonEntry>): string[] {
+  const changed: string[] = [];
+  for (const [personId, entry] of next) {
+    const before = previous.get(personId);
+    if (!before || JSON.stringify(before) !== JSON.stringify(entry)) {
+      changed.push(personId);
+    }
+  }
+  for (const [personId, entry] of previous) {
+    // Non-contacts are resolved lazily - missing from a fresh load is no change
+    if (entry.isContact && !next.has(personId)) {
+      changed.push(personId);
+    }
+  }
+  return changed;
+}
+
+// Read the first description of a type from a profile (ProfileModel or raw Profile)
+function getDescription(profile: any, type: string): any {
+  try {
+    const descriptions = profile.descriptionsOfType?.(type);
+    if (descriptions && descriptions.length > 0) {
+      return descriptions[0];
+    }
+  } catch (e) {
+    // Fall through to raw personDescriptions
+  }
+  return profile.personDescriptions?.find((d: any) => d.$type$ === type);
+}
+
+/**
+ * PersonDirectory - personId -> PersonEntry map kept current with LeuteModel and LLM changes
+ */
+export class PersonDirectory {
+  private leuteModel: LeuteModel;
+  private sources: PersonDirectorySources;
+  private profileService: ProfileService;
+
+  private entries: Map<string, PersonEntry>;
+  private ownerId?: string;
+  private loaded: boolean;
+  private loading?: Promise<void>;
+  private listeningToLLMs: boolean;
+  private changeListeners: Set<(personIds: string[]) => void>;
+
+  constructor(leuteModel: LeuteModel, sources: PersonDirectorySources = {}) {
+    this.leuteModel = leuteModel;
+    this.sources = {};
+    this.profileService = new ProfileService(leuteModel);
+    this.entries = new Map();
+    this.loaded = false;
+    this.listeningToLLMs = false;
+    this.changeListeners = new Set();
+
+    // Profiles changed (new contact, renamed, new avatar) - rebuild on next lookup
+    const leute: any = leuteModel;
+    leute.onUpdated?.(() => this.invalidate());
+    leute.onProfileUpdate?.(() => this.invalidate());
+
+    this.setSources(sources);
+  }
+
+  /**
+   * Provide AI sources that became available after construction
+   */
+  setSources(sources: PersonDirectorySources): void {
+    const changed = (sources.aiAssistantModel && sources.aiAssistantModel !== this.sources.aiAssistantModel)
+      || (sources.llmObjectManager && sources.llmObjectManager !== this.sources.llmObjectManager);
+    if (!changed) {
+      return;
+    }
+
+    this.sources = {
+      aiAssistantModel: sources.aiAssistantModel || this.sources.aiAssistantModel,
+      llmObjectManager: sources.llmObjectManager || this.sources.llmObjectManager
+    };
+
+    // LLM objects added or removed - AI flags and model names may change
+    const llmObjectManager = this.getLLMObjectManager();
+    if (!this.listeningToLLMs && typeof llmObjectManager?.onUpdated === 'function') {
+      llmObjectManager.onUpdated(() => this.invalidate());
+      this.listeningToLLMs = true;
+    }
+
+    this.invalidate();
+  }
+
+  /**
+   * Drop cached entries - everything (or a single person) is resolved again on next lookup
+   *
+   * With change listeners, a full invalidation reloads right away and reports
+   * only the persons whose entry actually changed.
+   */
+  invalidate(personId?: string): void {
+    if (personId) {
+      this.entries.delete(String(personId));
+      this.notifyChanged([String(personId)]);
+      return;
+    }
+
+    this.loaded = false;
+    if (this.changeListeners.size === 0) {
+      return;
+    }
+
+    const previous = this.entries;
+    this.ensureLoaded()
+      .then(() => {
+        const changed = diffEntries(previous, this.entries);
+        if (changed.length > 0) {
+          this.notifyChanged(changed);
+        }
+      })
+      .catch(error => console.error('[PersonDirectory] Reload failed:', error));
+  }
+
+  /**
+   * Register a listener for directory changes (names, avatars or AI flags of
+   * the given persons may differ)
+   *
+   * @returns Function that removes the listener
+   */
+  onChanged(listener: (personIds: string[]) => void): () => void {
+    this.changeListeners.add(listener);
+    return () => {
+      this.changeListeners.delete(listener);
+    };
+  }
+
+  /**
+   * Get the entry of a person (resolved and cached if not a contact)
+   */
+  async get(personId: string): Promise<PersonEntry> {
+    await this.ensureLoaded();
+
+    const id = String(personId);
+    let entry = this.entries.get(id);
+    if (!entry) {
+      entry = await this.resolveUnknown(id);
+      this.entries.set(id, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Get the display name of a person
+   */
+  async getDisplayName(personId: string): Promise<string> {
+    return (await this.get(personId)).displayName;
+  }
+
+  /**
+   * Get all contacts (owner first)
+   */
+  async getAll(): Promise<PersonEntry[]> {
+    await this.ensureLoaded();
+    return Array.from(this.entries.values())
+      .filter(entry => entry.isContact)
+      .sort((a, b) => Number(b.isOwner) - Number(a.isOwner));
+  }
+
+  /**
+   * Check if a person is an AI and get its model ID
+   */
+  getAIInfo(personId: string): { isAI: boolean; modelId?: string } {
+    const aiAssistantModel = this.sources.aiAssistantModel;
+    try {
+      if (aiAssistantModel?.isAIPerson?.(personId)) {
+        return { isAI: true, modelId: aiAssistantModel.getModelIdForPersonId?.(personId) };
+      }
+    } catch (e) {
+      // Fall through to LLM objects
+    }
+
+    const llmObjectManager = this.getLLMObjectManager();
+    if (!llmObjectManager) {
+      return { isAI: false };
+    }
+
+    try {
+      if (llmObjectManager.isLLMPerson?.(personId)) {
+        return { isAI: true, modelId: llmObjectManager.getModelIdForPerson?.(personId) };
+      }
+      for (const llm of llmObjectManager.getAllLLMObjects?.() || []) {
+        if (llm.personId && String(llm.personId) === personId) {
+          return { isAI: true, modelId: llm.modelId };
+        }
+      }
+    } catch (e) {
+      console.warn(`[PersonDirectory] Failed to check if ${personId.substring(0, 8)} is AI:`, e);
+    }
+    return { isAI: false };
+  }
+
+  private notifyChanged(personIds: string[]): void {
+    for (const listener of this.changeListeners) {
+      try {
+        listener(personIds);
+      } catch (error) {
+        console.error('[PersonDirectory] Change listener failed:', error);
+      }
+    }
+  }
+
+  private getLLMObjectManager(): any {
+    return this.sources.llmObjectManager || this.sources.aiAssistantModel?.llmObjectManager;
+  }
+
+  private async ensureLoaded(): Promise<void> {
+    if (this.loaded) {
+      return;
+    }
+    if (!this.loading) {
+      this.loading = this.load().finally(() => {
+        this.loading = undefined;
+      });
+    }
+    await this.loading;
+  }
+
+  /**
+   * Build entries for the owner and all contacts
+   */
+  private async load(): Promise<void> {
+    const entries = new Map<string, PersonEntry>();
+    // Mark loaded before reading - an invalidate() during the load triggers another one
+    this.loaded = true;
+
+    let someoneObjects: any[] = [];
+    try {
+      const me = await this.leuteModel.me();
+      const others = await this.leuteModel.others();
+      someoneObjects = [me, ...others];
+    } catch (error) {
+      console.error('[PersonDirectory] Failed to read LeuteModel:', error);
+    }
+
+    // First Someone is "me"
+    let isOwner = true;
+    for (const someone of someoneObjects) {
+      try {
+        const personId: any = await withTimeout(someone.mainIdentity(), null, 'mainIdentity()');
+        if (!personId) {
+          continue;
+        }
+
+        const id = String(personId);
+        if (isOwner) {
+          this.ownerId = id;
+        }
+        if (!entries.has(id)) {
+          entries.set(id, await this.resolveSomeone(someone, id, isOwner));
+        }
+      } catch (error) {
+        console.error('[PersonDirectory] Failed to process contact, skipping:', error);
+      }
+      isOwner = false;
+    }
+
+    this.entries = entries;
+    console.log(`[PersonDirectory] Loaded ${entries.size} persons`);
+  }
+
+  /**
+   * Build the entry of a contact from its Someone
+   */
+  private async resolveSomeone(someone: any, personId: string, isOwner: boolean): Promise<PersonEntry> {
+    const profile: any = await withTimeout(someone.mainProfile(), null, `mainProfile() for ${personId.substring(0, 8)}`);
+
+    let name: string | undefined;
+    let email: string | undefined;
+    let avatarBlobHash: string | undefined;
+
+    if (profile) {
+      name = getDescription(profile, 'PersonName')?.name || undefined;
+      email = getDescription(profile, 'Email')?.email || undefined;
+
+      try {
+        const profileImages = profile.descriptionsOfType?.('ProfileImage');
+        if (profileImages && profileImages.length > 0) {
+          avatarBlobHash = profileImages[profileImages.length - 1].image;
+        }
+      } catch (e) {
+        // Avatar not found in main profile
+      }
+    }
+
+    // No avatar in main profile - check other profiles (bubble up)
+    if (!avatarBlobHash && typeof someone.profiles === 'function') {
+      const allProfiles: any[] = await withTimeout(someone.profiles(), [] as any[], `profiles() for ${personId.substring(0, 8)}`);
+      for (const otherProfile of allProfiles) {
+        try {
+          const otherProfileImages = otherProfile.descriptionsOfType?.('ProfileImage');
+          if (otherProfileImages && otherProfileImages.length > 0) {
+            avatarBlobHash = otherProfileImages[otherProfileImages.length - 1].image;
+            break;
+          }
+        } catch (e) {
+          // Continue to next profile
+        }
+      }
+    }
+
+    if (!email && someone.email) {
+      email = someone.email;
+    }
+
+    return await this.createEntry(personId, {
+      someoneId: someone.idHash ? String(someone.idHash) : undefined,
+      name,
+      email,
+      avatarBlobHash,
+      isOwner,
+      isContact: true
+    });
+  }
+
+  /**
+   * Build the entry of a person that is not (yet) a contact, e.g. a group
+   * member whose profile did not arrive via CHUM yet
+   */
+  private async resolveUnknown(personId: string): Promise<PersonEntry> {
+    let email: string | undefined;
+    try {
+      const result = await getObjectByIdHash(personId as any);
+      email = (result?.obj as any)?.email;
+    } catch (e) {
+      // Person object not synced yet
+    }
+
+    return await this.createEntry(personId, {
+      email,
+      isOwner: personId === this.ownerId,
+      isContact: false
+    });
+  }
+
+  private async createEntry(
+    personId: string,
+    info: { someoneId?: string; name?: string; email?: string; avatarBlobHash?: string; isOwner: boolean; isContact: boolean }
+  ): Promise<PersonEntry> {
+    const aiInfo = this.getAIInfo(personId);
+    const isAI = aiInfo.isAI || !!info.email?.endsWith('@ai.local');
+    const modelId = aiInfo.modelId;
+
+    let displayName = info.name;
+    if (!displayName && info.isOwner) {
+      displayName = 'You';
+    }
+    if (!displayName && isAI && modelId) {
+      displayName = modelId;
+    }
+    if (!displayName && info.email && !isAI) {
+      displayName = info.email.split('@')[0] || undefined;
+    }
+    if (!displayName) {
+      // Happens when the profile has no PersonName yet (e.g. during initial CHUM sync)
+      displayName = `Contact ${personId.substring(0, 8)}`;
+    }
+
+    let color: string | undefined;
+    try {
+      color = await this.profileService.getAvatarColor(personId);
+    } catch (e) {
+      // No color - UI falls back to its default
+    }
+
+    return {
+      personId,
+      someoneId: info.someoneId,
+      displayName,
+      email: info.email,
+      avatarBlobHash: info.avatarBlobHash,
+      color,
+      isAI,
+      modelId,
+      isOwner: info.isOwner,
+      isContact: info.isContact
+    };
+  }
+}
+
+const directories = new WeakMap<object, PersonDirectory>();
+
+/**
+ * Get the shared PersonDirectory of a LeuteModel
+ *
+ * @param leuteModel - LeuteModel the directory reads contacts from
+ * @param sources - AI sources (added to the existing directory if not set yet)
+ */
+export function getPersonDirectory(leuteModel: LeuteModel, sources: PersonDirectorySources = {}): PersonDirectory {
+  let directory = directories.get(leuteModel);
+  if (!directory) {
+    directory = new PersonDirectory(leuteModel, sources);
+    directories.set(leuteModel, directory);
+  } else {
+    directory.setSources(sources);
+  }
+  return directory;
+}
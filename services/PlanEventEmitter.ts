@@ -0,0 +1,74 @@
+/**
+ * Plan Event Emitter
+ *
+ * Minimal, transport-agnostic event emitter for plan subscription APIs.
+ * Listeners receive plain serializable payloads, so IPC, worker and stdio
+ * adapters can forward events unchanged.
+ */
+
+/**
+ * Removes a listener registered with on()
+ */
+export type Unsubscribe = () => void;
+
+/**
+ * PlanEventEmitter - typed event name -> payload emitter
+ */
+export class PlanEventEmitter<EventMap extends Record<string, any>> {
+  private listeners: Map<keyof EventMap, Set<(payload: any) => void>>;
+  private name: string;
+
+  /**
+   * @param name - Owner name used in log messages
+   */
+  constructor(name: string) {
+    this.listeners = new Map();
+    this.name = name;
+  }
+
+  /**
+   * Register a listener
+   *
+   * @returns Function that removes the listener
+   */
+  on<K extends keyof EventMap>(event: K, listener: (payload: EventMap[K]) => void): Unsubscribe {
+    let listeners = this.listeners.get(event);
+    if (!listeners) {
+      listeners = new Set();
+      this.listeners.set(event, listeners);
+    }
+    listeners.add(listener);
+
+    return () => {
+      listeners!.delete(listener);
+    };
+  }
+
+  /**
+   * Call all listeners of an event (a failing listener does not affect the others)
+   */
+  emit<K extends keyof EventMap>(event: K, payload: EventMap[K]): void {
+    const listeners = this.listeners.get(event);
+    if (!listeners) {
+      return;
+    }
+
+    for (const listener of Array.from(listeners)) {
+      try {
+        listener(payload);
+      } catch (error) {
+        console.error(`[${this.name}] ${String(event)} listener failed:`, error);
+      }
+    }
+  }
+
+  /**
+   * Check if an event (or any event) has listeners
+   */
+  hasListeners(event?: keyof EventMap): boolean {
+    if (event !== undefined) {
+      return (this.listeners.get(event)?.size || 0) > 0;
+    }
+    return Array.from(this.listeners.values()).some(listeners => listeners.size > 0);
+  }
+}
@@ -0,0 +1,273 @@
+/**
+ * Poll Service (Chat Business Logic)
+ *
+ * Builds ChatPoll, ChatPollVote and ChatPollClose objects and tallies the
+ * poll objects of a topic into per-message poll summaries.
+ *
+ * Tally rules:
+ * - the latest vote per voter counts (empty choices = withdrawn)
+ * - votes must be posted by the voter and name valid options; single choice
+ *   polls accept one option per vote
+ * - votes made after the poll closed (closesAt or ChatPollClose of the
+ *   creator) are ignored
+ * - anonymous polls count votes without listing voters
+ */
+
+import type { SHA256Hash, SHA256IdHash } from '@refinio/one.core/lib/util/type-checks.js';
+import type { Person } from '@refinio/one.core/lib/recipes.js';
+import type { ChatMessage } from '@refinio/one.models/lib/recipes/ChatRecipes.js';
+import type { ChatPoll, ChatPollVote, ChatPollClose } from '../types/OneObjectInterfaces.js';
+
+export const MAX_POLL_OPTIONS = 20;
+
+/**
+ * Poll settings chosen by the creator
+ */
+export interface PollSpec {
+  question: string;
+  options: string[];
+  multipleChoice: boolean;
+  anonymous: boolean;
+  closesAt?: number;
+}
+
+export interface PollOptionTally {
+  index: number;
+  text: string;
+  count: number;
+  voters?: string[];  // Person IDs (omitted for anonymous polls)
+}
+
+/**
+ * Current state of a poll
+ */
+export interface PollSummary extends PollSpec {
+  id: string;  // ChatPoll hash
+  messageHash: string;
+  createdBy: string;
+  createdAt: number;
+  tallies: PollOptionTally[];
+  totalVoters: number;
+  myChoices: number[];
+  closed: boolean;
+  closedAt?: number;
+}
+
+/**
+ * Validate and normalize poll settings
+ *
+ * @throws If the question or options are unusable
+ */
+export function normalizePollSpec(spec: Partial<PollSpec>): PollSpec {
+  const question = (spec.question || '').trim();
+  if (!question) {
+    throw new Error('Poll question cannot be empty');
+  }
+
+  const options = (spec.options || []).map(option => String(option).trim());
+  if (options.length < 2 || options.length > MAX_POLL_OPTIONS) {
+    throw new Error(`A poll needs 2 to ${MAX_POLL_OPTIONS} options`);
+  }
+  if (options.some(option => option.length === 0)) {
+    throw new Error('Poll options cannot be empty');
+  }
+  if (new Set(options.map(option => option.toLowerCase())).size !== options.length) {
+    throw new Error('Poll options must be unique');
+  }
+
+  if (spec.closesAt !== undefined && spec.closesAt <= Date.now()) {
+    throw new Error('Poll closing time must be in the future');
+  }
+
+  return {
+    question,
+    options,
+    multipleChoice: spec.multipleChoice === true,
+    anonymous: spec.anonymous === true,
+    ...(spec.closesAt !== undefined && { closesAt: spec.closesAt })
+  };
+}
+
+/**
+ * Create a ChatPoll object for a question message
+ */
+export function createPoll(
+  messageHash: SHA256Hash<ChatMessage>,
+  spec: PollSpec,
+  createdBy: SHA256IdHash<Person>
+): ChatPoll {
+  return {
+    $type$: 'ChatPoll',
+    message: messageHash,
+    question: spec.question,
+    options: spec.options,
+    multipleChoice: spec.multipleChoice,
+    anonymous: spec.anonymous,
+    ...(spec.closesAt !== undefined && { closesAt: spec.closesAt }),
+    createdBy,
+    createdAt: Date.now()
+  };
+}
+
+/**
+ * Create a ChatPollVote object (empty choices withdraw the vote)
+ *
+ * @throws If the choices do not fit the poll
+ */
+export function createPollVote(poll: PollSummary, voter: SHA256IdHash<Person>, choices: number[]): ChatPollVote {
+  const unique = Array.from(new Set(choices)).sort((a, b) => a - b);
+  if (unique.length > 0 && !isValidChoice(unique, poll.options.length, poll.multipleChoice)) {
+    throw new Error(poll.multipleChoice ? 'Invalid poll options' : 'Choose one option');
+  }
+  if (poll.closed) {
+    throw new Error('Poll is closed');
+  }
+
+  return {
+    $type$: 'ChatPollVote',
+    poll: poll.id as SHA256Hash<ChatPoll>,
+    voter,
+    choices: unique,
+    timestamp: Date.now()
+  };
+}
+
+/**
+ * Create a ChatPollClose object
+ */
+export function createPollClose(poll: PollSummary, closedBy: SHA256IdHash<Person>): ChatPollClose {
+  if (String(closedBy) !== poll.createdBy) {
+    throw new Error('Only the creator can close a poll');
+  }
+  if (poll.closed) {
+    throw new Error('Poll is already closed');
+  }
+
+  return {
+    $type$: 'ChatPollClose',
+    poll: poll.id as SHA256Hash<ChatPoll>,
+    closedBy,
+    timestamp: Date.now()
+  };
+}
+
+/**
+ * Tally poll channel entries by question message
+ *
+ * @param pollEntries - ObjectData<ChatPoll> entries from the topic channel
+ * @param voteEntries - ObjectData<ChatPollVote> entries
+ * @param closeEntries - ObjectData<ChatPollClose> entries
+ * @param myId - Person ID of the local user (for myChoices)
+ * @returns Map of ChatMessage hash -> poll summary
+ */
+export function aggregatePolls(
+  pollEntries: any[],
+  voteEntries: any[],
+  closeEntries: any[],
+  myId?: string,
+  now: number = Date.now()
+): Map<string, PollSummary> {
+  const polls = new Map<string, { poll: ChatPoll; closedAt?: number }>();
+  for (const entry of pollEntries) {
+    const poll = entry.data as ChatPoll;
+    if (!entry.dataHash || !poll?.message || !Array.isArray(poll.options) || poll.options.length < 2) {
+      continue;
+    }
+    // Polls are only accepted from their creator
+    if (entry.author && String(entry.author) !== String(poll.createdBy)) {
+      continue;
+    }
+    polls.set(String(entry.dataHash), { poll, closedAt: poll.closesAt });
+  }
+
+  for (const entry of closeEntries) {
+    const close = entry.data as ChatPollClose;
+    const target = polls.get(String(close?.poll));
+    const closer = String(entry.author || close?.closedBy);
+    if (!target || closer !== String(target.poll.createdBy)) {
+      continue;
+    }
+    target.closedAt = Math.min(target.closedAt ?? close.timestamp, close.timestamp);
+  }
+
+  // Latest valid vote per poll + voter
+  const latestVotes = new Map<string, ChatPollVote>();
+  for (const entry of voteEntries) {
+    const vote = entry.data as ChatPollVote;
+    const target = polls.get(String(vote?.poll));
+    if (!target || !Array.isArray(vote.choices)) {
+      continue;
+    }
+    const voter = String(entry.author || vote.voter);
+    if (voter !== String(vote.voter)) {
+      continue;
+    }
+    if (target.closedAt !== undefined && vote.timestamp > target.closedAt) {
+      continue;
+    }
+    if (vote.choices.length > 0 &&
+        !isValidChoice(vote.choices, target.poll.options.length, target.poll.multipleChoice)) {
+      continue;
+    }
+
+    const key = `${vote.poll}|${voter}`;
+    const previous = latestVotes.get(key);
+    if (!previous || previous.timestamp <= vote.timestamp) {
+      latestVotes.set(key, vote);
+    }
+  }
+
+  const byMessage = new Map<string, PollSummary>();
+  for (const [pollHash, { poll, closedAt }] of polls) {
+    const tallies: PollOptionTally[] = poll.options.map((text, index) => ({
+      index,
+      text,
+      count: 0,
+      ...(!poll.anonymous && { voters: [] as string[] })
+    }));
+
+    let totalVoters = 0;
+    let myChoices: number[] = [];
+    for (const vote of latestVotes.values()) {
+      if (String(vote.poll) !== pollHash || vote.choices.length === 0) {
+        continue;
+      }
+      totalVoters++;
+      for (const choice of vote.choices) {
+        tallies[choice].count++;
+        tallies[choice].voters?.push(String(vote.voter));
+      }
+      if (myId && String(vote.voter) === String(myId)) {
+        myChoices = [...vote.choices];
+      }
+    }
+
+    const closed = closedAt !== undefined && closedAt <= now;
+    byMessage.set(String(poll.message), {
+      id: pollHash,
+      messageHash: String(poll.message),
+      question: poll.question,
+      options: poll.options,
+      multipleChoice: poll.multipleChoice,
+      anonymous: poll.anonymous === true,
+      closesAt: poll.closesAt,
+      createdBy: String(poll.createdBy),
+      createdAt: poll.createdAt,
+      tallies,
+      totalVoters,
+      myChoices,
+      closed,
+      ...(closed && { closedAt })
+    });
+  }
+
+  return byMessage;
+}
+
+function isValidChoice(choices: number[], optionCount: number, multipleChoice: boolean): boolean {
+  if (choices.length === 0 || (!multipleChoice && choices.length > 1)) {
+    return false;
+  }
+  return choices.every(choice => Number.isInteger(choice) && choice >= 0 && choice < optionCount) &&
+    new Set(choices).size === choices.length;
+}
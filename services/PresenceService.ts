@@ -0,0 +1,369 @@
+/**
+ * Presence Service (Chat Business Logic)
+ *
+ * Typing indicators and online state over an ephemeral transport. Signals go
+ * directly to the recipients' connections - they are never stored as ONE
+ * objects and never become part of a channel's CHUM history.
+ *
+ * The transport defaults to presence connections of the ConnectionsModel
+ * (PresenceTransport.ts) - get the service before connectionsModel.init(), so
+ * the presence route group is offered; platforms can inject their own as
+ * nodeOneCore.presenceTransport. Without a transport, typing and presence
+ * stay local and every person reads as offline.
+ *
+ * - Typing: senders refresh the signal while typing; receivers expire it
+ *   after TYPING_TIMEOUT_MS without refresh
+ * - Presence: every instance sends a heartbeat to its contacts; a person is
+ *   online while heartbeats (or any other signal) keep arriving
+ * - Delivery: sync acknowledgements of messages (see DeliveryStatusService)
+ */
+
+import { PlanEventEmitter, Unsubscribe } from './PlanEventEmitter.js';
+import { getPersonDirectory } from './PersonDirectory.js';
+import { createConnectionPresenceTransport } from './PresenceTransport.js';
+
+const TYPING_REFRESH_MS = 3000;
+const TYPING_TIMEOUT_MS = 6000;
+const HEARTBEAT_INTERVAL_MS = 30000;
+const ONLINE_TIMEOUT_MS = 2 * HEARTBEAT_INTERVAL_MS + 5000;
+
+/**
+ * Signal sent over the ephemeral transport
+ */
+export type PresenceSignal =
+  | { type: 'typing'; conversationId: string; isTyping: boolean; timestamp: number }
+  | { type: 'presence'; status: 'online' | 'offline'; timestamp: number }
+  | { type: 'delivered'; conversationId: string; receivedUpTo: number; timestamp: number };
+
+/**
+ * Ephemeral, non-persistent transport provided by the platform
+ */
+export interface PresenceTransport {
+  /**
+   * Send a signal to persons (best effort - unreachable recipients are skipped)
+   */
+  send(recipients: string[], signal: PresenceSignal): Promise<void> | void;
+
+  /**
+   * Register a listener for signals from other persons
+   *
+   * @returns Function that removes the listener (optional)
+   */
+  onSignal(listener: (senderId: string, signal: PresenceSignal) => void): (() => void) | void;
+}
+
+export interface TypingEvent {
+  conversationId: string;
+  personId: string;
+  isTyping: boolean;
+}
+
+export interface DeliveredEvent {
+  conversationId: string;
+  personId: string;
+  receivedUpTo: number;  // Creation time of the newest own message that arrived at the person
+}
+
+export interface PresenceState {
+  personId: string;
+  isOnline: boolean;
+  lastSeen?: number;  // Time of the last signal from this person
+}
+
+interface PresenceEvents {
+  typing: TypingEvent;
+  presence: PresenceState;
+  delivered: DeliveredEvent;
+}
+
+/**
+ * PresenceService - typing and online state of other persons
+ */
+export class PresenceService {
+  private transport?: PresenceTransport;
+  private getHeartbeatRecipients: () => Promise<string[]>;
+  private events: PlanEventEmitter<PresenceEvents>;
+
+  // personId -> time of last signal / explicit offline
+  private lastSeen: Map<string, number>;
+  private offline: Set<string>;
+  private offlineTimers: Map<string, ReturnType<typeof setTimeout>>;
+  // conversationId -> personId -> expiry timer
+  private typing: Map<string, Map<string, ReturnType<typeof setTimeout>>>;
+  // conversationId -> last own typing signal
+  private ownTyping: Map<string, { isTyping: boolean; sentAt: number }>;
+
+  private heartbeat?: ReturnType<typeof setInterval>;
+  private removeSignalListener?: () => void;
+
+  /**
+   * @param transport - Ephemeral transport (undefined = local only)
+   * @param getHeartbeatRecipients - Persons that receive presence heartbeats (contacts)
+   */
+  constructor(transport: PresenceTransport | undefined, getHeartbeatRecipients: () => Promise<string[]>) {
+    this.transport = transport;
+    this.getHeartbeatRecipients = getHeartbeatRecipients;
+    this.events = new PlanEventEmitter<PresenceEvents>('PresenceService');
+    this.lastSeen = new Map();
+    this.offline = new Set();
+    this.offlineTimers = new Map();
+    this.typing = new Map();
+    this.ownTyping = new Map();
+  }
+
+  /**
+   * Set the transport if the platform provides it after the service was created
+   */
+  setTransport(transport: PresenceTransport): void {
+    if (this.transport) {
+      return;
+    }
+    this.transport = transport;
+    this.start();
+  }
+
+  /**
+   * Start receiving signals and sending heartbeats
+   */
+  start(): void {
+    if (!this.transport || this.heartbeat) {
+      return;
+    }
+
+    const remove = this.transport.onSignal((senderId, signal) => this.handleSignal(String(senderId), signal));
+    if (typeof remove === 'function') {
+      this.removeSignalListener = remove;
+    }
+
+    this.heartbeat = setInterval(() => {
+      this.sendHeartbeat('online').catch((error: Error) => {
+        console.warn('[PresenceService] Heartbeat failed:', error);
+      });
+    }, HEARTBEAT_INTERVAL_MS);
+    // Heartbeats alone must not keep a Node.js process alive
+    (this.heartbeat as any).unref?.();
+
+    this.sendHeartbeat('online').catch((error: Error) => {
+      console.warn('[PresenceService] Heartbeat failed:', error);
+    });
+  }
+
+  /**
+   * Stop heartbeats, tell contacts we are offline and drop all timers
+   */
+  async stop(): Promise<void> {
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = undefined;
+      await this.sendHeartbeat('offline').catch(() => undefined);
+    }
+    this.removeSignalListener?.();
+    this.removeSignalListener = undefined;
+
+    for (const timer of this.offlineTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.offlineTimers.clear();
+    for (const timers of this.typing.values()) {
+      for (const timer of timers.values()) {
+        clearTimeout(timer);
+      }
+    }
+    this.typing.clear();
+  }
+
+  /**
+   * Send the own typing state to conversation participants
+   *
+   * Repeated isTyping=true calls are throttled; call with false when the user
+   * stops typing or sends the message.
+   */
+  async setTyping(conversationId: string, recipients: string[], isTyping: boolean): Promise<void> {
+    const now = Date.now();
+    const last = this.ownTyping.get(conversationId);
+    if (last && last.isTyping === isTyping && (!isTyping || now - last.sentAt < TYPING_REFRESH_MS)) {
+      return;
+    }
+
+    if (this.transport && recipients.length > 0) {
+      await this.transport.send(recipients, { type: 'typing', conversationId, isTyping, timestamp: now });
+    }
+    // Recorded after sending - a failed signal is sent again on the next call
+    this.ownTyping.set(conversationId, { isTyping, sentAt: now });
+  }
+
+  /**
+   * Acknowledge to participants that their messages of a conversation arrived
+   *
+   * @param receivedUpTo - Creation time of the newest message of the recipients that arrived
+   * @throws If the transport failed to send (the caller sends again later)
+   */
+  async sendDelivered(conversationId: string, recipients: string[], receivedUpTo: number): Promise<void> {
+    if (!this.transport || recipients.length === 0) {
+      return;
+    }
+    await this.transport.send(recipients, { type: 'delivered', conversationId, receivedUpTo, timestamp: Date.now() });
+  }
+
+  /**
+   * Check if the own typing state of a conversation is "typing"
+   */
+  isOwnTyping(conversationId: string): boolean {
+    return this.ownTyping.get(conversationId)?.isTyping === true;
+  }
+
+  /**
+   * Persons currently typing in a conversation
+   */
+  getTyping(conversationId: string): string[] {
+    return Array.from(this.typing.get(conversationId)?.keys() || []);
+  }
+
+  /**
+   * Online state of a person
+   */
+  getPresence(personId: string): PresenceState {
+    const id = String(personId);
+    const lastSeen = this.lastSeen.get(id);
+    return {
+      personId: id,
+      isOnline: lastSeen !== undefined && !this.offline.has(id) && Date.now() - lastSeen < ONLINE_TIMEOUT_MS,
+      lastSeen
+    };
+  }
+
+  onTyping(listener: (event: TypingEvent) => void): Unsubscribe {
+    return this.events.on('typing', listener);
+  }
+
+  onPresence(listener: (state: PresenceState) => void): Unsubscribe {
+    return this.events.on('presence', listener);
+  }
+
+  onDelivered(listener: (event: DeliveredEvent) => void): Unsubscribe {
+    return this.events.on('delivered', listener);
+  }
+
+  private async sendHeartbeat(status: 'online' | 'offline'): Promise<void> {
+    if (!this.transport) {
+      return;
+    }
+    const recipients = await this.getHeartbeatRecipients();
+    if (recipients.length > 0) {
+      await this.transport.send(recipients, { type: 'presence', status, timestamp: Date.now() });
+    }
+  }
+
+  private handleSignal(senderId: string, signal: PresenceSignal): void {
+    if (!signal || typeof signal !== 'object') {
+      return;
+    }
+
+    // Any signal proves the sender is online - except an explicit offline
+    const wasOnline = this.getPresence(senderId).isOnline;
+    this.lastSeen.set(senderId, Date.now());
+    if (signal.type === 'presence' && signal.status === 'offline') {
+      this.offline.add(senderId);
+      this.clearTypingOf(senderId);
+    } else {
+      this.offline.delete(senderId);
+    }
+    this.scheduleOfflineCheck(senderId);
+
+    const state = this.getPresence(senderId);
+    if (state.isOnline !== wasOnline) {
+      this.events.emit('presence', state);
+
+      // Answer a new contact right away instead of at the next heartbeat
+      if (state.isOnline && signal.type === 'presence' && this.transport) {
+        Promise.resolve(this.transport.send([senderId], { type: 'presence', status: 'online', timestamp: Date.now() }))
+          .catch((error: Error) => console.warn('[PresenceService] Presence reply failed:', error));
+      }
+    }
+
+    if (signal.type === 'typing') {
+      this.updateTyping(signal.conversationId, senderId, signal.isTyping);
+    } else if (signal.type === 'delivered') {
+      this.events.emit('delivered', { conversationId: signal.conversationId, personId: senderId, receivedUpTo: signal.receivedUpTo });
+    }
+  }
+
+  // Emit the offline transition when heartbeats stop arriving
+  private scheduleOfflineCheck(personId: string): void {
+    clearTimeout(this.offlineTimers.get(personId));
+    const timer = setTimeout(() => {
+      this.offlineTimers.delete(personId);
+      const state = this.getPresence(personId);
+      if (!state.isOnline) {
+        this.clearTypingOf(personId);
+        this.events.emit('presence', state);
+      }
+    }, ONLINE_TIMEOUT_MS);
+    (timer as any).unref?.();
+    this.offlineTimers.set(personId, timer);
+  }
+
+  private updateTyping(conversationId: string, personId: string, isTyping: boolean): void {
+    let typers = this.typing.get(conversationId);
+    const wasTyping = typers?.has(personId) || false;
+    clearTimeout(typers?.get(personId));
+
+    if (!isTyping) {
+      typers?.delete(personId);
+      if (wasTyping) {
+        this.events.emit('typing', { conversationId, personId, isTyping: false });
+      }
+      return;
+    }
+
+    if (!typers) {
+      typers = new Map();
+      this.typing.set(conversationId, typers);
+    }
+    // Expires unless the sender refreshes it
+    const timer = setTimeout(() => this.updateTyping(conversationId, personId, false), TYPING_TIMEOUT_MS);
+    (timer as any).unref?.();
+    typers.set(personId, timer);
+
+    if (!wasTyping) {
+      this.events.emit('typing', { conversationId, personId, isTyping: true });
+    }
+  }
+
+  private clearTypingOf(personId: string): void {
+    for (const [conversationId, typers] of this.typing) {
+      if (typers.has(personId)) {
+        this.updateTyping(conversationId, personId, false);
+      }
+    }
+  }
+}
+
+const services = new WeakMap<object, PresenceService>();
+
+/**
+ * Get the shared PresenceService of a ONE.core instance (started on first use)
+ *
+ * Heartbeats go to all human contacts of the PersonDirectory.
+ *
+ * @param nodeOneCore - ONE.core instance; its presenceTransport is used if set,
+ *                      otherwise presence connections of its connectionsModel
+ */
+export function getPresenceService(nodeOneCore: any): PresenceService {
+  let service = services.get(nodeOneCore);
+  if (!service) {
+    const transport = nodeOneCore.presenceTransport || createConnectionPresenceTransport(nodeOneCore);
+    service = new PresenceService(transport, async () => {
+      if (!nodeOneCore.leuteModel) {
+        return [];
+      }
+      const entries = await getPersonDirectory(nodeOneCore.leuteModel).getAll();
+      return entries.filter(entry => !entry.isOwner && !entry.isAI).map(entry => entry.personId);
+    });
+    services.set(nodeOneCore, service);
+    service.start();
+  } else if (nodeOneCore.presenceTransport) {
+    service.setTransport(nodeOneCore.presenceTransport);
+  }
+  return service;
+}
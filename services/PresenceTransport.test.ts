@@ -0,0 +1,127 @@
+import { expect } from 'chai';
+import {
+  createConnectionPresenceTransport,
+  PRESENCE_ROUTE_GROUP,
+  PresenceConnection
+} from './PresenceTransport.js';
+import type { PresenceSignal } from './PresenceService.js';
+
+type KnownConnectionListener = (
+  connection: PresenceConnection,
+  myPersonId: string,
+  myInstanceId: string,
+  remotePersonId: string,
+  remoteInstanceId: string,
+  initiatedLocally: boolean,
+  routeGroupId: string
+) => void;
+
+/**
+ * ONE.core instance with the parts of a ConnectionsModel the transport uses
+ */
+function createInstance(): { nodeOneCore: any; connect: KnownConnectionListener } {
+  const listeners: KnownConnectionListener[] = [];
+  const nodeOneCore = {
+    connectionsModel: {
+      leuteConnectionsModule: {
+        config: {
+          incomingRoutesGroupIds: ['chum'],
+          outgoingRoutesGroupIds: ['chum']
+        },
+        onKnownConnection: {
+          listen(listener: KnownConnectionListener): () => void {
+            listeners.push(listener);
+            return () => listeners.splice(listeners.indexOf(listener), 1);
+          }
+        }
+      }
+    }
+  };
+  return {
+    nodeOneCore,
+    connect: (...args) => listeners.forEach(listener => listener(...args))
+  };
+}
+
+/**
+ * Two connected ends - what one end sends arrives at the other
+ */
+function createConnectionPair(): [PresenceConnection, PresenceConnection] {
+  const messageListeners: Array<Array<(message: string) => void>> = [[], []];
+  const closeListeners: Array<Array<() => void>> = [[], []];
+  const end = (own: number, other: number): PresenceConnection => ({
+    send: (message: string) => messageListeners[other].forEach(listener => listener(message)),
+    close: () => [own, other].forEach(side => closeListeners[side].forEach(listener => listener())),
+    onMessage: {
+      listen: listener => {
+        messageListeners[own].push(listener);
+        return () => messageListeners[own].splice(messageListeners[own].indexOf(listener), 1);
+      }
+    },
+    onClose: {
+      listen: listener => {
+        closeListeners[own].push(listener);
+        return () => closeListeners[own].splice(closeListeners[own].indexOf(listener), 1);
+      }
+    }
+  });
+  return [end(0, 1), end(1, 0)];
+}
+
+describe('PresenceTransport', () => {
+  const typing: PresenceSignal = { type: 'typing', conversationId: 'topic', isTyping: true, timestamp: 1 };
+
+  it('offers the presence route group next to chum', () => {
+    const { nodeOneCore } = createInstance();
+    createConnectionPresenceTransport(nodeOneCore);
+
+    const config = nodeOneCore.connectionsModel.leuteConnectionsModule.config;
+    expect(config.incomingRoutesGroupIds).to.deep.equal(['chum', PRESENCE_ROUTE_GROUP]);
+    expect(config.outgoingRoutesGroupIds).to.deep.equal(['chum', PRESENCE_ROUTE_GROUP]);
+  });
+
+  it('delivers a signal to the remote person over a presence connection', () => {
+    const alice = createInstance();
+    const bob = createInstance();
+    const aliceTransport = createConnectionPresenceTransport(alice.nodeOneCore)!;
+    const bobTransport = createConnectionPresenceTransport(bob.nodeOneCore)!;
+
+    const [aliceEnd, bobEnd] = createConnectionPair();
+    alice.connect(aliceEnd, 'alice', 'aliceInstance', 'bob', 'bobInstance', true, PRESENCE_ROUTE_GROUP);
+    bob.connect(bobEnd, 'bob', 'bobInstance', 'alice', 'aliceInstance', false, PRESENCE_ROUTE_GROUP);
+
+    const received: Array<{ senderId: string; signal: PresenceSignal }> = [];
+    bobTransport.onSignal((senderId, signal) => received.push({ senderId, signal }));
+    aliceTransport.send(['bob'], typing);
+
+    expect(received).to.deep.equal([{ senderId: 'alice', signal: typing }]);
+  });
+
+  it('ignores connections of other route groups and closed connections', () => {
+    const alice = createInstance();
+    const bob = createInstance();
+    const aliceTransport = createConnectionPresenceTransport(alice.nodeOneCore)!;
+    const bobTransport = createConnectionPresenceTransport(bob.nodeOneCore)!;
+
+    const [chumAlice, chumBob] = createConnectionPair();
+    alice.connect(chumAlice, 'alice', 'aliceInstance', 'bob', 'bobInstance', true, 'chum');
+    bob.connect(chumBob, 'bob', 'bobInstance', 'alice', 'aliceInstance', false, 'chum');
+    const [aliceEnd, bobEnd] = createConnectionPair();
+    alice.connect(aliceEnd, 'alice', 'aliceInstance', 'bob', 'bobInstance', true, PRESENCE_ROUTE_GROUP);
+    bob.connect(bobEnd, 'bob', 'bobInstance', 'alice', 'aliceInstance', false, PRESENCE_ROUTE_GROUP);
+    aliceEnd.close!();
+
+    const received: PresenceSignal[] = [];
+    bobTransport.onSignal((_senderId, signal) => received.push(signal));
+    aliceTransport.send(['bob'], typing);
+
+    expect(received).to.be.empty;
+  });
+
+  it('is not created without route group configuration', () => {
+    const { nodeOneCore } = createInstance();
+    delete nodeOneCore.connectionsModel.leuteConnectionsModule.config;
+
+    expect(createConnectionPresenceTransport(nodeOneCore)).to.equal(undefined);
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * Presence Transport (Chat Business Logic)
+ *
+ * Ephemeral transport for PresenceService signals (presence, typing, delivery
+ * acknowledgements) over the peer connections of the ConnectionsModel.
+ * Signals are JSON messages on connections of their own route group
+ * (PRESENCE_ROUTE_GROUP), so they never mix with the CHUM protocol and are
+ * never stored. A signal is sent to every open connection of a recipient
+ * (one per instance); persons without an open connection are skipped.
+ *
+ * The route group is offered next to the CHUM route group of the
+ * LeuteConnectionsModule (registerPresenceRouteGroup). Routes are set up when
+ * the ConnectionsModel initializes, so the presence service has to be created
+ * (or the route group registered) before connectionsModel.init().
+ */
+
+import type { PresenceSignal, PresenceTransport } from './PresenceService.js';
+
+/**
+ * Route group of presence connections (offered next to the CHUM route group)
+ */
+export const PRESENCE_ROUTE_GROUP = 'chatPresence';
+
+const MESSAGE_TYPE = 'chat.presence';
+
+// Route group of the CHUM connections - presence is offered wherever CHUM is
+const CHUM_ROUTE_GROUP = 'chum';
+
+/**
+ * Peer connection as provided by one.models (send and message events)
+ */
+export interface PresenceConnection {
+  send(message: string): void;
+  close?(reason?: string): void;
+  onMessage: { listen(listener: (message: Uint8Array | string) => void): () => void };
+  onClose?: { listen(listener: () => void): () => void };
+}
+
+/**
+ * ConnectionPresenceTransport - presence signals over open peer connections
+ */
+export class ConnectionPresenceTransport implements PresenceTransport {
+  private connections: Map<string, Set<PresenceConnection>>;  // personId -> open connections
+  private listeners: Set<(senderId: string, signal: PresenceSignal) => void>;
+
+  constructor() {
+    this.connections = new Map();
+    this.listeners = new Set();
+  }
+
+  /**
+   * Use a connection to a person until it closes
+   */
+  addConnection(personId: string, connection: PresenceConnection): void {
+    const id = String(personId);
+    let open = this.connections.get(id);
+    if (!open) {
+      open = new Set();
+      this.connections.set(id, open);
+    }
+    open.add(connection);
+
+    const removeMessageListener = connection.onMessage.listen(message => this.handleMessage(id, message));
+    const remove = (): void => {
+      removeMessageListener();
+      removeCloseListener?.();
+      this.removeConnection(id, connection);
+    };
+    const removeCloseListener = connection.onClose?.listen(remove);
+  }
+
+  send(recipients: string[], signal: PresenceSignal): void {
+    const message = JSON.stringify({ type: MESSAGE_TYPE, signal });
+    for (const recipient of recipients) {
+      for (const connection of this.connections.get(String(recipient)) || []) {
+        try {
+          connection.send(message);
+        } catch (error) {
+          // Best effort - a broken connection is dropped
+          console.warn('[PresenceTransport] Failed to send signal:', error);
+          this.removeConnection(String(recipient), connection);
+        }
+      }
+    }
+  }
+
+  onSignal(listener: (senderId: string, signal: PresenceSignal) => void): () => void {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  private removeConnection(personId: string, connection: PresenceConnection): void {
+    const open = this.connections.get(personId);
+    open?.delete(connection);
+    if (open?.size === 0) {
+      this.connections.delete(personId);
+    }
+  }
+
+  private handleMessage(senderId: string, message: Uint8Array | string): void {
+    let parsed: any;
+    try {
+      parsed = JSON.parse(typeof message === 'string' ? message : new TextDecoder().decode(message));
+    } catch (e) {
+      return;
+    }
+    if (parsed?.type !== MESSAGE_TYPE || !isPresenceSignal(parsed.signal)) {
+      return;
+    }
+    // The sender is the authenticated remote person of the connection, never a field of the message
+    for (const listener of this.listeners) {
+      listener(senderId, parsed.signal);
+    }
+  }
+}
+
+/**
+ * Offer the presence route group on the routes of a ConnectionsModel
+ *
+ * Adds PRESENCE_ROUTE_GROUP to every route group list of the
+ * LeuteConnectionsModule that contains the CHUM route group - incoming
+ * connections are accepted and outgoing ones established for both.
+ *
+ * @returns false if the ConnectionsModel has no route group configuration
+ */
+export function registerPresenceRouteGroup(connectionsModel: any): boolean {
+  const config = connectionsModel?.leuteConnectionsModule?.config;
+  const routeGroupLists = [config?.incomingRoutesGroupIds, config?.outgoingRoutesGroupIds]
+    .filter((groups: any): groups is string[] => Array.isArray(groups));
+  if (routeGroupLists.length === 0) {
+    return false;
+  }
+
+  for (const groups of routeGroupLists) {
+    if (groups.includes(CHUM_ROUTE_GROUP) && !groups.includes(PRESENCE_ROUTE_GROUP)) {
+      groups.push(PRESENCE_ROUTE_GROUP);
+    }
+  }
+  return true;
+}
+
+/**
+ * Create the presence transport of a ONE.core instance
+ *
+ * Registers the presence route group with the ConnectionsModel and uses its
+ * connections as they are established (leuteConnectionsModule.onKnownConnection).
+ *
+ * @returns undefined if the instance has no ConnectionsModel or it cannot offer the route group
+ */
+export function createConnectionPresenceTransport(nodeOneCore: any): ConnectionPresenceTransport | undefined {
+  const connectionsModel = nodeOneCore.connectionsModel;
+  const onKnownConnection = connectionsModel?.leuteConnectionsModule?.onKnownConnection;
+  if (!onKnownConnection?.listen) {
+    return undefined;
+  }
+  if (!registerPresenceRouteGroup(connectionsModel)) {
+    console.warn('[PresenceTransport] ConnectionsModel has no route groups - presence stays local');
+    return undefined;
+  }
+
+  const transport = new ConnectionPresenceTransport();
+  // Callback signature: (connection, myPersonId, myInstanceId, remotePersonId, remoteInstanceId, initiatedLocally, routeGroupId)
+  onKnownConnection.listen((
+    connection: PresenceConnection,
+    _myPersonId: any,
+    _myInstanceId: any,
+    remotePersonId: any,
+    _remoteInstanceId: any,
+    _initiatedLocally: boolean,
+    routeGroupId: string
+  ) => {
+    if (routeGroupId === PRESENCE_ROUTE_GROUP) {
+      transport.addConnection(String(remotePersonId), connection);
+    }
+  });
+  return transport;
+}
+
+function isPresenceSignal(signal: any): signal is PresenceSignal {
+  if (!signal || typeof signal !== 'object' || typeof signal.timestamp !== 'number') {
+    return false;
+  }
+  if (signal.type === 'typing') {
+    return typeof signal.conversationId === 'string' && typeof signal.isTyping === 'boolean';
+  }
+  if (signal.type === 'delivered') {
+    return typeof signal.conversationId === 'string' && Number.isFinite(signal.receivedUpTo);
+  }
+  return signal.type === 'presence' && (signal.status === 'online' || signal.status === 'offline');
+}
@@ -14,6 +14,7 @@ import type { SHA256IdHash } from '@refinio/one.core/lib/util/type-checks.js';
 import type { Person } from '@refinio/one.core/lib/recipes.js';
 import { storeVersionedObject } from '@refinio/one.core/lib/storage-versioned-objects.js';
 import { getObjectByIdHash } from '@refinio/one.core/lib/storage-versioned-objects.js';
+import { getPersonDirectory } from './PersonDirectory.js';
 
 // Avatar color generation
 function generateAvatarColor(personId: string): string {
@@ -127,6 +128,7 @@ export class ProfileService {
     };
 
     await storeVersionedObject(updatedPref);
+    getPersonDirectory(this.leuteModel).invalidate(personId);
 
     return {
       mood: mood,
@@ -0,0 +1,106 @@
+/**
+ * Reaction Service (Chat Business Logic)
+ *
+ * Builds ChatReaction objects and aggregates the reaction log of a topic
+ * into per-message reaction summaries.
+ *
+ * The channel only ever grows: adding and removing a reaction both append a
+ * ChatReaction. The latest action per (message, sender, emoji) decides whether
+ * the reaction is currently set.
+ *
+ * Reactions name the channel entry of the message besides its ChatMessage
+ * hash: two identical messages of a sender share a hash, but not their
+ * reactions.
+ */
+
+import type { SHA256Hash, SHA256IdHash } from '@refinio/one.core/lib/util/type-checks.js';
+import type { Person } from '@refinio/one.core/lib/recipes.js';
+import type { ChatMessage } from '@refinio/one.models/lib/recipes/ChatRecipes.js';
+import type { ChatReaction } from '../types/OneObjectInterfaces.js';
+
+/**
+ * Aggregated reaction on a single message
+ */
+export interface MessageReactionSummary {
+  emoji: string;
+  count: number;
+  reactedByMe: boolean;
+  reactors: string[];  // Person IDs, in order of reaction
+}
+
+/**
+ * Create a ChatReaction object
+ *
+ * @param message - ObjectData<ChatMessage> of the message (channel entry)
+ * @throws If the message has no channel entry id
+ */
+export function createReaction(
+  message: { id?: string; dataHash: SHA256Hash<ChatMessage> },
+  sender: SHA256IdHash<Person>,
+  emoji: string,
+  action: 'add' | 'remove'
+): ChatReaction {
+  if (!message.id) {
+    throw new Error('Reactions need the channel entry of the message');
+  }
+
+  return {
+    $type$: 'ChatReaction',
+    message: message.dataHash,
+    entry: String(message.id),
+    sender,
+    emoji,
+    action,
+    timestamp: Date.now()
+  };
+}
+
+/**
+ * Aggregate ChatReaction channel entries by message
+ *
+ * @param entries - ObjectData<ChatReaction> entries from the topic channel
+ * @param myId - Person ID of the local user (for reactedByMe)
+ * @returns Map of message channel entry id -> reaction summaries (ordered by first reaction)
+ */
+export function aggregateReactions(entries: any[], myId?: string): Map<string, MessageReactionSummary[]> {
+  // Latest reaction per message entry + sender + emoji
+  const latest = new Map<string, ChatReaction>();
+  for (const entry of entries) {
+    const reaction = entry.data as ChatReaction;
+    if (!reaction?.entry || !reaction.emoji) {
+      continue;
+    }
+    // The channel entry author is authenticated - a reaction claiming another sender is dropped
+    if (!entry.author || (reaction.sender && String(reaction.sender) !== String(entry.author))) {
+      continue;
+    }
+    const sender = String(entry.author);
+    const key = `${reaction.entry}|${sender}|${reaction.emoji}`;
+    const previous = latest.get(key);
+    if (!previous || previous.timestamp <= reaction.timestamp) {
+      latest.set(key, { ...reaction, sender: sender as SHA256IdHash<Person> });
+    }
+  }
+
+  const activeReactions = Array.from(latest.values())
+    .filter(reaction => reaction.action === 'add')
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  const byMessage = new Map<string, MessageReactionSummary[]>();
+  for (const reaction of activeReactions) {
+    const summaries = byMessage.get(reaction.entry) || [];
+    let summary = summaries.find(s => s.emoji === reaction.emoji);
+    if (!summary) {
+      summary = { emoji: reaction.emoji, count: 0, reactedByMe: false, reactors: [] };
+      summaries.push(summary);
+    }
+    summary.count++;
+    summary.reactors.push(String(reaction.sender));
+    if (myId && String(reaction.sender) === String(myId)) {
+      summary.reactedByMe = true;
+    }
+    byMessage.set(reaction.entry, summaries);
+  }
+
+  return byMessage;
+}
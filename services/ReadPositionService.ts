@@ -0,0 +1,109 @@
+/**
+ * Read Position Service (Chat Business Logic)
+ *
+ * Tracks how far each user has read in each topic:
+ * - ChatReadPosition (local, versioned per topic + person) drives unread counts
+ * - ChatReadReceipt (optional, posted to the topic channel) lets other
+ *   participants show "seen by" on messages
+ *
+ * Read positions only move forward - marking an older message as read is a no-op,
+ * except that it still shares a receipt for the current position if that was not
+ * shared yet. Receipts are attributed to the channel entry author, never to
+ * their reader field.
+ */
+
+import type { SHA256Hash, SHA256IdHash } from '@refinio/one.core/lib/util/type-checks.js';
+import type { Person } from '@refinio/one.core/lib/recipes.js';
+import type { ChatMessage } from '@refinio/one.models/lib/recipes/ChatRecipes.js';
+import type { ChatReadPosition, ChatReadReceipt } from '../types/OneObjectInterfaces.js';
+import { storeVersionedObject, getObjectByIdHash } from '@refinio/one.core/lib/storage-versioned-objects.js';
+import { calculateIdHashOfObj } from '@refinio/one.core/lib/util/object.js';
+import { postToTopicChannel, getTopicObjects } from './TopicChannelService.js';
+
+/**
+ * Get the read position of a person in a topic (undefined if nothing was read yet)
+ */
+export async function getReadPosition(topicId: string, personId: SHA256IdHash<Person>): Promise<ChatReadPosition | undefined> {
+  try {
+    const idHash = await calculateIdHashOfObj({
+      $type$: 'ChatReadPosition',
+      topicId,
+      person: personId
+    } as any);
+    const result = await getObjectByIdHash<ChatReadPosition>(idHash as any);
+    return result?.obj;
+  } catch (e) {
+    // No read position stored yet
+    return undefined;
+  }
+}
+
+/**
+ * Mark a topic as read up to a message
+ *
+ * @param readUpTo - Creation time of the last read message
+ * @param messageHash - Hash of the last read ChatMessage
+ * @param shareReceipt - Post a ChatReadReceipt to the topic channel (for the effective position)
+ * @returns The effective read position (unchanged if it was already further)
+ */
+export async function markRead(
+  channelManager: any,
+  topicId: string,
+  personId: SHA256IdHash<Person>,
+  readUpTo: number,
+  messageHash?: SHA256Hash<ChatMessage>,
+  shareReceipt: boolean = false
+): Promise<ChatReadPosition> {
+  const current = await getReadPosition(topicId, personId);
+  const advanced = !current || current.readUpTo < readUpTo;
+  let position: ChatReadPosition = advanced
+    ? {
+      $type$: 'ChatReadPosition',
+      topicId,
+      person: personId,
+      readUpTo,
+      ...(messageHash && { message: messageHash }),
+      ...(current?.sharedUpTo !== undefined && { sharedUpTo: current.sharedUpTo }),
+      updatedAt: Date.now()
+    }
+    : current;
+
+  if (shareReceipt && (position.sharedUpTo || 0) < position.readUpTo) {
+    const receipt: ChatReadReceipt = {
+      $type$: 'ChatReadReceipt',
+      topicId,
+      reader: personId,
+      readUpTo: position.readUpTo,
+      ...(position.message && { message: position.message }),
+      timestamp: Date.now()
+    };
+    await postToTopicChannel(channelManager, topicId, receipt);
+    position = { ...position, sharedUpTo: position.readUpTo, updatedAt: Date.now() };
+    await storeVersionedObject(position);
+  } else if (advanced) {
+    await storeVersionedObject(position);
+  }
+
+  return position;
+}
+
+/**
+ * Get the latest shared read position of every participant in a topic
+ *
+ * @returns Map of Person ID -> readUpTo (from ChatReadReceipt objects)
+ */
+export async function getReadReceipts(channelManager: any, topicId: string): Promise<Map<string, number>> {
+  const receipts = new Map<string, number>();
+  const entries = await getTopicObjects(channelManager, topicId, 'ChatReadReceipt');
+  for (const entry of entries) {
+    const receipt = entry.data as ChatReadReceipt;
+    if (!entry.author || receipt?.topicId !== topicId || String(receipt.reader) !== String(entry.author)) {
+      continue;
+    }
+    const reader = String(entry.author);
+    if ((receipts.get(reader) || 0) < receipt.readUpTo) {
+      receipts.set(reader, receipt.readUpTo);
+    }
+  }
+  return receipts;
+}
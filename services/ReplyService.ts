@@ -0,0 +1,90 @@
+/**
+ * Reply Service (Chat Business Logic)
+ *
+ * Reply references and their resolution:
+ * - the parent of a reply is the replyTo field of the ChatMessage itself
+ *   (parent ChatMessage hash), so it is stored and synced together with the message
+ * - reply index (message -> quoted parent)
+ * - thread collection (root message + all replies below it)
+ */
+
+import type { SHA256Hash } from '@refinio/one.core/lib/util/type-checks.js';
+import { getObject } from '@refinio/one.core/lib/storage-unversioned-objects.js';
+
+const QUOTE_SNIPPET_LENGTH = 100;
+
+/**
+ * Attachments of a stored message
+ */
+export interface MessageAttachments {
+  files: Array<{ ref: string; attachment?: any }>;  // ChatAttachment hash and object (undefined if not loadable)
+}
+
+/**
+ * Load the ChatAttachment objects of an ObjectData<ChatMessage> entry
+ */
+export async function loadMessageAttachments(message: any): Promise<MessageAttachments> {
+  const result: MessageAttachments = { files: [] };
+  for (const ref of message.data?.attachments || []) {
+    try {
+      const attachment = await getObject(ref as SHA256Hash) as any;
+      result.files.push({ ref: String(ref), attachment });
+    } catch (error) {
+      console.error('[ReplyService] Failed to fetch ChatAttachment:', ref, error);
+      result.files.push({ ref: String(ref) });
+    }
+  }
+  return result;
+}
+
+/**
+ * Build reply index from ObjectData<ChatMessage> entries (their replyTo field)
+ *
+ * @returns Map of ChatMessage hash -> parent ChatMessage hash
+ */
+export function buildReplyIndex(messages: any[]): Map<string, string> {
+  const replyIndex = new Map<string, string>();
+  for (const msg of messages) {
+    const replyTo = msg.data?.replyTo;
+    if (msg.dataHash && replyTo && String(replyTo) !== String(msg.dataHash)) {
+      replyIndex.set(String(msg.dataHash), String(replyTo));
+    }
+  }
+  return replyIndex;
+}
+
+/**
+ * Collect a thread: the root message hash plus all (transitive) replies to it
+ */
+export function collectThread(rootHash: string, replyIndex: Map<string, string>): Set<string> {
+  // Invert index: parent -> children
+  const children = new Map<string, string[]>();
+  for (const [child, parent] of replyIndex) {
+    const list = children.get(parent) || [];
+    list.push(child);
+    children.set(parent, list);
+  }
+
+  const thread = new Set<string>([rootHash]);
+  const queue = [rootHash];
+  while (queue.length > 0) {
+    const current = queue.shift() as string;
+    for (const child of children.get(current) || []) {
+      if (!thread.has(child)) {
+        thread.add(child);
+        queue.push(child);
+      }
+    }
+  }
+  return thread;
+}
+
+/**
+ * Create a short quote snippet from message text
+ */
+export function createQuoteSnippet(text: string | undefined): string {
+  const snippet = (text || '').replace(/\s+/g, ' ').trim();
+  return snippet.length > QUOTE_SNIPPET_LENGTH
+    ? snippet.substring(0, QUOTE_SNIPPET_LENGTH) + '...'
+    : snippet;
+}
@@ -0,0 +1,217 @@
+/**
+ * Speech Synthesis Service (Chat Business Logic)
+ *
+ * Reads messages aloud with the active TTS model. The synthesis itself is
+ * done by an injected SpeechSynthesisEngine (transformers.js, onnx-runtime,
+ * a remote API or a deterministic fake in tests); this service picks the
+ * model, caches the audio per message + voice (ChatSpeech) and keeps the
+ * per-topic auto-speak settings (ChatAutoSpeak).
+ *
+ * Voices: a preset name understood by the engine, or the BLOB hash of
+ * reference audio for models with the 'voice-cloning' capability.
+ */
+
+import type { SHA256Hash, SHA256IdHash } from '@refinio/one.core/lib/util/type-checks.js';
+import type { Person, BLOB } from '@refinio/one.core/lib/recipes.js';
+import type { ChatMessage } from '@refinio/one.models/lib/recipes/ChatRecipes.js';
+import type { ChatSpeech, ChatAutoSpeak, TTS } from '../types/OneObjectInterfaces.js';
+import { storeVersionedObject, getObjectByIdHash } from '@refinio/one.core/lib/storage-versioned-objects.js';
+import { storeArrayBufferAsBlob, readBlobAsArrayBuffer } from '@refinio/one.core/lib/storage-blob.js';
+import { calculateIdHashOfObj } from '@refinio/one.core/lib/util/object.js';
+import { findReadyModel } from './LocalModels.js';
+
+export interface SpeechSynthesisOptions {
+  model: TTS;
+  voice?: string;                // Preset name (undefined = model default)
+  referenceAudio?: ArrayBuffer;  // Voice cloning: audio of the voice to imitate
+}
+
+export interface SpeechSynthesisResult {
+  audio: ArrayBuffer | Uint8Array;
+  mimeType: string;   // e.g. 'audio/wav'
+  sampleRate?: number;
+  duration?: number;  // Seconds
+}
+
+/**
+ * Speech synthesis backend (injected by the platform)
+ */
+export interface SpeechSynthesisEngine {
+  synthesize(text: string, options: SpeechSynthesisOptions): Promise<SpeechSynthesisResult>;
+}
+
+/**
+ * Rendered audio of a message
+ */
+export interface MessageSpeech {
+  hash: string;  // Audio BLOB hash
+  mimeType: string;
+  model: string;
+  voice?: string;
+  sampleRate?: number;
+  duration?: number;
+  cached: boolean;  // Served from the ChatSpeech cache
+}
+
+export interface AutoSpeakSettings {
+  enabled: boolean;
+  voice?: string;
+}
+
+const BLOB_HASH = /^[0-9a-f]{64}$/;
+
+/**
+ * SpeechSynthesisService - read-aloud with the active TTS model
+ */
+export class SpeechSynthesisService {
+  private engine: SpeechSynthesisEngine;
+  private modelNames: string[];
+  private queue: Promise<void>;  // Models run one job at a time
+  private autoSpeak: Map<string, AutoSpeakSettings>;  // topicId -> settings of the owner
+
+  /**
+   * @param modelNames - Installed TTS models (TTS.name) in order of preference
+   */
+  constructor(engine: SpeechSynthesisEngine, modelNames: string[]) {
+    this.engine = engine;
+    this.modelNames = modelNames;
+    this.queue = Promise.resolve();
+    this.autoSpeak = new Map();
+  }
+
+  /**
+   * Get the model speech is rendered with (undefined if none is ready)
+   */
+  async getActiveModel(): Promise<TTS | undefined> {
+    return await findReadyModel<TTS>('TTS', this.modelNames);
+  }
+
+  /**
+   * Render a message (or return the cached audio)
+   *
+   * @param text - Current text of the message
+   * @throws If no TTS model is ready or the voice does not fit the model
+   */
+  async synthesize(messageHash: SHA256Hash<ChatMessage>, text: string, voice?: string): Promise<MessageSpeech> {
+    const spoken = text.trim();
+    if (!spoken) {
+      throw new Error('Message has no text to read');
+    }
+
+    const model = await this.getActiveModel();
+    if (!model) {
+      throw new Error('No text-to-speech model is ready');
+    }
+
+    const cached = await this.getCached(messageHash, voice || '');
+    if (cached && cached.text === spoken && cached.model === model.name) {
+      return toMessageSpeech(cached, true);
+    }
+
+    const run = this.queue.then(() => this.render(messageHash, spoken, model, voice));
+    this.queue = run.then(() => undefined, () => undefined);
+    return toMessageSpeech(await run, false);
+  }
+
+  /**
+   * Get the auto-speak setting of a person for a topic
+   */
+  async getAutoSpeak(topicId: string, personId: SHA256IdHash<Person>): Promise<AutoSpeakSettings> {
+    const known = this.autoSpeak.get(topicId);
+    if (known) {
+      return known;
+    }
+
+    let settings: AutoSpeakSettings = { enabled: false };
+    try {
+      const idHash = await calculateIdHashOfObj({
+        $type$: 'ChatAutoSpeak',
+        topicId,
+        person: personId
+      } as any);
+      const result = await getObjectByIdHash<ChatAutoSpeak>(idHash as any);
+      if (result?.obj) {
+        settings = { enabled: result.obj.enabled, ...(result.obj.voice && { voice: result.obj.voice }) };
+      }
+    } catch (e) {
+      // Never configured
+    }
+    this.autoSpeak.set(topicId, settings);
+    return settings;
+  }
+
+  async setAutoSpeak(topicId: string, personId: SHA256IdHash<Person>, settings: AutoSpeakSettings): Promise<AutoSpeakSettings> {
+    const stored: ChatAutoSpeak = {
+      $type$: 'ChatAutoSpeak',
+      topicId,
+      person: personId,
+      enabled: settings.enabled,
+      ...(settings.voice && { voice: settings.voice }),
+      updatedAt: Date.now()
+    };
+    await storeVersionedObject(stored);
+
+    const result = { enabled: stored.enabled, ...(stored.voice && { voice: stored.voice }) };
+    this.autoSpeak.set(topicId, result);
+    return result;
+  }
+
+  private async render(messageHash: SHA256Hash<ChatMessage>, text: string, model: TTS, voice?: string): Promise<ChatSpeech> {
+    const options: SpeechSynthesisOptions = { model };
+    if (voice && BLOB_HASH.test(voice)) {
+      if (!model.capabilities?.includes('voice-cloning')) {
+        throw new Error(`Model ${model.name} does not support voice cloning`);
+      }
+      options.referenceAudio = await readBlobAsArrayBuffer(voice as SHA256Hash<BLOB>);
+    } else if (voice) {
+      options.voice = voice;
+    }
+
+    const result = await this.engine.synthesize(text, options);
+    const bytes = result.audio instanceof Uint8Array ? result.audio : new Uint8Array(result.audio);
+    if (bytes.length === 0) {
+      throw new Error('Speech synthesis returned no audio');
+    }
+    const blob = await storeArrayBufferAsBlob(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength) as ArrayBuffer);
+
+    const speech: ChatSpeech = {
+      $type$: 'ChatSpeech',
+      message: messageHash,
+      voice: voice || '',
+      text,
+      model: model.name,
+      audio: String(blob.hash),
+      mimeType: result.mimeType,
+      sampleRate: result.sampleRate ?? model.sampleRate,
+      ...(result.duration !== undefined && { duration: result.duration }),
+      createdAt: Date.now()
+    };
+    await storeVersionedObject(speech);
+
+    console.log(`[SpeechSynthesisService] Rendered ${String(messageHash).substring(0, 8)} with ${model.name} (${bytes.length} bytes)`);
+    return speech;
+  }
+
+  private async getCached(messageHash: SHA256Hash<ChatMessage>, voice: string): Promise<ChatSpeech | undefined> {
+    try {
+      const idHash = await calculateIdHashOfObj({ $type$: 'ChatSpeech', message: messageHash, voice } as any);
+      const result = await getObjectByIdHash<ChatSpeech>(idHash as any);
+      return result?.obj;
+    } catch (e) {
+      // Not rendered yet
+      return undefined;
+    }
+  }
+}
+
+function toMessageSpeech(speech: ChatSpeech, cached: boolean): MessageSpeech {
+  return {
+    hash: speech.audio,
+    mimeType: speech.mimeType,
+    model: speech.model,
+    ...(speech.voice && { voice: speech.voice }),
+    ...(speech.sampleRate !== undefined && { sampleRate: speech.sampleRate }),
+    ...(speech.duration !== undefined && { duration: speech.duration }),
+    cached
+  };
+}
@@ -0,0 +1,91 @@
+/**
+ * System Event Service (Chat Business Logic)
+ *
+ * Builds ChatSystemEvent objects (participants added, removed, left,
+ * conversation edited), reads them for a message window and renders them as
+ * system lines.
+ */
+
+import type { SHA256IdHash } from '@refinio/one.core/lib/util/type-checks.js';
+import type { Person } from '@refinio/one.core/lib/recipes.js';
+import type { ChatSystemEvent, ChatSystemEventType } from '../types/OneObjectInterfaces.js';
+import { getEntryPosition, iterateTopicObjects } from './TopicChannelService.js';
+
+/**
+ * Create a ChatSystemEvent object
+ */
+export function createSystemEvent(
+  topicId: string,
+  event: ChatSystemEventType,
+  actor: SHA256IdHash<Person>,
+  subjects?: SHA256IdHash<Person>[],
+  update?: Pick<ChatSystemEvent, 'changes' | 'name'>
+): ChatSystemEvent {
+  return {
+    $type$: 'ChatSystemEvent',
+    topicId,
+    event,
+    actor,
+    ...(subjects && subjects.length > 0 && { subjects }),
+    ...(update?.changes && update.changes.length > 0 && { changes: update.changes }),
+    ...(update?.name !== undefined && { name: update.name }),
+    timestamp: Date.now()
+  };
+}
+
+/**
+ * Read system events of a topic created in a time window (exclusive bounds)
+ *
+ * @returns Channel entries, oldest first
+ */
+export async function getSystemEventsBetween(
+  channelManager: any,
+  topicId: string,
+  after: number,
+  before: number = Number.POSITIVE_INFINITY
+): Promise<any[]> {
+  if (!channelManager) {
+    return [];
+  }
+
+  const events: any[] = [];
+  for await (const entry of iterateTopicObjects(channelManager, topicId, 'ChatSystemEvent')) {
+    const time = getEntryPosition(entry).time;
+    if (time <= after) {
+      break;
+    }
+    if (time < before && (entry.data as ChatSystemEvent)?.topicId === topicId) {
+      events.push(entry);
+    }
+  }
+  return events.reverse();
+}
+
+/**
+ * Render a system event as text ("Alice removed Bob")
+ *
+ * @param names - Display names of actor and subjects
+ */
+export function describeSystemEvent(event: ChatSystemEvent, names: Map<string, string>): string {
+  const actor = names.get(String(event.actor)) || 'Someone';
+  const subjects = (event.subjects || []).map(id => names.get(String(id)) || 'someone').join(', ');
+
+  switch (event.event) {
+    case 'participants-added':
+      return `${actor} added ${subjects}`;
+    case 'participants-removed':
+      return `${actor} removed ${subjects}`;
+    case 'participant-left':
+      return `${actor} left`;
+    case 'conversation-updated':
+      if (event.changes?.includes('name') && event.name !== undefined) {
+        return `${actor} renamed the conversation to "${event.name}"`;
+      }
+      if (event.changes?.includes('avatar') && !event.changes.includes('description')) {
+        return `${actor} changed the conversation picture`;
+      }
+      return `${actor} changed the conversation details`;
+    default:
+      return `${actor} changed the conversation`;
+  }
+}
@@ -0,0 +1,432 @@
+/**
+ * Topic Channel Service
+ *
+ * Platform-agnostic helpers for sharing auxiliary chat objects (reactions,
+ * receipts, markers, ...) through a topic's channel.
+ *
+ * Objects posted here travel exactly like ChatMessage: they are appended to the
+ * topic channel and CHUM syncs them to every participant of the topic.
+ * The channel is addressed by topic ID (same key used for channel settings).
+ *
+ * Group topics whose participants were removed moved to a new channel; the
+ * readers here also read the earlier channels (ChatChannelHistory), so the
+ * history before the removal stays visible to the remaining participants.
+ */
+
+import { storeUnversionedObject } from '@refinio/one.core/lib/storage-unversioned-objects.js';
+import { storeVersionedObject, getObjectByIdHash } from '@refinio/one.core/lib/storage-versioned-objects.js';
+import { calculateIdHashOfObj } from '@refinio/one.core/lib/util/object.js';
+import type { ChatChannelHistory } from '../types/OneObjectInterfaces.js';
+
+/**
+ * Post an object to the channel of a topic
+ *
+ * @param channelManager - The ChannelManager instance
+ * @param topicId - The topic ID (channel ID)
+ * @param obj - Unversioned ONE object to share with all topic participants
+ */
+export async function postToTopicChannel(channelManager: any, topicId: string, obj: any): Promise<void> {
+  if (!channelManager) {
+    throw new Error('ChannelManager not initialized');
+  }
+
+  await channelManager.postToChannel(topicId, obj);
+}
+
+/**
+ * Attachment of a ChatMessage (stored as a ChatAttachment object)
+ */
+export interface ChatMessageAttachment {
+  hash: string;  // BLOB (or other object) hash
+  type: string;
+  metadata?: Record<string, any>;
+}
+
+/**
+ * Store a ChatMessage and post it to the channel of a topic
+ *
+ * The message object is built here, so its hash is known without searching
+ * the channel for the text afterwards.
+ *
+ * @returns Hash of the ChatMessage and id of the new channel entry (undefined
+ *   if the entry is not readable yet)
+ */
+export async function postChatMessage(
+  channelManager: any,
+  topicId: string,
+  message: { text: string; sender: string; attachments?: ChatMessageAttachment[]; replyTo?: string }
+): Promise<{ hash: string; id?: string }> {
+  if (!channelManager) {
+    throw new Error('ChannelManager not initialized');
+  }
+
+  const attachmentHashes: string[] = [];
+  for (const attachment of message.attachments || []) {
+    const stored = await storeUnversionedObject({
+      $type$: 'ChatAttachment',
+      hash: attachment.hash,
+      type: attachment.type,
+      ...(attachment.metadata && { metadata: attachment.metadata })
+    } as any);
+    attachmentHashes.push(String(stored.hash));
+  }
+
+  const chatMessage: any = {
+    $type$: 'ChatMessage',
+    text: message.text,
+    sender: message.sender,
+    ...(attachmentHashes.length > 0 && { attachments: attachmentHashes }),
+    ...(message.replyTo && { replyTo: message.replyTo })
+  };
+  const stored = await storeUnversionedObject(chatMessage);
+  const hash = String(stored.hash);
+
+  await channelManager.postToChannel(topicId, chatMessage);
+
+  // Identical messages share the hash - the newest entry with it is the one just posted
+  const entry = await findLatestTopicObject(
+    channelManager,
+    topicId,
+    'ChatMessage',
+    (candidate: any) => String(candidate.dataHash) === hash
+  );
+  return { hash, id: entry?.id };
+}
+
+/**
+ * Get the channels a topic used before its current one (ChannelInfo id hashes, oldest first)
+ */
+export async function getPreviousChannels(topicId: string): Promise<string[]> {
+  try {
+    const idHash = await calculateIdHashOfObj({ $type$: 'ChatChannelHistory', topicId } as any);
+    const result = await getObjectByIdHash<ChatChannelHistory>(idHash as any);
+    return result?.obj?.channels || [];
+  } catch (e) {
+    // Topic never changed its channel
+    return [];
+  }
+}
+
+/**
+ * Record that a topic moved away from a channel
+ *
+ * @returns Id hash of the ChatChannelHistory (to share it with the participants)
+ */
+export async function addPreviousChannel(topicId: string, channelInfoIdHash: string): Promise<string> {
+  const channels = await getPreviousChannels(topicId);
+  const history: ChatChannelHistory = {
+    $type$: 'ChatChannelHistory',
+    topicId,
+    channels: channels.includes(channelInfoIdHash) ? channels : [...channels, channelInfoIdHash],
+    updatedAt: Date.now()
+  };
+  const result = await storeVersionedObject(history);
+  return String(result.idHash);
+}
+
+/**
+ * Iterate the objects of a type in a topic newest-first, across the current
+ * and all earlier channels of the topic
+ */
+export async function* iterateTopicObjects(channelManager: any, topicId: string, type: string): AsyncGenerator<any> {
+  const previous = await getPreviousChannels(topicId);
+  const current = channelManager.objectIteratorWithType(type, { channelId: topicId });
+  if (previous.length === 0) {
+    yield* current;
+    return;
+  }
+
+  // Merge both newest-first streams; an entry can show up in both
+  const sources: AsyncIterator<any>[] = [
+    current[Symbol.asyncIterator](),
+    channelManager.objectIteratorWithType(type, { channelInfoIdHashes: previous })[Symbol.asyncIterator]()
+  ];
+  const heads = await Promise.all(sources.map(source => source.next()));
+  const seen = new Set<string>();
+  for (;;) {
+    let newest = -1;
+    for (let i = 0; i < heads.length; i++) {
+      if (heads[i].done) {
+        continue;
+      }
+      if (newest < 0 || comparePositions(getEntryPosition(heads[i].value), getEntryPosition(heads[newest].value)) > 0) {
+        newest = i;
+      }
+    }
+    if (newest < 0) {
+      return;
+    }
+
+    const entry = heads[newest].value;
+    heads[newest] = await sources[newest].next();
+    const key = entryKey(entry);
+    if (!seen.has(key)) {
+      seen.add(key);
+      yield entry;
+    }
+  }
+}
+
+function entryKey(entry: any): string {
+  return entry.id ? String(entry.id) : `${getEntryPosition(entry).time}:${entry.dataHash}`;
+}
+
+function dedupeEntries(entries: any[]): any[] {
+  const seen = new Set<string>();
+  return entries.filter(entry => {
+    const key = entryKey(entry);
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Get all objects of a type from the channel of a topic
+ *
+ * @param channelManager - The ChannelManager instance
+ * @param topicId - The topic ID (channel ID)
+ * @param type - The $type$ of the objects to retrieve
+ * @returns ObjectData entries (data, dataHash, author, creationTime), oldest first
+ */
+export async function getTopicObjects(channelManager: any, topicId: string, type: string): Promise<any[]> {
+  if (!channelManager) {
+    return [];
+  }
+
+  try {
+    const previous = await getPreviousChannels(topicId);
+    const entries = await channelManager.getObjectsWithType(type, { channelId: topicId }) || [];
+    if (previous.length === 0) {
+      return entries;
+    }
+
+    const earlier = await channelManager.getObjectsWithType(type, { channelInfoIdHashes: previous }) || [];
+    return dedupeEntries([...earlier, ...entries])
+      .sort((a, b) => comparePositions(getEntryPosition(a), getEntryPosition(b)));
+  } catch (error) {
+    console.warn(`[TopicChannelService] Failed to read ${type} objects for topic ${topicId}:`, error);
+    return [];
+  }
+}
+
+/**
+ * Get the objects of a type posted at or after a time, oldest first
+ *
+ * Stops reading at the first older entry, so the cost follows the range
+ * instead of the size of the topic.
+ */
+export async function getTopicObjectsSince(channelManager: any, topicId: string, type: string, since: number): Promise<any[]> {
+  if (!channelManager) {
+    return [];
+  }
+
+  const entries: any[] = [];
+  try {
+    for await (const entry of iterateTopicObjects(channelManager, topicId, type)) {
+      if (getEntryPosition(entry).time < since) {
+        break;
+      }
+      entries.push(entry);
+    }
+  } catch (error) {
+    console.warn(`[TopicChannelService] Failed to read ${type} objects for topic ${topicId}:`, error);
+  }
+  return entries.reverse();
+}
+
+/**
+ * Find the newest object of a type in the channel of a topic that matches a predicate
+ *
+ * Iterates newest-first and stops at the first match, so recently posted objects
+ * are found without loading the whole channel.
+ *
+ * @param channelManager - The ChannelManager instance
+ * @param topicId - The topic ID (channel ID)
+ * @param type - The $type$ of the objects to search
+ * @param predicate - Match function for ObjectData entries
+ * @param maxEntries - Give up after inspecting this many entries
+ */
+export async function findLatestTopicObject(
+  channelManager: any,
+  topicId: string,
+  type: string,
+  predicate: (entry: any) => boolean,
+  maxEntries: number = 50
+): Promise<any | undefined> {
+  if (!channelManager) {
+    return undefined;
+  }
+
+  let inspected = 0;
+  for await (const entry of iterateTopicObjects(channelManager, topicId, type)) {
+    if (predicate(entry)) {
+      return entry;
+    }
+    if (++inspected >= maxEntries) {
+      break;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Position of a channel entry in the (creationTime, dataHash) order
+ */
+export interface EntryPosition {
+  time: number;
+  hash?: string;
+}
+
+/**
+ * Options for reading one page of a topic channel
+ */
+export interface TopicPageOptions {
+  limit: number;
+  before?: EntryPosition;  // Only entries strictly older than this position
+  after?: EntryPosition;   // Only entries strictly newer than this position
+  skip?: number;           // Legacy offset: skip this many newest entries
+  notBefore?: number;      // Ignore entries created at or before this time (clear marker)
+  accept?: (entry: any) => boolean;  // Skip entries this returns false for (they never count towards the page)
+}
+
+/**
+ * One page of channel entries (oldest first)
+ */
+export interface TopicPage {
+  entries: any[];
+  hasOlder: boolean;
+  hasNewer: boolean;
+  exhausted: boolean;  // True if the whole (visible) channel was read
+}
+
+/**
+ * Get the position of a channel entry
+ */
+export function getEntryPosition(entry: any): EntryPosition {
+  return {
+    time: entry.creationTime ? new Date(entry.creationTime).getTime() : 0,
+    hash: entry.dataHash ? String(entry.dataHash) : undefined
+  };
+}
+
+/**
+ * Compare two positions (time first, hash breaks ties)
+ */
+export function comparePositions(a: EntryPosition, b: EntryPosition): number {
+  if (a.time !== b.time) {
+    return a.time - b.time;
+  }
+  if (!a.hash || !b.hash || a.hash === b.hash) {
+    return 0;
+  }
+  return a.hash < b.hash ? -1 : 1;
+}
+
+/**
+ * Encode an entry position as an opaque, stable pagination cursor
+ */
+export function encodeCursor(position: EntryPosition): string {
+  return btoa(JSON.stringify({ t: position.time, h: position.hash }));
+}
+
+/**
+ * Decode a pagination cursor (undefined if the string is not a cursor)
+ */
+export function decodeCursor(cursor: string): EntryPosition | undefined {
+  try {
+    const decoded = JSON.parse(atob(cursor));
+    if (typeof decoded?.t !== 'number') {
+      return undefined;
+    }
+    return { time: decoded.t, hash: typeof decoded.h === 'string' ? decoded.h : undefined };
+  } catch (e) {
+    return undefined;
+  }
+}
+
+/**
+ * Read one page of objects of a type from the channel of a topic
+ *
+ * Iterates the channel newest-first and stops as soon as the page is complete,
+ * so the cost depends on the page position, not on the total history.
+ *
+ * @param channelManager - The ChannelManager instance
+ * @param topicId - The topic ID (channel ID)
+ * @param type - The $type$ of the objects to read
+ * @param options - Page window
+ */
+export async function readTopicPage(
+  channelManager: any,
+  topicId: string,
+  type: string,
+  options: TopicPageOptions
+): Promise<TopicPage> {
+  if (!channelManager) {
+    return { entries: [], hasOlder: false, hasNewer: false, exhausted: true };
+  }
+
+  const { limit, before, after, skip = 0, notBefore, accept } = options;
+  const collected: any[] = [];
+  let hasOlder = false;
+  let hasNewer = false;
+  let exhausted = true;
+  let skipped = 0;
+
+  for await (const entry of iterateTopicObjects(channelManager, topicId, type)) {
+    const position = getEntryPosition(entry);
+
+    // Everything from here on is older than the clear marker
+    if (notBefore && position.time <= notBefore) {
+      break;
+    }
+
+    if (accept && !accept(entry)) {
+      continue;
+    }
+
+    if (before && comparePositions(position, before) >= 0) {
+      hasNewer = true;
+      continue;
+    }
+
+    if (after && comparePositions(position, after) <= 0) {
+      // Reached the cursor - the rest is older
+      hasOlder = true;
+      exhausted = false;
+      break;
+    }
+
+    if (skipped < skip) {
+      skipped++;
+      hasNewer = true;
+      continue;
+    }
+
+    collected.push(entry);
+
+    // Newest-first pages are complete after limit + 1 (the extra one proves hasOlder)
+    if (!after && collected.length > limit) {
+      collected.pop();
+      hasOlder = true;
+      exhausted = false;
+      break;
+    }
+  }
+
+  // "after" pages collect everything newer than the cursor - keep the oldest `limit`
+  let pageEntries = collected;
+  if (after && collected.length > limit) {
+    pageEntries = collected.slice(collected.length - limit);
+    hasNewer = true;
+  }
+
+  return {
+    entries: pageEntries.reverse(),
+    hasOlder,
+    hasNewer,
+    exhausted
+  };
+}
@@ -0,0 +1,253 @@
+/**
+ * Transcription Queue (Chat Business Logic)
+ *
+ * Persistent queue of voice message transcriptions. Sending a voice message
+ * adds a job; jobs run one at a time and are retried with backoff (no STT
+ * model ready, engine errors) until their attempts are used up. Each job is
+ * stored as its own versioned ChatTranscriptionJob, and the
+ * ChatTranscriptionQueue of the person lists the pending ones, so a restart
+ * resumes them.
+ *
+ * A job reports every attachment it finished, so a retry only transcribes
+ * the remaining ones.
+ */
+
+import type { SHA256IdHash } from '@refinio/one.core/lib/util/type-checks.js';
+import type { Person } from '@refinio/one.core/lib/recipes.js';
+import type { ChatTranscriptionJob, ChatTranscriptionQueue } from '../types/OneObjectInterfaces.js';
+import type { AudioAttachment } from './TranscriptionService.js';
+import { storeVersionedObject, getObjectByIdHash } from '@refinio/one.core/lib/storage-versioned-objects.js';
+import { calculateIdHashOfObj } from '@refinio/one.core/lib/util/object.js';
+
+const MAX_ATTEMPTS = 6;
+// Waiting for a model to become ready takes longer than a message delivery
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+
+export interface TranscriptionJob {
+  messageHash: string;
+  conversationId: string;
+  sender: string;            // Person the message was sent as - transcripts are created as this person
+  audio: AudioAttachment[];  // Attachments still to transcribe
+  attempts: number;
+  lastError?: string;
+  nextAttemptAt?: number;
+  createdAt: number;
+}
+
+/**
+ * Runs a job
+ *
+ * @param done - Records a finished attachment (transcript posted or no speech)
+ */
+export type TranscriptionRun = (
+  job: TranscriptionJob,
+  done: (attachmentHash: string) => Promise<void>
+) => Promise<void>;
+
+/**
+ * TranscriptionQueue - persistent, retrying transcription jobs of one person
+ */
+export class TranscriptionQueue {
+  private ownerId: SHA256IdHash<Person>;
+  private run: TranscriptionRun;
+  private jobs: Map<string, TranscriptionJob>;  // messageHash -> pending job
+  private loaded?: Promise<void>;
+  private processing?: Promise<void>;
+  private reprocess: boolean;
+  private retryTimer?: ReturnType<typeof setTimeout>;
+
+  constructor(ownerId: SHA256IdHash<Person>, run: TranscriptionRun) {
+    this.ownerId = ownerId;
+    this.run = run;
+    this.jobs = new Map();
+    this.reprocess = false;
+  }
+
+  /**
+   * Load the persisted jobs and resume them
+   */
+  async load(): Promise<void> {
+    if (!this.loaded) {
+      this.loaded = this.loadJobs().then(() => {
+        this.schedule(0);
+      });
+    }
+    await this.loaded;
+  }
+
+  /**
+   * Queue the transcription of a message's audio attachments
+   */
+  async add(conversationId: string, messageHash: string, sender: string, audio: AudioAttachment[]): Promise<void> {
+    await this.load();
+    if (this.jobs.has(messageHash)) {
+      return;
+    }
+
+    const job: TranscriptionJob = {
+      messageHash,
+      conversationId,
+      sender,
+      audio,
+      attempts: 0,
+      createdAt: Date.now()
+    };
+    this.jobs.set(messageHash, job);
+    await this.persistJob(job, 'pending');
+    await this.persistPending();
+    this.schedule(0);
+  }
+
+  private async flush(): Promise<void> {
+    if (this.processing) {
+      // Run again after the current run, so jobs added meanwhile are included
+      this.reprocess = true;
+      return this.processing;
+    }
+
+    this.processing = this.process().finally(() => {
+      this.processing = undefined;
+    });
+    await this.processing;
+
+    if (this.reprocess) {
+      this.reprocess = false;
+      await this.flush();
+    }
+  }
+
+  private async process(): Promise<void> {
+    let nextRetry: number | undefined;
+    const due = Array.from(this.jobs.values()).sort((a, b) => a.createdAt - b.createdAt);
+
+    for (const job of due) {
+      if (job.nextAttemptAt && job.nextAttemptAt > Date.now()) {
+        nextRetry = Math.min(nextRetry ?? job.nextAttemptAt, job.nextAttemptAt);
+        continue;
+      }
+
+      job.attempts++;
+      let status: ChatTranscriptionJob['status'];
+      try {
+        await this.run({ ...job, audio: [...job.audio] }, async attachmentHash => {
+          job.audio = job.audio.filter(attachment => attachment.hash !== attachmentHash);
+          await this.persistJob(job, 'pending');
+        });
+        status = 'done';
+      } catch (error) {
+        job.lastError = (error as Error).message;
+        if (job.attempts >= MAX_ATTEMPTS) {
+          status = 'failed';
+          console.warn(`[TranscriptionQueue] Transcription of ${job.messageHash.substring(0, 8)} failed after ${job.attempts} attempts:`, job.lastError);
+        } else {
+          status = 'pending';
+          job.nextAttemptAt = Date.now() + RETRY_BASE_DELAY_MS * Math.pow(2, job.attempts - 1);
+          nextRetry = Math.min(nextRetry ?? job.nextAttemptAt, job.nextAttemptAt);
+          console.warn(`[TranscriptionQueue] Transcription of ${job.messageHash.substring(0, 8)} failed (attempt ${job.attempts}), retrying:`, job.lastError);
+        }
+      }
+
+      await this.persistJob(job, status);
+      if (status !== 'pending') {
+        this.jobs.delete(job.messageHash);
+        await this.persistPending();
+      }
+    }
+
+    if (nextRetry !== undefined) {
+      this.schedule(nextRetry - Date.now());
+    }
+  }
+
+  private schedule(delay: number): void {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+    }
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = undefined;
+      this.flush().catch((error: Error) => {
+        console.error('[TranscriptionQueue] Transcription run failed:', error);
+      });
+    }, Math.max(0, delay));
+    // A pending retry alone must not keep a Node.js process alive
+    (this.retryTimer as any).unref?.();
+  }
+
+  private async loadJobs(): Promise<void> {
+    let pending: string[] = [];
+    try {
+      const idHash = await calculateIdHashOfObj({
+        $type$: 'ChatTranscriptionQueue',
+        person: this.ownerId
+      } as any);
+      const result = await getObjectByIdHash<ChatTranscriptionQueue>(idHash as any);
+      pending = result?.obj?.pending || [];
+    } catch (e) {
+      // No queue stored yet
+      return;
+    }
+
+    for (const messageHash of pending) {
+      try {
+        const idHash = await calculateIdHashOfObj({
+          $type$: 'ChatTranscriptionJob',
+          person: this.ownerId,
+          message: messageHash
+        } as any);
+        const stored = (await getObjectByIdHash<ChatTranscriptionJob>(idHash as any))?.obj;
+        if (stored?.status === 'pending') {
+          this.jobs.set(messageHash, {
+            messageHash,
+            conversationId: stored.conversationId,
+            sender: String(stored.sender),
+            audio: JSON.parse(stored.audio || '[]'),
+            attempts: stored.attempts,
+            ...(stored.lastError && { lastError: stored.lastError }),
+            ...(stored.nextAttemptAt !== undefined && { nextAttemptAt: stored.nextAttemptAt }),
+            createdAt: stored.createdAt
+          });
+        }
+      } catch (e) {
+        console.warn(`[TranscriptionQueue] Transcription job ${messageHash.substring(0, 8)} is missing`);
+      }
+    }
+    console.log(`[TranscriptionQueue] Loaded ${this.jobs.size} pending jobs`);
+  }
+
+  private async persistJob(job: TranscriptionJob, status: ChatTranscriptionJob['status']): Promise<void> {
+    try {
+      await storeVersionedObject({
+        $type$: 'ChatTranscriptionJob',
+        person: this.ownerId,
+        message: job.messageHash,
+        conversationId: job.conversationId,
+        sender: job.sender as SHA256IdHash<Person>,
+        audio: JSON.stringify(job.audio),
+        status,
+        attempts: job.attempts,
+        ...(job.lastError && { lastError: job.lastError }),
+        ...(status === 'pending' && job.nextAttemptAt !== undefined && { nextAttemptAt: job.nextAttemptAt }),
+        createdAt: job.createdAt,
+        updatedAt: Date.now()
+      });
+    } catch (e) {
+      // The queue keeps working in memory - only restart recovery is affected
+      console.warn(`[TranscriptionQueue] Failed to persist job ${job.messageHash.substring(0, 8)}:`, e);
+    }
+  }
+
+  private async persistPending(): Promise<void> {
+    const queue: ChatTranscriptionQueue = {
+      $type$: 'ChatTranscriptionQueue',
+      person: this.ownerId,
+      pending: Array.from(this.jobs.keys()),
+      updatedAt: Date.now()
+    };
+
+    try {
+      await storeVersionedObject(queue);
+    } catch (e) {
+      console.warn('[TranscriptionQueue] Failed to persist queue:', e);
+    }
+  }
+}
@@ -0,0 +1,219 @@
+/**
+ * Transcription Service (Chat Business Logic)
+ *
+ * Transcribes audio attachments (voice messages) with the active STT model.
+ * The speech recognition itself is done by an injected SpeechToTextEngine
+ * (transformers.js, a native Whisper build, a remote API or a fake in tests);
+ * this service picks the model, reads the audio BLOB, runs jobs one at a time
+ * and builds the ChatTranscript objects.
+ *
+ * Model selection: the first ready one of the configured STT models (see
+ * findReadyModel).
+ */
+
+import type { SHA256Hash, SHA256IdHash } from '@refinio/one.core/lib/util/type-checks.js';
+import type { Person, BLOB } from '@refinio/one.core/lib/recipes.js';
+import type { ChatMessage } from '@refinio/one.models/lib/recipes/ChatRecipes.js';
+import type { ChatTranscript, STT } from '../types/OneObjectInterfaces.js';
+import { readBlobAsArrayBuffer } from '@refinio/one.core/lib/storage-blob.js';
+import { findReadyModel } from './LocalModels.js';
+
+export interface TranscriptSegment {
+  start: number;  // Seconds from the start of the audio
+  end: number;
+  text: string;
+}
+
+export interface SpeechToTextOptions {
+  model: STT;
+  mimeType: string;
+  timestamps: boolean;  // Only requested from models with the 'timestamps' capability
+}
+
+export interface SpeechToTextResult {
+  text: string;
+  language?: string;  // Detected language (ISO 639-1)
+  segments?: TranscriptSegment[];
+}
+
+/**
+ * Speech recognition backend (injected by the platform)
+ */
+export interface SpeechToTextEngine {
+  transcribe(audio: ArrayBuffer, options: SpeechToTextOptions): Promise<SpeechToTextResult>;
+}
+
+/**
+ * Transcript of one attachment as returned by getMessages
+ */
+export interface TranscriptSummary {
+  text: string;
+  language?: string;
+  segments?: TranscriptSegment[];
+  model: string;
+  createdAt: number;
+}
+
+/**
+ * Audio attachment of a stored message
+ */
+export interface AudioAttachment {
+  hash: string;  // BLOB hash
+  mimeType: string;
+}
+
+export function isAudioMimeType(mimeType?: string): boolean {
+  return !!mimeType && mimeType.toLowerCase().startsWith('audio/');
+}
+
+/**
+ * TranscriptionService - background transcription with the active STT model
+ */
+export class TranscriptionService {
+  private engine: SpeechToTextEngine;
+  private modelNames: string[];
+  private queue: Promise<void>;  // Models run one job at a time
+
+  /**
+   * @param modelNames - Installed STT models (STT.name) in order of preference
+   */
+  constructor(engine: SpeechToTextEngine, modelNames: string[]) {
+    this.engine = engine;
+    this.modelNames = modelNames;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Get the model transcriptions run with (undefined if none is ready)
+   */
+  async getActiveModel(): Promise<STT | undefined> {
+    return await findReadyModel<STT>('STT', this.modelNames);
+  }
+
+  /**
+   * Transcribe the audio attachments of a message (queued behind earlier jobs)
+   *
+   * @returns One ChatTranscript per attachment that produced text
+   * @throws If no STT model is ready
+   */
+  async transcribe(
+    messageHash: SHA256Hash<ChatMessage>,
+    attachments: AudioAttachment[],
+    createdBy: SHA256IdHash<Person>
+  ): Promise<ChatTranscript[]> {
+    const run = this.queue.then(() => this.run(messageHash, attachments, createdBy));
+    this.queue = run.then(() => undefined, () => undefined);
+    return await run;
+  }
+
+  private async run(
+    messageHash: SHA256Hash<ChatMessage>,
+    attachments: AudioAttachment[],
+    createdBy: SHA256IdHash<Person>
+  ): Promise<ChatTranscript[]> {
+    const model = await this.getActiveModel();
+    if (!model) {
+      throw new Error('No speech-to-text model is ready');
+    }
+    const timestamps = model.capabilities?.includes('timestamps') === true;
+
+    const transcripts: ChatTranscript[] = [];
+    for (const attachment of attachments) {
+      const audio = await readBlobAsArrayBuffer(attachment.hash as SHA256Hash<BLOB>);
+      const result = await this.engine.transcribe(audio, { model, mimeType: attachment.mimeType, timestamps });
+      const text = (result.text || '').trim();
+      if (!text) {
+        console.log(`[TranscriptionService] No speech in ${attachment.hash.substring(0, 8)}`);
+        continue;
+      }
+
+      // A model with a single language needs no detection
+      const language = result.language || (model.languages?.length === 1 ? model.languages[0] : undefined);
+      const segments = timestamps ? normalizeSegments(result.segments) : [];
+      transcripts.push({
+        $type$: 'ChatTranscript',
+        message: messageHash,
+        attachment: attachment.hash,
+        text,
+        ...(language && { language }),
+        ...(segments.length > 0 && { segments: JSON.stringify(segments) }),
+        model: model.name,
+        createdBy,
+        createdAt: Date.now()
+      });
+    }
+
+    console.log(`[TranscriptionService] Transcribed ${transcripts.length}/${attachments.length} attachments with ${model.name}`);
+    return transcripts;
+  }
+}
+
+/**
+ * Index transcript channel entries by message and attachment
+ *
+ * Only transcripts posted by the sender of their message count (the sender's
+ * instance transcribes): the authenticated entry author is compared when the
+ * channel knows it, the declared creator otherwise - matching how getSender
+ * identifies the sender of the message. A newer transcript of the same
+ * attachment replaces an older one.
+ *
+ * @param entries - ObjectData<ChatTranscript> entries from the topic channel
+ * @param getSender - Sender of a ChatMessage hash (undefined if unknown - its transcripts are skipped)
+ * @returns Map of ChatMessage hash -> (attachment BLOB hash -> transcript)
+ */
+export function aggregateTranscripts(
+  entries: any[],
+  getSender: (messageHash: string) => string | undefined
+): Map<string, Map<string, TranscriptSummary>> {
+  const byMessage = new Map<string, Map<string, TranscriptSummary>>();
+  for (const entry of entries) {
+    const transcript = entry.data as ChatTranscript;
+    if (!transcript?.message || !transcript.attachment || typeof transcript.text !== 'string') {
+      continue;
+    }
+    const author = String(entry.author || transcript.createdBy);
+    const sender = getSender(String(transcript.message));
+    if (!sender || author !== sender) {
+      continue;
+    }
+
+    const messageKey = String(transcript.message);
+    let byAttachment = byMessage.get(messageKey);
+    if (!byAttachment) {
+      byAttachment = new Map();
+      byMessage.set(messageKey, byAttachment);
+    }
+    const previous = byAttachment.get(transcript.attachment);
+    if (previous && previous.createdAt > transcript.createdAt) {
+      continue;
+    }
+
+    let segments: TranscriptSegment[] | undefined;
+    if (transcript.segments) {
+      try {
+        segments = normalizeSegments(JSON.parse(transcript.segments));
+      } catch (e) {
+        // Unreadable segments - keep the text
+      }
+    }
+    byAttachment.set(transcript.attachment, {
+      text: transcript.text,
+      ...(transcript.language && { language: transcript.language }),
+      ...(segments && segments.length > 0 && { segments }),
+      model: transcript.model,
+      createdAt: transcript.createdAt
+    });
+  }
+  return byMessage;
+}
+
+function normalizeSegments(segments: unknown): TranscriptSegment[] {
+  if (!Array.isArray(segments)) {
+    return [];
+  }
+  return segments
+    .filter((segment: any) => segment && Number.isFinite(segment.start) && Number.isFinite(segment.end) &&
+      typeof segment.text === 'string')
+    .map((segment: any) => ({ start: segment.start, end: segment.end, text: segment.text.trim() }))
+    .filter(segment => segment.text.length > 0);
+}
@@ -6,9 +6,13 @@
  *
  * AffirmationCertificate is added to OneUnversionedObjectInterfaces
  * so it works with getAllEntries() type checking.
+ *
+ * Chat* types are defined by chat.core's own recipes (see recipes/).
  */
 
-import type { SHA256Hash } from '@refinio/one.core/lib/util/type-checks.js';
+import type { SHA256Hash, SHA256IdHash } from '@refinio/one.core/lib/util/type-checks.js';
+import type { Person, BLOB } from '@refinio/one.core/lib/recipes.js';
+import type { ChatMessage } from '@refinio/one.models/lib/recipes/ChatRecipes.js';
 
 // From one.models/src/recipes/Certificates/AffirmationCertificate.ts
 export interface AffirmationCertificate {
@@ -17,9 +21,485 @@ export interface AffirmationCertificate {
   license: SHA256Hash;
 }
 
+// From recipes/ChatReactionRecipe.ts
+export interface ChatReaction {
+  $type$: 'ChatReaction';
+  message: SHA256Hash<ChatMessage>;
+  entry: string;  // Channel entry id of the message
+  sender: SHA256IdHash<Person>;
+  emoji: string;
+  action: 'add' | 'remove';
+  timestamp: number;
+}
+
+// From recipes/ChatClearMarkerRecipe.ts
+export interface ChatClearMarker {
+  $type$: 'ChatClearMarker';
+  topicId: string;
+  person: SHA256IdHash<Person>;
+  clearedAt: number;
+}
+
+export interface ChatClearRequest {
+  $type$: 'ChatClearRequest';
+  topicId: string;
+  requestedBy: SHA256IdHash<Person>;
+  clearedAt: number;
+}
+
+// From recipes/ChatReadPositionRecipe.ts
+export interface ChatReadPosition {
+  $type$: 'ChatReadPosition';
+  topicId: string;
+  person: SHA256IdHash<Person>;
+  readUpTo: number;
+  message?: SHA256Hash<ChatMessage>;
+  sharedUpTo?: number;  // Read position last shared as a ChatReadReceipt
+  updatedAt: number;
+}
+
+export interface ChatReadReceipt {
+  $type$: 'ChatReadReceipt';
+  topicId: string;
+  reader: SHA256IdHash<Person>;
+  readUpTo: number;
+  message?: SHA256Hash<ChatMessage>;
+  timestamp: number;
+}
+
+// From recipes/ConversationSummaryRecipe.ts
+export interface ConversationSummary {
+  $type$: 'ConversationSummary';
+  topicId: string;
+  person: SHA256IdHash<Person>;
+  source: string;  // Topic channel + name
+  topicIdHash?: string;
+  name: string;
+  participants: string;  // JSON
+  lastMessage: string;
+  lastActivity: number;
+  unreadCount: number;
+  firstUnreadMessageId?: string;
+  isAITopic: boolean;
+  aiModelId?: string;
+  modelName?: string;
+  aiParticipants?: string;  // JSON
+  aiAddressing?: 'mention' | 'round-robin' | 'all';
+  description?: string;
+  avatarBlobHash?: string;
+  metadataVersion?: string;  // Metadata, AI routing and AI settings hashes
+  updatedAt: number;
+}
+
+// From recipes/ChatOutboxRecipe.ts
+export interface ChatOutbox {
+  $type$: 'ChatOutbox';
+  person: SHA256IdHash<Person>;
+  pending: string[];  // Client IDs
+  updatedAt: number;
+}
+
+export interface ChatOutboxEntry {
+  $type$: 'ChatOutboxEntry';
+  person: SHA256IdHash<Person>;
+  clientId: string;
+  conversationId: string;
+  content: string;
+  attachments: string;  // JSON
+  senderId: string;
+  replyTo?: string;
+  poll?: string;  // JSON
+  status: 'queued' | 'stored' | 'failed';
+  attempts: number;
+  lastError?: string;
+  messageHash?: string;
+  messageId?: string;
+  pollHash?: string;
+  createdAt: number;
+  updatedAt: number;
+  nextAttemptAt?: number;
+}
+
+// From recipes/ChatDeliveryPositionRecipe.ts
+export interface ChatDeliveryPosition {
+  $type$: 'ChatDeliveryPosition';
+  topicId: string;
+  recipient: SHA256IdHash<Person>;
+  receivedUpTo: number;
+  updatedAt: number;
+}
+
+// From recipes/ChatSystemEventRecipe.ts
+export type ChatSystemEventType = 'participants-added' | 'participants-removed' | 'participant-left' | 'conversation-updated';
+
+export interface ChatSystemEvent {
+  $type$: 'ChatSystemEvent';
+  topicId: string;
+  event: ChatSystemEventType;
+  actor: SHA256IdHash<Person>;
+  subjects?: SHA256IdHash<Person>[];
+  changes?: Array<'name' | 'description' | 'avatar'>;
+  name?: string;
+  timestamp: number;
+}
+
+// From recipes/ConversationMetadataRecipe.ts
+export interface ConversationMetadata {
+  $type$: 'ConversationMetadata';
+  topicId: string;
+  name: string;
+  description?: string;
+  avatar?: SHA256Hash<BLOB>;
+  updatedBy: SHA256IdHash<Person>;
+  updatedAt: number;
+}
+
+// From recipes/ConversationRolesRecipe.ts
+export interface ConversationRoles {
+  $type$: 'ConversationRoles';
+  topicId: string;
+  owner: SHA256IdHash<Person>;
+  admins?: SHA256IdHash<Person>[];
+  readOnly?: SHA256IdHash<Person>[];
+  announcementOnly: boolean;
+  updatedBy: SHA256IdHash<Person>;
+  updatedAt: number;
+  creatorSeed?: string;
+}
+
+// From recipes/ChatInviteRecipe.ts
+export interface ChatInvite {
+  $type$: 'ChatInvite';
+  topicId: string;
+  name?: string;
+  createdBy: SHA256IdHash<Person>;
+  createdAt: number;
+  expiresAt?: number;
+  maxUses?: number;
+  requiresApproval: boolean;
+  secret: string;
+}
+
+export interface ChatJoinRequest {
+  $type$: 'ChatJoinRequest';
+  topicId: string;
+  invite: SHA256Hash<ChatInvite>;
+  signature: SHA256Hash;
+  requester: SHA256IdHash<Person>;
+  timestamp: number;
+}
+
+export interface ChatInviteEntry {
+  $type$: 'ChatInviteEntry';
+  person: SHA256IdHash<Person>;
+  invite: string;  // ChatInvite hash
+  topicId: string;
+  signature: string;  // Signature hash
+  createdAt: number;
+  expiresAt?: number;
+  maxUses?: number;
+  requiresApproval: boolean;
+  uses: number;
+  revoked: boolean;
+  updatedAt: number;
+}
+
+export interface ChatJoinRequestEntry {
+  $type$: 'ChatJoinRequestEntry';
+  person: SHA256IdHash<Person>;
+  request: string;  // ChatJoinRequest hash
+  invite: string;   // ChatInvite hash
+  topicId: string;
+  requester: SHA256IdHash<Person>;
+  p2pTopicId: string;
+  requestedAt: number;
+  status: 'pending' | 'approved' | 'rejected';
+  reason?: string;
+  decidedAt?: number;
+  updatedAt: number;
+}
+
+export interface ChatInviteRegistry {
+  $type$: 'ChatInviteRegistry';
+  person: SHA256IdHash<Person>;
+  invites: string[];   // ChatInvite hashes
+  requests: string[];  // ChatJoinRequest hashes
+  updatedAt: number;
+}
+
+// From recipes/ChatPollRecipe.ts
+export interface ChatPoll {
+  $type$: 'ChatPoll';
+  message: SHA256Hash<ChatMessage>;
+  question: string;
+  options: string[];
+  multipleChoice: boolean;
+  anonymous: boolean;
+  closesAt?: number;
+  createdBy: SHA256IdHash<Person>;
+  createdAt: number;
+}
+
+export interface ChatPollVote {
+  $type$: 'ChatPollVote';
+  poll: SHA256Hash<ChatPoll>;
+  voter: SHA256IdHash<Person>;
+  choices: number[];
+  timestamp: number;
+}
+
+export interface ChatPollClose {
+  $type$: 'ChatPollClose';
+  poll: SHA256Hash<ChatPoll>;
+  closedBy: SHA256IdHash<Person>;
+  timestamp: number;
+}
+
+// From recipes/ChatUploadRecipe.ts
+export interface ChatUpload {
+  $type$: 'ChatUpload';
+  uploadId: string;
+  owner: SHA256IdHash<Person>;
+  name?: string;
+  mimeType?: string;
+  size: number;
+  chunkSize: number;
+  sha256?: string;
+  chunks: string;  // JSON
+  status: 'open' | 'complete' | 'cancelled';
+  blob?: string;
+  createdAt: number;
+  updatedAt: number;
+}
+
+// From recipes/ChatTranscriptRecipe.ts
+export interface ChatTranscript {
+  $type$: 'ChatTranscript';
+  message: SHA256Hash<ChatMessage>;
+  attachment: string;
+  text: string;
+  language?: string;
+  segments?: string;  // JSON
+  model: string;
+  createdBy: SHA256IdHash<Person>;
+  createdAt: number;
+}
+
+export interface ChatTranscriptionJob {
+  $type$: 'ChatTranscriptionJob';
+  person: SHA256IdHash<Person>;
+  message: string;  // ChatMessage hash
+  conversationId: string;
+  sender: SHA256IdHash<Person>;
+  audio: string;  // JSON
+  status: 'pending' | 'done' | 'failed';
+  attempts: number;
+  lastError?: string;
+  nextAttemptAt?: number;
+  createdAt: number;
+  updatedAt: number;
+}
+
+export interface ChatTranscriptionQueue {
+  $type$: 'ChatTranscriptionQueue';
+  person: SHA256IdHash<Person>;
+  pending: string[];  // ChatMessage hashes
+  updatedAt: number;
+}
+
+// From recipes/STTRecipe.ts
+export interface STT {
+  $type$: 'STT';
+  name: string;
+  huggingFaceRepo: string;
+  displayName?: string;
+  modelType: 'local' | 'remote';
+  sampleRate: number;
+  languages?: string[];
+  supportsTranslation?: boolean;
+  status: 'not_installed' | 'downloading' | 'installed' | 'loading' | 'ready' | 'error';
+  sizeBytes?: number;
+  downloadProgress?: number;
+  errorMessage?: string;
+  modelBlobs?: SHA256Hash<BLOB>[];
+  blobMetadata?: string;  // JSON
+  provider?: string;
+  architecture?: string;
+  sizeVariant?: string;
+  capabilities?: Array<'multilingual' | 'translation' | 'timestamps' | 'streaming'>;
+  owner?: SHA256IdHash<Person>;
+  created: number;
+  modified: number;
+  lastUsed?: number;
+  usageCount?: number;
+  deleted?: boolean;
+}
+
+// From recipes/ChatSpeechRecipe.ts
+export interface ChatSpeech {
+  $type$: 'ChatSpeech';
+  message: SHA256Hash<ChatMessage>;
+  voice: string;
+  text: string;
+  model: string;
+  audio: string;
+  mimeType: string;
+  sampleRate?: number;
+  duration?: number;
+  createdAt: number;
+}
+
+export interface ChatAutoSpeak {
+  $type$: 'ChatAutoSpeak';
+  topicId: string;
+  person: SHA256IdHash<Person>;
+  enabled: boolean;
+  voice?: string;
+  updatedAt: number;
+}
+
+// From recipes/TTSRecipe.ts
+export interface TTS {
+  $type$: 'TTS';
+  name: string;
+  huggingFaceRepo: string;
+  displayName?: string;
+  modelType: 'local' | 'remote';
+  sampleRate: number;
+  requiresReferenceAudio?: boolean;
+  defaultVoiceUrl?: string;
+  status: 'not_installed' | 'downloading' | 'installed' | 'loading' | 'ready' | 'error';
+  sizeBytes?: number;
+  downloadProgress?: number;
+  errorMessage?: string;
+  modelBlobs?: SHA256Hash<BLOB>[];
+  blobMetadata?: string;  // JSON
+  provider?: string;
+  architecture?: string;
+  capabilities?: Array<'voice-cloning' | 'multilingual' | 'streaming'>;
+  owner?: SHA256IdHash<Person>;
+  created: number;
+  modified: number;
+  lastUsed?: number;
+  usageCount?: number;
+  deleted?: boolean;
+}
+
+// From recipes/ChatMessageEditRecipe.ts
+export interface ChatMessageEdit {
+  $type$: 'ChatMessageEdit';
+  message: SHA256Hash<ChatMessage>;
+  entry: string;  // Channel entry id of the message
+  editor: SHA256IdHash<Person>;
+  text: string;
+  reason?: string;
+  timestamp: number;
+}
+
+export interface ChatMessageDeletion {
+  $type$: 'ChatMessageDeletion';
+  message: SHA256Hash<ChatMessage>;
+  entry: string;  // Channel entry id of the message
+  deletedBy: SHA256IdHash<Person>;
+  reason?: string;
+  timestamp: number;
+}
+
+// From recipes/ConversationAIRoutingRecipe.ts
+export interface ConversationAIRouting {
+  $type$: 'ConversationAIRouting';
+  topicId: string;
+  mode: 'mention' | 'round-robin' | 'all';
+  updatedBy: SHA256IdHash<Person>;
+  updatedAt: number;
+}
+
+// From recipes/ConversationAISettingsRecipe.ts
+export interface ConversationAISettings {
+  $type$: 'ConversationAISettings';
+  topicId: string;
+  systemPrompt?: string;
+  modelId?: string;
+  temperature?: number;
+  maxTokens?: number;
+  topK?: number;
+  topP?: number;
+  contextPolicy: 'full' | 'recent' | 'tokens';
+  contextLimit?: number;
+  showThinking: boolean;
+  updatedBy: SHA256IdHash<Person>;
+  updatedAt: number;
+}
+
+// From recipes/ChatChannelHistoryRecipe.ts
+export interface ChatChannelHistory {
+  $type$: 'ChatChannelHistory';
+  topicId: string;
+  channels: string[];  // ChannelInfo id hashes, oldest first
+  updatedAt: number;
+}
+
 declare module '@OneObjectInterfaces' {
   // Add to OneUnversionedObjectInterfaces so getAllEntries() type checks pass
+  // (AffirmationCertificate) and chat.core objects can be stored
   export interface OneUnversionedObjectInterfaces {
     AffirmationCertificate: AffirmationCertificate;
+    ChatReaction: ChatReaction;
+    ChatClearRequest: ChatClearRequest;
+    ChatReadReceipt: ChatReadReceipt;
+    ChatSystemEvent: ChatSystemEvent;
+    ConversationMetadata: ConversationMetadata;
+    ConversationRoles: ConversationRoles;
+    ChatInvite: ChatInvite;
+    ChatJoinRequest: ChatJoinRequest;
+    ChatPoll: ChatPoll;
+    ChatPollVote: ChatPollVote;
+    ChatPollClose: ChatPollClose;
+    ChatTranscript: ChatTranscript;
+    ChatMessageEdit: ChatMessageEdit;
+    ChatMessageDeletion: ChatMessageDeletion;
+    ConversationAIRouting: ConversationAIRouting;
+    ConversationAISettings: ConversationAISettings;
+  }
+
+  // Versioned chat.core objects
+  export interface OneVersionedObjectInterfaces {
+    ChatClearMarker: ChatClearMarker;
+    ChatReadPosition: ChatReadPosition;
+    ChatDeliveryPosition: ChatDeliveryPosition;
+    ConversationSummary: ConversationSummary;
+    ChatOutbox: ChatOutbox;
+    ChatOutboxEntry: ChatOutboxEntry;
+    ChatInviteRegistry: ChatInviteRegistry;
+    ChatInviteEntry: ChatInviteEntry;
+    ChatJoinRequestEntry: ChatJoinRequestEntry;
+    ChatUpload: ChatUpload;
+    ChatTranscriptionJob: ChatTranscriptionJob;
+    ChatTranscriptionQueue: ChatTranscriptionQueue;
+    STT: STT;
+    ChatSpeech: ChatSpeech;
+    ChatAutoSpeak: ChatAutoSpeak;
+    TTS: TTS;
+    ChatChannelHistory: ChatChannelHistory;
+  }
+
+  export interface OneIdObjectInterfaces {
+    ChatClearMarker: Pick<ChatClearMarker, '$type$' | 'topicId' | 'person'>;
+    ChatReadPosition: Pick<ChatReadPosition, '$type$' | 'topicId' | 'person'>;
+    ChatDeliveryPosition: Pick<ChatDeliveryPosition, '$type$' | 'topicId' | 'recipient'>;
+    ConversationSummary: Pick<ConversationSummary, '$type$' | 'topicId' | 'person'>;
+    ChatOutbox: Pick<ChatOutbox, '$type$' | 'person'>;
+    ChatOutboxEntry: Pick<ChatOutboxEntry, '$type$' | 'person' | 'clientId'>;
+    ChatInviteRegistry: Pick<ChatInviteRegistry, '$type$' | 'person'>;
+    ChatInviteEntry: Pick<ChatInviteEntry, '$type$' | 'person' | 'invite'>;
+    ChatJoinRequestEntry: Pick<ChatJoinRequestEntry, '$type$' | 'person' | 'request'>;
+    ChatUpload: Pick<ChatUpload, '$type$' | 'uploadId'>;
+    ChatTranscriptionJob: Pick<ChatTranscriptionJob, '$type$' | 'person' | 'message'>;
+    ChatTranscriptionQueue: Pick<ChatTranscriptionQueue, '$type$' | 'person'>;
+    STT: Pick<STT, '$type$' | 'name'>;
+    ChatSpeech: Pick<ChatSpeech, '$type$' | 'message' | 'voice'>;
+    ChatAutoSpeak: Pick<ChatAutoSpeak, '$type$' | 'topicId' | 'person'>;
+    TTS: Pick<TTS, '$type$' | 'name'>;
+    ChatChannelHistory: Pick<ChatChannelHistory, '$type$' | 'topicId'>;
   }
 }